@@ -1,6 +1,6 @@
 /**
  * PILOT Extension -- Indoor Positioning v4.0
- * Settings window with tabbed interface (6 tabs).
+ * Settings window with tabbed interface (7 tabs).
  *
  * Tabs:
  *   1. General       -- Engine selector, site selector, poll interval, show toggles
@@ -8,7 +8,8 @@
  *   3. Channel Sound -- MQTT broker URL, engine URL, min anchors, path loss
  *   4. Floor Plans   -- Grid of floors per site, upload image, calibration, anchors
  *   5. Alerts        -- Battery thresholds, offline timeout, speed limit, notifications
- *   6. About         -- Version, engine status, device counts, uptime
+ *   6. Rules         -- Custom alert rules (JSON conditions), saved to the engine
+ *   7. About         -- Version, engine status, device counts, uptime
  *
  * Save button persists settings to config.json / engine API.
  *
@@ -60,6 +61,7 @@ Ext.define('Store.indoor-positioning.AdminPanel', {
                     me._buildChannelSoundingTab(),
                     me._buildFloorPlansTab(),
                     me._buildAlertsTab(),
+                    me._buildRulesTab(),
                     me._buildAboutTab()
                 ]
             }
@@ -90,7 +92,9 @@ Ext.define('Store.indoor-positioning.AdminPanel', {
     _onShow: function () {
         var me = this;
         me._loadCurrentSettings();
+        me.loadEngineSettings();
         me.loadFloorsFromEngine();
+        me.loadRulesFromEngine();
         me._updateAboutTab();
     },
 
@@ -377,8 +381,8 @@ Ext.define('Store.indoor-positioning.AdminPanel', {
                     margin: '10 0 0 0',
                     value: '<i class="fa fa-info-circle"></i> ' +
                            ((typeof l === 'function')
-                               ? l('MQTT and path loss settings are applied in the positioning-engine server. Restart the engine after changes.')
-                               : 'MQTT and path loss settings are applied in the positioning-engine server. Restart the engine after changes.')
+                               ? l('Min anchors and path loss settings are applied live by the positioning engine. MQTT broker changes require an engine restart.')
+                               : 'Min anchors and path loss settings are applied live by the positioning engine. MQTT broker changes require an engine restart.')
                 }
             ]
         };
@@ -469,19 +473,30 @@ Ext.define('Store.indoor-positioning.AdminPanel', {
                     collapsible: true,
                     collapsed: true,
                     store: Ext.create('Ext.data.Store', {
-                        fields: ['id', 'x', 'y', 'z'],
+                        fields: ['id', 'x', 'y', 'z', 'surveyed'],
                         data: []
                     }),
                     columns: [
                         { text: 'ID', dataIndex: 'id', flex: 1, editor: { xtype: 'textfield' } },
                         { text: 'X', dataIndex: 'x', width: 80, editor: { xtype: 'numberfield', decimalPrecision: 2 } },
                         { text: 'Y', dataIndex: 'y', width: 80, editor: { xtype: 'numberfield', decimalPrecision: 2 } },
-                        { text: 'Z', dataIndex: 'z', width: 80, editor: { xtype: 'numberfield', decimalPrecision: 2 } }
+                        { text: 'Z', dataIndex: 'z', width: 80, editor: { xtype: 'numberfield', decimalPrecision: 2 } },
+                        { xtype: 'checkcolumn', text: (typeof l === 'function') ? l('Surveyed') : 'Surveyed', dataIndex: 'surveyed', width: 80 }
                     ],
                     plugins: [{ ptype: 'cellediting', clicksToEdit: 1 }],
                     tbar: [
                         { text: (typeof l === 'function') ? l('Add') : 'Add', iconCls: 'fa fa-plus', handler: me.addAnchor, scope: me },
-                        { text: (typeof l === 'function') ? l('Remove') : 'Remove', iconCls: 'fa fa-minus', handler: me.removeAnchor, scope: me }
+                        { text: (typeof l === 'function') ? l('Remove') : 'Remove', iconCls: 'fa fa-minus', handler: me.removeAnchor, scope: me },
+                        '->',
+                        {
+                            text: (typeof l === 'function') ? l('Check Positions') : 'Check Positions',
+                            iconCls: 'fa fa-ruler-combined',
+                            tooltip: (typeof l === 'function')
+                                ? l('Compare anchor positions with the distances the anchors measure to each other')
+                                : 'Compare anchor positions with the distances the anchors measure to each other',
+                            handler: me.checkAnchorCalibration,
+                            scope: me
+                        }
                     ]
                 },
                 /* -- Action buttons ----------------------------------- */
@@ -691,7 +706,246 @@ Ext.define('Store.indoor-positioning.AdminPanel', {
 
     /* ================================================================== */
     /*                                                                    */
-    /*  TAB 6: ABOUT                                                      */
+    /*  TAB 6: RULES                                                      */
+    /*                                                                    */
+    /* ================================================================== */
+
+    /**
+     * @returns {Object} Ext config for Rules tab
+     * @private
+     */
+    _buildRulesTab: function () {
+        var me = this;
+        return {
+            title: (typeof l === 'function') ? l('Rules') : 'Rules',
+            iconCls: 'fa fa-code-branch',
+            xtype: 'panel',
+            itemId: 'tabRules',
+            layout: { type: 'vbox', align: 'stretch' },
+            bodyPadding: 10,
+            items: [
+                {
+                    xtype: 'grid',
+                    itemId: 'ruleGrid',
+                    height: 150,
+                    store: Ext.create('Ext.data.Store', {
+                        fields: ['id', 'name', 'enabled', 'severity', 'message', 'cooldown_seconds', 'when'],
+                        data: []
+                    }),
+                    columns: [
+                        {
+                            text: (typeof l === 'function') ? l('On') : 'On',
+                            dataIndex: 'enabled',
+                            width: 50,
+                            renderer: function (v) { return v === false ? '' : '<i class="fa fa-check"></i>'; }
+                        },
+                        { text: (typeof l === 'function') ? l('Name') : 'Name', dataIndex: 'name', flex: 1, renderer: Ext.String.htmlEncode },
+                        { text: (typeof l === 'function') ? l('Severity') : 'Severity', dataIndex: 'severity', width: 90 },
+                        { text: 'ID', dataIndex: 'id', width: 170, renderer: Ext.String.htmlEncode }
+                    ],
+                    tbar: [
+                        { text: (typeof l === 'function') ? l('New') : 'New', iconCls: 'fa fa-plus', handler: me.newRule, scope: me },
+                        { text: (typeof l === 'function') ? l('Delete') : 'Delete', iconCls: 'fa fa-minus', handler: me.deleteRule, scope: me },
+                        '->',
+                        { iconCls: 'fa fa-sync', tooltip: (typeof l === 'function') ? l('Reload') : 'Reload', handler: me.loadRulesFromEngine, scope: me }
+                    ],
+                    listeners: {
+                        selectionchange: function (sm, selected) {
+                            if (selected.length) me._showRule(selected[0].getData());
+                        }
+                    }
+                },
+                {
+                    xtype: 'textareafield',
+                    itemId: 'ruleJson',
+                    cls: 'indoor-rule-json',
+                    flex: 1,
+                    margin: '10 0 0 0',
+                    emptyText: (typeof l === 'function')
+                        ? l('Select a rule or press New. Rules are JSON: name, severity, message and a "when" condition.')
+                        : 'Select a rule or press New. Rules are JSON: name, severity, message and a "when" condition.'
+                },
+                {
+                    xtype: 'component',
+                    itemId: 'ruleErrors',
+                    cls: 'indoor-rule-errors',
+                    html: ''
+                },
+                {
+                    xtype: 'container',
+                    layout: 'hbox',
+                    margin: '10 0 0 0',
+                    items: [
+                        {
+                            xtype: 'button',
+                            text: (typeof l === 'function') ? l('Save Rule') : 'Save Rule',
+                            iconCls: 'fa fa-cloud-upload-alt',
+                            handler: me.saveRule,
+                            scope: me
+                        },
+                        {
+                            xtype: 'displayfield',
+                            margin: '0 0 0 10',
+                            value: (typeof l === 'function')
+                                ? l('Conditions: all / any / not, field + op, zone, zone_type, group, schedules, near. See the README.')
+                                : 'Conditions: all / any / not, field + op, zone, zone_type, group, schedules, near. See the README.'
+                        }
+                    ]
+                }
+            ]
+        };
+    },
+
+    /**
+     * Load custom alert rules from the engine (GET /api/indoor/rules).
+     */
+    loadRulesFromEngine: function () {
+        var me = this;
+        var base = me.getEngineBaseUrl();
+        if (!base) return;
+
+        Ext.Ajax.request({
+            url: base + '/api/indoor/rules',
+            method: 'GET',
+            success: function (resp) {
+                var data;
+                try {
+                    data = Ext.JSON.decode(resp.responseText);
+                } catch (e) { return; }
+                var grid = me.down('#ruleGrid');
+                if (grid) grid.getStore().loadData(data.rules || []);
+            },
+            failure: function () {
+                console.warn('[Indoor v4] AdminPanel: Could not load rules');
+            }
+        });
+    },
+
+    /**
+     * Start a new rule from a template.
+     */
+    newRule: function () {
+        var me = this;
+        me.down('#ruleGrid').getSelectionModel().deselectAll();
+        me._showRule({
+            name: 'New rule',
+            severity: 'warning',
+            message: '{device.name}: {rule.name}',
+            when: { all: [{ field: 'type', op: 'eq', value: 'forklift' }, { zone_type: 'restricted' }] }
+        });
+    },
+
+    /**
+     * Save the rule in the editor: PUT when it is the selected rule, POST otherwise.
+     */
+    saveRule: function () {
+        var me = this;
+        var base = me.getEngineBaseUrl();
+        if (!base) {
+            Ext.Msg.alert(
+                (typeof l === 'function') ? l('Save') : 'Save',
+                (typeof l === 'function') ? l('Set the engine URL first.') : 'Set the engine URL first.'
+            );
+            return;
+        }
+
+        var rule;
+        try {
+            rule = Ext.JSON.decode(me.down('#ruleJson').getValue());
+        } catch (e) {
+            me._showRuleErrors({ json: (typeof l === 'function') ? l('Not valid JSON') : 'Not valid JSON' });
+            return;
+        }
+
+        var selected = me.down('#ruleGrid').getSelectionModel().getSelection()[0];
+        var isUpdate = selected && (!rule.id || rule.id === selected.get('id'));
+
+        Ext.Ajax.request({
+            url: base + '/api/indoor/rules' + (isUpdate ? '/' + encodeURIComponent(selected.get('id')) : ''),
+            method: isUpdate ? 'PUT' : 'POST',
+            jsonData: rule,
+            success: function (resp) {
+                var saved = Ext.JSON.decode(resp.responseText).rule;
+                var store = me.down('#ruleGrid').getStore();
+                var rec = store.getById(saved.id);
+                if (rec) {
+                    rec.set(Ext.apply({ message: null, cooldown_seconds: null }, saved));
+                    rec.commit();
+                } else {
+                    rec = store.add(saved)[0];
+                }
+                me.down('#ruleGrid').getSelectionModel().select(rec);
+                me._showRule(saved);
+            },
+            failure: function (resp) {
+                var data = {};
+                try { data = Ext.JSON.decode(resp.responseText); } catch (e) { /* not JSON */ }
+                me._showRuleErrors(data.fields || { error: data.error || ('HTTP ' + resp.status) });
+            }
+        });
+    },
+
+    /**
+     * Delete the selected rule after confirmation.
+     */
+    deleteRule: function () {
+        var me = this;
+        var base = me.getEngineBaseUrl();
+        var selected = me.down('#ruleGrid').getSelectionModel().getSelection()[0];
+        if (!base || !selected) return;
+
+        Ext.Msg.confirm(
+            (typeof l === 'function') ? l('Delete Rule') : 'Delete Rule',
+            ((typeof l === 'function') ? l('Delete rule') : 'Delete rule') + ' "' + Ext.String.htmlEncode(selected.get('name')) + '"?',
+            function (btn) {
+                if (btn !== 'yes') return;
+                Ext.Ajax.request({
+                    url: base + '/api/indoor/rules/' + encodeURIComponent(selected.get('id')),
+                    method: 'DELETE',
+                    success: function () {
+                        me.down('#ruleGrid').getStore().remove(selected);
+                        me.down('#ruleJson').setValue('');
+                        me._showRuleErrors(null);
+                    },
+                    failure: function () {
+                        Ext.Msg.alert(
+                            (typeof l === 'function') ? l('Error') : 'Error',
+                            (typeof l === 'function') ? l('Could not delete the rule.') : 'Could not delete the rule.'
+                        );
+                    }
+                });
+            }
+        );
+    },
+
+    /**
+     * Put a rule into the JSON editor.
+     * @private
+     */
+    _showRule: function (rule) {
+        var copy = {};
+        Ext.each(['id', 'name', 'enabled', 'severity', 'message', 'cooldown_seconds', 'when'], function (key) {
+            if (rule[key] !== undefined && rule[key] !== null) copy[key] = rule[key];
+        });
+        this.down('#ruleJson').setValue(JSON.stringify(copy, null, 2));
+        this._showRuleErrors(null);
+    },
+
+    /**
+     * Show validation errors ({path: message}) under the editor.
+     * @private
+     */
+    _showRuleErrors: function (errors) {
+        var html = '';
+        Ext.Object.each(errors || {}, function (path, msg) {
+            html += '<div><b>' + Ext.String.htmlEncode(path) + '</b>: ' + Ext.String.htmlEncode(msg) + '</div>';
+        });
+        this.down('#ruleErrors').setHtml(html);
+    },
+
+    /* ================================================================== */
+    /*                                                                    */
+    /*  TAB 7: ABOUT                                                      */
     /*                                                                    */
     /* ================================================================== */
 
@@ -1140,12 +1394,14 @@ Ext.define('Store.indoor-positioning.AdminPanel', {
         var anchors = [];
         if (grid && grid.getStore()) {
             grid.getStore().getData().each(function (r) {
-                anchors.push({
+                var anchor = {
                     id: r.get('id'),
                     x: r.get('x'),
                     y: r.get('y'),
                     z: r.get('z')
-                });
+                };
+                if (r.get('surveyed')) anchor.surveyed = true;
+                anchors.push(anchor);
             });
         }
 
@@ -1168,6 +1424,217 @@ Ext.define('Store.indoor-positioning.AdminPanel', {
         });
     },
 
+    /**
+     * Solve the anchor layout from anchor-to-anchor ranges
+     * (GET /api/indoor/floors/:id/anchor-calibration) and show it for review.
+     */
+    checkAnchorCalibration: function () {
+        var me = this;
+        var base = me.getEngineBaseUrl();
+        var floor = me.getSelectedFloor();
+        if (!base || !floor) {
+            Ext.Msg.alert(
+                (typeof l === 'function') ? l('Check Positions') : 'Check Positions',
+                (typeof l === 'function') ? l('Connect to engine and select a floor.') : 'Connect to engine and select a floor.'
+            );
+            return;
+        }
+        var floorId = floor.get ? floor.get('id') : floor.id;
+
+        Ext.Ajax.request({
+            url: base + '/api/indoor/floors/' + floorId + '/anchor-calibration',
+            method: 'GET',
+            success: function (resp) {
+                me._showAnchorCalibration(Ext.JSON.decode(resp.responseText));
+            },
+            failure: function (resp) {
+                var data = {};
+                try { data = Ext.JSON.decode(resp.responseText); } catch (e) { /* not JSON */ }
+                Ext.Msg.alert(
+                    (typeof l === 'function') ? l('Check Positions') : 'Check Positions',
+                    Ext.String.htmlEncode(data.error || ((typeof l === 'function') ? l('Could not check anchor positions.') : 'Could not check anchor positions.'))
+                );
+            }
+        });
+    },
+
+    /**
+     * Review window for an anchor calibration: configured vs solved position per
+     * anchor. "Use Solved Positions" copies the flagged anchors' solved x/y into
+     * the anchor grid; nothing is saved until Save Anchors.
+     *
+     * @param {Object} result - Engine calibration report
+     * @private
+     */
+    _showAnchorCalibration: function (result) {
+        var me = this;
+        var fmt = function (p) {
+            return p ? p.x.toFixed(2) + ', ' + p.y.toFixed(2) : '—';
+        };
+        var statusText = {
+            surveyed: (typeof l === 'function') ? l('Surveyed') : 'Surveyed',
+            ok: (typeof l === 'function') ? l('OK') : 'OK',
+            moved: (typeof l === 'function') ? l('Misplaced') : 'Misplaced',
+            unconstrained: (typeof l === 'function') ? l('Too few ranges') : 'Too few ranges'
+        };
+        var flagged = result.flagged || [];
+
+        var win = Ext.create('Ext.window.Window', {
+            title: (typeof l === 'function') ? l('Anchor Positions Check') : 'Anchor Positions Check',
+            iconCls: 'fa fa-ruler-combined',
+            width: 620,
+            height: 380,
+            layout: 'fit',
+            modal: true,
+            items: [{
+                xtype: 'grid',
+                store: Ext.create('Ext.data.Store', {
+                    fields: ['id', 'configured', 'solved', 'deviation', 'links', 'residual', 'status'],
+                    data: result.anchors || []
+                }),
+                columns: [
+                    { text: 'ID', dataIndex: 'id', flex: 1 },
+                    { text: (typeof l === 'function') ? l('Configured') : 'Configured', dataIndex: 'configured', width: 110, renderer: fmt },
+                    { text: (typeof l === 'function') ? l('Solved') : 'Solved', dataIndex: 'solved', width: 110, renderer: fmt },
+                    {
+                        text: (typeof l === 'function') ? l('Off by (m)') : 'Off by (m)',
+                        dataIndex: 'deviation',
+                        width: 85,
+                        renderer: function (v) { return v == null ? '—' : v.toFixed(2); }
+                    },
+                    { text: (typeof l === 'function') ? l('Ranges') : 'Ranges', dataIndex: 'links', width: 65 },
+                    {
+                        text: (typeof l === 'function') ? l('Status') : 'Status',
+                        dataIndex: 'status',
+                        width: 110,
+                        renderer: function (v) {
+                            var text = Ext.String.htmlEncode(statusText[v] || v);
+                            return v === 'moved' ? '<span class="indoor-zone-badge indoor-zone-badge-restricted">' + text + '</span>' : text;
+                        }
+                    }
+                ]
+            }],
+            dockedItems: [{
+                xtype: 'toolbar',
+                dock: 'top',
+                items: [{
+                    xtype: 'tbtext',
+                    text: Ext.String.format(
+                        (typeof l === 'function') ? l('{0} anchor pairs measured, fit error {1} m, {2} anchor(s) off by more than {3} m') : '{0} anchor pairs measured, fit error {1} m, {2} anchor(s) off by more than {3} m',
+                        result.pairs, result.rms != null ? result.rms.toFixed(2) : '—', flagged.length, result.thresholdM
+                    )
+                }]
+            }],
+            buttons: [
+                {
+                    text: (typeof l === 'function') ? l('Use Solved Positions') : 'Use Solved Positions',
+                    iconCls: 'fa fa-check',
+                    disabled: !flagged.length,
+                    handler: function () {
+                        me._applyAnchorLayout(result.anchors, flagged);
+                        win.close();
+                    }
+                },
+                {
+                    text: (typeof l === 'function') ? l('Close') : 'Close',
+                    handler: function () { win.close(); }
+                }
+            ]
+        });
+        win.show();
+    },
+
+    /**
+     * Copy solved x/y of the given anchors into the anchor grid (unsaved).
+     *
+     * @param {Object[]} report - Calibration report anchors
+     * @param {string[]} ids - Anchors to move
+     * @private
+     */
+    _applyAnchorLayout: function (report, ids) {
+        var grid = this.down('#anchorGrid');
+        if (!grid || !grid.getStore()) return;
+        var store = grid.getStore();
+        for (var i = 0; i < report.length; i++) {
+            if (ids.indexOf(report[i].id) === -1 || !report[i].solved) continue;
+            var rec = store.findRecord('id', report[i].id, 0, false, true, true);
+            if (rec) rec.set({ x: report[i].solved.x, y: report[i].solved.y });
+        }
+        grid.expand();
+    },
+
+    /**
+     * Load runtime settings from the engine (GET /api/indoor/settings).
+     * Engine values override the app config for the fields the engine owns.
+     */
+    loadEngineSettings: function () {
+        var me = this;
+        var base = me.getEngineBaseUrl();
+        if (!base) return;
+
+        Ext.Ajax.request({
+            url: base + '/api/indoor/settings',
+            method: 'GET',
+            success: function (resp) {
+                try {
+                    var data = Ext.JSON.decode(resp.responseText);
+                    var s = data.settings || {};
+                    var alerts = s.alerts || {};
+                    var positioning = s.positioning || {};
+                    var rssi = positioning.rssi || {};
+
+                    me._setFieldValue('#numBattWarning', alerts.battery_warning);
+                    me._setFieldValue('#numBattCritical', alerts.battery_critical);
+                    me._setFieldValue('#numOfflineTimeout', alerts.offline_timeout_seconds);
+                    if (alerts.speed_limit_kmh !== undefined) {
+                        // Engine works in km/h, the form in m/s
+                        me._setFieldValue('#numSpeedLimit', Math.round(alerts.speed_limit_kmh / 3.6 * 10) / 10);
+                    }
+                    me._setFieldValue('#numMinAnchors', positioning.min_anchors);
+                    me._setFieldValue('#numRefRssi', rssi.tx_power);
+                    me._setFieldValue('#numPathLossExp', rssi.path_loss_exponent);
+                } catch (e) {
+                    console.warn('[Indoor v4] Engine settings parse error:', e);
+                }
+            }
+        });
+    },
+
+    /**
+     * Set a form field value if the field exists and the value is defined.
+     * @private
+     */
+    _setFieldValue: function (selector, value) {
+        var field = this.down(selector);
+        if (field && value !== undefined && value !== null) {
+            field.setValue(value);
+        }
+    },
+
+    /**
+     * Build the engine settings document (config.json shape) from the form.
+     * @returns {Object}
+     * @private
+     */
+    _buildEngineSettings: function () {
+        var me = this;
+        return {
+            alerts: {
+                battery_warning: me.down('#numBattWarning').getValue(),
+                battery_critical: me.down('#numBattCritical').getValue(),
+                offline_timeout_seconds: me.down('#numOfflineTimeout').getValue(),
+                speed_limit_kmh: Math.round(me.down('#numSpeedLimit').getValue() * 3.6 * 10) / 10
+            },
+            positioning: {
+                min_anchors: me.down('#numMinAnchors').getValue(),
+                rssi: {
+                    tx_power: me.down('#numRefRssi').getValue(),
+                    path_loss_exponent: me.down('#numPathLossExp').getValue()
+                }
+            }
+        };
+    },
+
     /* ================================================================== */
     /*                                                                    */
     /*  SAVE ALL SETTINGS                                                 */
@@ -1176,8 +1643,9 @@ Ext.define('Store.indoor-positioning.AdminPanel', {
 
     /**
      * Collect all settings from all tabs and persist them.
-     * Posts to the engine's /api/indoor/settings endpoint if available,
-     * otherwise logs the config to console for manual copy.
+     * Engine-owned settings (alert thresholds, min anchors, path loss) are
+     * PUT to the engine's /api/indoor/settings endpoint and applied live;
+     * without an engine the config is logged to console for manual copy.
      */
     onSaveSettings: function () {
         var me = this;
@@ -1234,14 +1702,30 @@ Ext.define('Store.indoor-positioning.AdminPanel', {
             Ext.Ajax.request({
                 url: base + '/api/indoor/settings',
                 method: 'PUT',
-                jsonData: fullConfig,
+                jsonData: me._buildEngineSettings(),
                 success: function () {
                     Ext.Msg.alert(
                         (typeof l === 'function') ? l('Saved') : 'Saved',
                         (typeof l === 'function') ? l('Settings saved to engine.') : 'Settings saved to engine.'
                     );
                 },
-                failure: function () {
+                failure: function (resp) {
+                    // Validation errors: { error, fields: { 'alerts.battery_warning': message } }
+                    var data = null;
+                    try { data = Ext.JSON.decode(resp.responseText); } catch (e) {}
+                    if (data && data.fields) {
+                        var lines = [];
+                        Ext.Object.each(data.fields, function (field, text) {
+                            lines.push('<b>' + Ext.String.htmlEncode(field) + '</b>: ' + Ext.String.htmlEncode(text));
+                        });
+                        Ext.Msg.alert(
+                            (typeof l === 'function') ? l('Error') : 'Error',
+                            ((typeof l === 'function') ? l('Engine rejected the settings:') : 'Engine rejected the settings:') +
+                                '<br/><br/>' + lines.join('<br/>')
+                        );
+                        return;
+                    }
+
                     // Fallback: log to console
                     console.log('[Indoor v4] Settings (copy to config.json):', JSON.stringify(fullConfig, null, 2));
                     Ext.Msg.alert(
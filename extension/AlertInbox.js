@@ -0,0 +1,519 @@
+/**
+ * PILOT Extension -- Indoor Positioning v4.0
+ * Alert inbox.
+ *
+ * Lists engine alerts with their lifecycle state:
+ *   - Filters: state (unresolved by default), severity, period, device
+ *   - Grid: time, severity, type, device, message, state, assignee
+ *   - Detail: who acknowledged / resolved and when, comments, audit trail
+ *
+ * Actions (on the selected alert):
+ *   - Acknowledge -- POST /alerts/:id/ack
+ *   - Assign      -- POST /alerts/:id/assign
+ *   - Resolve     -- POST /alerts/:id/resolve
+ *   - Comment     -- POST /alerts/:id/comments
+ *
+ * New alerts and lifecycle changes arrive on the engine's 'alerts'
+ * WebSocket channel; Module.onWsAlert() / onWsAlertUpdate() forward
+ * them to addAlert() / updateAlert().
+ *
+ * @see Module.js -- toolbar inbox button, onWsAlertUpdate()
+ * @see positioning-engine/alert-store.js -- lifecycle and audit trail
+ */
+
+Ext.define('Store.indoor-positioning.AlertInbox', {
+    extend: 'Ext.window.Window',
+    xtype: 'indoor-alertinbox',
+
+    cls: 'indoor-alertinbox',
+    title: (typeof l === 'function') ? l('Alert inbox') : 'Alert inbox',
+    iconCls: 'fa fa-inbox',
+    width: 980,
+    height: 560,
+    layout: 'border',
+    maximizable: true,
+    constrainHeader: true,
+
+    /* ------------------------------------------------------------------ */
+    /*  Config                                                            */
+    /* ------------------------------------------------------------------ */
+
+    config: {
+        /** Engine API base, e.g. '/api/indoor' or 'http://host:3000/api/indoor' */
+        apiBase: '/api/indoor',
+        /** Only this device's alerts (set from the device grid), or null */
+        deviceId: null
+    },
+
+    /** Alerts fetched per load. */
+    PAGE_SIZE: 200,
+
+    /* ------------------------------------------------------------------ */
+    /*  Init                                                              */
+    /* ------------------------------------------------------------------ */
+
+    initComponent: function () {
+        var me = this;
+
+        me.alertStore = Ext.create('Ext.data.Store', {
+            fields: ['id', 'timestamp', 'severity', 'type', 'deviceId', 'zoneId', 'message',
+                     'state', 'assignee', 'acknowledged', 'resolved', 'comments', 'audit']
+        });
+
+        me.items = [
+            {
+                xtype: 'grid',
+                region: 'center',
+                itemId: 'alertGrid',
+                store: me.alertStore,
+                columns: [
+                    {
+                        text: (typeof l === 'function') ? l('Time') : 'Time',
+                        dataIndex: 'timestamp',
+                        width: 130,
+                        renderer: function (v) { return v ? Ext.Date.format(new Date(v), 'Y-m-d H:i:s') : ''; }
+                    },
+                    {
+                        text: (typeof l === 'function') ? l('Severity') : 'Severity',
+                        dataIndex: 'severity',
+                        width: 90,
+                        renderer: me._renderSeverity
+                    },
+                    { text: (typeof l === 'function') ? l('Type') : 'Type', dataIndex: 'type', width: 140 },
+                    {
+                        text: (typeof l === 'function') ? l('Device') : 'Device',
+                        dataIndex: 'deviceId',
+                        width: 110,
+                        renderer: function (v) { return Ext.String.htmlEncode(v || ''); }
+                    },
+                    {
+                        text: (typeof l === 'function') ? l('Message') : 'Message',
+                        dataIndex: 'message',
+                        flex: 1,
+                        renderer: function (v) { return Ext.String.htmlEncode(v || ''); }
+                    },
+                    {
+                        text: (typeof l === 'function') ? l('State') : 'State',
+                        dataIndex: 'state',
+                        width: 110,
+                        renderer: me._renderState
+                    },
+                    {
+                        text: (typeof l === 'function') ? l('Assignee') : 'Assignee',
+                        dataIndex: 'assignee',
+                        width: 110,
+                        renderer: function (v) { return v ? Ext.String.htmlEncode(v.name) : ''; }
+                    }
+                ],
+                listeners: {
+                    selectionchange: function () { me._onSelectionChange(); }
+                }
+            },
+            {
+                xtype: 'panel',
+                region: 'east',
+                itemId: 'alertDetail',
+                width: 320,
+                split: true,
+                layout: { type: 'vbox', align: 'stretch' },
+                bodyPadding: 10,
+                items: [
+                    {
+                        xtype: 'component',
+                        itemId: 'alertDetailBody',
+                        cls: 'indoor-alert-detail',
+                        flex: 1,
+                        scrollable: 'y',
+                        html: me._detailHtml(null)
+                    },
+                    {
+                        xtype: 'textfield',
+                        itemId: 'alertComment',
+                        emptyText: (typeof l === 'function') ? l('Add a comment and press Enter') : 'Add a comment and press Enter',
+                        disabled: true,
+                        enableKeyEvents: true,
+                        listeners: {
+                            specialkey: function (field, e) {
+                                if (e.getKey() === e.ENTER) me.onComment();
+                            }
+                        }
+                    }
+                ]
+            }
+        ];
+
+        me.tbar = [
+            {
+                text: (typeof l === 'function') ? l('Acknowledge') : 'Acknowledge',
+                itemId: 'alertAckBtn',
+                iconCls: 'fa fa-check',
+                disabled: true,
+                handler: function () { me.onAction('ack'); }
+            },
+            {
+                text: (typeof l === 'function') ? l('Assign') : 'Assign',
+                itemId: 'alertAssignBtn',
+                iconCls: 'fa fa-user-check',
+                disabled: true,
+                handler: me.onAssign,
+                scope: me
+            },
+            {
+                text: (typeof l === 'function') ? l('Resolve') : 'Resolve',
+                itemId: 'alertResolveBtn',
+                iconCls: 'fa fa-circle-check',
+                disabled: true,
+                handler: function () { me.onAction('resolve'); }
+            },
+            '-',
+            {
+                xtype: 'combo',
+                itemId: 'alertStateFilter',
+                width: 130,
+                editable: false,
+                value: 'open,acknowledged',
+                store: [
+                    ['open,acknowledged', (typeof l === 'function') ? l('Unresolved') : 'Unresolved'],
+                    ['open', (typeof l === 'function') ? l('Open') : 'Open'],
+                    ['acknowledged', (typeof l === 'function') ? l('Acknowledged') : 'Acknowledged'],
+                    ['resolved', (typeof l === 'function') ? l('Resolved') : 'Resolved'],
+                    ['', (typeof l === 'function') ? l('All states') : 'All states']
+                ],
+                listeners: { change: function () { me.loadAlerts(); } }
+            },
+            {
+                xtype: 'combo',
+                itemId: 'alertSeverityFilter',
+                width: 120,
+                editable: false,
+                value: '',
+                store: [
+                    ['', (typeof l === 'function') ? l('All severities') : 'All severities'],
+                    ['critical', (typeof l === 'function') ? l('Critical') : 'Critical'],
+                    ['warning', (typeof l === 'function') ? l('Warning') : 'Warning'],
+                    ['info', (typeof l === 'function') ? l('Info') : 'Info']
+                ],
+                listeners: { change: function () { me.loadAlerts(); } }
+            },
+            {
+                xtype: 'combo',
+                itemId: 'alertPeriodFilter',
+                width: 120,
+                editable: false,
+                value: 0,
+                store: [
+                    [0, (typeof l === 'function') ? l('Any time') : 'Any time'],
+                    [3600, (typeof l === 'function') ? l('Last hour') : 'Last hour'],
+                    [86400, (typeof l === 'function') ? l('Last 24 hours') : 'Last 24 hours'],
+                    [604800, (typeof l === 'function') ? l('Last 7 days') : 'Last 7 days']
+                ],
+                listeners: { change: function () { me.loadAlerts(); } }
+            },
+            {
+                xtype: 'textfield',
+                itemId: 'alertDeviceFilter',
+                width: 120,
+                emptyText: (typeof l === 'function') ? l('Device') : 'Device',
+                value: me.deviceId || '',
+                listeners: {
+                    change: { fn: function () { me.loadAlerts(); }, buffer: 500 }
+                }
+            },
+            '->',
+            {
+                xtype: 'tbtext',
+                itemId: 'alertCounts',
+                html: ''
+            },
+            {
+                iconCls: 'fa fa-rotate',
+                tooltip: (typeof l === 'function') ? l('Refresh') : 'Refresh',
+                handler: function () { me.loadAlerts(); }
+            }
+        ];
+
+        me.callParent();
+
+        me.on('afterrender', function () {
+            me.loadAlerts();
+        }, me, { single: true });
+    },
+
+    /* ------------------------------------------------------------------ */
+    /*  Data                                                              */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Fetch alerts matching the toolbar filters.
+     */
+    loadAlerts: function () {
+        var me = this;
+        if (me.isDestroyed) return;
+
+        var params = { limit: me.PAGE_SIZE };
+        var f = me._filters();
+        if (f.state) params.state = f.state;
+        if (f.severity) params.severity = f.severity;
+        if (f.device) params.device = f.device;
+        if (f.from) params.from = f.from;
+
+        Ext.Ajax.request({
+            url: me.getApiBase() + '/alerts',
+            method: 'GET',
+            params: params,
+            success: function (resp) {
+                if (me.isDestroyed) return;
+                try {
+                    var data = Ext.JSON.decode(resp.responseText);
+                    me.alertStore.loadData(data.alerts || []);
+                    me._renderCounts(data.counts);
+                    me._onSelectionChange();
+                } catch (e) {
+                    console.warn('[Indoor v4] Alert inbox parse error:', e);
+                }
+            },
+            failure: function () {
+                console.warn('[Indoor v4] Could not load alerts');
+            }
+        });
+    },
+
+    /**
+     * A new alert from the 'alerts' WS channel -- listed if it matches the filters.
+     *
+     * @param {Object} alert -- alert record from the engine's alert store
+     */
+    addAlert: function (alert) {
+        var me = this;
+        if (me.isDestroyed || !alert || !alert.id || !me._matches(alert)) return;
+        if (!me.alertStore.getById(alert.id)) me.alertStore.insert(0, alert);
+    },
+
+    /**
+     * A lifecycle change ('alert_update' WS message).
+     *
+     * @param {Object} alert -- updated alert record
+     */
+    updateAlert: function (alert) {
+        var me = this;
+        if (me.isDestroyed || !alert || !alert.id) return;
+
+        var rec = me.alertStore.getById(alert.id);
+        if (rec) {
+            rec.set(alert, { dirty: false });
+        } else {
+            me.addAlert(alert);
+        }
+        me._onSelectionChange();
+    },
+
+    /* ------------------------------------------------------------------ */
+    /*  Actions                                                           */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Acknowledge or resolve the selected alert, with an optional note.
+     *
+     * @param {string} action -- 'ack' | 'resolve'
+     */
+    onAction: function (action) {
+        var me = this;
+        var rec = me._selected();
+        if (!rec) return;
+
+        var title = action === 'ack'
+            ? ((typeof l === 'function') ? l('Acknowledge') : 'Acknowledge')
+            : ((typeof l === 'function') ? l('Resolve') : 'Resolve');
+
+        Ext.Msg.prompt(title, (typeof l === 'function') ? l('Note (optional)') : 'Note (optional)', function (btn, text) {
+            if (btn !== 'ok') return;
+            me._post(rec.get('id'), action, { note: text || '' });
+        });
+    },
+
+    /**
+     * Assign the selected alert (an empty name unassigns it).
+     */
+    onAssign: function () {
+        var me = this;
+        var rec = me._selected();
+        if (!rec) return;
+
+        var current = rec.get('assignee');
+        Ext.Msg.prompt(
+            (typeof l === 'function') ? l('Assign') : 'Assign',
+            (typeof l === 'function') ? l('Assign to (leave empty to unassign)') : 'Assign to (leave empty to unassign)',
+            function (btn, text) {
+                if (btn !== 'ok') return;
+                me._post(rec.get('id'), 'assign', { assignee: Ext.String.trim(text || '') || null });
+            },
+            me, false, current ? current.name : ''
+        );
+    },
+
+    /**
+     * Add the comment field's text to the selected alert.
+     */
+    onComment: function () {
+        var me = this;
+        var rec = me._selected();
+        var field = me.down('#alertComment');
+        var text = Ext.String.trim(field.getValue() || '');
+        if (!rec || !text) return;
+
+        me._post(rec.get('id'), 'comments', { text: text }, function () {
+            field.setValue('');
+        });
+    },
+
+    /* ------------------------------------------------------------------ */
+    /*  Private helpers                                                   */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * POST an alert action and apply the returned record.
+     * @private
+     */
+    _post: function (id, action, body, onSuccess) {
+        var me = this;
+
+        Ext.Ajax.request({
+            url: me.getApiBase() + '/alerts/' + encodeURIComponent(id) + '/' + action,
+            method: 'POST',
+            jsonData: body,
+            success: function (resp) {
+                try {
+                    me.updateAlert(Ext.JSON.decode(resp.responseText).alert);
+                } catch (e) {
+                    me.loadAlerts();
+                }
+                if (onSuccess) onSuccess();
+            },
+            failure: function (resp) {
+                var msg = (typeof l === 'function') ? l('Could not update the alert.') : 'Could not update the alert.';
+                try {
+                    var err = Ext.JSON.decode(resp.responseText);
+                    if (err.error) msg = err.error + (err.fields ? ': ' + Ext.Object.getValues(err.fields).join('; ') : '');
+                } catch (e) {}
+                Ext.Msg.alert((typeof l === 'function') ? l('Error') : 'Error', Ext.String.htmlEncode(msg));
+                me.loadAlerts();
+            }
+        });
+    },
+
+    /**
+     * Current toolbar filters (from is epoch ms, or null).
+     * @private
+     */
+    _filters: function () {
+        var me = this;
+        var period = me.down('#alertPeriodFilter').getValue();
+        return {
+            state: me.down('#alertStateFilter').getValue(),
+            severity: me.down('#alertSeverityFilter').getValue(),
+            device: Ext.String.trim(me.down('#alertDeviceFilter').getValue() || ''),
+            from: period ? Date.now() - period * 1000 : null
+        };
+    },
+
+    /**
+     * Whether a live alert belongs in the current view.
+     * @private
+     */
+    _matches: function (alert) {
+        var f = this._filters();
+        if (f.state && f.state.split(',').indexOf(alert.state) < 0) return false;
+        if (f.severity && alert.severity !== f.severity) return false;
+        if (f.device && alert.deviceId !== f.device) return false;
+        return true;
+    },
+
+    /** @private */
+    _selected: function () {
+        var sel = this.down('#alertGrid').getSelectionModel().getSelection();
+        return sel && sel.length ? sel[0] : null;
+    },
+
+    /**
+     * Enable the actions allowed in the selected alert's state, refresh the detail.
+     * @private
+     */
+    _onSelectionChange: function () {
+        var me = this;
+        var rec = me._selected();
+        var state = rec ? rec.get('state') : null;
+
+        me.down('#alertAckBtn').setDisabled(state !== 'open');
+        me.down('#alertAssignBtn').setDisabled(!rec || state === 'resolved');
+        me.down('#alertResolveBtn').setDisabled(!rec || state === 'resolved');
+        me.down('#alertComment').setDisabled(!rec);
+        me.down('#alertDetailBody').update(me._detailHtml(rec ? rec.getData() : null));
+    },
+
+    /** @private */
+    _renderCounts: function (counts) {
+        var c = counts || {};
+        this.down('#alertCounts').update(
+            ((typeof l === 'function') ? l('Open') : 'Open') + ': <b>' + (c.open || 0) + '</b> &nbsp; ' +
+            ((typeof l === 'function') ? l('Acknowledged') : 'Acknowledged') + ': <b>' + (c.acknowledged || 0) + '</b>'
+        );
+    },
+
+    /**
+     * Lifecycle, comments and audit trail of one alert.
+     * @private
+     */
+    _detailHtml: function (a) {
+        var enc = Ext.String.htmlEncode;
+        var fmt = function (t) { return t ? Ext.Date.format(new Date(t), 'Y-m-d H:i:s') : ''; };
+
+        if (!a) {
+            return '<div class="indoor-alert-detail-empty">' +
+                ((typeof l === 'function') ? l('Select an alert to see its history.') : 'Select an alert to see its history.') +
+                '</div>';
+        }
+
+        var html = '<div class="indoor-alert-detail-msg">' + enc(a.message || '') + '</div>';
+        if (a.acknowledged) {
+            html += '<div>' + ((typeof l === 'function') ? l('Acknowledged by') : 'Acknowledged by') + ' <b>' +
+                enc(a.acknowledged.by) + '</b>, ' + fmt(a.acknowledged.at) + '</div>';
+        }
+        if (a.resolved) {
+            html += '<div>' + ((typeof l === 'function') ? l('Resolved by') : 'Resolved by') + ' <b>' +
+                enc(a.resolved.by) + '</b>, ' + fmt(a.resolved.at) + '</div>';
+        }
+
+        if (a.comments && a.comments.length) {
+            html += '<h4>' + ((typeof l === 'function') ? l('Comments') : 'Comments') + '</h4>';
+            Ext.each(a.comments, function (c) {
+                html += '<div class="indoor-alert-comment"><b>' + enc(c.by) + '</b> <span>' + fmt(c.at) + '</span><br/>' +
+                    enc(c.text) + '</div>';
+            });
+        }
+
+        html += '<h4>' + ((typeof l === 'function') ? l('History') : 'History') + '</h4>';
+        Ext.each(a.audit || [], function (e) {
+            var what = e.action + (e.assignee ? ' &rarr; ' + enc(e.assignee) : '');
+            html += '<div class="indoor-alert-audit"><span>' + fmt(e.at) + '</span> ' + what + ' (' + enc(e.by) + ')' +
+                (e.note ? ': ' + enc(e.note) : '') + '</div>';
+        });
+        return html;
+    },
+
+    /**
+     * Severity badge renderer (reuses the shared status badge styles).
+     * @private
+     */
+    _renderSeverity: function (v) {
+        var cls = { critical: 'indoor-danger', warning: 'indoor-warning', info: 'indoor-online' }[v] || '';
+        return '<span class="indoor-status-badge ' + cls + '">' + Ext.String.htmlEncode(v || '') + '</span>';
+    },
+
+    /** @private */
+    _renderState: function (v) {
+        var cls = { open: 'indoor-danger', acknowledged: 'indoor-warning', resolved: 'indoor-offline' }[v] || '';
+        var label = { open: 'Open', acknowledged: 'Acknowledged', resolved: 'Resolved' }[v] || v;
+        if (typeof l === 'function') label = l(label);
+        return '<span class="indoor-status-badge ' + cls + '">' + label + '</span>';
+    }
+});
@@ -298,6 +298,14 @@ Ext.define('Store.indoor-positioning.DeviceGrid', {
                 handler: me.exportCsv,
                 scope: me
             },
+            {
+                text: (typeof l === 'function') ? l('Alerts') : 'Alerts',
+                itemId: 'alertInboxBtn',
+                iconCls: 'fa fa-inbox',
+                handler: function () {
+                    me.fireEvent('alertinbox', me, null);
+                }
+            },
             '->',
             {
                 xtype: 'tbtext',
@@ -426,6 +434,13 @@ Ext.define('Store.indoor-positioning.DeviceGrid', {
                         me.showDeviceDetails(record);
                     }
                 },
+                {
+                    text: (typeof l === 'function') ? l('Alerts') : 'Alerts',
+                    iconCls: 'fa fa-inbox',
+                    handler: function () {
+                        me.fireEvent('alertinbox', me, record.get('id'));
+                    }
+                },
                 '-',
                 {
                     text: (typeof l === 'function') ? l('Copy Serial') : 'Copy Serial',
@@ -617,6 +632,19 @@ Ext.define('Store.indoor-positioning.DeviceGrid', {
         delete this._deviceAlerts[deviceId];
     },
 
+    /**
+     * Show the number of open (unacknowledged) alerts on the Alerts button.
+     * Called by Module.js from the engine stats.
+     *
+     * @param {number} count
+     */
+    setOpenAlertCount: function (count) {
+        var btn = this.down('#alertInboxBtn');
+        if (!btn) return;
+        var label = (typeof l === 'function') ? l('Alerts') : 'Alerts';
+        btn.setText(count > 0 ? label + ' <span class="indoor-alert-count">' + count + '</span>' : label);
+    },
+
     /* ------------------------------------------------------------------ */
     /*  WebSocket status                                                  */
     /* ------------------------------------------------------------------ */
@@ -17,6 +17,8 @@
  *   - Anchor marker display (diamond shape, togglable)
  *   - Floor plan image rotation via CSS transform
  *   - Device selection with highlight and map centering
+ *   - Track playback: replay engine position history with timeline,
+ *     breadcrumb trails, and zone entry/exit highlighting
  *
  * @see Module.js      -- engine switching, data stores, WebSocket
  * @see DeviceGrid.js  -- docked device table
@@ -53,6 +55,9 @@ Ext.define('Store.indoor-positioning.FloorPlanView', {
     /** Whether to display anchor markers on the map. */
     showAnchors: false,
 
+    /** Whether to draw the 95% position uncertainty ellipse around each marker. */
+    showUncertainty: false,
+
     /* ------------------------------------------------------------------ */
     /*  Marker color constants                                            */
     /* ------------------------------------------------------------------ */
@@ -70,6 +75,21 @@ Ext.define('Store.indoor-positioning.FloorPlanView', {
     MARKER_RADIUS_SELECTED:12,
     ANCHOR_RADIUS:         5,
 
+    /** Vertices used to approximate an uncertainty ellipse. */
+    ELLIPSE_SEGMENTS:      36,
+
+    /* ------------------------------------------------------------------ */
+    /*  Track playback                                                    */
+    /* ------------------------------------------------------------------ */
+
+    /** Playback timer resolution (ms of wall-clock time per tick). */
+    PLAYBACK_TICK_MS:      200,
+    /** Selectable replay speeds (multiples of real time). */
+    PLAYBACK_SPEEDS:       [1, 2, 5, 10, 30, 60],
+    /** Per-device trail colors, assigned in selection order. */
+    PLAYBACK_COLORS:       ['#2563eb', '#db2777', '#16a34a', '#ea580c', '#7c3aed', '#0891b2'],
+    COLOR_ZONE_ACTIVE:     'rgba(245, 158, 11, 0.30)',
+
     /* ------------------------------------------------------------------ */
     /*  Lifecycle                                                         */
     /* ------------------------------------------------------------------ */
@@ -78,10 +98,15 @@ Ext.define('Store.indoor-positioning.FloorPlanView', {
         var me = this;
 
         me._markerMap       = {};   // deviceId -> L.circleMarker
+        me._ellipseMap      = {};   // deviceId -> L.polygon (uncertainty ellipse)
         me._anchorMarkers   = {};   // anchorId -> L.marker
+        me._sosMarkers      = {};   // deviceId -> L.marker (flashing SOS pin)
+        me._proximityLines  = {};   // ruleId:a:b -> L.polyline (collision warning)
         me._selectedDeviceId = null;
         me._selectedZoneId   = null;
         me._restrictedZoneNames = {};
+        me._zonesByName     = {};   // zone name -> L.polygon (playback highlight)
+        me._playback        = null; // active replay session
 
         me._deviceGrid = Ext.create('Store.indoor-positioning.DeviceGrid', {
             dock: 'bottom',
@@ -134,12 +159,15 @@ Ext.define('Store.indoor-positioning.FloorPlanView', {
             me._initGeoMap(containerId);
         }
 
-        // Create shared layer groups
+        // Create shared layer groups (ellipses first so they render under the markers)
+        me._uncertaintyLayer = new L.LayerGroup().addTo(me.map);
         me.deviceMarkerLayer = new L.LayerGroup().addTo(me.map);
         me.anchorMarkerLayer = new L.LayerGroup().addTo(me.map);
         me._zoneLayer        = new L.LayerGroup().addTo(me.map);
         me._wallLayer        = new L.LayerGroup().addTo(me.map);
         me._boundaryLayer    = new L.LayerGroup().addTo(me.map);
+        me._sosLayer         = new L.LayerGroup().addTo(me.map);
+        me._proximityLayer   = new L.LayerGroup().addTo(me.map);
     },
 
     /**
@@ -441,6 +469,7 @@ Ext.define('Store.indoor-positioning.FloorPlanView', {
                                 me.map.fitBounds(b);
                             }
                         }
+                        me.drawFloorGeometry(f.walls, f.no_go);
                     }
                 } catch (e) {
                     console.warn('[Indoor v4] Floor load error:', e);
@@ -507,6 +536,46 @@ Ext.define('Store.indoor-positioning.FloorPlanView', {
         }
     },
 
+    /**
+     * Render Channel Sounding floor geometry: wall polylines and no-go
+     * polygons in engine metres ([x, y] points, drawn as [y, x] on the
+     * CRS.Simple map). The engine keeps positions out of both.
+     *
+     * @param {Array} [walls] - [[[x, y], ...], ...]
+     * @param {Array} [noGo]  - [[[x, y], ...], ...]
+     */
+    drawFloorGeometry: function (walls, noGo) {
+        var me = this;
+        if (!me.map || !me._wallLayer) return;
+
+        me._clearLayer(me._wallLayer);
+
+        var toLatLngs = function (points) {
+            return Ext.Array.map(points, function (p) { return [p[1], p[0]]; });
+        };
+
+        Ext.Array.each(walls || [], function (line) {
+            if (!Array.isArray(line) || line.length < 2) return;
+            L.polyline(toLatLngs(line), {
+                color: '#374151',
+                weight: 3,
+                opacity: 0.8,
+                interactive: false
+            }).addTo(me._wallLayer);
+        });
+
+        Ext.Array.each(noGo || [], function (poly) {
+            if (!Array.isArray(poly) || poly.length < 3) return;
+            L.polygon(toLatLngs(poly), {
+                color: '#374151',
+                weight: 1,
+                fillColor: '#6b7280',
+                fillOpacity: 0.35,
+                interactive: false
+            }).addTo(me._wallLayer);
+        });
+    },
+
     /* ================================================================== */
     /*                                                                    */
     /*  DEVICE MARKERS                                                    */
@@ -565,6 +634,7 @@ Ext.define('Store.indoor-positioning.FloorPlanView', {
                 if (!seen[devId]) {
                     me.deviceMarkerLayer.removeLayer(me._markerMap[devId]);
                     delete me._markerMap[devId];
+                    me._removeUncertaintyEllipse(devId);
                 }
             }
             return;
@@ -586,6 +656,7 @@ Ext.define('Store.indoor-positioning.FloorPlanView', {
             if (!seenIds[deviceId]) {
                 me.deviceMarkerLayer.removeLayer(me._markerMap[deviceId]);
                 delete me._markerMap[deviceId];
+                me._removeUncertaintyEllipse(deviceId);
             }
         }
     },
@@ -680,6 +751,10 @@ Ext.define('Store.indoor-positioning.FloorPlanView', {
             me.deviceMarkerLayer.addLayer(marker);
             me._markerMap[id] = marker;
         }
+
+        me._updateUncertaintyEllipse(id, mapLat, mapLng, record.get('ellipse'), color);
+        me._moveSosMarker(id, mapLat, mapLng);
+        me._moveProximityLines(id, mapLat, mapLng);
     },
 
     /**
@@ -744,6 +819,10 @@ Ext.define('Store.indoor-positioning.FloorPlanView', {
             me.deviceMarkerLayer.addLayer(marker);
             me._markerMap[id] = marker;
         }
+
+        me._updateUncertaintyEllipse(id, mapLat, mapLng, d.ellipse, color);
+        me._moveSosMarker(id, mapLat, mapLng);
+        me._moveProximityLines(id, mapLat, mapLng);
     },
 
     /**
@@ -826,6 +905,13 @@ Ext.define('Store.indoor-positioning.FloorPlanView', {
         }
 
         if (record.get('zone'))        lines.push('Zone: ' + Ext.String.htmlEncode(record.get('zone')));
+
+        var ellipse = record.get('ellipse');
+        if (ellipse && ellipse.semiMajor != null) {
+            var acc = '&plusmn;' + Ext.util.Format.number(ellipse.semiMajor, '0.00') + ' m (95%)';
+            if (record.get('gdop') != null) acc += ', GDOP ' + Ext.util.Format.number(record.get('gdop'), '0.0');
+            lines.push('Accuracy: ' + acc);
+        }
         if (record.get('temperature') != null) lines.push('Temp: ' + record.get('temperature') + '&deg;C');
         if (record.get('humidity') != null)    lines.push('Humidity: ' + record.get('humidity') + '%');
         if (record.get('isMoving') != null)    lines.push(record.get('isMoving') ? 'Moving' : 'Stationary');
@@ -846,6 +932,105 @@ Ext.define('Store.indoor-positioning.FloorPlanView', {
         return '<div class="indoor-marker-popup">' + lines.join('<br/>') + '</div>';
     },
 
+    /* ================================================================== */
+    /*                                                                    */
+    /*  UNCERTAINTY ELLIPSES                                              */
+    /*                                                                    */
+    /* ================================================================== */
+
+    /**
+     * Show or hide the 95% uncertainty ellipse around device markers.
+     * Ellipses are only available for Channel Sounding fixes (metres).
+     *
+     * @param {boolean} show
+     */
+    setShowUncertainty: function (show) {
+        var me = this;
+        me.showUncertainty = !!show;
+
+        if (!me.showUncertainty) {
+            me._clearLayer(me._uncertaintyLayer);
+            me._ellipseMap = {};
+            return;
+        }
+        me.refreshMarkers();
+    },
+
+    /**
+     * Create, move or remove the uncertainty ellipse for one device.
+     *
+     * @param {string} id
+     * @param {number} lat - Marker position (CRS.Simple: y)
+     * @param {number} lng - Marker position (CRS.Simple: x)
+     * @param {Object} ellipse - { semiMajor, semiMinor, angle } from the engine
+     * @param {string} color - Marker fill color
+     * @private
+     */
+    _updateUncertaintyEllipse: function (id, lat, lng, ellipse, color) {
+        var me = this;
+        if (!me._uncertaintyLayer) return;
+
+        if (!me.showUncertainty || me.getEngine() !== 'channelSounding' ||
+            !ellipse || !(ellipse.semiMajor > 0)) {
+            me._removeUncertaintyEllipse(id);
+            return;
+        }
+
+        var latlngs = me._ellipseLatLngs(lat, lng, ellipse);
+        var existing = me._ellipseMap[id];
+        if (existing) {
+            existing.setLatLngs(latlngs);
+            existing.setStyle({ color: color, fillColor: color });
+            return;
+        }
+
+        var poly = L.polygon(latlngs, {
+            color: color,
+            weight: 1,
+            dashArray: '4 3',
+            fillColor: color,
+            fillOpacity: 0.12,
+            interactive: false
+        });
+        me._uncertaintyLayer.addLayer(poly);
+        me._ellipseMap[id] = poly;
+    },
+
+    /**
+     * @param {string} id
+     * @private
+     */
+    _removeUncertaintyEllipse: function (id) {
+        var me = this;
+        var poly = me._ellipseMap[id];
+        if (poly) {
+            me._uncertaintyLayer.removeLayer(poly);
+            delete me._ellipseMap[id];
+        }
+    },
+
+    /**
+     * Polygon vertices approximating an ellipse centred on the marker.
+     * angle is degrees from +x (CRS.Simple: lng) towards +y (lat).
+     *
+     * @private
+     */
+    _ellipseLatLngs: function (lat, lng, ellipse) {
+        var me = this;
+        var a = ellipse.semiMajor;
+        var b = ellipse.semiMinor || 0;
+        var theta = (ellipse.angle || 0) * Math.PI / 180;
+        var cosT = Math.cos(theta), sinT = Math.sin(theta);
+        var pts = [];
+
+        for (var i = 0; i < me.ELLIPSE_SEGMENTS; i++) {
+            var phi = 2 * Math.PI * i / me.ELLIPSE_SEGMENTS;
+            var ex = a * Math.cos(phi), ey = b * Math.sin(phi);
+            pts.push([lat + ex * sinT + ey * cosT, lng + ex * cosT - ey * sinT]);
+        }
+        return pts;
+    },
+
     /* ================================================================== */
     /*                                                                    */
     /*  ANCHOR MARKERS                                                    */
@@ -912,6 +1097,183 @@ Ext.define('Store.indoor-positioning.FloorPlanView', {
         }
     },
 
+    /* ================================================================== */
+    /*                                                                    */
+    /*  SOS MARKERS                                                       */
+    /*                                                                    */
+    /* ================================================================== */
+
+    /**
+     * Pin a flashing SOS marker at a device's position. The pin stays until
+     * removeSosMarker (the SOS is acknowledged) and follows the device marker.
+     * Clicking it fires 'sosclick' (deviceId).
+     *
+     * @param {string} deviceId
+     * @param {Object} position - { x, y } (Channel Sounding) or { lat, lng } (Velavu)
+     * @param {string} [label]  - Device name for the tooltip
+     */
+    addSosMarker: function (deviceId, position, label) {
+        var me = this;
+        if (!me.map || !me._sosLayer || !deviceId) return;
+
+        // Prefer the live device marker; otherwise the position the SOS was raised at
+        var mapLat, mapLng;
+        var device = me._markerMap[deviceId];
+        if (device) {
+            var ll = device.getLatLng();
+            mapLat = ll.lat;
+            mapLng = ll.lng;
+        } else if (position) {
+            if (me.getEngine() === 'velavu') {
+                mapLat = position.lat;
+                mapLng = position.lng;
+            } else {
+                mapLat = position.y;
+                mapLng = position.x;
+            }
+        }
+
+        if (mapLat === null || mapLat === undefined ||
+            mapLng === null || mapLng === undefined) return;
+
+        me.removeSosMarker(deviceId);
+
+        var icon = L.divIcon({
+            className: 'indoor-sos-icon',
+            html: '<div class="indoor-sos-marker">SOS</div>',
+            iconSize: [36, 36],
+            iconAnchor: [18, 18]
+        });
+        var marker = L.marker([mapLat, mapLng], { icon: icon, zIndexOffset: 1000 });
+        marker.bindTooltip('SOS: ' + Ext.String.htmlEncode(label || deviceId), {
+            direction: 'top',
+            offset: [0, -18]
+        });
+        marker.on('click', function () {
+            me.fireEvent('sosclick', deviceId);
+        });
+
+        me._sosLayer.addLayer(marker);
+        me._sosMarkers[deviceId] = marker;
+    },
+
+    /**
+     * Remove a device's SOS pin (after acknowledgement).
+     *
+     * @param {string} deviceId
+     */
+    removeSosMarker: function (deviceId) {
+        var me = this;
+        var marker = me._sosMarkers[deviceId];
+        if (!marker) return;
+        if (me._sosLayer) me._sosLayer.removeLayer(marker);
+        delete me._sosMarkers[deviceId];
+    },
+
+    /**
+     * Center the map on a device's SOS pin (for devices without a live marker).
+     *
+     * @param {string} deviceId
+     * @returns {boolean} false if the device has no SOS pin
+     */
+    focusSosMarker: function (deviceId) {
+        var me = this;
+        var marker = me._sosMarkers[deviceId];
+        if (!marker || !me.map) return false;
+        me.map.setView(marker.getLatLng(), me.map.getZoom(), { animate: true });
+        return true;
+    },
+
+    /**
+     * Keep an SOS pin on top of its device marker as the device moves.
+     *
+     * @private
+     */
+    _moveSosMarker: function (deviceId, lat, lng) {
+        var marker = this._sosMarkers[deviceId];
+        if (marker) marker.setLatLng([lat, lng]);
+    },
+
+    /* ================================================================== */
+    /*                                                                    */
+    /*  PROXIMITY WARNINGS                                                */
+    /*                                                                    */
+    /* ================================================================== */
+
+    /**
+     * Draw (or refresh) a warning line between two devices that are too
+     * close. The line follows both device markers until clearProximity.
+     *
+     * @param {Object} evt - { ruleId, severity, a: {id, name, x, y}, b, distance, timeToContact }
+     */
+    showProximity: function (evt) {
+        var me = this;
+        if (!me.map || !me._proximityLayer || !evt.a || !evt.b) return;
+
+        var key = evt.ruleId + ':' + evt.a.id + ':' + evt.b.id;
+        var latLngs = [me._proximityEnd(evt.a), me._proximityEnd(evt.b)];
+        var tip = Ext.String.htmlEncode((evt.a.name || evt.a.id) + ' / ' + (evt.b.name || evt.b.id)) +
+            ' -- ' + evt.distance + ' m' +
+            (evt.timeToContact !== null && evt.timeToContact !== undefined ? ', ' + evt.timeToContact + ' s' : '');
+
+        var line = me._proximityLines[key];
+        if (line) {
+            line.setLatLngs(latLngs);
+            line.setTooltipContent(tip);
+            return;
+        }
+
+        line = L.polyline(latLngs, {
+            className: 'indoor-proximity-line indoor-proximity-' + (evt.severity || 'warning'),
+            weight: 3,
+            dashArray: '6 4',
+            interactive: true
+        });
+        line.bindTooltip(tip, { sticky: true });
+        line._deviceIds = [evt.a.id, evt.b.id];
+        me._proximityLayer.addLayer(line);
+        me._proximityLines[key] = line;
+    },
+
+    /**
+     * Remove the warning line of a pair that is apart again (or went offline).
+     *
+     * @param {Object} evt - { ruleId, a: {id}, b: {id} }
+     */
+    clearProximity: function (evt) {
+        var me = this;
+        var key = evt.ruleId + ':' + evt.a.id + ':' + evt.b.id;
+        var line = me._proximityLines[key];
+        if (!line) return;
+        if (me._proximityLayer) me._proximityLayer.removeLayer(line);
+        delete me._proximityLines[key];
+    },
+
+    /**
+     * Line end for a device: its live marker, else the position in the event.
+     *
+     * @private
+     */
+    _proximityEnd: function (d) {
+        var marker = this._markerMap[d.id];
+        return marker ? marker.getLatLng() : [d.y, d.x];
+    },
+
+    /**
+     * Keep warning lines attached to a device marker as the device moves.
+     *
+     * @private
+     */
+    _moveProximityLines: function (deviceId, lat, lng) {
+        Ext.Object.each(this._proximityLines, function (key, line) {
+            var i = line._deviceIds.indexOf(deviceId);
+            if (i < 0) return;
+            var latLngs = line.getLatLngs();
+            latLngs[i] = L.latLng(lat, lng);
+            line.setLatLngs(latLngs);
+        });
+    },
+
     /* ================================================================== */
     /*                                                                    */
     /*  ZONE OVERLAYS                                                     */
@@ -933,6 +1295,10 @@ Ext.define('Store.indoor-positioning.FloorPlanView', {
         me._clearLayer(me._zoneLayer);
         me._restrictedZoneNames = {};
         me._zonePolygons = {};
+        me._zonesByName = {};
+        if (me._playback) {
+            me._playback.activeZones = {};
+        }
 
         if (!zones || !zones.length) return;
 
@@ -973,12 +1339,14 @@ Ext.define('Store.indoor-positioning.FloorPlanView', {
 
             // Store zone ID on polygon for selection
             poly._zoneId = z.id;
+            poly._baseFillColor = fillColor;
             poly.on('click', function () {
                 me.selectZone(this._zoneId);
             });
 
             me._zoneLayer.addLayer(poly);
             me._zonePolygons[z.id] = poly;
+            me._zonesByName[z.name || z.id] = poly;
         }
     },
 
@@ -1274,6 +1642,515 @@ Ext.define('Store.indoor-positioning.FloorPlanView', {
         return !!(this._restrictedZoneNames && this._restrictedZoneNames[zone]);
     },
 
+    /* ================================================================== */
+    /*                                                                    */
+    /*  TRACK PLAYBACK                                                    */
+    /*                                                                    */
+    /* ================================================================== */
+
+    /**
+     * Show the playback toolbar above the map.
+     * Pick devices and a time window, then load and scrub the replay.
+     * Channel Sounding engine only (history is recorded by the engine).
+     */
+    showPlaybackBar: function () {
+        var me = this;
+
+        if (me._playbackBar) {
+            me._playbackBar.show();
+            return;
+        }
+
+        var end   = new Date();
+        var start = Ext.Date.add(end, Ext.Date.HOUR, -1);
+
+        var speedData = [];
+        for (var i = 0; i < me.PLAYBACK_SPEEDS.length; i++) {
+            speedData.push([me.PLAYBACK_SPEEDS[i], me.PLAYBACK_SPEEDS[i] + 'x']);
+        }
+
+        me._playbackBar = me.addDocked({
+            xtype: 'toolbar',
+            dock: 'top',
+            cls: 'indoor-playback-bar',
+            items: [
+                {
+                    xtype: 'tagfield',
+                    itemId: 'pbDevices',
+                    store: me.deviceStore,
+                    displayField: 'name',
+                    valueField: 'id',
+                    queryMode: 'local',
+                    filterPickList: true,
+                    width: 240,
+                    emptyText: (typeof l === 'function') ? l('Devices to replay...') : 'Devices to replay...'
+                },
+                { xtype: 'datefield', itemId: 'pbFromDate', value: start, format: 'Y-m-d', width: 110 },
+                { xtype: 'timefield', itemId: 'pbFromTime', value: start, format: 'H:i', increment: 15, width: 80 },
+                { xtype: 'tbtext', text: '&ndash;' },
+                { xtype: 'datefield', itemId: 'pbToDate', value: end, format: 'Y-m-d', width: 110 },
+                { xtype: 'timefield', itemId: 'pbToTime', value: end, format: 'H:i', increment: 15, width: 80 },
+                {
+                    xtype: 'button',
+                    iconCls: 'fa fa-download',
+                    text: (typeof l === 'function') ? l('Load') : 'Load',
+                    handler: function () { me.loadPlayback(); }
+                },
+                '-',
+                {
+                    xtype: 'button',
+                    itemId: 'pbPlay',
+                    iconCls: 'fa fa-play',
+                    disabled: true,
+                    tooltip: (typeof l === 'function') ? l('Play / Pause') : 'Play / Pause',
+                    handler: function () { me.togglePlayback(); }
+                },
+                {
+                    xtype: 'slider',
+                    itemId: 'pbSlider',
+                    flex: 1,
+                    minWidth: 120,
+                    minValue: 0,
+                    maxValue: 0,
+                    increment: 1,
+                    useTips: false,
+                    disabled: true,
+                    listeners: {
+                        change: function (slider, value) {
+                            if (me._pbSyncingSlider || !me._playback) return;
+                            me.seekPlayback(me._playback.from + value * 1000);
+                        }
+                    }
+                },
+                { xtype: 'tbtext', itemId: 'pbTime', text: '--:--:--', cls: 'indoor-playback-time' },
+                {
+                    xtype: 'combo',
+                    itemId: 'pbSpeed',
+                    store: speedData,
+                    value: 1,
+                    editable: false,
+                    queryMode: 'local',
+                    width: 70,
+                    tooltip: (typeof l === 'function') ? l('Playback speed') : 'Playback speed'
+                },
+                {
+                    xtype: 'button',
+                    iconCls: 'fa fa-times',
+                    tooltip: (typeof l === 'function') ? l('Close playback') : 'Close playback',
+                    handler: function () { me.hidePlaybackBar(); }
+                }
+            ]
+        })[0];
+    },
+
+    /**
+     * Hide the playback toolbar, end the replay, and restore live markers.
+     */
+    hidePlaybackBar: function () {
+        var me = this;
+        me.stopPlaybackSession();
+        if (me._playbackBar) {
+            me._playbackBar.hide();
+        }
+    },
+
+    /**
+     * Fetch history for the selected devices and time window, then start a
+     * replay session. The window is limited to the current floor if known.
+     */
+    loadPlayback: function () {
+        var me = this;
+        var bar = me._playbackBar;
+        var base = me.engineBaseUrl || '';
+        if (!bar) return;
+
+        if (!base || me.getEngine() !== 'channelSounding') {
+            Ext.Msg.alert(
+                (typeof l === 'function') ? l('Playback') : 'Playback',
+                (typeof l === 'function') ? l('Track playback requires the Channel Sounding engine.') : 'Track playback requires the Channel Sounding engine.'
+            );
+            return;
+        }
+
+        var ids  = bar.down('#pbDevices').getValue() || [];
+        var from = me._readPlaybackTime('#pbFromDate', '#pbFromTime');
+        var to   = me._readPlaybackTime('#pbToDate', '#pbToTime');
+
+        if (!ids.length) {
+            Ext.Msg.alert(
+                (typeof l === 'function') ? l('Playback') : 'Playback',
+                (typeof l === 'function') ? l('Select at least one device.') : 'Select at least one device.'
+            );
+            return;
+        }
+        if (!from || !to || to <= from) {
+            Ext.Msg.alert(
+                (typeof l === 'function') ? l('Playback') : 'Playback',
+                (typeof l === 'function') ? l('The end of the time window must be after the start.') : 'The end of the time window must be after the start.'
+            );
+            return;
+        }
+
+        var params = { devices: ids.join(','), from: from, to: to };
+        var floor = me.getCurrentFloor();
+        if (floor && floor.id !== undefined && floor.id !== null) {
+            params.floor = floor.id;
+        }
+
+        Ext.Ajax.request({
+            url: base + '/api/indoor/history',
+            method: 'GET',
+            params: params,
+            success: function (resp) {
+                try {
+                    var data = Ext.JSON.decode(resp.responseText);
+                    me._startPlaybackSession(ids, from, to, data.points || []);
+                    if (data.truncated) {
+                        Ext.Msg.alert(
+                            (typeof l === 'function') ? l('Playback') : 'Playback',
+                            (typeof l === 'function') ? l('History was truncated. Narrow the time window to replay all points.') : 'History was truncated. Narrow the time window to replay all points.'
+                        );
+                    }
+                } catch (e) {
+                    console.warn('[Indoor v4] Playback parse error:', e);
+                }
+            },
+            failure: function () {
+                Ext.Msg.alert(
+                    (typeof l === 'function') ? l('Error') : 'Error',
+                    (typeof l === 'function') ? l('Could not load position history from engine.') : 'Could not load position history from engine.'
+                );
+            }
+        });
+    },
+
+    /**
+     * Toggle play / pause. Restarts from the beginning when at the end.
+     */
+    togglePlayback: function () {
+        var me = this;
+        var pb = me._playback;
+        if (!pb) return;
+
+        if (pb.timer) {
+            me._pausePlayback();
+            return;
+        }
+
+        if (pb.time >= pb.to) {
+            me.seekPlayback(pb.from);
+        }
+
+        pb.timer = setInterval(function () {
+            var speed = me._playbackBar ? (me._playbackBar.down('#pbSpeed').getValue() || 1) : 1;
+            pb.time = Math.min(pb.time + me.PLAYBACK_TICK_MS * speed, pb.to);
+            me._renderPlaybackFrame(true);
+            if (pb.time >= pb.to) {
+                me._pausePlayback();
+            }
+        }, me.PLAYBACK_TICK_MS);
+
+        me._setPlayButtonState(true);
+    },
+
+    /**
+     * Jump the replay to a point in time.
+     *
+     * @param {number} time - Epoch ms, clamped to the loaded window
+     */
+    seekPlayback: function (time) {
+        var me = this;
+        var pb = me._playback;
+        if (!pb) return;
+
+        pb.time = Math.max(pb.from, Math.min(time, pb.to));
+        me._renderPlaybackFrame(false);
+    },
+
+    /**
+     * End the replay session: clear playback layers, reset zone highlights,
+     * and restore live device markers.
+     */
+    stopPlaybackSession: function () {
+        var me = this;
+        var pb = me._playback;
+        if (!pb) return;
+
+        me._pausePlayback();
+        me._applyPlaybackZoneHighlight({});
+
+        if (me.map && me._playbackLayer) {
+            me.map.removeLayer(me._playbackLayer);
+        }
+        me._playbackLayer = null;
+
+        if (me.map && me.deviceMarkerLayer && !me.map.hasLayer(me.deviceMarkerLayer)) {
+            me.map.addLayer(me.deviceMarkerLayer);
+        }
+
+        me._playback = null;
+
+        if (me._playbackBar) {
+            me._playbackBar.down('#pbPlay').disable();
+            me._playbackBar.down('#pbSlider').disable();
+            me._playbackBar.down('#pbTime').setText('--:--:--');
+        }
+    },
+
+    /**
+     * Build a replay session from history points.
+     * Hides live markers and creates one marker + breadcrumb trail per device.
+     *
+     * @param {Array}  ids    - Device IDs in selection order (drives trail colors)
+     * @param {number} from   - Window start, epoch ms
+     * @param {number} to     - Window end, epoch ms
+     * @param {Array}  points - History records { t, id, x, y, floor, zones }, sorted by t
+     * @private
+     */
+    _startPlaybackSession: function (ids, from, to, points) {
+        var me = this;
+        if (!me.map) return;
+
+        me.stopPlaybackSession();
+
+        // Live markers would overlap the replay
+        if (me.deviceMarkerLayer && me.map.hasLayer(me.deviceMarkerLayer)) {
+            me.map.removeLayer(me.deviceMarkerLayer);
+        }
+        me._playbackLayer = new L.LayerGroup().addTo(me.map);
+
+        var byId = {};
+        for (var i = 0; i < points.length; i++) {
+            var p = points[i];
+            if (!byId[p.id]) byId[p.id] = [];
+            byId[p.id].push(p);
+        }
+
+        var tracks = [];
+        for (var j = 0; j < ids.length; j++) {
+            var id = ids[j];
+            var pts = byId[id] || [];
+            if (!pts.length) continue;
+
+            var color = me.PLAYBACK_COLORS[j % me.PLAYBACK_COLORS.length];
+            var record = me.deviceStore ? me.deviceStore.getById(id) : null;
+            var name = record ? (record.get('name') || id) : id;
+
+            // CRS.Simple: lat = y, lng = x
+            var latlngs = [];
+            for (var k = 0; k < pts.length; k++) {
+                latlngs.push([pts[k].y, pts[k].x]);
+            }
+
+            var trail = L.polyline([], {
+                color: color,
+                weight: 3,
+                opacity: 0.7,
+                interactive: false
+            });
+            var marker = L.circleMarker(latlngs[0], {
+                radius: me.MARKER_RADIUS,
+                fillColor: color,
+                color: '#ffffff',
+                weight: 2,
+                fillOpacity: 0,
+                opacity: 0
+            });
+            marker.bindTooltip(Ext.String.htmlEncode(name), { className: 'indoor-zone-tooltip' });
+
+            me._playbackLayer.addLayer(trail);
+            me._playbackLayer.addLayer(marker);
+
+            tracks.push({
+                id: id,
+                points: pts,
+                latlngs: latlngs,
+                trail: trail,
+                marker: marker,
+                index: -1
+            });
+        }
+
+        if (!tracks.length) {
+            Ext.Msg.alert(
+                (typeof l === 'function') ? l('Playback') : 'Playback',
+                (typeof l === 'function') ? l('No recorded positions for the selected devices in this time window.') : 'No recorded positions for the selected devices in this time window.'
+            );
+        }
+
+        me._playback = {
+            from: from,
+            to: to,
+            time: from,
+            timer: null,
+            tracks: tracks,
+            activeZones: {}
+        };
+
+        if (me._playbackBar) {
+            var slider = me._playbackBar.down('#pbSlider');
+            me._pbSyncingSlider = true;
+            slider.setMaxValue(Math.ceil((to - from) / 1000));
+            slider.setValue(0);
+            me._pbSyncingSlider = false;
+            slider.setDisabled(!tracks.length);
+            me._playbackBar.down('#pbPlay').setDisabled(!tracks.length);
+        }
+
+        me._renderPlaybackFrame(false);
+    },
+
+    /**
+     * Draw the replay at the session's current time.
+     * Forward steps animate with _animateMarker; seeks jump directly.
+     *
+     * @param {boolean} animate
+     * @private
+     */
+    _renderPlaybackFrame: function (animate) {
+        var me = this;
+        var pb = me._playback;
+        if (!pb) return;
+
+        var active = {};
+
+        for (var i = 0; i < pb.tracks.length; i++) {
+            var track = pb.tracks[i];
+            var idx = me._playbackIndexAt(track.points, pb.time);
+
+            if (idx < 0) {
+                // Not seen yet at this time
+                if (track.index !== -1) {
+                    track.marker.setStyle({ opacity: 0, fillOpacity: 0 });
+                    track.trail.setLatLngs([]);
+                    track.index = -1;
+                }
+                continue;
+            }
+
+            if (idx !== track.index) {
+                var to = L.latLng(track.latlngs[idx]);
+                if (animate && track.index >= 0 && idx > track.index) {
+                    me._animateMarker(track.marker, track.marker.getLatLng(), to, me.PLAYBACK_TICK_MS);
+                } else {
+                    track.marker.setLatLng(to);
+                }
+                if (track.index === -1) {
+                    track.marker.setStyle({ opacity: 1, fillOpacity: 0.9 });
+                }
+                track.trail.setLatLngs(track.latlngs.slice(0, idx + 1));
+                track.index = idx;
+            }
+
+            var zones = track.points[idx].zones || [];
+            for (var z = 0; z < zones.length; z++) {
+                active[zones[z]] = true;
+            }
+        }
+
+        me._applyPlaybackZoneHighlight(active);
+
+        if (me._playbackBar) {
+            me._playbackBar.down('#pbTime').setText(Ext.Date.format(new Date(pb.time), 'Y-m-d H:i:s'));
+            me._pbSyncingSlider = true;
+            me._playbackBar.down('#pbSlider').setValue(Math.round((pb.time - pb.from) / 1000));
+            me._pbSyncingSlider = false;
+        }
+    },
+
+    /**
+     * Highlight zones occupied at the current replay time and restore
+     * zones that were left since the previous frame.
+     *
+     * @param {Object} active - Zone name -> true
+     * @private
+     */
+    _applyPlaybackZoneHighlight: function (active) {
+        var me = this;
+        var pb = me._playback;
+        if (!pb) return;
+
+        var name, poly;
+        for (name in pb.activeZones) {
+            if (!active[name] && (poly = me._zonesByName[name])) {
+                poly.setStyle({ fillColor: poly._baseFillColor, weight: 2 });
+            }
+        }
+        for (name in active) {
+            if (!pb.activeZones[name] && (poly = me._zonesByName[name])) {
+                poly.setStyle({ fillColor: me.COLOR_ZONE_ACTIVE, weight: 3 });
+            }
+        }
+        pb.activeZones = active;
+    },
+
+    /**
+     * Index of the last point at or before a time (binary search).
+     *
+     * @param {Array}  points - Sorted by t
+     * @param {number} time   - Epoch ms
+     * @returns {number} -1 if all points are later
+     * @private
+     */
+    _playbackIndexAt: function (points, time) {
+        var lo = 0;
+        var hi = points.length - 1;
+        var result = -1;
+        while (lo <= hi) {
+            var mid = (lo + hi) >> 1;
+            if (points[mid].t <= time) {
+                result = mid;
+                lo = mid + 1;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        return result;
+    },
+
+    /**
+     * Stop the replay timer.
+     * @private
+     */
+    _pausePlayback: function () {
+        var me = this;
+        var pb = me._playback;
+        if (pb && pb.timer) {
+            clearInterval(pb.timer);
+            pb.timer = null;
+        }
+        me._setPlayButtonState(false);
+    },
+
+    /**
+     * @param {boolean} playing
+     * @private
+     */
+    _setPlayButtonState: function (playing) {
+        var me = this;
+        if (!me._playbackBar) return;
+        me._playbackBar.down('#pbPlay').setIconCls(playing ? 'fa fa-pause' : 'fa fa-play');
+    },
+
+    /**
+     * Combine a date field and a time field into epoch ms.
+     *
+     * @param {string} dateSelector
+     * @param {string} timeSelector
+     * @returns {number|null}
+     * @private
+     */
+    _readPlaybackTime: function (dateSelector, timeSelector) {
+        var me = this;
+        var d = me._playbackBar.down(dateSelector).getValue();
+        var t = me._playbackBar.down(timeSelector).getValue();
+        if (!d) return null;
+        return new Date(
+            d.getFullYear(), d.getMonth(), d.getDate(),
+            t ? t.getHours() : 0, t ? t.getMinutes() : 0
+        ).getTime();
+    },
+
     /* ================================================================== */
     /*                                                                    */
     /*  LAYER HELPERS                                                     */
@@ -1300,11 +2177,18 @@ Ext.define('Store.indoor-positioning.FloorPlanView', {
      */
     _clearAllLayers: function () {
         var me = this;
+        me.stopPlaybackSession();
         me._clearLayer(me.deviceMarkerLayer);
+        me._clearLayer(me._uncertaintyLayer);
+        me._ellipseMap = {};
         me._clearLayer(me.anchorMarkerLayer);
         me._clearLayer(me._zoneLayer);
         me._clearLayer(me._wallLayer);
         me._clearLayer(me._boundaryLayer);
+        me._clearLayer(me._sosLayer);
+        me._sosMarkers = {};
+        me._clearLayer(me._proximityLayer);
+        me._proximityLines = {};
 
         if (me.floorPlanOverlay && me.map) {
             me.map.removeLayer(me.floorPlanOverlay);
@@ -1321,6 +2205,8 @@ Ext.define('Store.indoor-positioning.FloorPlanView', {
     onDestroy: function () {
         var me = this;
 
+        me.stopPlaybackSession();
+
         if (me._zoneRefreshTimer) {
             clearInterval(me._zoneRefreshTimer);
             me._zoneRefreshTimer = null;
@@ -1333,7 +2219,10 @@ Ext.define('Store.indoor-positioning.FloorPlanView', {
         }
 
         me._markerMap = {};
+        me._ellipseMap = {};
         me._anchorMarkers = {};
+        me._sosMarkers = {};
+        me._proximityLines = {};
         me._zonePolygons = {};
 
         me.callParent(arguments);
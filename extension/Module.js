@@ -38,7 +38,7 @@ Ext.define('Store.indoor-positioning.Module', {
     WS_RECONNECT_MAX: 30000,
 
     /** WebSocket channels we subscribe to on connect. */
-    WS_CHANNELS: ['positions', 'zones', 'alerts', 'stats'],
+    WS_CHANNELS: ['positions', 'zones', 'alerts', 'occupancy', 'muster', 'proximity', 'stats'],
 
     /* ------------------------------------------------------------------ */
     /*  Entry point                                                       */
@@ -61,6 +61,9 @@ Ext.define('Store.indoor-positioning.Module', {
             // Resolve active engine from config (default: velavu)
             me.activeEngine = me.settings.defaultEngine || 'velavu';
 
+            // Engine credentials (sign-in prompt when the engine requires one)
+            me.installEngineAuth();
+
             // Create shared data stores
             me.createStores();
 
@@ -150,7 +153,9 @@ Ext.define('Store.indoor-positioning.Module', {
                 'installQuality', 'gatewayId', 'siteId', 'appVersion',
                 'heartbeat', 'lastUpdate', 'assetId', 'assetName', 'assetGroup',
                 /* v3 compat fields used by FloorPlanView / DeviceGrid */
-                'status', 'isMoving', 'x', 'y', 'floor', 'zone', 'confidence'
+                'status', 'isMoving', 'x', 'y', 'floor', 'zone', 'confidence',
+                /* Channel Sounding precision: GDOP + 95% error ellipse */
+                'gdop', 'ellipse'
             ],
             data: []
         });
@@ -208,6 +213,13 @@ Ext.define('Store.indoor-positioning.Module', {
         // Link nav panel to map (required for item-click -> map center)
         me.navPanel.map_frame = me.mainPanel;
 
+        // Clicking an SOS pin brings up its acknowledgement prompt
+        me.mainPanel.on('sosclick', function (deviceId) {
+            var open = me._sosPrompts && me._sosPrompts[deviceId];
+            if (open && !open.isDestroyed) open.toFront();
+            else me.promptSosAck({ deviceId: deviceId, message: 'SOS: ' + deviceId });
+        });
+
         // ----------------------------------------------------------
         // 3. Register panels in PILOT skeleton
         // ----------------------------------------------------------
@@ -227,6 +239,9 @@ Ext.define('Store.indoor-positioning.Module', {
             if (grid && me.deviceStore) {
                 grid.bindStore(me.deviceStore);
             }
+            if (grid) {
+                grid.on('alertinbox', function (g, deviceId) { me.showAlertInbox(deviceId); });
+            }
             me.buildStatusBar();
         }, me, { single: true });
 
@@ -243,7 +258,7 @@ Ext.define('Store.indoor-positioning.Module', {
 
     /**
      * Build header toolbar buttons:
-     *   [Engine ▾] [Site ▾] [Floor ▾]  |  Refresh  Settings  [Search ...]
+     *   [Engine ▾] [Site ▾] [Floor ▾]  |  Refresh  Playback  Settings  [Search ...]
      */
     buildToolbar: function () {
         var me = this;
@@ -317,6 +332,44 @@ Ext.define('Store.indoor-positioning.Module', {
             }
         }));
 
+        // -- Track playback button -----------------------------------
+        skeleton.header.insert(insertIdx++, Ext.create('Ext.Button', {
+            iconCls: 'fa fa-history',
+            tooltip: (typeof l === 'function') ? l('Track playback') : 'Track playback',
+            handler: function () {
+                skeleton.mapframe.setActiveItem(me.mainPanel);
+                me.mainPanel.showPlaybackBar();
+            }
+        }));
+
+        // -- Position uncertainty toggle -----------------------------
+        skeleton.header.insert(insertIdx++, Ext.create('Ext.Button', {
+            iconCls: 'fa fa-bullseye',
+            enableToggle: true,
+            tooltip: (typeof l === 'function') ? l('Show position uncertainty') : 'Show position uncertainty',
+            toggleHandler: function (btn, pressed) {
+                me.mainPanel.setShowUncertainty(pressed);
+            }
+        }));
+
+        // -- Alert inbox button --------------------------------------
+        skeleton.header.insert(insertIdx++, Ext.create('Ext.Button', {
+            iconCls: 'fa fa-inbox',
+            tooltip: (typeof l === 'function') ? l('Alert inbox') : 'Alert inbox',
+            handler: function () {
+                me.showAlertInbox();
+            }
+        }));
+
+        // -- Muster / evacuation button ------------------------------
+        skeleton.header.insert(insertIdx++, Ext.create('Ext.Button', {
+            iconCls: 'fa fa-bullhorn',
+            tooltip: (typeof l === 'function') ? l('Muster / evacuation') : 'Muster / evacuation',
+            handler: function () {
+                me.showMusterDashboard();
+            }
+        }));
+
         // -- Settings button -----------------------------------------
         skeleton.header.insert(insertIdx++, Ext.create('Ext.Button', {
             iconCls: 'fa fa-cog',
@@ -588,6 +641,174 @@ Ext.define('Store.indoor-positioning.Module', {
         }
     },
 
+    /* ------------------------------------------------------------------ */
+    /*  Engine authentication                                             */
+    /* ------------------------------------------------------------------ */
+
+    /** sessionStorage key for the engine token (the access key itself is never stored). */
+    ENGINE_TOKEN_KEY: 'indoorEngineToken',
+
+    /**
+     * Send the engine token with every request to the engine -- /api/indoor and
+     * the Velavu proxy -- and ask for an access key when the engine answers 401.
+     * The key is exchanged for a short-lived token (POST /api/indoor/auth/token)
+     * kept for the browser session. Other requests are untouched.
+     */
+    installEngineAuth: function () {
+        var me = this;
+        var csBase = ((me.engines.channelSounding || {}).apiBase || '/api/indoor').replace(/\/api\/indoor\/?$/, '');
+        var velavuBase = (me.engines.velavu || {}).apiBase || '/api/velavu';
+
+        me._engineUrlPrefixes = [csBase + '/api/indoor', csBase + '/api/velavu', velavuBase];
+        me._engineSignInUrl = csBase + '/api/indoor/auth/token';
+        me._engineToken = me.loadEngineToken();
+        if (me._engineAuthListeners) return;
+
+        me._engineAuthListeners = {
+            beforerequest: function (conn, options) {
+                if (!me._engineToken || !options || !me.isEngineUrl(options.url)) return;
+                // Headers set by the caller (the sign-in request) win
+                options.headers = Ext.apply({}, options.headers, { 'Authorization': 'Bearer ' + me._engineToken });
+            },
+            requestexception: function (conn, response, options) {
+                if (!response || response.status !== 401 || !options || !me.isEngineUrl(options.url)) return;
+                if (options.url === me._engineSignInUrl) return;
+                me.clearEngineToken();
+                me.promptEngineLogin();
+            }
+        };
+        Ext.Ajax.on(me._engineAuthListeners);
+    },
+
+    /**
+     * @param {string} url
+     * @returns {boolean} true if the request goes to the positioning engine
+     */
+    isEngineUrl: function (url) {
+        if (typeof url !== 'string') return false;
+        return Ext.Array.some(this._engineUrlPrefixes || [], function (prefix) {
+            return url.indexOf(prefix) === 0;
+        });
+    },
+
+    /**
+     * Token saved by an earlier sign-in in this browser session, if still valid.
+     * @returns {string|null}
+     */
+    loadEngineToken: function () {
+        try {
+            var saved = Ext.JSON.decode(window.sessionStorage.getItem(this.ENGINE_TOKEN_KEY) || 'null', true);
+            return saved && saved.token && saved.expiresAt * 1000 > Date.now() ? saved.token : null;
+        } catch (e) {
+            return null; // storage disabled
+        }
+    },
+
+    clearEngineToken: function () {
+        this._engineToken = null;
+        try { window.sessionStorage.removeItem(this.ENGINE_TOKEN_KEY); } catch (e) {}
+    },
+
+    /**
+     * Ask for an engine access key (one window at a time). The key's role decides
+     * what the user can do: viewer reads, operator edits zones, admin changes settings.
+     */
+    promptEngineLogin: function () {
+        var me = this;
+        if (me._engineLoginWin && !me._engineLoginWin.isDestroyed) {
+            me._engineLoginWin.toFront();
+            return;
+        }
+
+        var win = me._engineLoginWin = Ext.create('Ext.window.Window', {
+            title: (typeof l === 'function') ? l('Sign in to the positioning engine') : 'Sign in to the positioning engine',
+            iconCls: 'fa fa-key',
+            width: 380,
+            bodyPadding: 12,
+            modal: true,
+            layout: 'anchor',
+            items: [
+                {
+                    xtype: 'component',
+                    html: (typeof l === 'function')
+                        ? l('The engine requires an access key. Ask your administrator for one.')
+                        : 'The engine requires an access key. Ask your administrator for one.',
+                    margin: '0 0 8 0'
+                },
+                {
+                    xtype: 'textfield',
+                    itemId: 'engineKey',
+                    inputType: 'password',
+                    anchor: '100%',
+                    fieldLabel: (typeof l === 'function') ? l('Access key') : 'Access key',
+                    listeners: {
+                        specialkey: function (field, e) {
+                            if (e.getKey() === e.ENTER) me.engineSignIn(win);
+                        }
+                    }
+                },
+                {
+                    xtype: 'component',
+                    itemId: 'engineLoginError',
+                    cls: 'indoor-text-danger',
+                    margin: '8 0 0 0',
+                    html: ''
+                }
+            ],
+            buttons: [
+                {
+                    text: (typeof l === 'function') ? l('Sign in') : 'Sign in',
+                    iconCls: 'fa fa-sign-in-alt',
+                    handler: function () {
+                        me.engineSignIn(win);
+                    }
+                }
+            ]
+        });
+        win.show();
+    },
+
+    /**
+     * Exchange the key typed into the sign-in window for a token, then reconnect.
+     * @param {Ext.window.Window} win
+     * @private
+     */
+    engineSignIn: function (win) {
+        var me = this;
+        var key = win.down('#engineKey').getValue();
+        var error = win.down('#engineLoginError');
+        if (!key) return;
+
+        Ext.Ajax.request({
+            url: me._engineSignInUrl,
+            method: 'POST',
+            headers: { 'Authorization': 'Bearer ' + key },
+            jsonData: {},
+            success: function (resp) {
+                var data = Ext.JSON.decode(resp.responseText, true) || {};
+                if (!data.token) {
+                    error.update((typeof l === 'function') ? l('Sign-in failed') : 'Sign-in failed');
+                    return;
+                }
+                me._engineToken = data.token;
+                try {
+                    window.sessionStorage.setItem(me.ENGINE_TOKEN_KEY,
+                        Ext.JSON.encode({ token: data.token, expiresAt: data.expiresAt }));
+                } catch (e) {}
+                win.close();
+
+                // Reload everything (and the WebSocket) with the new token
+                me.disconnectEngine();
+                me.connectEngine(me.activeEngine);
+            },
+            failure: function (resp) {
+                error.update(resp.status === 401
+                    ? ((typeof l === 'function') ? l('Unknown access key') : 'Unknown access key')
+                    : ((typeof l === 'function') ? l('Sign-in failed') : 'Sign-in failed') + ' (HTTP ' + resp.status + ')');
+            }
+        });
+    },
+
     /* ================================================================== */
     /*                                                                    */
     /*  VELAVU CLOUD ENGINE                                               */
@@ -1070,6 +1291,11 @@ Ext.define('Store.indoor-positioning.Module', {
 
                 me.updateStatusBar({ connected: true });
 
+                // Velavu is proxied by the engine, which drops unauthenticated clients
+                if (me._engineToken) {
+                    me._ws.send(JSON.stringify({ type: 'auth', token: me._engineToken }));
+                }
+
                 // Subscribe to channels
                 me._ws.send(JSON.stringify({
                     type: 'subscribe',
@@ -1135,6 +1361,9 @@ Ext.define('Store.indoor-positioning.Module', {
         // Load restricted zones for FloorPlanView + DeviceGrid
         me.loadRestrictedZones(engineBaseUrl);
 
+        // Pins for SOS events raised before this page was loaded
+        me.loadOpenSos(engineBaseUrl);
+
         // Connect WebSocket
         me.csConnectWebSocket(engineBaseUrl);
 
@@ -1143,7 +1372,7 @@ Ext.define('Store.indoor-positioning.Module', {
 
     /**
      * Connect to the Channel Sounding engine WebSocket.
-     * On success, subscribes to positions/zones/alerts/stats channels.
+     * On success, subscribes to positions/zones/alerts/occupancy/stats channels.
      * On failure, falls back to HTTP polling with exponential backoff reconnect.
      *
      * @param {string} engineBaseUrl
@@ -1181,6 +1410,11 @@ Ext.define('Store.indoor-positioning.Module', {
 
                 me.updateStatusBar({ connected: true });
 
+                // Authenticate first -- the engine drops unauthenticated clients
+                if (me._engineToken) {
+                    me._ws.send(JSON.stringify({ type: 'auth', token: me._engineToken }));
+                }
+
                 // Subscribe to all channels
                 me._ws.send(JSON.stringify({
                     type: 'subscribe',
@@ -1251,7 +1485,7 @@ Ext.define('Store.indoor-positioning.Module', {
 
     /**
      * Handle an incoming WebSocket message from either engine.
-     * Dispatches by message type: positions, zones, alerts, stats.
+     * Dispatches by message type: positions, zones, alerts, occupancy, muster, stats.
      *
      * @param {MessageEvent} event
      */
@@ -1276,6 +1510,22 @@ Ext.define('Store.indoor-positioning.Module', {
             me.onWsAlert(msg.data);
         }
 
+        if (msg.type === 'alert_update' && msg.data) {
+            me.onWsAlertUpdate(msg.data);
+        }
+
+        if (msg.type === 'occupancy' && msg.data) {
+            me.onWsOccupancy(msg.data);
+        }
+
+        if (msg.type === 'muster' && msg.data) {
+            me.onWsMuster(msg.data);
+        }
+
+        if (msg.type === 'proximity' && msg.data) {
+            me.onWsProximity(msg.data);
+        }
+
         if (msg.type === 'stats' && msg.data) {
             me.onWsStats(msg.data);
         }
@@ -1312,6 +1562,8 @@ Ext.define('Store.indoor-positioning.Module', {
             if (d.floor !== undefined)       fields.floor       = d.floor;
             if (d.floorId !== undefined)     fields.floorId     = d.floorId;
             if (d.confidence !== undefined)  fields.confidence  = d.confidence;
+            if (d.gdop !== undefined)        fields.gdop        = d.gdop;
+            if (d.ellipse !== undefined)     fields.ellipse     = d.ellipse;
             if (d.accuracy !== undefined)    fields.accuracy    = d.accuracy;
             if (d.rssi !== undefined)        fields.rssi        = d.rssi;
 
@@ -1329,7 +1581,7 @@ Ext.define('Store.indoor-positioning.Module', {
     },
 
     /**
-     * Handle a zone event from WebSocket (enter/exit).
+     * Handle a zone event from WebSocket (enter/exit, floor_change).
      * Shows toast notification for restricted zone entries.
      *
      * @param {Object} evt
@@ -1338,11 +1590,14 @@ Ext.define('Store.indoor-positioning.Module', {
         var me = this;
 
         if (evt.event === 'enter' && evt.zoneType === 'restricted') {
-            me.showAlert(
-                'critical',
-                'Zone Alert: ' + (evt.deviceId || 'Unknown') +
-                ' entered restricted zone "' + (evt.zoneName || '') + '"'
-            );
+            // Zones with an access list: the engine alerts on unauthorized entries only
+            if (!evt.access) {
+                me.showAlert(
+                    'critical',
+                    'Zone Alert: ' + (evt.deviceId || 'Unknown') +
+                    ' entered restricted zone "' + (evt.zoneName || '') + '"'
+                );
+            }
 
             // Refresh map markers to show restricted highlighting
             if (me.mainPanel && me.mainPanel.refreshMarkers) {
@@ -1350,15 +1605,37 @@ Ext.define('Store.indoor-positioning.Module', {
             }
         }
 
+        // The device moves to another floor plan
+        if (evt.event === 'floor_change' && me.mainPanel && me.mainPanel.refreshMarkers) {
+            me.mainPanel.refreshMarkers();
+        }
+
         if (evt.event === 'exit' && evt.zoneType === 'restricted') {
+            var after = (evt.dwell && evt.dwell.seconds != null)
+                ? ' after ' + me._formatDwell(evt.dwell.seconds)
+                : '';
             me.showAlert(
                 'info',
                 (evt.deviceId || 'Unknown') +
-                ' left restricted zone "' + (evt.zoneName || '') + '"'
+                ' left restricted zone "' + (evt.zoneName || '') + '"' + after
             );
         }
     },
 
+    /**
+     * Format a dwell time in seconds: 75 -> "1m 15s".
+     *
+     * @param {number} seconds
+     * @returns {string}
+     * @private
+     */
+    _formatDwell: function (seconds) {
+        var s = Math.round(seconds || 0);
+        if (s < 60) return s + 's';
+        if (s < 3600) return Math.floor(s / 60) + 'm ' + (s % 60) + 's';
+        return Math.floor(s / 3600) + 'h ' + Math.floor((s % 3600) / 60) + 'm';
+    },
+
     /**
      * Handle an alert from WebSocket.
      * Shows toast notification and updates the grid alert indicator.
@@ -1375,6 +1652,319 @@ Ext.define('Store.indoor-positioning.Module', {
         if (grid && grid.setDeviceAlert && alert.deviceId) {
             grid.setDeviceAlert(alert.deviceId, alert.severity);
         }
+
+        // Man-down: ask an operator to acknowledge; close the prompt once handled
+        if (alert.type === 'man_down' || alert.type === 'man_down_escalated') {
+            me.promptManDownAck(alert);
+        } else if ((alert.type === 'man_down_acknowledged' || alert.type === 'man_down_cleared') && me._manDownPrompts) {
+            var open = me._manDownPrompts[alert.deviceId];
+            if (open && !open.isDestroyed) open.close();
+        }
+
+        Ext.each(Ext.ComponentQuery.query('indoor-alertinbox'), function (inbox) {
+            inbox.addAlert(alert);
+        });
+
+        // SOS: flashing pin + prompt until someone acknowledges it
+        if (alert.type === 'sos') {
+            me.showSos(alert.deviceId, alert.position, alert.message);
+        } else if (alert.type === 'sos_acknowledged') {
+            me.clearSos(alert.deviceId);
+        }
+    },
+
+    /**
+     * Handle an alert lifecycle change (acknowledged, assigned, commented,
+     * resolved) from WebSocket. Forwards it to any open Alert Inbox.
+     *
+     * @param {Object} alert -- full alert record
+     */
+    onWsAlertUpdate: function (alert) {
+        Ext.each(Ext.ComponentQuery.query('indoor-alertinbox'), function (inbox) {
+            inbox.updateAlert(alert);
+        });
+    },
+
+    /**
+     * Open (or bring to front) the Alert Inbox.
+     * Alerts live on the Channel Sounding engine API.
+     *
+     * @param {string} [deviceId] -- show only this device's alerts
+     */
+    showAlertInbox: function (deviceId) {
+        var me = this;
+        var inbox = Ext.ComponentQuery.query('indoor-alertinbox')[0];
+        if (!inbox) {
+            var cfg = me.engines.channelSounding || {};
+            inbox = Ext.create('Store.indoor-positioning.AlertInbox', {
+                apiBase: cfg.apiBase || '/api/indoor',
+                deviceId: deviceId || null
+            });
+        } else if (deviceId !== undefined) {
+            inbox.down('#alertDeviceFilter').setValue(deviceId || '');
+        }
+        inbox.show();
+        inbox.toFront();
+    },
+
+    /**
+     * Pin an open SOS on the map and ask an operator to acknowledge it.
+     *
+     * @param {string} deviceId
+     * @param {Object} position -- { x, y, floor } or { lat, lng } (may be null)
+     * @param {string} message
+     */
+    showSos: function (deviceId, position, message) {
+        var me = this;
+        if (me.mainPanel && me.mainPanel.addSosMarker) {
+            var rec = me.deviceStore ? me.deviceStore.getById(deviceId) : null;
+            me.mainPanel.addSosMarker(deviceId, position, rec ? rec.get('name') : deviceId);
+        }
+        me.promptSosAck({ deviceId: deviceId, message: message });
+    },
+
+    /**
+     * Remove an acknowledged SOS from the map and close its prompt.
+     *
+     * @param {string} deviceId
+     */
+    clearSos: function (deviceId) {
+        var me = this;
+        if (me.mainPanel && me.mainPanel.removeSosMarker) {
+            me.mainPanel.removeSosMarker(deviceId);
+        }
+        var open = me._sosPrompts && me._sosPrompts[deviceId];
+        if (open && !open.isDestroyed) open.close();
+    },
+
+    /**
+     * Restore pins and prompts for SOS events still open on the engine
+     * (raised before this page was loaded).
+     *
+     * @param {string} engineBaseUrl
+     */
+    loadOpenSos: function (engineBaseUrl) {
+        var me = this;
+        Ext.Ajax.request({
+            url: engineBaseUrl + '/api/indoor/sos',
+            method: 'GET',
+            success: function (resp) {
+                var data = Ext.decode(resp.responseText, true) || {};
+                Ext.Array.each(data.active || [], function (sos) {
+                    me.showSos(sos.deviceId, sos.position,
+                        'SOS: ' + (sos.name || sos.deviceId) + ' (' + Ext.Date.format(new Date(sos.raisedAt), 'H:i:s') + ')');
+                });
+            }
+        });
+    },
+
+    /**
+     * Show an acknowledgement prompt for a man-down alarm (one per device).
+     * Acknowledging stops escalation on the engine until the person moves again.
+     *
+     * @param {Object} alert -- { deviceId, type, message }
+     */
+    promptManDownAck: function (alert) {
+        var me = this;
+        me._manDownPrompts = me._manDownPrompts || {};
+        me._promptAck(me._manDownPrompts, {
+            deviceId: alert.deviceId,
+            message: alert.message,
+            title: (typeof l === 'function') ? l('Man down') : 'Man down',
+            iconCls: 'fa fa-person-falling',
+            url: '/api/indoor/man-down/',
+            noteText: (typeof l === 'function') ? l('Note (e.g. supervisor on the way)') : 'Note (e.g. supervisor on the way)',
+            failureText: (typeof l === 'function') ? l('Could not acknowledge the man-down alarm') : 'Could not acknowledge the man-down alarm'
+        });
+    },
+
+    /**
+     * Show an acknowledgement prompt for an SOS (one per device). The SOS
+     * stays open on the engine, and pinned on the map, until acknowledged.
+     *
+     * @param {Object} sos -- { deviceId, message }
+     */
+    promptSosAck: function (sos) {
+        var me = this;
+        me._sosPrompts = me._sosPrompts || {};
+        me._promptAck(me._sosPrompts, {
+            deviceId: sos.deviceId,
+            message: sos.message,
+            title: 'SOS',
+            iconCls: 'fa fa-life-ring',
+            url: '/api/indoor/sos/',
+            noteText: (typeof l === 'function') ? l('Note (e.g. responder dispatched)') : 'Note (e.g. responder dispatched)',
+            failureText: (typeof l === 'function') ? l('Could not acknowledge the SOS') : 'Could not acknowledge the SOS'
+        });
+    },
+
+    /**
+     * Acknowledgement window for a critical per-device alert: note field,
+     * Acknowledge (POST <url><deviceId>/ack) and Show on map.
+     *
+     * @param {Object} prompts -- open windows by deviceId
+     * @param {Object} opts -- { deviceId, message, title, iconCls, url, noteText, failureText }
+     * @private
+     */
+    _promptAck: function (prompts, opts) {
+        var me = this;
+        var deviceId = opts.deviceId;
+
+        var existing = prompts[deviceId];
+        if (existing && !existing.isDestroyed) {
+            existing.down('#ackMessage').update(Ext.String.htmlEncode(opts.message));
+            existing.toFront();
+            return;
+        }
+
+        var win = Ext.create('Ext.window.Window', {
+            title: opts.title,
+            iconCls: opts.iconCls,
+            cls: 'indoor-alert-critical',
+            width: 380,
+            bodyPadding: 12,
+            layout: 'anchor',
+            items: [
+                {
+                    xtype: 'component',
+                    itemId: 'ackMessage',
+                    html: Ext.String.htmlEncode(opts.message),
+                    margin: '0 0 8 0'
+                },
+                {
+                    xtype: 'textfield',
+                    itemId: 'ackNote',
+                    anchor: '100%',
+                    emptyText: opts.noteText
+                }
+            ],
+            buttons: [
+                {
+                    text: (typeof l === 'function') ? l('Acknowledge') : 'Acknowledge',
+                    iconCls: 'fa fa-check',
+                    handler: function () {
+                        Ext.Ajax.request({
+                            url: (me._csEngineBaseUrl || '') + opts.url + encodeURIComponent(deviceId) + '/ack',
+                            method: 'POST',
+                            jsonData: { note: win.down('#ackNote').getValue() },
+                            success: function () {
+                                win.close();
+                            },
+                            failure: function (resp) {
+                                // 404: already acknowledged elsewhere (or, for man-down, the person moved)
+                                if (resp.status === 404) {
+                                    win.close();
+                                    return;
+                                }
+                                me.showAlert('warning', opts.failureText);
+                            }
+                        });
+                    }
+                },
+                {
+                    text: (typeof l === 'function') ? l('Show on map') : 'Show on map',
+                    iconCls: 'fa fa-map-marker-alt',
+                    handler: function () {
+                        skeleton.mapframe.setActiveItem(me.mainPanel);
+                        if (me.mainPanel._markerMap[deviceId]) {
+                            me.mainPanel.selectDevice(deviceId);
+                        } else if (me.mainPanel.focusSosMarker) {
+                            me.mainPanel.focusSosMarker(deviceId);
+                        }
+                    }
+                }
+            ],
+            listeners: {
+                destroy: function () {
+                    delete prompts[deviceId];
+                }
+            }
+        });
+        prompts[deviceId] = win;
+        win.show();
+    },
+
+    /**
+     * Handle a zone occupancy update from WebSocket.
+     * Forwards the headcount to any open Zone Manager (alerts arrive on
+     * the alerts channel).
+     *
+     * @param {Object} occ -- { zoneId, count, total, status, ... }
+     */
+    onWsOccupancy: function (occ) {
+        Ext.each(Ext.ComponentQuery.query('indoor-zonemanager'), function (zm) {
+            if (zm.updateOccupancy) zm.updateOccupancy(occ);
+        });
+    },
+
+    /**
+     * Handle a muster roll-call update from WebSocket.
+     * Forwards it to an open Muster Dashboard and toasts when a muster
+     * starts or ends (so every operator sees it, dashboard open or not).
+     *
+     * @param {Object} status -- { active, muster, summary, people }
+     */
+    onWsMuster: function (status) {
+        var me = this;
+
+        if (!!me._musterActive !== !!status.active) {
+            var s = status.summary || {};
+            if (status.active) {
+                me.showAlert('critical', ((typeof l === 'function') ? l('MUSTER STARTED') : 'MUSTER STARTED') +
+                    (status.muster && status.muster.note ? ': ' + status.muster.note : ''));
+            } else {
+                me.showAlert('info', ((typeof l === 'function') ? l('Muster ended') : 'Muster ended') +
+                    ' -- ' + (s.safe || 0) + '/' + (s.total || 0) + ' ' + ((typeof l === 'function') ? l('safe') : 'safe'));
+            }
+        }
+        me._musterActive = !!status.active;
+
+        Ext.each(Ext.ComponentQuery.query('indoor-musterdashboard'), function (dash) {
+            dash.updateRollCall(status);
+        });
+    },
+
+    /**
+     * Handle a proximity warning from WebSocket. Draws a warning line
+     * between the two devices and toasts once per pair; the engine repeats
+     * the event (throttled) while the pair stays close, then sends "cleared".
+     *
+     * @param {Object} evt -- { event, ruleId, severity, a, b, distance, timeToContact }
+     */
+    onWsProximity: function (evt) {
+        var me = this;
+        var key = evt.ruleId + ':' + (evt.a && evt.a.id) + ':' + (evt.b && evt.b.id);
+        me._proximityOpen = me._proximityOpen || {};
+
+        if (evt.event === 'cleared') {
+            delete me._proximityOpen[key];
+            if (me.mainPanel && me.mainPanel.clearProximity) me.mainPanel.clearProximity(evt);
+            return;
+        }
+
+        if (!me._proximityOpen[key]) {
+            me._proximityOpen[key] = true;
+            me.showAlert(evt.severity, ((typeof l === 'function') ? l('Proximity') : 'Proximity') + ': ' +
+                (evt.a.name || evt.a.id) + ' / ' + (evt.b.name || evt.b.id) + ' -- ' + evt.distance + ' m');
+        }
+        if (me.mainPanel && me.mainPanel.showProximity) me.mainPanel.showProximity(evt);
+    },
+
+    /**
+     * Open (or bring to front) the Muster Dashboard.
+     * Muster runs on the Channel Sounding engine API.
+     */
+    showMusterDashboard: function () {
+        var me = this;
+        var dash = Ext.ComponentQuery.query('indoor-musterdashboard')[0];
+        if (!dash) {
+            var cfg = me.engines.channelSounding || {};
+            dash = Ext.create('Store.indoor-positioning.MusterDashboard', {
+                apiBase: cfg.apiBase || '/api/indoor'
+            });
+        }
+        dash.show();
+        dash.toFront();
     },
 
     /**
@@ -1394,6 +1984,11 @@ Ext.define('Store.indoor-positioning.Module', {
             total:      s.devicesTotal,
             lastUpdate: new Date()
         });
+
+        var grid = me.mainPanel ? me.mainPanel.down('indoor-devicegrid') : null;
+        if (grid && grid.setOpenAlertCount && s.alertsOpen !== undefined) {
+            grid.setOpenAlertCount(s.alertsOpen);
+        }
     },
 
     /**
@@ -1539,6 +2134,10 @@ Ext.define('Store.indoor-positioning.Module', {
     onDestroy: function () {
         var me = this;
         me.disconnectEngine();
+        if (me._engineAuthListeners) {
+            Ext.Ajax.un(me._engineAuthListeners);
+            me._engineAuthListeners = null;
+        }
         me.callParent(arguments);
     }
 });
@@ -0,0 +1,533 @@
+/**
+ * PILOT Extension -- Indoor Positioning v4.0
+ * Muster / evacuation dashboard.
+ *
+ * Shows the live roll-call of an active muster:
+ *   - Summary bar: Safe / Missing / Offline / Total + elapsed time
+ *   - People grid: status, name, muster point, reached at, floor,
+ *     last known position, last seen (missing people listed first)
+ *
+ * Actions:
+ *   - Start muster  -- pick muster-point zones, POST /muster/start
+ *   - End muster    -- POST /muster/stop (final roll-call stays visible)
+ *   - Export CSV    -- GET /muster/report?format=csv
+ *
+ * Live updates arrive on the engine's 'muster' WebSocket channel;
+ * Module.onWsMuster() forwards them to updateRollCall().
+ *
+ * @see Module.js -- toolbar muster button, onWsMuster()
+ * @see positioning-engine/muster.js -- roll-call states
+ */
+
+Ext.define('Store.indoor-positioning.MusterDashboard', {
+    extend: 'Ext.window.Window',
+    xtype: 'indoor-musterdashboard',
+
+    cls: 'indoor-musterdashboard',
+    title: (typeof l === 'function') ? l('Muster / Evacuation') : 'Muster / Evacuation',
+    iconCls: 'fa fa-bullhorn',
+    width: 860,
+    height: 540,
+    layout: 'border',
+    maximizable: true,
+    constrainHeader: true,
+
+    /* ------------------------------------------------------------------ */
+    /*  Config                                                            */
+    /* ------------------------------------------------------------------ */
+
+    config: {
+        /** Engine API base, e.g. '/api/indoor' or 'http://host:3000/api/indoor' */
+        apiBase: '/api/indoor'
+    },
+
+    /* ------------------------------------------------------------------ */
+    /*  Init                                                              */
+    /* ------------------------------------------------------------------ */
+
+    initComponent: function () {
+        var me = this;
+
+        me._active = false;
+        me._startedAt = null;
+        me._elapsedTimer = null;
+
+        me.peopleStore = Ext.create('Ext.data.Store', {
+            fields: ['id', 'name', 'type', 'status', 'musterZoneId', 'musterZoneName',
+                     'reachedAt', 'floor', 'x', 'y', 'zone', 'lastUpdate']
+        });
+
+        me.items = [
+            {
+                xtype: 'component',
+                region: 'north',
+                itemId: 'musterSummary',
+                cls: 'indoor-muster-summary',
+                html: me._summaryHtml(null)
+            },
+            {
+                xtype: 'grid',
+                region: 'center',
+                itemId: 'musterGrid',
+                store: me.peopleStore,
+                columns: [
+                    {
+                        text: (typeof l === 'function') ? l('Status') : 'Status',
+                        dataIndex: 'status',
+                        width: 100,
+                        renderer: me._renderStatus
+                    },
+                    {
+                        text: (typeof l === 'function') ? l('Name') : 'Name',
+                        dataIndex: 'name',
+                        flex: 1,
+                        renderer: function (v) { return Ext.String.htmlEncode(v || ''); }
+                    },
+                    {
+                        text: (typeof l === 'function') ? l('Muster point') : 'Muster point',
+                        dataIndex: 'musterZoneName',
+                        width: 130,
+                        renderer: function (v) { return Ext.String.htmlEncode(v || ''); }
+                    },
+                    {
+                        text: (typeof l === 'function') ? l('Reached at') : 'Reached at',
+                        dataIndex: 'reachedAt',
+                        width: 90,
+                        renderer: function (v) { return v ? Ext.Date.format(new Date(v), 'H:i:s') : ''; }
+                    },
+                    { text: (typeof l === 'function') ? l('Floor') : 'Floor', dataIndex: 'floor', width: 60 },
+                    {
+                        text: (typeof l === 'function') ? l('Last position') : 'Last position',
+                        dataIndex: 'x',
+                        width: 150,
+                        renderer: function (v, meta, rec) {
+                            if (v === null || v === undefined) return '';
+                            var pos = Ext.util.Format.number(v, '0.0') + ', ' + Ext.util.Format.number(rec.get('y'), '0.0');
+                            return rec.get('zone') ? pos + ' (' + Ext.String.htmlEncode(rec.get('zone')) + ')' : pos;
+                        }
+                    },
+                    {
+                        text: (typeof l === 'function') ? l('Last seen') : 'Last seen',
+                        dataIndex: 'lastUpdate',
+                        width: 90,
+                        renderer: function (v) { return v ? Ext.Date.format(new Date(v * 1000), 'H:i:s') : ''; }
+                    }
+                ]
+            }
+        ];
+
+        me.tbar = [
+            {
+                text: (typeof l === 'function') ? l('Start muster') : 'Start muster',
+                itemId: 'musterStartBtn',
+                iconCls: 'fa fa-play',
+                handler: me.onStartMuster,
+                scope: me
+            },
+            {
+                text: (typeof l === 'function') ? l('End muster') : 'End muster',
+                itemId: 'musterStopBtn',
+                iconCls: 'fa fa-stop',
+                disabled: true,
+                handler: me.onStopMuster,
+                scope: me
+            },
+            '-',
+            {
+                xtype: 'combo',
+                itemId: 'musterStatusFilter',
+                width: 140,
+                editable: false,
+                value: 'all',
+                store: [
+                    ['all', (typeof l === 'function') ? l('Everyone') : 'Everyone'],
+                    ['missing', (typeof l === 'function') ? l('Missing') : 'Missing'],
+                    ['offline', (typeof l === 'function') ? l('Offline') : 'Offline'],
+                    ['safe', (typeof l === 'function') ? l('Safe') : 'Safe']
+                ],
+                listeners: {
+                    change: me._applyFilter,
+                    scope: me
+                }
+            },
+            '->',
+            {
+                iconCls: 'fa fa-rotate',
+                tooltip: (typeof l === 'function') ? l('Refresh') : 'Refresh',
+                handler: function () { me.loadRollCall(); }
+            },
+            {
+                text: (typeof l === 'function') ? l('Export CSV') : 'Export CSV',
+                iconCls: 'fa fa-file-csv',
+                handler: me.onExportCsv,
+                scope: me
+            }
+        ];
+
+        me.callParent();
+
+        me.on('afterrender', function () {
+            me.loadRollCall();
+        }, me, { single: true });
+
+        me.on('destroy', function () {
+            if (me._elapsedTimer) clearInterval(me._elapsedTimer);
+            me._elapsedTimer = null;
+        });
+    },
+
+    /* ------------------------------------------------------------------ */
+    /*  Data                                                              */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Fetch the current (or last finished) roll-call from the engine.
+     */
+    loadRollCall: function () {
+        var me = this;
+
+        Ext.Ajax.request({
+            url: me.getApiBase() + '/muster',
+            method: 'GET',
+            success: function (resp) {
+                if (me.isDestroyed) return;
+                try {
+                    me.updateRollCall(Ext.JSON.decode(resp.responseText));
+                } catch (e) {
+                    console.warn('[Indoor v4] Muster parse error:', e);
+                }
+            },
+            failure: function () {
+                console.warn('[Indoor v4] Could not load muster status');
+            }
+        });
+    },
+
+    /**
+     * Apply a roll-call snapshot (REST response or 'muster' WS message).
+     *
+     * @param {Object} data -- { active, muster, summary, people }
+     */
+    updateRollCall: function (data) {
+        var me = this;
+        if (me.isDestroyed || !data) return;
+
+        var muster = data.muster || null;
+        var zoneNames = {};
+        Ext.each((muster && muster.zones) || [], function (z) { zoneNames[z.id] = z.name; });
+
+        me._active = !!data.active;
+        me._startedAt = (me._active && muster) ? new Date(muster.startedAt) : null;
+        me._lastData = data;
+
+        me.peopleStore.loadData(Ext.Array.map(data.people || [], function (p) {
+            return Ext.apply({ musterZoneName: p.musterZoneId ? (zoneNames[p.musterZoneId] || p.musterZoneId) : '' }, p);
+        }));
+        me._applyFilter();
+
+        me.down('#musterStartBtn').setDisabled(me._active);
+        me.down('#musterStopBtn').setDisabled(!me._active);
+        me._renderSummary();
+
+        // Keep the elapsed clock ticking between WS updates
+        if (me._active && !me._elapsedTimer) {
+            me._elapsedTimer = setInterval(function () { me._renderSummary(); }, 1000);
+        } else if (!me._active && me._elapsedTimer) {
+            clearInterval(me._elapsedTimer);
+            me._elapsedTimer = null;
+        }
+    },
+
+    /* ------------------------------------------------------------------ */
+    /*  Actions                                                           */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Ask for muster-point zones, then start a muster.
+     */
+    onStartMuster: function () {
+        var me = this;
+
+        Ext.Ajax.request({
+            url: me.getApiBase() + '/zones',
+            method: 'GET',
+            success: function (resp) {
+                var zones;
+                try {
+                    var payload = Ext.JSON.decode(resp.responseText);
+                    zones = payload.zones || payload.data || payload || [];
+                } catch (e) {
+                    zones = [];
+                }
+                if (!zones.length) {
+                    Ext.Msg.alert(
+                        (typeof l === 'function') ? l('Muster') : 'Muster',
+                        (typeof l === 'function') ? l('No zones defined. Create a muster-point zone first.') : 'No zones defined. Create a muster-point zone first.'
+                    );
+                    return;
+                }
+                me._showStartDialog(zones);
+            },
+            failure: function () {
+                Ext.Msg.alert(
+                    (typeof l === 'function') ? l('Error') : 'Error',
+                    (typeof l === 'function') ? l('Could not load zones from server.') : 'Could not load zones from server.'
+                );
+            }
+        });
+    },
+
+    /**
+     * End the active muster after confirmation.
+     */
+    onStopMuster: function () {
+        var me = this;
+
+        Ext.Msg.confirm(
+            (typeof l === 'function') ? l('End muster') : 'End muster',
+            (typeof l === 'function') ? l('End the muster? The final roll-call stays available for export.') : 'End the muster? The final roll-call stays available for export.',
+            function (btn) {
+                if (btn !== 'yes') return;
+                Ext.Ajax.request({
+                    url: me.getApiBase() + '/muster/stop',
+                    method: 'POST',
+                    success: function (resp) {
+                        try {
+                            me.updateRollCall(Ext.apply({ active: false }, Ext.JSON.decode(resp.responseText)));
+                        } catch (e) {
+                            me.loadRollCall();
+                        }
+                    },
+                    failure: function () {
+                        Ext.Msg.alert(
+                            (typeof l === 'function') ? l('Error') : 'Error',
+                            (typeof l === 'function') ? l('Could not end the muster.') : 'Could not end the muster.'
+                        );
+                    }
+                });
+            }
+        );
+    },
+
+    /**
+     * Download the roll-call report as CSV.
+     */
+    onExportCsv: function () {
+        var me = this;
+
+        Ext.Ajax.request({
+            url: me.getApiBase() + '/muster/report',
+            method: 'GET',
+            params: { format: 'csv' },
+            success: function (resp) {
+                var blob = new Blob([resp.responseText], { type: 'text/csv' });
+                var link = document.createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = 'muster-' + Ext.Date.format(new Date(), 'Ymd-His') + '.csv';
+                document.body.appendChild(link);
+                link.click();
+                document.body.removeChild(link);
+                URL.revokeObjectURL(link.href);
+            },
+            failure: function (resp) {
+                Ext.Msg.alert(
+                    (typeof l === 'function') ? l('Export CSV') : 'Export CSV',
+                    resp.status === 404
+                        ? ((typeof l === 'function') ? l('No muster has been run yet.') : 'No muster has been run yet.')
+                        : ((typeof l === 'function') ? l('Could not download the report.') : 'Could not download the report.')
+                );
+            }
+        });
+    },
+
+    /* ------------------------------------------------------------------ */
+    /*  Private helpers                                                   */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Zone picker + note, then POST /muster/start.
+     *
+     * @param {Object[]} zones -- engine zone definitions
+     * @private
+     */
+    _showStartDialog: function (zones) {
+        var me = this;
+
+        var checkboxes = Ext.Array.map(zones, function (z) {
+            return {
+                boxLabel: Ext.String.htmlEncode(z.name || z.id),
+                name: 'zones',
+                inputValue: z.id
+            };
+        });
+
+        var win = Ext.create('Ext.window.Window', {
+            title: (typeof l === 'function') ? l('Start muster') : 'Start muster',
+            iconCls: 'fa fa-bullhorn',
+            modal: true,
+            width: 380,
+            bodyPadding: 12,
+            layout: 'anchor',
+            items: [
+                {
+                    xtype: 'checkboxgroup',
+                    itemId: 'musterZones',
+                    fieldLabel: (typeof l === 'function') ? l('Muster points') : 'Muster points',
+                    labelAlign: 'top',
+                    columns: 1,
+                    vertical: true,
+                    anchor: '100%',
+                    maxHeight: 240,
+                    scrollable: 'y',
+                    items: checkboxes
+                },
+                {
+                    xtype: 'textfield',
+                    itemId: 'musterNote',
+                    fieldLabel: (typeof l === 'function') ? l('Note') : 'Note',
+                    labelAlign: 'top',
+                    anchor: '100%',
+                    emptyText: (typeof l === 'function') ? l('e.g. Fire alarm, Building A') : 'e.g. Fire alarm, Building A'
+                }
+            ],
+            buttons: [
+                {
+                    text: (typeof l === 'function') ? l('Start') : 'Start',
+                    iconCls: 'fa fa-play',
+                    handler: function () {
+                        var selected = win.down('#musterZones').getValue().zones;
+                        var zoneIds = selected ? [].concat(selected) : [];
+                        if (!zoneIds.length) {
+                            Ext.Msg.alert(
+                                (typeof l === 'function') ? l('Start muster') : 'Start muster',
+                                (typeof l === 'function') ? l('Select at least one muster point.') : 'Select at least one muster point.'
+                            );
+                            return;
+                        }
+                        me._startMuster(zoneIds, win.down('#musterNote').getValue());
+                        win.close();
+                    }
+                },
+                {
+                    text: (typeof l === 'function') ? l('Cancel') : 'Cancel',
+                    handler: function () { win.close(); }
+                }
+            ]
+        });
+        win.show();
+    },
+
+    /**
+     * @param {string[]} zoneIds
+     * @param {string} note
+     * @private
+     */
+    _startMuster: function (zoneIds, note) {
+        var me = this;
+
+        Ext.Ajax.request({
+            url: me.getApiBase() + '/muster/start',
+            method: 'POST',
+            jsonData: { zones: zoneIds, note: note || '' },
+            success: function (resp) {
+                try {
+                    me.updateRollCall(Ext.JSON.decode(resp.responseText));
+                } catch (e) {
+                    me.loadRollCall();
+                }
+            },
+            failure: function (resp) {
+                var msg = (typeof l === 'function') ? l('Could not start the muster.') : 'Could not start the muster.';
+                try {
+                    var err = Ext.JSON.decode(resp.responseText);
+                    if (err.error) msg = err.error + (err.fields ? ': ' + Ext.Object.getValues(err.fields).join('; ') : '');
+                } catch (e) {}
+                Ext.Msg.alert((typeof l === 'function') ? l('Error') : 'Error', Ext.String.htmlEncode(msg));
+                me.loadRollCall();
+            }
+        });
+    },
+
+    /**
+     * Filter the people grid by the status combo.
+     * @private
+     */
+    _applyFilter: function () {
+        var me = this;
+        var combo = me.down('#musterStatusFilter');
+        var status = combo ? combo.getValue() : 'all';
+
+        me.peopleStore.clearFilter();
+        if (status && status !== 'all') {
+            me.peopleStore.filter('status', status);
+        }
+    },
+
+    /**
+     * @private
+     */
+    _renderSummary: function () {
+        var me = this;
+        var cmp = me.down('#musterSummary');
+        if (cmp) cmp.update(me._summaryHtml(me._lastData));
+    },
+
+    /**
+     * @param {Object|null} data -- roll-call snapshot
+     * @returns {string}
+     * @private
+     */
+    _summaryHtml: function (data) {
+        var me = this;
+        if (!data || !data.muster) {
+            return '<div class="indoor-muster-state">' +
+                ((typeof l === 'function') ? l('No muster in progress.') : 'No muster in progress.') +
+                '</div>';
+        }
+
+        var s = data.summary || {};
+        var m = data.muster;
+        var state;
+        if (me._active) {
+            var secs = me._startedAt ? Math.max(0, Math.round((Date.now() - me._startedAt.getTime()) / 1000)) : (m.elapsedSeconds || 0);
+            state = '<span class="indoor-muster-live">' + ((typeof l === 'function') ? l('MUSTER IN PROGRESS') : 'MUSTER IN PROGRESS') +
+                '</span> ' + me._formatElapsed(secs);
+        } else {
+            state = ((typeof l === 'function') ? l('Last muster ended') : 'Last muster ended') + ' ' +
+                (m.endedAt ? Ext.Date.format(new Date(m.endedAt), 'Y-m-d H:i') : '');
+        }
+        if (m.note) state += ' &mdash; ' + Ext.String.htmlEncode(m.note);
+
+        return '<div class="indoor-muster-state">' + state + '</div>' +
+            '<div class="indoor-muster-counts">' +
+            me._countHtml('safe', (typeof l === 'function') ? l('Safe') : 'Safe', s.safe) +
+            me._countHtml('missing', (typeof l === 'function') ? l('Missing') : 'Missing', s.missing) +
+            me._countHtml('offline', (typeof l === 'function') ? l('Offline') : 'Offline', s.offline) +
+            me._countHtml('total', (typeof l === 'function') ? l('Total') : 'Total', s.total) +
+            '</div>';
+    },
+
+    /** @private */
+    _countHtml: function (cls, label, value) {
+        return '<div class="indoor-muster-count indoor-muster-' + cls + '">' +
+            '<b>' + (value || 0) + '</b><span>' + label + '</span></div>';
+    },
+
+    /** @private */
+    _formatElapsed: function (secs) {
+        var m = Math.floor(secs / 60);
+        var s = secs % 60;
+        return m + ':' + (s < 10 ? '0' : '') + s;
+    },
+
+    /**
+     * Status badge renderer (reuses the shared status badge styles).
+     * @private
+     */
+    _renderStatus: function (v) {
+        var cls = { safe: 'indoor-online', missing: 'indoor-danger', offline: 'indoor-offline' }[v] || '';
+        var label = { safe: 'Safe', missing: 'Missing', offline: 'Offline' }[v] || v;
+        if (typeof l === 'function') label = l(label);
+        return '<span class="indoor-status-badge ' + cls + '">' + label + '</span>';
+    }
+});
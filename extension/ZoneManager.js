@@ -11,7 +11,9 @@
  *   - Draw new zone: polygon tool on Leaflet map
  *   - Edit zone: click row to highlight on map, rename via prompt
  *   - Zone type selector: Normal / Restricted
- *   - Alert rules: enter_alert, exit_alert checkboxes
+ *   - Alert rules: enter_alert, exit_alert checkboxes; man-down check (work zone)
+ *   - Occupancy: live headcount vs min/max limits, optionally counting one device type
+ *   - Access list: allowed devices / types / tag groups and time-of-day schedules
  *   - Save/delete via API
  *   - Close button returns to normal map mode
  *
@@ -25,7 +27,7 @@ Ext.define('Store.indoor-positioning.ZoneManager', {
     cls: 'indoor-zonemanager',
     title: (typeof l === 'function') ? l('Zone Manager') : 'Zone Manager',
     iconCls: 'fa fa-draw-polygon',
-    width: 560,
+    width: 760,
     height: 520,
     layout: 'fit',
     modal: true,
@@ -76,6 +78,15 @@ Ext.define('Store.indoor-positioning.ZoneManager', {
                                 handler: me.onEditZone,
                                 scope: me
                             },
+                            {
+                                text: (typeof l === 'function') ? l('Access') : 'Access',
+                                iconCls: 'fa fa-user-shield',
+                                itemId: 'btnAccess',
+                                disabled: true,
+                                tooltip: (typeof l === 'function') ? l('Who may enter this zone, and when') : 'Who may enter this zone, and when',
+                                handler: me.onEditAccess,
+                                scope: me
+                            },
                             {
                                 text: (typeof l === 'function') ? l('Delete') : 'Delete',
                                 iconCls: 'fa fa-trash',
@@ -115,6 +126,11 @@ Ext.define('Store.indoor-positioning.ZoneManager', {
                                                '<i class="fa fa-shield-alt" style="margin-right:3px"></i>' +
                                                ((typeof l === 'function') ? l('Restricted') : 'Restricted') + '</span>';
                                     }
+                                    if (v === 'transition') {
+                                        return '<span class="indoor-zone-badge indoor-zone-badge-transition">' +
+                                               '<i class="fa fa-exchange-alt" style="margin-right:3px"></i>' +
+                                               ((typeof l === 'function') ? l('Stairs / Lift') : 'Stairs / Lift') + '</span>';
+                                    }
                                     return '<span class="indoor-zone-badge">' +
                                            ((typeof l === 'function') ? l('Normal') : 'Normal') + '</span>';
                                 }
@@ -136,6 +152,31 @@ Ext.define('Store.indoor-positioning.ZoneManager', {
                                     return (v !== undefined && v !== null) ? v : '—';
                                 }
                             },
+                            {
+                                text: (typeof l === 'function') ? l('Occupancy') : 'Occupancy',
+                                dataIndex: 'occupancy',
+                                width: 90,
+                                align: 'center',
+                                renderer: function (v, meta, r) {
+                                    return me._renderOccupancy(r);
+                                }
+                            },
+                            {
+                                text: (typeof l === 'function') ? l('Limits') : 'Limits',
+                                dataIndex: 'maxOccupancy',
+                                width: 100,
+                                renderer: function (v, meta, r) {
+                                    return me._renderOccupancyLimits(r);
+                                }
+                            },
+                            {
+                                text: (typeof l === 'function') ? l('Access') : 'Access',
+                                dataIndex: 'access',
+                                width: 90,
+                                renderer: function (v) {
+                                    return me._renderAccess(v);
+                                }
+                            },
                             {
                                 text: (typeof l === 'function') ? l('Alerts') : 'Alerts',
                                 dataIndex: 'alertEnter',
@@ -167,7 +208,8 @@ Ext.define('Store.indoor-positioning.ZoneManager', {
                                 itemId: 'cmbZoneType',
                                 store: [
                                     ['normal', (typeof l === 'function') ? l('Normal') : 'Normal'],
-                                    ['restricted', (typeof l === 'function') ? l('Restricted') : 'Restricted']
+                                    ['restricted', (typeof l === 'function') ? l('Restricted') : 'Restricted'],
+                                    ['transition', (typeof l === 'function') ? l('Stairs / Lift') : 'Stairs / Lift']
                                 ],
                                 value: 'normal',
                                 editable: false,
@@ -192,10 +234,58 @@ Ext.define('Store.indoor-positioning.ZoneManager', {
                                         xtype: 'checkbox',
                                         boxLabel: (typeof l === 'function') ? l('Exit alert') : 'Exit alert',
                                         itemId: 'chkAlertExit',
+                                        margin: '0 20 0 0',
+                                        listeners: { change: me.onAlertRuleChange, scope: me }
+                                    },
+                                    {
+                                        xtype: 'checkbox',
+                                        boxLabel: (typeof l === 'function') ? l('Man-down check') : 'Man-down check',
+                                        itemId: 'chkWorkZone',
                                         listeners: { change: me.onAlertRuleChange, scope: me }
                                     }
                                 ]
                             },
+                            {
+                                xtype: 'fieldcontainer',
+                                fieldLabel: (typeof l === 'function') ? l('Occupancy') : 'Occupancy',
+                                layout: 'hbox',
+                                items: [
+                                    {
+                                        xtype: 'numberfield',
+                                        itemId: 'numMinOccupancy',
+                                        emptyText: (typeof l === 'function') ? l('Min') : 'Min',
+                                        minValue: 1,
+                                        allowDecimals: false,
+                                        width: 70,
+                                        margin: '0 5 0 0',
+                                        listeners: { change: me.onOccupancyChange, scope: me }
+                                    },
+                                    {
+                                        xtype: 'numberfield',
+                                        itemId: 'numMaxOccupancy',
+                                        emptyText: (typeof l === 'function') ? l('Max') : 'Max',
+                                        minValue: 1,
+                                        allowDecimals: false,
+                                        width: 70,
+                                        margin: '0 10 0 0',
+                                        listeners: { change: me.onOccupancyChange, scope: me }
+                                    },
+                                    {
+                                        xtype: 'combo',
+                                        itemId: 'cmbOccupancyType',
+                                        store: [
+                                            ['', (typeof l === 'function') ? l('All devices') : 'All devices'],
+                                            ['person', (typeof l === 'function') ? l('People') : 'People'],
+                                            ['asset', (typeof l === 'function') ? l('Assets') : 'Assets']
+                                        ],
+                                        value: '',
+                                        editable: false,
+                                        queryMode: 'local',
+                                        width: 120,
+                                        listeners: { change: me.onOccupancyChange, scope: me }
+                                    }
+                                ]
+                            },
                             {
                                 xtype: 'container',
                                 layout: 'hbox',
@@ -250,7 +340,9 @@ Ext.define('Store.indoor-positioning.ZoneManager', {
             fields: [
                 'id', 'name', 'type', 'floor', 'color',
                 'bounds', 'polygon', 'geojson',
-                'deviceCount', 'alertEnter', 'alertExit'
+                'deviceCount', 'alertEnter', 'alertExit',
+                'maxOccupancy', 'minOccupancy', 'occupancyTypes', 'occupancy',
+                'access', 'workZone'
             ],
             data: [],
             proxy: { type: 'memory' }
@@ -297,7 +389,7 @@ Ext.define('Store.indoor-positioning.ZoneManager', {
                     if (engine === 'velavu') {
                         zones = me._parseVelavuGeofences(payload);
                     } else {
-                        zones = payload.zones || payload.data || payload || [];
+                        zones = me._parseEngineZones(payload.zones || payload.data || payload || []);
                     }
 
                     me.getZoneStore().loadData(zones);
@@ -357,6 +449,29 @@ Ext.define('Store.indoor-positioning.ZoneManager', {
         return zones;
     },
 
+    /**
+     * Map Channel Sounding engine zones to the store format.
+     * The engine uses type 'general' and alertOnEnter/alertOnExit.
+     *
+     * @param {Array} zones -- engine zone objects
+     * @returns {Array}
+     * @private
+     */
+    _parseEngineZones: function (zones) {
+        if (!Ext.isArray(zones)) return [];
+
+        var result = [];
+        for (var i = 0; i < zones.length; i++) {
+            var z = zones[i];
+            result.push(Ext.apply({}, {
+                type: (!z.type || z.type === 'general') ? 'normal' : z.type,
+                alertEnter: z.alertOnEnter !== undefined ? z.alertOnEnter !== false : !!z.alertEnter,
+                alertExit: z.alertOnExit !== undefined ? z.alertOnExit !== false : !!z.alertExit
+            }, z));
+        }
+        return result;
+    },
+
     /* ------------------------------------------------------------------ */
     /*  Map Drawing                                                       */
     /* ------------------------------------------------------------------ */
@@ -615,10 +730,20 @@ Ext.define('Store.indoor-positioning.ZoneManager', {
         var me = this;
         me.down('#btnEdit').setDisabled(false);
         me.down('#btnDelete').setDisabled(false);
+        me.down('#btnAccess').setDisabled(me.getEngine() === 'velavu');
         me.down('#btnSaveZone').setDisabled(false);
         me.down('#cmbZoneType').setValue(record.get('type') || 'normal');
         me.down('#chkAlertEnter').setValue(!!record.get('alertEnter'));
         me.down('#chkAlertExit').setValue(!!record.get('alertExit'));
+        me.down('#chkWorkZone').setValue(!!record.get('workZone'));
+
+        // Fill the occupancy editor without writing back into the record
+        var types = record.get('occupancyTypes');
+        me._syncingOccupancy = true;
+        me.down('#numMinOccupancy').setValue(record.get('minOccupancy') || null);
+        me.down('#numMaxOccupancy').setValue(record.get('maxOccupancy') || null);
+        me.down('#cmbOccupancyType').setValue(types && types.length === 1 ? types[0] : '');
+        me._syncingOccupancy = false;
 
         // Highlight the zone on the map
         me._highlightZoneOnMap(record.get('id'));
@@ -696,7 +821,321 @@ Ext.define('Store.indoor-positioning.ZoneManager', {
         if (sel.length) {
             sel[0].set('alertEnter', me.down('#chkAlertEnter').getValue());
             sel[0].set('alertExit', me.down('#chkAlertExit').getValue());
+            // Keep a work zone's own settings (schedules, noMotionSeconds) while it stays enabled
+            sel[0].set('workZone', me.down('#chkWorkZone').getValue() ? (sel[0].get('workZone') || true) : null);
+        }
+    },
+
+    /**
+     * Handle occupancy limit / device type change -- update selected record.
+     */
+    onOccupancyChange: function () {
+        var me = this;
+        if (me._syncingOccupancy) return;
+        var grid = me.down('#zoneGrid');
+        var sel = grid.getSelectionModel().getSelection();
+        if (!sel.length) return;
+
+        var type = me.down('#cmbOccupancyType').getValue();
+        sel[0].set('minOccupancy', me.down('#numMinOccupancy').getValue() || null);
+        sel[0].set('maxOccupancy', me.down('#numMaxOccupancy').getValue() || null);
+        sel[0].set('occupancyTypes', type ? [type] : null);
+    },
+
+    /* ------------------------------------------------------------------ */
+    /*  Occupancy                                                         */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Apply a live occupancy update (WebSocket 'occupancy' channel).
+     *
+     * @param {Object} occ -- { zoneId, count, total, byType, status, ... }
+     */
+    updateOccupancy: function (occ) {
+        var me = this;
+        var store = me.getZoneStore();
+        var rec = store ? store.getById(occ.zoneId) : null;
+        if (!rec) return;
+
+        rec.set({
+            occupancy: { count: occ.count, byType: occ.byType || {}, status: occ.status || 'ok' },
+            deviceCount: occ.total !== undefined ? occ.total : rec.get('deviceCount')
+        });
+        rec.commit();
+    },
+
+    /**
+     * "3 / 10" with the zone's status colour (over = red, under = amber).
+     *
+     * @param {Ext.data.Model} r
+     * @returns {string}
+     * @private
+     */
+    _renderOccupancy: function (r) {
+        var occ = r.get('occupancy');
+        if (!occ) return '—';
+
+        var max = r.get('maxOccupancy');
+        var text = occ.count + (max ? ' / ' + max : '');
+        if (occ.status === 'over') {
+            return '<span class="indoor-zone-badge indoor-zone-badge-restricted">' + text + '</span>';
+        }
+        if (occ.status === 'under') {
+            return '<span class="indoor-zone-badge indoor-zone-badge-under">' + text + '</span>';
+        }
+        return text;
+    },
+
+    /**
+     * "1–4 people", "≤ 10", "≥ 2 assets".
+     *
+     * @param {Ext.data.Model} r
+     * @returns {string}
+     * @private
+     */
+    _renderOccupancyLimits: function (r) {
+        var min = r.get('minOccupancy');
+        var max = r.get('maxOccupancy');
+        if (!min && !max) return '—';
+
+        var range = (min && max) ? min + '–' + max : (max ? '≤ ' + max : '≥ ' + min);
+        var types = r.get('occupancyTypes');
+        return types && types.length ? range + ' ' + Ext.String.htmlEncode(types.join('/')) : range;
+    },
+
+    /* ------------------------------------------------------------------ */
+    /*  Access List                                                       */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Open the access list editor for the selected zone.
+     * Changes are applied to the record; Save Zone sends them to the engine.
+     */
+    onEditAccess: function () {
+        var me = this;
+        var grid = me.down('#zoneGrid');
+        var sel = grid.getSelectionModel().getSelection();
+        if (!sel.length) return;
+
+        var rec = sel[0];
+        var access = rec.get('access') || {};
+
+        var win = Ext.create('Ext.window.Window', {
+            title: ((typeof l === 'function') ? l('Access List') : 'Access List') + ': ' + Ext.String.htmlEncode(rec.get('name') || ''),
+            iconCls: 'fa fa-user-shield',
+            width: 460,
+            modal: true,
+            layout: 'fit',
+            items: [{
+                xtype: 'form',
+                bodyPadding: 10,
+                defaults: { anchor: '100%', labelWidth: 90 },
+                items: [
+                    {
+                        xtype: 'displayfield',
+                        value: (typeof l === 'function')
+                            ? l('Devices matching any list may enter. Leave all three empty to allow any device during the schedule.')
+                            : 'Devices matching any list may enter. Leave all three empty to allow any device during the schedule.'
+                    },
+                    {
+                        xtype: 'textfield',
+                        name: 'devices',
+                        fieldLabel: (typeof l === 'function') ? l('Device IDs') : 'Device IDs',
+                        emptyText: 'tag-017, tag-042',
+                        value: (access.devices || []).join(', ')
+                    },
+                    {
+                        xtype: 'textfield',
+                        name: 'types',
+                        fieldLabel: (typeof l === 'function') ? l('Device types') : 'Device types',
+                        emptyText: 'person, forklift',
+                        value: (access.types || []).join(', ')
+                    },
+                    {
+                        xtype: 'textfield',
+                        name: 'groups',
+                        itemId: 'txtGroups',
+                        fieldLabel: (typeof l === 'function') ? l('Tag groups') : 'Tag groups',
+                        emptyText: 'electricians, crane-operators',
+                        value: (access.groups || []).join(', ')
+                    },
+                    {
+                        xtype: 'textareafield',
+                        name: 'schedules',
+                        fieldLabel: (typeof l === 'function') ? l('Schedules') : 'Schedules',
+                        emptyText: 'mon-fri 07:00-18:00\nsat 22:00-06:00',
+                        height: 80,
+                        value: me._formatSchedules(access.schedules)
+                    },
+                    {
+                        xtype: 'textfield',
+                        name: 'timezone',
+                        fieldLabel: (typeof l === 'function') ? l('Time zone') : 'Time zone',
+                        emptyText: (typeof l === 'function') ? l('Engine local time') : 'Engine local time',
+                        value: access.timezone || ''
+                    }
+                ]
+            }],
+            buttons: [
+                {
+                    text: (typeof l === 'function') ? l('Remove Access List') : 'Remove Access List',
+                    handler: function () {
+                        rec.set('access', null);
+                        win.close();
+                    }
+                },
+                '->',
+                {
+                    text: (typeof l === 'function') ? l('OK') : 'OK',
+                    handler: function () {
+                        var values = win.down('form').getValues();
+                        var schedules = me._parseSchedules(values.schedules);
+                        if (schedules.error) {
+                            Ext.Msg.alert((typeof l === 'function') ? l('Error') : 'Error', Ext.String.htmlEncode(schedules.error));
+                            return;
+                        }
+                        var rules = {
+                            devices: me._splitList(values.devices),
+                            types: me._splitList(values.types),
+                            groups: me._splitList(values.groups),
+                            schedules: schedules.schedules,
+                            timezone: Ext.String.trim(values.timezone || '') || null
+                        };
+                        // Nothing entered = no access list
+                        var empty = !rules.devices.length && !rules.types.length &&
+                                    !rules.groups.length && !rules.schedules.length;
+                        rec.set('access', empty ? null : rules);
+                        win.close();
+                    }
+                },
+                {
+                    text: (typeof l === 'function') ? l('Cancel') : 'Cancel',
+                    handler: function () { win.close(); }
+                }
+            ]
+        });
+        win.show();
+        me._loadTagGroupHint(win.down('#txtGroups'));
+    },
+
+    /**
+     * Show the engine's tag group names as the groups field placeholder.
+     *
+     * @param {Ext.form.field.Text} field
+     * @private
+     */
+    _loadTagGroupHint: function (field) {
+        var base = this.getEngineBaseUrl();
+        if (!base || !field) return;
+
+        Ext.Ajax.request({
+            url: base + '/tag-groups',
+            method: 'GET',
+            success: function (resp) {
+                try {
+                    var names = Ext.Object.getKeys(Ext.JSON.decode(resp.responseText).tag_groups || {});
+                    if (names.length && !field.isDestroyed) {
+                        field.setEmptyText(names.join(', '));
+                    }
+                } catch (e) {}
+            }
+        });
+    },
+
+    /**
+     * "a, b ,, c" -> ['a', 'b', 'c']
+     *
+     * @param {string} text
+     * @returns {Array}
+     * @private
+     */
+    _splitList: function (text) {
+        var out = [];
+        Ext.each(String(text || '').split(','), function (part) {
+            part = Ext.String.trim(part);
+            if (part) out.push(part);
+        });
+        return out;
+    },
+
+    /**
+     * Parse one schedule per line: "[days] HH:MM-HH:MM" where days is
+     * "mon-fri", "sat,sun" or omitted for every day.
+     *
+     * @param {string} text
+     * @returns {{schedules: Array}|{error: string}}
+     * @private
+     */
+    _parseSchedules: function (text) {
+        var days = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+        var schedules = [];
+        var lines = String(text || '').split(/\r?\n/);
+
+        for (var i = 0; i < lines.length; i++) {
+            var line = Ext.String.trim(lines[i]).toLowerCase();
+            if (!line) continue;
+
+            var m = /^(?:([a-z,\-]+)\s+)?(\d{2}:\d{2})\s*-\s*(\d{2}:\d{2})$/.exec(line);
+            if (!m) return { error: 'Line ' + (i + 1) + ': expected "mon-fri 07:00-18:00"' };
+
+            var schedule = { from: m[2], to: m[3] };
+            if (m[1]) {
+                var list = [];
+                var parts = m[1].split(',');
+                for (var j = 0; j < parts.length; j++) {
+                    var range = parts[j].split('-');
+                    var a = days.indexOf(range[0]);
+                    var b = days.indexOf(range[range.length - 1]);
+                    if (a === -1 || b === -1) return { error: 'Line ' + (i + 1) + ': unknown day "' + parts[j] + '"' };
+                    // Ranges may wrap the week: "fri-mon"
+                    for (var d = a; ; d = (d + 1) % 7) {
+                        if (list.indexOf(days[d]) === -1) list.push(days[d]);
+                        if (d === b) break;
+                    }
+                }
+                schedule.days = list;
+            }
+            schedules.push(schedule);
         }
+        return { schedules: schedules };
+    },
+
+    /**
+     * Inverse of _parseSchedules (days are listed, not collapsed into ranges).
+     *
+     * @param {Array} schedules
+     * @returns {string}
+     * @private
+     */
+    _formatSchedules: function (schedules) {
+        var lines = [];
+        Ext.each(schedules || [], function (s) {
+            lines.push((s.days && s.days.length ? s.days.join(',') + ' ' : '') + s.from + '-' + s.to);
+        });
+        return lines.join('\n');
+    },
+
+    /**
+     * Grid summary: "2 groups, 1 type", plus a clock when scheduled.
+     *
+     * @param {Object} access
+     * @returns {string}
+     * @private
+     */
+    _renderAccess: function (access) {
+        if (!access) return '—';
+
+        var parts = [];
+        var counts = [['devices', 'device'], ['types', 'type'], ['groups', 'group']];
+        for (var i = 0; i < counts.length; i++) {
+            var n = (access[counts[i][0]] || []).length;
+            if (n) parts.push(n + ' ' + counts[i][1] + (n > 1 ? 's' : ''));
+        }
+        var text = parts.length ? parts.join(', ') : ((typeof l === 'function') ? l('Anyone') : 'Anyone');
+        if (access.schedules && access.schedules.length) {
+            text += ' <i class="fa fa-clock" title="' + Ext.String.htmlEncode(this._formatSchedules(access.schedules)) + '"></i>';
+        }
+        return text;
     },
 
     /* ------------------------------------------------------------------ */
@@ -845,20 +1284,37 @@ Ext.define('Store.indoor-positioning.ZoneManager', {
             }
         } else {
             // Channel Sounding: POST/PUT to /zones
+            // Drawn zones carry bounds [{x, y}]; zones loaded from the engine carry polygon [[x, y]]
             var polygon = [];
             var zoneBounds = rec.get('bounds') || [];
             for (var j = 0; j < zoneBounds.length; j++) {
                 var p = zoneBounds[j];
                 polygon.push([p.x, p.y]);
             }
+            if (!polygon.length && rec.get('polygon')) {
+                polygon = rec.get('polygon');
+            }
+
+            // New zones default to the floor shown on the map
+            var floor = rec.get('floor');
+            if (floor === '' || floor === null || floor === undefined) {
+                var mapPanel = me.getMapPanel();
+                var currentFloor = mapPanel && mapPanel.getCurrentFloor ? mapPanel.getCurrentFloor() : null;
+                floor = currentFloor && currentFloor.id !== undefined ? currentFloor.id : '';
+            }
 
             body = {
                 name: rec.get('name'),
                 type: rec.get('type') || 'normal',
-                floor: rec.get('floor') || '',
+                floor: floor,
                 polygon: polygon,
                 alertEnter: !!rec.get('alertEnter'),
-                alertExit: !!rec.get('alertExit')
+                alertExit: !!rec.get('alertExit'),
+                maxOccupancy: rec.get('maxOccupancy') || null,
+                minOccupancy: rec.get('minOccupancy') || null,
+                occupancyTypes: rec.get('occupancyTypes') || null,
+                access: rec.get('access') || null,
+                workZone: rec.get('workZone') || null
             };
 
             if (zoneId && zoneId.indexOf('zone_') !== 0) {
@@ -877,9 +1333,13 @@ Ext.define('Store.indoor-positioning.ZoneManager', {
             success: function (resp) {
                 try {
                     var data = Ext.JSON.decode(resp.responseText);
+                    var saved = data.zone || data;
                     // Update local record with server-assigned ID if new
-                    if (data.id && (!zoneId || zoneId.indexOf('zone_') === 0)) {
-                        rec.set('id', data.id);
+                    if (saved.id && (!zoneId || zoneId.indexOf('zone_') === 0)) {
+                        rec.set('id', saved.id);
+                    }
+                    if (saved.floor !== undefined) {
+                        rec.set('floor', saved.floor);
                     }
                 } catch (e) {}
 
@@ -888,10 +1348,24 @@ Ext.define('Store.indoor-positioning.ZoneManager', {
                     (typeof l === 'function') ? l('Zone saved successfully.') : 'Zone saved successfully.'
                 );
             },
-            failure: function () {
+            failure: function (resp) {
+                var msg = (typeof l === 'function') ? l('Could not save zone to server.') : 'Could not save zone to server.';
+
+                // Engine returns { error, fields: { field: message } } on validation failure
+                try {
+                    var data = Ext.JSON.decode(resp.responseText);
+                    if (data && data.fields) {
+                        var lines = [];
+                        Ext.Object.each(data.fields, function (field, text) {
+                            lines.push('<b>' + Ext.String.htmlEncode(field) + '</b>: ' + Ext.String.htmlEncode(text));
+                        });
+                        msg += '<br/><br/>' + lines.join('<br/>');
+                    }
+                } catch (e) {}
+
                 Ext.Msg.alert(
                     (typeof l === 'function') ? l('Error') : 'Error',
-                    (typeof l === 'function') ? l('Could not save zone to server.') : 'Could not save zone to server.'
+                    msg
                 );
             }
         });
@@ -4,18 +4,34 @@
  *
  * Supports:
  *   - Zone enter alerts (restricted area breach = critical)
+ *   - Zone access lists: unauthorized entry = critical, authorized entry is logged without an alert
  *   - Zone exit alerts (info)
+ *   - Dwell alerts: max dwell exceeded (e.g. confined spaces), min dwell not met on exit
+ *   - Occupancy alerts: zone over capacity, staffed zone below its minimum headcount
+ *   - Man-down alerts: no-motion pre-alert, alarm, escalation, acknowledgement, cleared
+ *   - SOS alerts: panic button press (critical, with last position) and its acknowledgement
  *   - Low battery alerts (warning <15%, critical <5%)
  *   - Offline device alerts (info)
  *   - Speed violation alerts (warning >40km/h, critical >60km/h)
+ *   - Custom rule alerts (rule-engine.js), type "rule:<rule id>"
  *
  * Cooldown system prevents alert spam (5 min per device+type+zone).
  */
 
 const crypto = require('crypto');
+const { formatSosPosition } = require('./sos');
+const { renderMessage } = require('./rule-engine');
 
 const DEFAULT_COOLDOWN_MS = 5 * 60 * 1000; // 5 minutes
 const MAX_RECENT_ALERTS = 100;
+const MAX_ACCESS_LOG = 200;
+
+const MAN_DOWN_TYPES = ['man_down_pre_alert', 'man_down', 'man_down_escalated', 'man_down_acknowledged', 'man_down_cleared'];
+
+const ACCESS_DENIED_REASONS = {
+    not_listed: 'not on the access list',
+    outside_schedule: 'outside the allowed schedule'
+};
 
 class AlertEvaluator {
     /**
@@ -37,20 +53,43 @@ class AlertEvaluator {
 
         // Cooldown: key -> timestamp
         this._cooldown = new Map();
+        this._longestCooldownMs = 0;   // longest per-alert cooldown seen (custom rules)
 
         // Recent alerts ring buffer (for API)
         this._recentAlerts = [];
+
+        // zoneId -> last occupancy status ('ok' | 'over' | 'under')
+        this._occupancyStatus = new Map();
+
+        // Entries into zones with an access list (authorized and not), newest last
+        this._accessLog = [];
     }
 
     /**
      * Evaluate a zone event and potentially generate alerts.
-     * @param {{deviceId: string, zoneId: string, zoneName: string, zoneType: string, event: string, alertOnEnter: boolean, alertOnExit: boolean}} zoneEvent
+     * @param {{deviceId: string, zoneId: string, zoneName: string, zoneType: string, event: string, alertOnEnter: boolean, alertOnExit: boolean,
+     *          maxDwellSeconds?: number|null, minDwellSeconds?: number|null, dwell?: {seconds: number},
+     *          access?: {authorized: boolean, reason: string}}} zoneEvent
      */
     evaluate(zoneEvent) {
-        const { deviceId, zoneId, zoneName, zoneType, event, alertOnEnter, alertOnExit } = zoneEvent;
+        const { deviceId, zoneId, zoneName, zoneType, event, alertOnEnter, alertOnExit, dwell, access } = zoneEvent;
+
+        // Zone enter — access-controlled zone: authorized entries are only logged
+        if (event === 'enter' && access) {
+            this._logAccess(zoneEvent);
+            if (!access.authorized) {
+                this._fireAlert({
+                    deviceId,
+                    zoneId,
+                    type: 'zone_unauthorized',
+                    severity: 'critical',
+                    message: `UNAUTHORIZED ENTRY: ${deviceId} entered "${zoneName}" (${ACCESS_DENIED_REASONS[access.reason] || access.reason})`
+                });
+            }
+        }
 
         // Zone enter — restricted area breach
-        if (event === 'enter' && alertOnEnter) {
+        if (event === 'enter' && alertOnEnter && !access) {
             const severity = zoneType === 'restricted' ? 'critical' : 'warning';
             const message = zoneType === 'restricted'
                 ? `RESTRICTED ZONE BREACH: ${deviceId} entered "${zoneName}"`
@@ -75,6 +114,189 @@ class AlertEvaluator {
                 message: `${deviceId} exited zone "${zoneName}"`
             });
         }
+
+        // Max dwell exceeded — still inside past the zone's limit
+        if (event === 'dwell_exceeded' && dwell) {
+            this._fireAlert({
+                deviceId,
+                zoneId,
+                type: 'dwell_max_exceeded',
+                severity: zoneType === 'restricted' ? 'critical' : 'warning',
+                message: `${deviceId} in "${zoneName}" for ${formatDuration(dwell.seconds)} (limit ${formatDuration(zoneEvent.maxDwellSeconds)})`
+            });
+        }
+
+        // Min dwell not met — left before the required time (e.g. missed wash-down)
+        if (event === 'exit' && dwell && zoneEvent.minDwellSeconds && dwell.seconds < zoneEvent.minDwellSeconds) {
+            this._fireAlert({
+                deviceId,
+                zoneId,
+                type: 'dwell_min_not_met',
+                severity: 'warning',
+                message: `${deviceId} left "${zoneName}" after ${formatDuration(dwell.seconds)} (minimum ${formatDuration(zoneEvent.minDwellSeconds)})`
+            });
+        }
+    }
+
+    /**
+     * Evaluate a zone's occupancy against its limits.
+     * Called when the headcount changes and periodically (so an unstaffed zone
+     * keeps alerting, subject to cooldown). Returning to within limits resets
+     * the cooldown so the next breach alerts immediately.
+     *
+     * @param {{zoneId: string, zoneName: string, zoneType: string, count: number, maxOccupancy: number|null, minOccupancy: number|null,
+     *          occupancyTypes: string[]|null, status: string}} occupancy - ZoneChecker.getOccupancy()
+     */
+    evaluateOccupancy(occupancy) {
+        if (!occupancy) return;
+        const { zoneId, zoneName, zoneType, count, maxOccupancy, minOccupancy, status } = occupancy;
+        const who = (count === 1 ? 'device' : 'devices') + (occupancy.occupancyTypes ? ` (${occupancy.occupancyTypes.join('/')})` : '');
+
+        const previous = this._occupancyStatus.get(zoneId);
+        this._occupancyStatus.set(zoneId, status);
+        if (status !== previous && previous) {
+            this._cooldown.delete(`none:occupancy_exceeded:${zoneId}`);
+            this._cooldown.delete(`none:occupancy_below_min:${zoneId}`);
+        }
+
+        // Over capacity
+        if (status === 'over') {
+            this._fireAlert({
+                deviceId: null,
+                zoneId,
+                type: 'occupancy_exceeded',
+                severity: zoneType === 'restricted' ? 'critical' : 'warning',
+                message: `Zone "${zoneName}" over capacity: ${count} ${who}, max ${maxOccupancy}`
+            });
+        }
+
+        // Below the required headcount (e.g. fire watch)
+        if (status === 'under') {
+            this._fireAlert({
+                deviceId: null,
+                zoneId,
+                type: 'occupancy_below_min',
+                severity: 'critical',
+                message: `Zone "${zoneName}" understaffed: ${count} ${who}, min ${minOccupancy}`
+            });
+        }
+    }
+
+    /**
+     * Evaluate a man-down event (see man-down.js). Each stage fires once per
+     * episode; when the episode clears the cooldowns are reset so the next
+     * one alerts immediately.
+     *
+     * @param {{deviceId: string, name: string, event: string, zoneId: string, zoneName: string, stillSeconds: number,
+     *          acknowledged: {by: string, note: string}|null, reason?: string}} evt
+     */
+    evaluateManDown(evt) {
+        const { deviceId, name, zoneId, zoneName, stillSeconds } = evt;
+        const still = formatDuration(stillSeconds);
+
+        if (evt.event === 'pre_alert') {
+            this._fireAlert({
+                deviceId,
+                zoneId,
+                type: 'man_down_pre_alert',
+                severity: 'warning',
+                message: `No motion: ${name} in "${zoneName}" for ${still}`
+            });
+        }
+
+        if (evt.event === 'alarm') {
+            this._fireAlert({
+                deviceId,
+                zoneId,
+                type: 'man_down',
+                severity: 'critical',
+                message: `MAN DOWN: ${name} motionless in "${zoneName}" for ${still}`
+            });
+        }
+
+        if (evt.event === 'escalated') {
+            this._fireAlert({
+                deviceId,
+                zoneId,
+                type: 'man_down_escalated',
+                severity: 'critical',
+                message: `MAN DOWN NOT ACKNOWLEDGED: ${name} motionless in "${zoneName}" for ${still}`
+            });
+        }
+
+        if (evt.event === 'acknowledged') {
+            this._fireAlert({
+                deviceId,
+                zoneId,
+                type: 'man_down_acknowledged',
+                severity: 'info',
+                message: `Man-down for ${name} acknowledged by ${evt.acknowledged.by}` + (evt.acknowledged.note ? `: ${evt.acknowledged.note}` : '')
+            });
+        }
+
+        if (evt.event === 'cleared') {
+            for (const type of MAN_DOWN_TYPES) {
+                this._cooldown.delete(`${deviceId}:${type}:${zoneId || 'none'}`);
+            }
+            this._fireAlert({
+                deviceId,
+                zoneId,
+                type: 'man_down_cleared',
+                severity: 'info',
+                message: evt.reason === 'left_work_zone'
+                    ? `${name} left "${zoneName}" after ${still} without motion`
+                    : `${name} moving again in "${zoneName}" after ${still}`
+            });
+        }
+    }
+
+    /**
+     * Alert on a new SOS or its acknowledgement. Every SOS alerts, whatever
+     * the cooldown (repeat presses of an open SOS never reach here).
+     *
+     * @param {{deviceId: string, name: string, position: object|null, acknowledged: {by: string, note: string}|null}} sos
+     * @param {string} event - 'raised' | 'acknowledged'
+     */
+    evaluateSos(sos, event) {
+        const type = event === 'raised' ? 'sos' : 'sos_acknowledged';
+        this._cooldown.delete(`${sos.deviceId}:${type}:none`);
+
+        if (event === 'raised') {
+            this._fireAlert({
+                deviceId: sos.deviceId,
+                zoneId: null,
+                type,
+                severity: 'critical',
+                message: `SOS: ${sos.name} pressed the panic button` + (sos.position ? ` at ${formatSosPosition(sos.position)}` : ' (no position)'),
+                position: sos.position
+            });
+        } else {
+            this._fireAlert({
+                deviceId: sos.deviceId,
+                zoneId: null,
+                type,
+                severity: 'info',
+                message: `SOS from ${sos.name} acknowledged by ${sos.acknowledged.by}` + (sos.acknowledged.note ? `: ${sos.acknowledged.note}` : '')
+            });
+        }
+    }
+
+    /**
+     * Alert on a matched custom rule (see rule-engine.js). The rule's
+     * cooldown_seconds, if set, replaces the global cooldown.
+     *
+     * @param {{rule: object, device: object, zone: object|null, other: object|null, distance: number|null}} match
+     */
+    evaluateRule(match) {
+        const { rule, device, zone } = match;
+        this._fireAlert({
+            deviceId: device.id,
+            zoneId: zone ? zone.id : null,
+            type: `rule:${rule.id}`,
+            severity: rule.severity,
+            message: renderMessage(match),
+            cooldownMs: rule.cooldown_seconds != null ? rule.cooldown_seconds * 1000 : undefined
+        });
     }
 
     /**
@@ -127,13 +349,15 @@ class AlertEvaluator {
 
     /**
      * Fire an alert — check cooldown, log, store, invoke callback.
-     * @param {{deviceId: string, zoneId: string|null, type: string, severity: string, message: string}} alert
+     * @param {{deviceId: string, zoneId: string|null, type: string, severity: string, message: string, position?: object,
+     *          cooldownMs?: number}} alert
      */
     _fireAlert(alert) {
         // Cooldown check — prevent alert spam
-        const cooldownKey = `${alert.deviceId}:${alert.type}:${alert.zoneId || 'none'}`;
+        const cooldownKey = `${alert.deviceId || 'none'}:${alert.type}:${alert.zoneId || 'none'}`;
         const lastFired = this._cooldown.get(cooldownKey) || 0;
-        if (Date.now() - lastFired < this._cooldownMs) return;
+        if (Date.now() - lastFired < (alert.cooldownMs ?? this._cooldownMs)) return;
+        if (alert.cooldownMs > this._longestCooldownMs) this._longestCooldownMs = alert.cooldownMs;
         this._cooldown.set(cooldownKey, Date.now());
 
         // Build full alert object
@@ -146,6 +370,7 @@ class AlertEvaluator {
             message: alert.message,
             timestamp: new Date().toISOString()
         };
+        if (alert.position) fullAlert.position = alert.position;
 
         // Store in recent alerts ring buffer
         this._recentAlerts.push(fullAlert);
@@ -162,6 +387,39 @@ class AlertEvaluator {
         }
     }
 
+    /**
+     * Record an entry into an access-controlled zone.
+     */
+    _logAccess(zoneEvent) {
+        const entry = {
+            deviceId: zoneEvent.deviceId,
+            zoneId: zoneEvent.zoneId,
+            zoneName: zoneEvent.zoneName,
+            authorized: zoneEvent.access.authorized,
+            reason: zoneEvent.access.reason,
+            timestamp: new Date().toISOString()
+        };
+        this._accessLog.push(entry);
+        if (this._accessLog.length > MAX_ACCESS_LOG) {
+            this._accessLog.shift();
+        }
+        if (entry.authorized) {
+            console.log(`[Access] ${entry.deviceId} authorized in "${entry.zoneName}" (${entry.reason})`);
+        }
+    }
+
+    /**
+     * Get recent entries into access-controlled zones (for API).
+     * @param {number} [limit=50]
+     * @param {string} [zoneId] - Only this zone
+     * @returns {object[]}
+     */
+    getAccessLog(limit, zoneId) {
+        const n = limit || 50;
+        const log = zoneId ? this._accessLog.filter(e => e.zoneId === zoneId) : this._accessLog;
+        return log.slice(-n);
+    }
+
     /**
      * Get recent alerts (for API).
      * @param {number} [limit=50]
@@ -179,12 +437,24 @@ class AlertEvaluator {
     cleanCooldowns() {
         const now = Date.now();
         for (const [key, time] of this._cooldown) {
-            if (now - time > this._cooldownMs * 2) {
+            if (now - time > Math.max(this._cooldownMs, this._longestCooldownMs) * 2) {
                 this._cooldown.delete(key);
             }
         }
     }
 
+    /**
+     * Update thresholds at runtime. Omitted options keep their current value.
+     * @param {object} opts - Same options as the constructor (except onAlert)
+     */
+    configure(opts = {}) {
+        if (opts.cooldownMs != null) this._cooldownMs = opts.cooldownMs;
+        if (opts.batteryWarning != null) this._batteryWarning = opts.batteryWarning;
+        if (opts.batteryCritical != null) this._batteryCritical = opts.batteryCritical;
+        if (opts.offlineTimeoutMs != null) this._offlineTimeoutMs = opts.offlineTimeoutMs;
+        if (opts.speedLimitKmh != null) this._speedLimitKmh = opts.speedLimitKmh;
+    }
+
     /**
      * Set the alert callback.
      * @param {function} fn - (alert) => void
@@ -199,4 +469,14 @@ class AlertEvaluator {
     }
 }
 
+/**
+ * 75 → "1m 15s", 3700 → "1h 1m".
+ */
+function formatDuration(seconds) {
+    const s = Math.round(seconds || 0);
+    if (s < 60) return `${s}s`;
+    if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+    return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+}
+
 module.exports = { AlertEvaluator };
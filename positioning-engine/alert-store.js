@@ -0,0 +1,326 @@
+/**
+ * Alert Store — Alert lifecycle with an audit trail, persisted on local disk.
+ * No external DB: the whole store is one JSON file, rewritten (tmp + rename)
+ * shortly after each change and synchronously on shutdown. Writes run one at
+ * a time; a failed write is retried, and changes only count as saved once the
+ * rename has succeeded.
+ *
+ * Lifecycle:  open → acknowledged → resolved  (open → resolved is allowed)
+ *
+ * Each alert keeps who/when for every step (acknowledged, resolved), the
+ * current assignee, operator comments, escalation progress (escalation.js),
+ * and an audit trail of every action.
+ * Resolved alerts older than retentionDays are dropped; past maxAlerts the
+ * oldest resolved alerts go first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ALERT_STATES = ['open', 'acknowledged', 'resolved'];
+const DEFAULT_SAVE_DELAY_MS = 1000;
+const SAVE_RETRY_DELAY_MS = 10000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class AlertStore {
+    /**
+     * @param {object} opts
+     * @param {string} opts.file - JSON file holding the alerts
+     * @param {number} [opts.maxAlerts=2000]
+     * @param {number} [opts.retentionDays=90] - Drop resolved alerts older than this (0 = keep forever)
+     * @param {number} [opts.saveDelayMs=1000] - Debounce for writes
+     */
+    constructor(opts = {}) {
+        this._file = opts.file;
+        this._maxAlerts = opts.maxAlerts || 2000;
+        this._retentionDays = opts.retentionDays ?? 90;
+        this._saveDelayMs = opts.saveDelayMs ?? DEFAULT_SAVE_DELAY_MS;
+
+        this._alerts = [];        // oldest first
+        this._byId = new Map();
+        this._saveTimer = null;
+        this._saving = Promise.resolve(); // tail of the write queue
+        this._version = 0;                // bumped on every change
+        this._savedVersion = 0;           // last version on disk
+
+        this._load();
+    }
+
+    /**
+     * Record a newly fired alert (from the alert evaluator) as open.
+     * @param {{id: string, deviceId: string, zoneId: string|null, type: string, severity: string, message: string, timestamp: string}} alert
+     * @returns {object} the stored alert
+     */
+    add(alert) {
+        const record = {
+            ...alert,
+            state: 'open',
+            acknowledged: null,
+            resolved: null,
+            assignee: null,
+            escalation: null,
+            comments: [],
+            audit: [{ action: 'raised', by: 'engine', at: alert.timestamp }]
+        };
+        this._alerts.push(record);
+        this._byId.set(record.id, record);
+        this._prune();
+        this._scheduleSave();
+        return record;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {object|undefined}
+     */
+    get(id) {
+        return this._byId.get(id);
+    }
+
+    /**
+     * Acknowledge an open alert.
+     * @returns {{alert?: object, error?: string}} error when the alert is not open
+     */
+    acknowledge(id, by, note) {
+        return this._transition(id, 'acknowledged', ['open'], by, note);
+    }
+
+    /**
+     * Resolve an open or acknowledged alert.
+     * @returns {{alert?: object, error?: string}}
+     */
+    resolve(id, by, note) {
+        return this._transition(id, 'resolved', ['open', 'acknowledged'], by, note);
+    }
+
+    /**
+     * Assign (or, with an empty assignee, unassign) an unresolved alert.
+     * @returns {{alert?: object, error?: string}}
+     */
+    assign(id, assignee, by, note) {
+        const alert = this._byId.get(id);
+        if (!alert) return { error: 'not_found' };
+        if (alert.state === 'resolved') return { error: 'Alert is resolved' };
+        const at = new Date().toISOString();
+        alert.assignee = assignee ? { name: assignee, by, at } : null;
+        alert.audit.push({ action: assignee ? 'assigned' : 'unassigned', by, at, assignee: assignee || null, note: note || '' });
+        this._scheduleSave();
+        return { alert };
+    }
+
+    /**
+     * Add an operator comment (any state).
+     * @returns {{alert?: object, error?: string}}
+     */
+    comment(id, by, text) {
+        const alert = this._byId.get(id);
+        if (!alert) return { error: 'not_found' };
+        const at = new Date().toISOString();
+        alert.comments.push({ by, at, text });
+        alert.audit.push({ action: 'commented', by, at });
+        this._scheduleSave();
+        return { alert };
+    }
+
+    /**
+     * Record an escalation step sent for an open alert.
+     * @param {string} id
+     * @param {{policy: string, level: number, repeat: number, channels: string[]}} step
+     * @returns {object|undefined} the alert
+     */
+    recordEscalation(id, step) {
+        const alert = this._byId.get(id);
+        if (!alert) return undefined;
+        const at = new Date().toISOString();
+        alert.escalation = { policy: step.policy, level: step.level, repeats: step.repeat, at };
+        alert.audit.push({
+            action: 'escalated',
+            by: 'engine',
+            at,
+            note: `level ${step.level}${step.repeat ? ` (repeat ${step.repeat})` : ''}: ${step.channels.join(', ')}`
+        });
+        this._scheduleSave();
+        return alert;
+    }
+
+    /** Alerts still open (not acknowledged or resolved), oldest first. */
+    getOpen() {
+        return this._alerts.filter(a => a.state === 'open');
+    }
+
+    /**
+     * Acknowledge a device's open alerts of the given types (when the
+     * underlying SOS / man-down episode is acknowledged through its own API).
+     * @param {string} deviceId
+     * @param {string[]} types
+     * @returns {object[]} alerts acknowledged
+     */
+    acknowledgeOpen(deviceId, types, by, note) {
+        return this._alerts
+            .filter(a => a.deviceId === deviceId && a.state === 'open' && types.includes(a.type))
+            .map(a => this.acknowledge(a.id, by, note).alert);
+    }
+
+    /**
+     * Filtered alerts, newest first.
+     * @param {{severity?: string, type?: string, state?: string, deviceId?: string, from?: number, to?: number, limit?: number}} q
+     *   severity / type / state may be comma-separated lists; from / to are epoch ms
+     * @returns {{alerts: object[], total: number}} total = matches before the limit
+     */
+    query(q = {}) {
+        const list = (v) => v ? String(v).split(',').map(s => s.trim()).filter(Boolean) : null;
+        const severities = list(q.severity);
+        const types = list(q.type);
+        const states = list(q.state);
+
+        const matches = [];
+        for (let i = this._alerts.length - 1; i >= 0; i--) {
+            const a = this._alerts[i];
+            if (severities && !severities.includes(a.severity)) continue;
+            if (types && !types.includes(a.type)) continue;
+            if (states && !states.includes(a.state)) continue;
+            if (q.deviceId && a.deviceId !== q.deviceId) continue;
+            const t = Date.parse(a.timestamp);
+            if (q.from != null && t < q.from) continue;
+            if (q.to != null && t > q.to) continue;
+            matches.push(a);
+        }
+        return { alerts: matches.slice(0, q.limit || 100), total: matches.length };
+    }
+
+    /** Alert count per state. */
+    counts() {
+        const counts = { open: 0, acknowledged: 0, resolved: 0 };
+        for (const a of this._alerts) counts[a.state]++;
+        return counts;
+    }
+
+    /**
+     * Write pending changes now, after any write already running.
+     * @returns {Promise<void>} rejects if the write fails (it is retried later)
+     */
+    flush() {
+        return this._save();
+    }
+
+    /**
+     * Write pending changes now (on shutdown).
+     */
+    flushSync() {
+        if (this._saveTimer) {
+            clearTimeout(this._saveTimer);
+            this._saveTimer = null;
+        }
+        if (this._savedVersion === this._version) return;
+        try {
+            this._write();
+        } catch (e) {
+            console.error('[AlertStore] Save failed:', e.message);
+        }
+    }
+
+    // ─── Internals ───────────────────────────────────────────────────
+
+    _transition(id, state, from, by, note) {
+        const alert = this._byId.get(id);
+        if (!alert) return { error: 'not_found' };
+        if (!from.includes(alert.state)) return { error: `Alert is ${alert.state}` };
+        const at = new Date().toISOString();
+        alert.state = state;
+        alert[state] = { by, at, note: note || '' };
+        alert.audit.push({ action: state, by, at, note: note || '' });
+        this._scheduleSave();
+        return { alert };
+    }
+
+    _prune() {
+        const before = this._alerts.length;
+        if (this._retentionDays > 0) {
+            const cutoff = Date.now() - this._retentionDays * DAY_MS;
+            this._alerts = this._alerts.filter(a => a.state !== 'resolved' || Date.parse(a.timestamp) >= cutoff);
+        }
+        // Over the cap: resolved alerts go first, then the oldest of the rest
+        let excess = this._alerts.length - this._maxAlerts;
+        if (excess > 0) {
+            this._alerts = this._alerts.filter(a => {
+                if (excess <= 0 || a.state !== 'resolved') return true;
+                excess--;
+                return false;
+            });
+        }
+        if (this._alerts.length > this._maxAlerts) {
+            this._alerts = this._alerts.slice(-this._maxAlerts);
+        }
+        if (this._alerts.length !== before) {
+            this._byId = new Map(this._alerts.map(a => [a.id, a]));
+        }
+    }
+
+    _scheduleSave() {
+        this._version++;
+        this._armSave(this._saveDelayMs);
+    }
+
+    _armSave(delayMs) {
+        if (this._saveTimer) return;
+        this._saveTimer = setTimeout(() => {
+            this._saveTimer = null;
+            this._save().catch(() => {}); // logged and retried by _save
+        }, delayMs);
+    }
+
+    /** Queue a write behind the one in progress; a failure re-arms the save timer. */
+    _save() {
+        if (this._saveTimer) {
+            clearTimeout(this._saveTimer);
+            this._saveTimer = null;
+        }
+        const run = this._saving.then(() => this._writeAsync());
+        this._saving = run.catch(e => {
+            console.error('[AlertStore] Save failed, retrying:', e.message);
+            this._armSave(SAVE_RETRY_DELAY_MS);
+        });
+        return run;
+    }
+
+    async _writeAsync() {
+        const version = this._version;
+        if (version === this._savedVersion) return;
+        await fs.promises.mkdir(path.dirname(this._file), { recursive: true });
+        const tmp = this._file + '.tmp';
+        await fs.promises.writeFile(tmp, JSON.stringify({ alerts: this._alerts }), 'utf8');
+        // flushSync ran meanwhile and wrote newer state
+        if (this._savedVersion >= version) {
+            await fs.promises.unlink(tmp).catch(() => {});
+            return;
+        }
+        await fs.promises.rename(tmp, this._file);
+        this._savedVersion = Math.max(this._savedVersion, version);
+    }
+
+    _write() {
+        fs.mkdirSync(path.dirname(this._file), { recursive: true });
+        const tmp = this._file + '.sync.tmp'; // never the file an async write is filling
+        fs.writeFileSync(tmp, JSON.stringify({ alerts: this._alerts }), 'utf8');
+        fs.renameSync(tmp, this._file);
+        this._savedVersion = this._version;
+    }
+
+    _load() {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this._file, 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') console.error('[AlertStore] Could not read', this._file, '-', e.message);
+            return;
+        }
+        this._alerts = (Array.isArray(data.alerts) ? data.alerts : [])
+            .filter(a => a && a.id && ALERT_STATES.includes(a.state));
+        this._byId = new Map(this._alerts.map(a => [a.id, a]));
+        this._prune();
+        const counts = this.counts();
+        console.log(`[AlertStore] Loaded ${this._alerts.length} alerts (${counts.open} open, ${counts.acknowledged} acknowledged)`);
+    }
+}
+
+module.exports = { AlertStore, ALERT_STATES };
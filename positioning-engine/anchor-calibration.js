@@ -0,0 +1,338 @@
+/**
+ * Anchor Calibration — checks hand-entered anchor coordinates against the
+ * distances the anchors measure to each other.
+ *
+ * Anchor-to-anchor reports (an anchor's own CS ranges / neighbour scan over
+ * MQTT, or POST /api/indoor/floors/:id/anchor-ranges) are kept per anchor pair.
+ * A pair's distance is the median of its recent Channel Sounding samples, or
+ * of its RSSI samples when it has no CS ones.
+ *
+ * calibrateAnchors() solves a floor's layout from those distances alone:
+ *   1. Classical MDS on the distance matrix gives a relative layout; pairs
+ *      without a measurement use the shortest path through measured pairs.
+ *   2. The layout is rotated, mirrored and shifted onto the surveyed anchors
+ *      (anchors[].surveyed — 2 or more points measured on site).
+ *   3. Stress refinement fits the other anchors to the measured distances,
+ *      with the surveyed anchors held at their configured positions.
+ * Anchors further than thresholdM from their solved position are flagged.
+ * The solved layout is only offered for review; nothing is changed here.
+ */
+
+const MAX_SAMPLES = 50;              // per pair and method
+const DEFAULT_THRESHOLD_M = 0.5;
+const DEFAULT_MIN_LINKS = 3;         // fewer measured neighbours leave a 2D position ambiguous
+const POWER_ITERATIONS = 200;
+const REFINE_ITERATIONS = 500;
+const REFINE_TOLERANCE_M = 1e-4;
+
+class AnchorRanges {
+    constructor() {
+        this._pairs = new Map();    // "a|b" (sorted ids) -> {a, b, cs: number[], rssi: number[], lastUpdate}
+    }
+
+    /**
+     * Record one anchor-to-anchor distance.
+     * @param {string} from - Anchor that measured
+     * @param {string} to - Anchor it measured
+     * @param {number} distance - Metres
+     * @param {string} [method] - 'rssi' or 'cs' (default)
+     */
+    add(from, to, distance, method) {
+        if (!from || !to || from === to || !(distance > 0)) return;
+        const [a, b] = from < to ? [from, to] : [to, from];
+        const key = `${a}|${b}`;
+        let pair = this._pairs.get(key);
+        if (!pair) {
+            pair = { a, b, cs: [], rssi: [], lastUpdate: 0 };
+            this._pairs.set(key, pair);
+        }
+        const samples = method === 'rssi' ? pair.rssi : pair.cs;
+        samples.push(distance);
+        if (samples.length > MAX_SAMPLES) samples.shift();
+        pair.lastUpdate = Date.now();
+    }
+
+    /**
+     * Measured distances between the given anchors.
+     * @param {string[]} anchorIds
+     * @returns {Array<{a: string, b: string, distance_m: number, method: string, samples: number, lastUpdate: number}>}
+     */
+    get(anchorIds) {
+        const ids = new Set(anchorIds);
+        const out = [];
+        for (const pair of this._pairs.values()) {
+            if (!ids.has(pair.a) || !ids.has(pair.b)) continue;
+            const cs = pair.cs.length > 0;
+            const samples = cs ? pair.cs : pair.rssi;
+            out.push({
+                a: pair.a,
+                b: pair.b,
+                distance_m: median(samples),
+                method: cs ? 'cs' : 'rssi',
+                samples: samples.length,
+                lastUpdate: pair.lastUpdate
+            });
+        }
+        return out;
+    }
+}
+
+/**
+ * Solve a floor's anchor layout from inter-anchor distances and compare it
+ * with the configured coordinates.
+ *
+ * @param {Array<{id: string, x: number, y: number, z?: number, surveyed?: boolean}>} anchors - Floor anchors as configured
+ * @param {Array<{a: string, b: string, distance_m: number}>} ranges - Measured (slant) distances (AnchorRanges.get)
+ * @param {{thresholdM?: number, minLinks?: number}} [opts]
+ * @returns {{error: string}|{anchors: object[], flagged: string[], layout: object[], rms: number|null, pairs: number}}
+ *   anchors[]: {id, configured: {x, y}, solved: {x, y}|null, deviation, links, residual,
+ *               status: 'surveyed'|'ok'|'moved'|'unconstrained'};
+ *   layout is the configured anchor list with the moved anchors at their solved x/y
+ */
+function calibrateAnchors(anchors, ranges, opts = {}) {
+    const threshold = opts.thresholdM ?? DEFAULT_THRESHOLD_M;
+    const minLinks = opts.minLinks ?? DEFAULT_MIN_LINKS;
+    const n = anchors.length;
+    const index = new Map(anchors.map((a, i) => [a.id, i]));
+    const surveyed = [];
+    anchors.forEach((a, i) => { if (a.surveyed) surveyed.push(i); });
+    if (surveyed.length < 2) return { error: 'Mark at least 2 anchors as surveyed' };
+
+    // Horizontal distances: ranges are slant between the anchor heights
+    const D = Array.from({ length: n }, () => new Array(n).fill(null));
+    const links = new Array(n).fill(0);
+    let pairs = 0;
+    for (const r of ranges) {
+        const i = index.get(r.a);
+        const j = index.get(r.b);
+        if (i === undefined || j === undefined || i === j) continue;
+        const dz = (anchors[i].z || 0) - (anchors[j].z || 0);
+        const d = Math.sqrt(Math.max(0, r.distance_m * r.distance_m - dz * dz));
+        if (D[i][j] === null) {
+            links[i]++;
+            links[j]++;
+            pairs++;
+        }
+        D[i][j] = D[j][i] = d;
+    }
+
+    // Only anchors linked to the surveyed ones can be placed
+    const rows = connected(D, surveyed[0]);
+    if (!surveyed.every(i => rows.includes(i))) return { error: 'Surveyed anchors are not linked by measured ranges' };
+
+    const X = classicalMds(shortestPaths(D, rows));
+    const pos = new Map(rows.map((i, k) => [i, X[k]]));
+    alignToSurveyed(pos, anchors, surveyed);
+    refine(pos, D, anchors, new Set(surveyed));
+
+    // Report
+    let sumSq = 0;
+    let count = 0;
+    const report = anchors.map((a, i) => {
+        const p = pos.get(i);
+        const entry = {
+            id: a.id,
+            configured: { x: a.x, y: a.y },
+            solved: null,
+            deviation: null,
+            links: links[i],
+            residual: null,
+            status: 'unconstrained'
+        };
+        if (!p) return entry;
+
+        let sq = 0;
+        let k = 0;
+        for (const [j, q] of pos) {
+            if (D[i][j] === null) continue;
+            const r = Math.hypot(p[0] - q[0], p[1] - q[1]) - D[i][j];
+            sq += r * r;
+            k++;
+            if (j > i) { sumSq += r * r; count++; }
+        }
+        entry.solved = { x: round(p[0]), y: round(p[1]) };
+        entry.deviation = round(Math.hypot(p[0] - a.x, p[1] - a.y));
+        entry.residual = k ? round(Math.sqrt(sq / k)) : null;
+        if (a.surveyed) entry.status = 'surveyed';
+        else if (links[i] < minLinks) entry.status = 'unconstrained';
+        else entry.status = entry.deviation > threshold ? 'moved' : 'ok';
+        return entry;
+    });
+
+    const flagged = report.filter(e => e.status === 'moved').map(e => e.id);
+    const layout = anchors.map((a, i) => report[i].status === 'moved'
+        ? { ...a, x: report[i].solved.x, y: report[i].solved.y }
+        : { ...a });
+
+    return { anchors: report, flagged, layout, rms: count ? round(Math.sqrt(sumSq / count)) : null, pairs };
+}
+
+// ─── Internals ───────────────────────────────────────────────────
+
+/**
+ * Indices reachable from start through measured pairs.
+ */
+function connected(D, start) {
+    const seen = new Set([start]);
+    const queue = [start];
+    while (queue.length) {
+        const i = queue.shift();
+        for (let j = 0; j < D.length; j++) {
+            if (D[i][j] !== null && !seen.has(j)) {
+                seen.add(j);
+                queue.push(j);
+            }
+        }
+    }
+    return Array.from(seen).sort((a, b) => a - b);
+}
+
+/**
+ * Full distance matrix over rows: measured where available, else the
+ * shortest path through measured pairs (Floyd–Warshall).
+ */
+function shortestPaths(D, rows) {
+    const m = rows.length;
+    const G = rows.map(i => rows.map(j => i === j ? 0 : (D[i][j] ?? Infinity)));
+    for (let k = 0; k < m; k++) {
+        for (let i = 0; i < m; i++) {
+            for (let j = 0; j < m; j++) {
+                const via = G[i][k] + G[k][j];
+                if (via < G[i][j]) G[i][j] = via;
+            }
+        }
+    }
+    return G;
+}
+
+/**
+ * Classical (Torgerson) MDS to 2D: the two largest eigenvectors of the
+ * double-centred squared distance matrix.
+ */
+function classicalMds(G) {
+    const m = G.length;
+    const D2 = G.map(row => row.map(d => d * d));
+    const rowMean = D2.map(row => row.reduce((s, v) => s + v, 0) / m);
+    const total = rowMean.reduce((s, v) => s + v, 0) / m;
+    const B = D2.map((row, i) => row.map((v, j) => -0.5 * (v - rowMean[i] - rowMean[j] + total)));
+
+    const X = Array.from({ length: m }, () => [0, 0]);
+    for (let axis = 0; axis < 2; axis++) {
+        const { vector, value } = largestEigen(B);
+        const scale = Math.sqrt(Math.max(value, 0));
+        for (let i = 0; i < m; i++) {
+            X[i][axis] = vector[i] * scale;
+            for (let j = 0; j < m; j++) B[i][j] -= value * vector[i] * vector[j];
+        }
+    }
+    return X;
+}
+
+/**
+ * Largest eigenvalue / unit eigenvector of a symmetric matrix (power iteration,
+ * shifted by the Gershgorin bound so negative eigenvalues cannot dominate).
+ */
+function largestEigen(B) {
+    const m = B.length;
+    const shift = Math.max(0, ...B.map(row => row.reduce((s, v) => s + Math.abs(v), 0)));
+    let v = Array.from({ length: m }, (_, i) => 1 + i / m);
+    let norm = Math.hypot(...v);
+    v = v.map(x => x / norm);
+    for (let it = 0; it < POWER_ITERATIONS; it++) {
+        const w = B.map((row, i) => row.reduce((s, b, j) => s + b * v[j], 0) + shift * v[i]);
+        norm = Math.hypot(...w);
+        if (norm < 1e-12) break;
+        v = w.map(x => x / norm);
+    }
+    const value = B.reduce((s, row, i) => s + v[i] * row.reduce((t, b, j) => t + b * v[j], 0), 0);
+    return { vector: v, value };
+}
+
+/**
+ * Rotate, mirror and shift the layout onto the surveyed anchors (2D Procrustes,
+ * no scaling — the distances are already metric). With three or more surveyed
+ * anchors they decide the mirror image; with two, the image that agrees with
+ * most configured anchors wins.
+ */
+function alignToSurveyed(pos, anchors, surveyed) {
+    let best = null;
+    for (const mirror of [false, true]) {
+        const P = surveyed.map(i => mirror ? [pos.get(i)[0], -pos.get(i)[1]] : pos.get(i));
+        const Q = surveyed.map(i => [anchors[i].x, anchors[i].y]);
+        const pc = centroid(P);
+        const qc = centroid(Q);
+        let a = 0;
+        let b = 0;
+        for (let k = 0; k < P.length; k++) {
+            const px = P[k][0] - pc[0], py = P[k][1] - pc[1];
+            const qx = Q[k][0] - qc[0], qy = Q[k][1] - qc[1];
+            a += px * qx + py * qy;
+            b += px * qy - py * qx;
+        }
+        const theta = Math.atan2(b, a);
+        const cos = Math.cos(theta), sin = Math.sin(theta);
+        const transform = ([x, y]) => {
+            const px = x - pc[0];
+            const py = (mirror ? -y : y) - pc[1];
+            return [cos * px - sin * py + qc[0], sin * px + cos * py + qc[1]];
+        };
+
+        const misfit = (ids) => ids.map(i => {
+            const [x, y] = transform(pos.get(i));
+            return Math.hypot(x - anchors[i].x, y - anchors[i].y);
+        });
+        const score = surveyed.length >= 3
+            ? misfit(surveyed).reduce((s, e) => s + e * e, 0)
+            : median(misfit(Array.from(pos.keys())));
+        if (!best || score < best.score) best = { score, transform };
+    }
+    for (const [i, p] of pos) pos.set(i, best.transform(p));
+}
+
+/**
+ * Stress refinement (SMACOF / Guttman update per anchor over its measured
+ * pairs), keeping the fixed anchors where they are.
+ */
+function refine(pos, D, anchors, fixed) {
+    for (const i of fixed) pos.set(i, [anchors[i].x, anchors[i].y]);
+    const free = Array.from(pos.keys()).filter(i => !fixed.has(i));
+    for (let it = 0; it < REFINE_ITERATIONS; it++) {
+        let moved = 0;
+        for (const i of free) {
+            const p = pos.get(i);
+            let sx = 0, sy = 0, k = 0;
+            for (const [j, q] of pos) {
+                if (j === i || D[i][j] === null) continue;
+                const dx = p[0] - q[0], dy = p[1] - q[1];
+                const dist = Math.hypot(dx, dy) || 1e-9;
+                sx += q[0] + D[i][j] * dx / dist;
+                sy += q[1] + D[i][j] * dy / dist;
+                k++;
+            }
+            if (!k) continue;
+            const next = [sx / k, sy / k];
+            moved = Math.max(moved, Math.hypot(next[0] - p[0], next[1] - p[1]));
+            pos.set(i, next);
+        }
+        if (moved < REFINE_TOLERANCE_M) break;
+    }
+}
+
+function centroid(points) {
+    const c = [0, 0];
+    for (const p of points) { c[0] += p[0]; c[1] += p[1]; }
+    return [c[0] / points.length, c[1] / points.length];
+}
+
+function median(values) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function round(v) {
+    return Math.round(v * 1000) / 1000;
+}
+
+module.exports = { AnchorRanges, calibrateAnchors };
@@ -0,0 +1,207 @@
+/**
+ * API Auth — API keys, signed tokens and role checks for HTTP + WebSocket.
+ *
+ * Roles (each includes the ones before it):
+ *   viewer   — read-only: devices, zones, alerts, history, stats, WebSocket streams
+ *   operator — viewer + day-to-day changes (zone CRUD)
+ *   admin    — operator + engine configuration (floors, anchors, plans, settings)
+ *
+ * Credentials:
+ *   - API keys from config (`key` in plain text or `key_sha256` hex digest)
+ *   - Signed tokens issued by POST /api/indoor/auth/token:
+ *       base64url(JSON {sub, role, exp}) + "." + base64url(HMAC-SHA256)
+ *
+ * Sent as `Authorization: Bearer <key|token>` or `X-API-Key: <key>`.
+ * WebSocket clients pass `?token=` on the upgrade URL or send
+ * {"type":"auth","token":"..."} as their first message.
+ */
+
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const DEFAULT_TOKEN_TTL_SECONDS = 12 * 60 * 60; // 12 hours
+const ANONYMOUS_ADMIN = Object.freeze({ name: 'anonymous', role: 'admin', via: 'none' });
+
+class ApiAuth {
+    /**
+     * @param {object} opts
+     * @param {boolean} [opts.enabled=true] - false = every request is treated as admin
+     * @param {Array<{name?: string, key?: string, key_sha256?: string, role: string}>} [opts.apiKeys]
+     * @param {string} [opts.tokenSecret] - HMAC secret (random per process if empty)
+     * @param {number} [opts.tokenTtlSeconds=43200]
+     * @param {string[]} [opts.corsOrigins=['*']]
+     */
+    constructor(opts = {}) {
+        this._enabled = opts.enabled !== false;
+        this._tokenTtlSeconds = opts.tokenTtlSeconds || DEFAULT_TOKEN_TTL_SECONDS;
+        this._corsOrigins = opts.corsOrigins && opts.corsOrigins.length ? opts.corsOrigins : ['*'];
+
+        // sha256(key) hex -> {name, role}
+        this._keys = new Map();
+        for (const k of opts.apiKeys || []) {
+            const role = ROLES.includes(k.role) ? k.role : 'viewer';
+            const digest = k.key_sha256 ? String(k.key_sha256).toLowerCase() : k.key ? sha256(k.key) : null;
+            if (!digest) continue;
+            this._keys.set(digest, { name: k.name || 'key-' + digest.slice(0, 8), role });
+        }
+
+        this._tokenSecret = opts.tokenSecret || null;
+        if (!this._tokenSecret) {
+            this._tokenSecret = crypto.randomBytes(32).toString('hex');
+            if (this._enabled) console.warn('[Auth] No token_secret configured — issued tokens are invalidated on restart');
+        }
+    }
+
+    /** Whether authentication is enforced. */
+    get enabled() {
+        return this._enabled;
+    }
+
+    /** Number of configured API keys. */
+    get keyCount() {
+        return this._keys.size;
+    }
+
+    /**
+     * Resolve a credential (API key or signed token) to a principal.
+     * @param {string} credential
+     * @returns {{name: string, role: string, via: string, exp?: number}|null}
+     */
+    authenticate(credential) {
+        if (!this._enabled) return ANONYMOUS_ADMIN;
+        if (!credential || typeof credential !== 'string') return null;
+
+        const key = this._keys.get(sha256(credential));
+        if (key) return { name: key.name, role: key.role, via: 'key' };
+
+        return this._verifyToken(credential);
+    }
+
+    /**
+     * Authenticate an HTTP request (also used for the WebSocket upgrade).
+     * @param {http.IncomingMessage} req
+     * @param {object} [query] - Parsed query string (`token` is accepted)
+     * @returns {{name: string, role: string, via: string}|null} null = missing or invalid credential
+     */
+    authenticateRequest(req, query) {
+        if (!this._enabled) return ANONYMOUS_ADMIN;
+        const credential = extractCredential(req, query);
+        return credential ? this.authenticate(credential) : null;
+    }
+
+    /**
+     * @param {{role: string}|null} principal
+     * @param {string} role - Minimum role
+     * @returns {boolean}
+     */
+    hasRole(principal, role) {
+        if (!principal) return false;
+        return ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+    }
+
+    /**
+     * Issue a signed token. The role can be lowered but never raised above the caller's.
+     *
+     * @param {{name: string, role: string}} principal - Caller
+     * @param {object} [opts]
+     * @param {string} [opts.role] - Requested role (defaults to the caller's)
+     * @param {number} [opts.ttlSeconds]
+     * @returns {{token: string, role: string, expiresAt: number}|{error: string}}
+     */
+    issueToken(principal, opts = {}) {
+        const role = opts.role || principal.role;
+        if (!ROLES.includes(role)) return { error: `Role must be one of: ${ROLES.join(', ')}` };
+        if (!this.hasRole(principal, role)) return { error: `Cannot issue a token above the caller role (${principal.role})` };
+
+        const ttl = Math.min(opts.ttlSeconds || this._tokenTtlSeconds, this._tokenTtlSeconds);
+        const exp = Math.floor(Date.now() / 1000) + ttl;
+        const payload = base64url(JSON.stringify({ sub: principal.name, role, exp }));
+        return { token: payload + '.' + this._sign(payload), role, expiresAt: exp };
+    }
+
+    /**
+     * Set CORS headers for the request origin.
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     */
+    applyCors(req, res) {
+        if (this._corsOrigins.includes('*')) {
+            res.setHeader('Access-Control-Allow-Origin', '*');
+        } else {
+            const origin = req.headers.origin;
+            if (origin && this._corsOrigins.includes(origin)) {
+                res.setHeader('Access-Control-Allow-Origin', origin);
+            }
+            res.setHeader('Vary', 'Origin');
+        }
+        res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+    }
+
+    /**
+     * Whether a browser origin may open a WebSocket.
+     * @param {string|undefined} origin
+     */
+    isOriginAllowed(origin) {
+        return !origin || this._corsOrigins.includes('*') || this._corsOrigins.includes(origin);
+    }
+
+    // ─── Internals ───────────────────────────────────────────────────
+
+    _sign(payload) {
+        return crypto.createHmac('sha256', this._tokenSecret).update(payload).digest('base64url');
+    }
+
+    _verifyToken(token) {
+        const parts = token.split('.');
+        if (parts.length !== 2) return null;
+
+        const expected = Buffer.from(this._sign(parts[0]));
+        const actual = Buffer.from(parts[1]);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+        let claims;
+        try { claims = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8')); }
+        catch (e) { return null; }
+
+        if (!claims || !ROLES.includes(claims.role)) return null;
+        if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+        return { name: claims.sub || 'token', role: claims.role, via: 'token', exp: claims.exp };
+    }
+}
+
+/**
+ * Minimum role for an API route. Reads need viewer; engine configuration
+ * (floors, anchors, plans, settings, notification channels, rules) needs admin;
+ * other writes need operator.
+ * @param {string} method - HTTP method
+ * @param {string} url - Path without the query string
+ * @returns {string}
+ */
+function requiredRole(method, url) {
+    if (method === 'GET' || method === 'HEAD') return 'viewer';
+    if (/^\/api\/indoor\/(settings|floors|notifications|rules)(\/|$)/.test(url)) return 'admin';
+    if (/^\/api\/indoor\/auth\/token\/?$/.test(url)) return 'viewer'; // issued role is capped at the caller's
+    return 'operator';
+}
+
+/**
+ * Pull the credential from Authorization / X-API-Key headers or ?token=.
+ */
+function extractCredential(req, query) {
+    const header = req.headers.authorization;
+    if (header && /^Bearer\s+/i.test(header)) return header.replace(/^Bearer\s+/i, '').trim();
+    if (req.headers['x-api-key']) return String(req.headers['x-api-key']).trim();
+    if (query && query.token) return String(query.token);
+    return null;
+}
+
+function sha256(s) {
+    return crypto.createHash('sha256').update(String(s)).digest('hex');
+}
+
+function base64url(s) {
+    return Buffer.from(s, 'utf8').toString('base64url');
+}
+
+module.exports = { ApiAuth, ROLES, requiredRole };
@@ -6,6 +6,7 @@
  *   - Merge update: only overwrites non-null fields
  *   - Floor-based queries
  *   - Automatic stale sweep (marks offline after timeout)
+ *   - Update / offline listeners (e.g. the proximity monitor's spatial index)
  *   - Mock data seeding for development
  */
 
@@ -17,6 +18,24 @@ class DeviceCache {
         this._cache = new Map();
         this._offlineTimeout = opts.offlineTimeout || OFFLINE_TIMEOUT_MS;
         this._sweepTimer = null;
+        this._onUpdate = null;
+        this._onOffline = null;
+    }
+
+    /**
+     * Register a listener for every device update (called with the merged device).
+     * @param {function(object): void} fn
+     */
+    setOnUpdate(fn) {
+        this._onUpdate = fn;
+    }
+
+    /**
+     * Register a listener for devices the stale sweep marks offline.
+     * @param {function(object): void} fn
+     */
+    setOnOffline(fn) {
+        this._onOffline = fn;
     }
 
     /**
@@ -47,10 +66,14 @@ class DeviceCache {
             confidence:  device.confidence ?? (existing ? existing.confidence : 0),
             geo:         device.geo        ?? (existing ? existing.geo : null),
             speed:       device.speed      ?? (existing ? existing.speed : 0),
-            zones:       device.zones      ?? (existing ? existing.zones : [])
+            zones:       device.zones      ?? (existing ? existing.zones : []),
+            gdop:        device.gdop       ?? (existing ? existing.gdop : null),
+            covariance:  device.covariance ?? (existing ? existing.covariance : null),
+            ellipse:     device.ellipse    ?? (existing ? existing.ellipse : null)
         };
 
         this._cache.set(device.id, merged);
+        if (this._onUpdate) this._onUpdate(merged);
         return merged;
     }
 
@@ -95,6 +118,7 @@ class DeviceCache {
             if (device.lastUpdate < thresholdSec && device.status === 'online') {
                 device.status = 'offline';
                 newlyOffline.push(device);
+                if (this._onOffline) this._onOffline(device);
             }
         }
 
@@ -120,6 +144,14 @@ class DeviceCache {
         }
     }
 
+    /**
+     * Change the offline timeout (applies from the next sweep).
+     * @param {number} ms
+     */
+    setOfflineTimeout(ms) {
+        if (ms > 0) this._offlineTimeout = ms;
+    }
+
     /**
      * Remove a device from cache.
      * @param {string} id
@@ -14,7 +14,7 @@
  *   D. Generic           — pilot/indoor/distances/+ (custom)
  *
  * Features over v2.0:
- *   - Binary protobuf decode (EP 238 positioning, EP 10/11/12 sensors)
+ *   - Binary protobuf decode (EP 238 positioning, EP 10/11/12 sensors, EP 13 button)
  *   - Gateway registry with health tracking
  *   - Mesh anchor management (auto-discover from messages)
  *   - Distance-based adaptive rate (vs old speed-based)
@@ -59,6 +59,8 @@ const meshAnchors = new Map();
 const elaDevices = new Map();
 // Per-tag battery cache
 const tagBattery = new Map();
+// Listener for sensor-only messages (EP 10-13, JSON payload_data): (nodeId, sensors) => void
+let onSensorData = null;
 
 // Comprehensive stats (13 counters)
 const stats = {
@@ -199,7 +201,7 @@ function decodePositioningPayload(nodeId, payload) {
 
 /**
  * Decode application payload (sensor data).
- * EP 10: temperature, EP 11: temp+humidity, EP 12: motion
+ * EP 10: temperature, EP 11: temp+humidity, EP 12: motion, EP 13: button (SOS)
  *
  * @param {string} nodeId
  * @param {number} endpoint
@@ -220,9 +222,20 @@ function decodeApplicationPayload(nodeId, endpoint, payload) {
     if (endpoint === 12 && payload.length >= 1) {
         sensors.motion = payload[0] === 1;
     }
+    if (endpoint === 13 && payload.length >= 1) {
+        sensors.button = payload[0] !== 0;
+    }
     return sensors;
 }
 
+/**
+ * Button / panic press flag in a JSON tag report. Firmware variants use
+ * "button", "button_pressed" or "sos" (boolean or press count).
+ */
+function isButtonPress(item) {
+    return !!(item.button || item.button_pressed || item.sos);
+}
+
 // ══════════════════════════════════════════════════════════════
 //  GATEWAY & ANCHOR REGISTRY
 // ══════════════════════════════════════════════════════════════
@@ -294,14 +307,23 @@ function updateELADevice(id, upd) {
 }
 
 /**
- * Infer floor from anchor positions in measurements.
+ * Infer floor from anchor positions in measurements: the floor with the most
+ * quality / distance weight among the anchors heard (see floor-detector.js for
+ * hysteresis across fixes).
  */
 function inferFloorFromAnchors(measurements) {
+    const votes = new Map();
     for (const m of measurements) {
         const anchor = meshAnchors.get(m.anchor_id);
-        if (anchor) return anchor.floor;
+        if (!anchor) continue;
+        votes.set(anchor.floor, (votes.get(anchor.floor) || 0) + (m.quality ?? 1) / Math.max(m.distance_m, 1));
+    }
+    let floor = 1;
+    let best = 0;
+    for (const [f, v] of votes) {
+        if (v > best) { floor = f; best = v; }
     }
-    return 1;
+    return floor;
 }
 
 /**
@@ -380,7 +402,10 @@ function parseWNT(payload) {
             sensors.battery = Math.max(0, Math.min(100, Math.round(((item.voltage - 2.1) / 0.9) * 100)));
             tagBattery.set(String(tagId), sensors.battery);
         }
-        if (item.motion != null || item.accelerometer != null) sensors.motion = true;
+        if (item.pressure != null) sensors.pressure = item.pressure;
+        if (item.motion != null) sensors.motion = !!item.motion;
+        else if (item.accelerometer != null) sensors.motion = true;
+        if (isButtonPress(item)) sensors.button = true;
 
         const floor = inferFloorFromAnchors(measurements) || item.floor_id || item.floor || 1;
 
@@ -456,7 +481,9 @@ function parseELA(payload) {
         if (item.humidity != null) sensors.humidity = item.humidity;
         if (item.battery_level != null) { sensors.battery = item.battery_level; tagBattery.set(String(tagId), item.battery_level); }
         if (item.battery != null) { sensors.battery = item.battery; tagBattery.set(String(tagId), item.battery); }
+        if (item.pressure != null) sensors.pressure = item.pressure;
         if (item.movement != null) sensors.motion = item.movement;
+        if (isButtonPress(item)) sensors.button = true;
 
         results.push({
             tagId: String(tagId),
@@ -507,6 +534,7 @@ function parseProtobuf(topic, payload) {
                     lastSeen: Date.now()
                 });
                 if (sensorData.battery != null) tagBattery.set(nodeId, sensorData.battery);
+                emitSensorData(nodeId, isButtonPress(sensorData) ? { ...sensorData, button: true } : sensorData);
             }
         }
         return [];
@@ -522,11 +550,27 @@ function parseProtobuf(topic, payload) {
         const sensors = decodeApplicationPayload(nodeId, endpoint, payload);
         if (Object.keys(sensors).length > 0) {
             updateELADevice(nodeId, { ...sensors, lastSeen: Date.now() });
+            emitSensorData(nodeId, sensors);
         }
     }
     return [];
 }
 
+/**
+ * Register a listener for sensor readings that arrive without a position
+ * (e.g. EP 12 motion, EP 13 button). Used by server.js for man-down and SOS.
+ * @param {function(string, object): void} fn - (nodeId, sensors)
+ */
+function setOnSensorData(fn) {
+    onSensorData = fn;
+}
+
+function emitSensorData(nodeId, sensors) {
+    if (!onSensorData) return;
+    try { onSensorData(nodeId, sensors); }
+    catch (e) { console.error('[ELA] Sensor listener error:', e.message); }
+}
+
 /**
  * Convert neighbor scan data to tag measurements.
  */
@@ -576,7 +620,7 @@ function parseGeneric(payload) {
     return [{
         tagId: payload.tag_id || payload.tagId,
         measurements: payload.measurements || [],
-        sensors: {},
+        sensors: payload.sensors || {},
         floor: payload.floor ?? 1,
         name: payload.tag_name || payload.tagName || null,
         type: payload.type || 'person',
@@ -745,6 +789,7 @@ module.exports = {
     getMqttTopics,
     shouldProcessUpdate,
     getTagMotionState,
+    setOnSensorData,
 
     // Registries
     registerAnchor,
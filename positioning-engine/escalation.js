@@ -0,0 +1,147 @@
+/**
+ * Escalation — Re-notifies about alerts nobody has acknowledged.
+ *
+ * A policy (config.json "escalation.policies") picks alerts by severity and
+ * type, like a notification channel, and lists escalation levels:
+ *
+ *   levels[0] — channels notified after_minutes after the alert was raised (0 = at once)
+ *   levels[1] — further channels if the alert is still open at its after_minutes
+ *   ...
+ *   repeat_minutes — after the last level, notify it again at this interval (max_repeats times)
+ *
+ * The first matching policy applies. An alert stops escalating as soon as it
+ * is acknowledged or resolved. Progress is kept on the alert itself
+ * (alert.escalation, plus an "escalated" audit entry), so it survives restarts.
+ * check() only decides what is due; the caller sends and records it.
+ */
+
+const { matchesRoute } = require('./notifier');
+
+class EscalationManager {
+    /**
+     * @param {object} opts
+     * @param {object[]} [opts.policies] - Policy configs (see validatePolicies)
+     * @param {string[]} [opts.channelIds] - Notification channels levels may refer to
+     */
+    constructor(opts = {}) {
+        this._policies = [];
+        this.configure(opts.policies || [], opts.channelIds || []);
+    }
+
+    /**
+     * Replace the policy list. Invalid policies are logged and skipped.
+     * @param {object[]} policies
+     * @param {string[]} channelIds
+     */
+    configure(policies, channelIds) {
+        const errors = validatePolicies(policies, channelIds);
+        this._policies = (policies || []).filter((p, i) => {
+            const bad = Object.keys(errors).filter(k => k.startsWith(`policies[${i}]`));
+            if (!bad.length) return true;
+            console.warn(`[Escalation] Policy ${p && p.id || i} skipped: ${bad.map(k => `${k} ${errors[k]}`).join('; ')}`);
+            return false;
+        });
+    }
+
+    /** Active policies. */
+    getPolicies() {
+        return this._policies;
+    }
+
+    /**
+     * Escalation steps due for the given alerts.
+     * @param {object[]} alerts - Alerts from the alert store (only open ones escalate)
+     * @param {number} [now=Date.now()]
+     * @returns {{alert: object, policy: string, level: number, channels: string[], repeat: number}[]}
+     *   level is 1-based; repeat counts re-sends of the last level (0 = first time)
+     */
+    check(alerts, now = Date.now()) {
+        const due = [];
+        for (const alert of alerts) {
+            if (alert.state !== 'open') continue;
+            const policy = this._policyFor(alert);
+            if (!policy) continue;
+
+            const done = alert.escalation && alert.escalation.policy === policy.id ? alert.escalation : null;
+            const fired = done ? done.level : 0;
+            const raisedAt = Date.parse(alert.timestamp);
+
+            if (fired < policy.levels.length) {
+                const next = policy.levels[fired];
+                if (now >= raisedAt + (next.after_minutes || 0) * 60000) {
+                    due.push({ alert, policy: policy.id, level: fired + 1, channels: next.channels, repeat: 0 });
+                }
+                continue;
+            }
+
+            const repeats = done.repeats || 0;
+            if (!policy.repeat_minutes || repeats >= (policy.max_repeats ?? 3)) continue;
+            if (now >= Date.parse(done.at) + policy.repeat_minutes * 60000) {
+                const last = policy.levels[policy.levels.length - 1];
+                due.push({ alert, policy: policy.id, level: fired, channels: last.channels, repeat: repeats + 1 });
+            }
+        }
+        return due;
+    }
+
+    _policyFor(alert) {
+        return this._policies.find(p => p.enabled !== false && matchesRoute(p, alert));
+    }
+}
+
+/**
+ * Validate escalation policies.
+ * @param {object[]} policies
+ * @param {string[]} channelIds - Known notification channel ids
+ * @returns {object} {"policies[i].field": "message"} — empty when valid
+ */
+function validatePolicies(policies, channelIds) {
+    const errors = {};
+    if (policies == null) return errors;
+    if (!Array.isArray(policies)) return { policies: 'must be an array' };
+
+    const ids = new Set();
+    policies.forEach((p, i) => {
+        const k = `policies[${i}]`;
+        if (!p || typeof p !== 'object') { errors[k] = 'must be an object'; return; }
+        if (typeof p.id !== 'string' || !p.id) errors[`${k}.id`] = 'required';
+        else if (ids.has(p.id)) errors[`${k}.id`] = 'duplicate id';
+        else ids.add(p.id);
+
+        for (const key of ['severities', 'types', 'exclude_types']) {
+            if (p[key] != null && (!Array.isArray(p[key]) || p[key].some(t => typeof t !== 'string' || !t))) {
+                errors[`${k}.${key}`] = 'must be a list of strings';
+            }
+        }
+
+        if (!Array.isArray(p.levels) || !p.levels.length) {
+            errors[`${k}.levels`] = 'must list at least one level';
+        } else {
+            let prev = -1;
+            p.levels.forEach((level, j) => {
+                const lk = `${k}.levels[${j}]`;
+                const after = level && level.after_minutes != null ? level.after_minutes : 0;
+                if (typeof after !== 'number' || after < 0) errors[`${lk}.after_minutes`] = 'must be a number >= 0';
+                else if (after <= prev) errors[`${lk}.after_minutes`] = 'must be later than the previous level';
+                else prev = after;
+                const channels = level && level.channels;
+                if (!Array.isArray(channels) || !channels.length) {
+                    errors[`${lk}.channels`] = 'must list at least one channel';
+                } else {
+                    const unknown = channels.filter(c => !channelIds.includes(c));
+                    if (unknown.length) errors[`${lk}.channels`] = `unknown channel ${unknown.join(', ')}`;
+                }
+            });
+        }
+
+        if (p.repeat_minutes != null && !(typeof p.repeat_minutes === 'number' && p.repeat_minutes > 0)) {
+            errors[`${k}.repeat_minutes`] = 'must be > 0';
+        }
+        if (p.max_repeats != null && !(Number.isInteger(p.max_repeats) && p.max_repeats >= 0)) {
+            errors[`${k}.max_repeats`] = 'must be an integer >= 0';
+        }
+    });
+    return errors;
+}
+
+module.exports = { EscalationManager, validatePolicies };
@@ -0,0 +1,190 @@
+/**
+ * Floor Detector — decides which floor a tag is on from every anchor it hears,
+ * instead of trusting whichever anchor happens to come first.
+ *
+ * Each fix is a vote: every range to a known anchor adds quality / max(distance, 1 m)
+ * to that anchor's floor, so one close, clean anchor outweighs a distant RSSI
+ * range through the stairwell. A tag that reports barometric pressure (hPa)
+ * adds a vote for the floor nearest its altitude, worth barometerWeight × the
+ * anchor votes. Altitude is measured from the pressure the tag had on its
+ * current floor (floors[].elevation_m), so weather drift cancels out.
+ *
+ * Hysteresis: a tag changes floor only after another floor has won switchAfter
+ * fixes in a row with at least minShare of the vote. Where the current floor has
+ * transition zones (zone type "transition": stairs, lifts), the tag must also be
+ * inside one of them; floors without any do not restrict changes. A tag that got
+ * through without a fix in the zone (missed samples, a lift, fast stairs) would
+ * otherwise be held on the old floor with no fixes to ever put it in the zone, so
+ * the change is accepted anyway once the old floor's anchors give fewer than
+ * minAnchors ranges, or after transitionFallback further votes in a row.
+ */
+
+const METRES_PER_HPA = 8.3;         // near sea level
+const PRESSURE_SMOOTHING = 0.1;     // EMA factor for the reference pressure on the current floor
+
+class FloorDetector {
+    /**
+     * @param {object} opts
+     * @param {function(string, number): object|null|undefined} [opts.getTransitionZone] - (tagId, floor) →
+     *   transition zone the tag is in, null if it is in none, undefined if the floor has no transition zones
+     */
+    constructor(opts = {}) {
+        this._getTransitionZone = opts.getTransitionZone || (() => undefined);
+        this._anchors = new Map();      // anchorId -> floorId
+        this._elevations = new Map();   // floorId -> elevation_m
+        this._tags = new Map();         // tagId -> {floor, candidate, streak, refPressure}
+        this.configure(opts);
+    }
+
+    /**
+     * Apply runtime settings.
+     * @param {{enabled?: boolean, minShare?: number, switchAfter?: number, barometerWeight?: number,
+     *          transitionFallback?: number, minAnchors?: number}} opts
+     */
+    configure(opts) {
+        this._enabled = opts.enabled !== false;
+        this._minShare = opts.minShare ?? 0.6;
+        this._switchAfter = opts.switchAfter ?? 3;
+        this._barometerWeight = opts.barometerWeight ?? 1;
+        this._transitionFallback = opts.transitionFallback ?? 10;
+        this._minAnchors = opts.minAnchors ?? 3;
+        if (!this._enabled) this._tags.clear();
+    }
+
+    /**
+     * Load anchor floors and floor elevations from the floor configs.
+     * @param {object[]} floors
+     */
+    setFloors(floors) {
+        this._anchors.clear();
+        this._elevations.clear();
+        for (const floor of floors || []) {
+            for (const a of floor.anchors || []) this._anchors.set(a.id, floor.id);
+            if (Number.isFinite(floor.elevation_m)) this._elevations.set(floor.id, floor.elevation_m);
+        }
+    }
+
+    /**
+     * Determine a tag's floor for a fix.
+     * @param {string} tagId
+     * @param {Array<{anchor_id: string, distance_m: number, quality?: number}>} measurements
+     * @param {{floor?: number, pressure?: number}} [opts] - floor: what the parser reported
+     *   (kept when no anchor is known); pressure: barometer reading in hPa
+     * @returns {{floor: number, change: null|{from: number, to: number, share: number, barometer: boolean,
+     *            zoneId: string|null, zoneName: string|null, fallback: null|'anchors'|'votes'}}}
+     */
+    detect(tagId, measurements, opts = {}) {
+        const fallback = { floor: opts.floor, change: null };
+        if (!this._enabled) return fallback;
+
+        const votes = new Map();
+        let total = 0;
+        for (const m of measurements) {
+            const floor = this._anchors.get(m.anchor_id);
+            if (floor == null) continue;
+            const w = (m.quality ?? 1) / Math.max(m.distance_m, 1);
+            votes.set(floor, (votes.get(floor) || 0) + w);
+            total += w;
+        }
+        if (!total) return fallback;
+
+        let state = this._tags.get(tagId);
+        const pressure = Number.isFinite(opts.pressure) ? opts.pressure : null;
+        const baroFloor = state && pressure != null ? this._barometerFloor(state, pressure) : null;
+        if (baroFloor != null && this._barometerWeight > 0) {
+            const w = total * this._barometerWeight;
+            votes.set(baroFloor, (votes.get(baroFloor) || 0) + w);
+            total += w;
+        }
+
+        let best = null;
+        for (const [floor, v] of votes) {
+            if (best == null || v > votes.get(best)) best = floor;
+        }
+
+        if (!state) {
+            state = { floor: best, candidate: null, streak: 0, refPressure: pressure };
+            this._tags.set(tagId, state);
+            return { floor: best, change: null };
+        }
+
+        if (best === state.floor) {
+            state.candidate = null;
+            state.streak = 0;
+            // Track slow weather drift, not a climb the anchors have not caught up with yet
+            if (pressure != null && (baroFloor == null || baroFloor === state.floor)) {
+                state.refPressure = state.refPressure == null
+                    ? pressure
+                    : state.refPressure + (pressure - state.refPressure) * PRESSURE_SMOOTHING;
+            }
+            return { floor: state.floor, change: null };
+        }
+
+        const share = votes.get(best) / total;
+        if (share < this._minShare) {
+            state.candidate = null;
+            state.streak = 0;
+            return { floor: state.floor, change: null };
+        }
+        state.streak = state.candidate === best ? state.streak + 1 : 1;
+        state.candidate = best;
+        if (state.streak < this._switchAfter) return { floor: state.floor, change: null };
+
+        // Enough evidence; only through a stairwell / lift where the floor has them
+        const zone = this._getTransitionZone(tagId, state.floor);
+        let bypass = null;
+        if (zone === null) {
+            const heard = measurements.filter(m => this._anchors.get(m.anchor_id) === state.floor).length;
+            if (heard < this._minAnchors) bypass = 'anchors';
+            else if (state.streak >= this._switchAfter + this._transitionFallback) bypass = 'votes';
+            else return { floor: state.floor, change: null };
+        }
+
+        const change = {
+            from: state.floor,
+            to: best,
+            share: Math.round(share * 100) / 100,
+            barometer: baroFloor === best,
+            zoneId: zone ? zone.id : null,
+            zoneName: zone ? zone.name : null,
+            fallback: bypass
+        };
+        state.floor = best;
+        state.candidate = null;
+        state.streak = 0;
+        state.refPressure = pressure;
+        return { floor: best, change };
+    }
+
+    /**
+     * Forget a tag (offline / removed).
+     * @param {string} tagId
+     */
+    remove(tagId) {
+        this._tags.delete(tagId);
+    }
+
+    // ─── Internals ───────────────────────────────────────────────────
+
+    /**
+     * Floor nearest the altitude implied by the pressure change since the tag
+     * settled on its current floor, or null without the elevations to tell.
+     */
+    _barometerFloor(state, pressure) {
+        const base = this._elevations.get(state.floor);
+        if (base == null || state.refPressure == null) return null;
+        const altitude = base + (state.refPressure - pressure) * METRES_PER_HPA;
+        let best = null;
+        let bestDiff = Infinity;
+        for (const [floor, elevation] of this._elevations) {
+            const diff = Math.abs(elevation - altitude);
+            if (diff < bestDiff) {
+                best = floor;
+                bestDiff = diff;
+            }
+        }
+        return best;
+    }
+}
+
+module.exports = { FloorDetector };
@@ -4,6 +4,9 @@
  *
  * - haversineDistance: meters between two lat/lon points
  * - pointInPolygon: ray-casting for indoor x/y zone detection
+ * - distanceToPolygonEdge: distance from an x/y point to the nearest polygon edge
+ * - nearestPointOnPolygonEdge: closest x/y point on a polygon's boundary
+ * - segmentIntersection: where two x/y segments cross (walls vs. movement)
  * - euclideanDistance: meters between two x/y points
  */
 
@@ -45,6 +48,74 @@ function pointInPolygon(point, polygon) {
     return inside;
 }
 
+/**
+ * Distance from a point to the nearest edge of a polygon (inside or outside).
+ *
+ * @param {[number, number]} point - [x, y]
+ * @param {[number, number][]} polygon - array of [x, y] vertices (ring, not closed)
+ * @returns {number} distance in polygon units
+ */
+function distanceToPolygonEdge(point, polygon) {
+    const [px, py] = point;
+    let min = Infinity;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [ax, ay] = polygon[j];
+        const [bx, by] = polygon[i];
+        const dx = bx - ax;
+        const dy = by - ay;
+        const len2 = dx * dx + dy * dy;
+        const t = len2 > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2)) : 0;
+        const d = euclideanDistance(px, py, ax + t * dx, ay + t * dy);
+        if (d < min) min = d;
+    }
+    return min;
+}
+
+/**
+ * Closest point on a polygon's boundary (for snapping a point out of it).
+ *
+ * @param {[number, number]} point - [x, y]
+ * @param {[number, number][]} polygon - array of [x, y] vertices (ring, not closed)
+ * @returns {[number, number]} [x, y] on the nearest edge
+ */
+function nearestPointOnPolygonEdge(point, polygon) {
+    const [px, py] = point;
+    let best = polygon[0];
+    let min = Infinity;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [ax, ay] = polygon[j];
+        const [bx, by] = polygon[i];
+        const dx = bx - ax;
+        const dy = by - ay;
+        const len2 = dx * dx + dy * dy;
+        const t = len2 > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2)) : 0;
+        const d = euclideanDistance(px, py, ax + t * dx, ay + t * dy);
+        if (d < min) {
+            min = d;
+            best = [ax + t * dx, ay + t * dy];
+        }
+    }
+    return best;
+}
+
+/**
+ * Intersection of segments p1→p2 and q1→q2.
+ *
+ * @param {[number, number]} p1 @param {[number, number]} p2
+ * @param {[number, number]} q1 @param {[number, number]} q2
+ * @returns {number|null} position along p1→p2 (0..1) where they cross, or null
+ */
+function segmentIntersection(p1, p2, q1, q2) {
+    const rx = p2[0] - p1[0], ry = p2[1] - p1[1];
+    const sx = q2[0] - q1[0], sy = q2[1] - q1[1];
+    const denom = rx * sy - ry * sx;
+    if (Math.abs(denom) < 1e-12) return null; // parallel / collinear
+    const qpx = q1[0] - p1[0], qpy = q1[1] - p1[1];
+    const t = (qpx * sy - qpy * sx) / denom;
+    const u = (qpx * ry - qpy * rx) / denom;
+    return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+}
+
 /**
  * Euclidean distance between two 2D points (meters).
  * @param {number} x1 @param {number} y1
@@ -57,4 +128,11 @@ function euclideanDistance(x1, y1, x2, y2) {
     return Math.sqrt(dx * dx + dy * dy);
 }
 
-module.exports = { haversineDistance, pointInPolygon, euclideanDistance };
+module.exports = {
+    haversineDistance,
+    pointInPolygon,
+    distanceToPolygonEdge,
+    nearestPointOnPolygonEdge,
+    segmentIntersection,
+    euclideanDistance
+};
@@ -0,0 +1,369 @@
+/**
+ * History Store — Append-only position history on local disk.
+ * No external DB: one NDJSON segment file per UTC day under the history dir.
+ *
+ *   history/2026-10-19.ndjson         — raw positions (one JSON object per line)
+ *   history/2026-10-12.rollup.ndjson  — downsampled segment (after rollup)
+ *
+ * Features:
+ *   - Buffered appends (flushed on an interval, sync flush on shutdown); a failed
+ *     write keeps its samples for the next flush
+ *   - Time-range queries filtered by device(s) and floor
+ *   - Retention: segments older than retentionDays are deleted
+ *   - Rollup: segments older than rollupAfterDays keep one point per device per interval.
+ *     Late samples for a rolled-up day land in a new raw segment; reads merge both
+ *     files and the next rollup folds the raw one into the existing rollup.
+ *     Flushes and maintenance run one at a time, so a rollup never unlinks a
+ *     segment while an append to it is in flight.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_FLUSH_INTERVAL_MS = 5000;
+const DEFAULT_MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const DEFAULT_MAX_QUERY_POINTS = 50000;
+
+class HistoryStore {
+    /**
+     * @param {object} opts
+     * @param {string} opts.dir - Directory holding the segment files
+     * @param {number} [opts.retentionDays=30] - Delete segments older than this (0 = keep forever)
+     * @param {number} [opts.rollupAfterDays=7] - Downsample segments older than this (0 = never)
+     * @param {number} [opts.rollupIntervalSeconds=60] - One point per device per interval after rollup
+     * @param {number} [opts.flushIntervalMs=5000]
+     * @param {number} [opts.maxQueryPoints=50000] - Hard cap on points returned by one query
+     */
+    constructor(opts = {}) {
+        this._dir = opts.dir;
+        this._retentionDays = opts.retentionDays ?? 30;
+        this._rollupAfterDays = opts.rollupAfterDays ?? 7;
+        this._rollupIntervalMs = (opts.rollupIntervalSeconds || 60) * 1000;
+        this._flushIntervalMs = opts.flushIntervalMs || DEFAULT_FLUSH_INTERVAL_MS;
+        this._maxQueryPoints = opts.maxQueryPoints || DEFAULT_MAX_QUERY_POINTS;
+
+        // Pending writes: day key -> array of NDJSON lines
+        this._buffer = new Map();
+        // Flushes and maintenance, one at a time
+        this._queue = Promise.resolve();
+        this._flushTimer = null;
+        this._maintenanceTimer = null;
+        this._written = 0;
+
+        fs.mkdirSync(this._dir, { recursive: true });
+    }
+
+    /**
+     * Append a position sample. Buffered — written on the next flush.
+     *
+     * @param {{id: string, x: number, y: number, floor: number, t?: number, confidence?: number, speed?: number, zones?: string[], isMoving?: boolean}} sample
+     *   t is epoch milliseconds (defaults to now)
+     */
+    append(sample) {
+        if (!sample || !sample.id || sample.x == null || sample.y == null) return;
+
+        const t = sample.t || Date.now();
+        const record = {
+            t,
+            id: sample.id,
+            floor: sample.floor ?? 1,
+            x: sample.x,
+            y: sample.y,
+            confidence: sample.confidence ?? null,
+            speed: sample.speed ?? null,
+            zones: sample.zones || [],
+            isMoving: sample.isMoving ?? null
+        };
+
+        const day = dayKey(t);
+        if (!this._buffer.has(day)) this._buffer.set(day, []);
+        this._buffer.get(day).push(JSON.stringify(record));
+    }
+
+    /**
+     * Write buffered samples to their day segments.
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this._serialize(() => this._flush());
+    }
+
+    async _flush() {
+        if (this._buffer.size === 0) return;
+
+        const pending = this._buffer;
+        this._buffer = new Map();
+        for (const [day, lines] of pending) {
+            try {
+                await fs.promises.appendFile(this._segmentPath(day), lines.join('\n') + '\n', 'utf8');
+                this._written += lines.length;
+            } catch (e) {
+                console.error('[History] Flush error:', day, e.message);
+                // Ahead of anything appended since, to keep the day in time order
+                this._buffer.set(day, lines.concat(this._buffer.get(day) || []));
+            }
+        }
+    }
+
+    /**
+     * Synchronous flush — used on process shutdown.
+     */
+    flushSync() {
+        for (const [day, lines] of this._buffer) {
+            try {
+                fs.appendFileSync(this._segmentPath(day), lines.join('\n') + '\n', 'utf8');
+                this._written += lines.length;
+                this._buffer.delete(day);
+            } catch (e) {
+                console.error('[History] Flush error:', day, e.message);
+            }
+        }
+    }
+
+    /**
+     * Query history for a time range.
+     *
+     * @param {object} opts
+     * @param {number} opts.from - Epoch ms (inclusive)
+     * @param {number} opts.to - Epoch ms (inclusive)
+     * @param {string[]} [opts.deviceIds] - Restrict to these devices
+     * @param {number} [opts.floor] - Restrict to one floor
+     * @param {number} [opts.limit] - Max points (capped at maxQueryPoints)
+     * @returns {Promise<{points: object[], truncated: boolean}>}
+     */
+    async query(opts) {
+        // Nothing older than the retention window is kept
+        const oldest = this._retentionDays > 0 ? startOfDay(Date.now()) - this._retentionDays * DAY_MS : -Infinity;
+        const from = Math.max(opts.from, oldest);
+        const to = opts.to;
+        const ids = opts.deviceIds && opts.deviceIds.length ? new Set(opts.deviceIds) : null;
+        const floor = opts.floor;
+        const limit = Math.min(opts.limit || this._maxQueryPoints, this._maxQueryPoints);
+
+        const matches = (r) =>
+            r.t >= from && r.t <= to &&
+            (!ids || ids.has(r.id)) &&
+            (floor == null || r.floor === floor);
+
+        const points = [];
+        let truncated = false;
+
+        for (const day of await this._daysInRange(from, to)) {
+            for (const file of this._existingSegmentPaths(day)) {
+                const done = await this._scanFile(file, (r) => {
+                    if (!matches(r)) return true;
+                    if (points.length >= limit) { truncated = true; return false; }
+                    points.push(r);
+                    return true;
+                });
+                if (!done) break;
+            }
+            if (truncated) break;
+
+            // Unflushed samples for this day
+            for (const line of this._buffer.get(day) || []) {
+                const r = JSON.parse(line);
+                if (!matches(r)) continue;
+                if (points.length >= limit) { truncated = true; break; }
+                points.push(r);
+            }
+            if (truncated) break;
+        }
+
+        points.sort((a, b) => a.t - b.t);
+        return { points, truncated };
+    }
+
+    /**
+     * Apply retention and rollup to segments on disk.
+     * @returns {Promise<{deleted: number, rolledUp: number}>}
+     */
+    runMaintenance() {
+        return this._serialize(() => this._maintain());
+    }
+
+    async _maintain() {
+        const today = startOfDay(Date.now());
+        let deleted = 0;
+        let rolledUp = 0;
+
+        let files;
+        try { files = await fs.promises.readdir(this._dir); }
+        catch (e) { return { deleted, rolledUp }; }
+
+        for (const name of files) {
+            const m = name.match(/^(\d{4}-\d{2}-\d{2})(\.rollup)?\.ndjson$/);
+            if (!m) continue;
+            const ageDays = Math.round((today - Date.parse(m[1] + 'T00:00:00Z')) / DAY_MS);
+            const file = path.join(this._dir, name);
+
+            if (this._retentionDays > 0 && ageDays > this._retentionDays) {
+                try { await fs.promises.unlink(file); deleted++; }
+                catch (e) { console.error('[History] Retention delete failed:', name, e.message); }
+                continue;
+            }
+
+            if (!m[2] && this._rollupAfterDays > 0 && ageDays > this._rollupAfterDays) {
+                try { await this._rollupSegment(m[1]); rolledUp++; }
+                catch (e) { console.error('[History] Rollup failed:', name, e.message); }
+            }
+        }
+
+        if (deleted || rolledUp) {
+            console.log(`[History] Maintenance: ${deleted} segment(s) deleted, ${rolledUp} rolled up`);
+        }
+        return { deleted, rolledUp };
+    }
+
+    /**
+     * Start periodic flush + maintenance timers.
+     * @param {number} [maintenanceIntervalMs=3600000]
+     */
+    start(maintenanceIntervalMs) {
+        if (this._flushTimer) return;
+        this._flushTimer = setInterval(() => this.flush(), this._flushIntervalMs);
+        this._maintenanceTimer = setInterval(() => this.runMaintenance(), maintenanceIntervalMs || DEFAULT_MAINTENANCE_INTERVAL_MS);
+        this.runMaintenance();
+    }
+
+    /**
+     * Stop timers and flush what is left.
+     */
+    stop() {
+        if (this._flushTimer) { clearInterval(this._flushTimer); this._flushTimer = null; }
+        if (this._maintenanceTimer) { clearInterval(this._maintenanceTimer); this._maintenanceTimer = null; }
+        this.flushSync();
+    }
+
+    /** Samples written to disk since startup. */
+    get written() {
+        return this._written;
+    }
+
+    /** Samples waiting for the next flush. */
+    get pending() {
+        let n = 0;
+        for (const lines of this._buffer.values()) n += lines.length;
+        return n;
+    }
+
+    // ─── Internals ───────────────────────────────────────────────────
+
+    /** Run task after every flush / maintenance queued before it. */
+    _serialize(task) {
+        const run = this._queue.then(task);
+        this._queue = run.catch(() => {});
+        return run;
+    }
+
+    _segmentPath(day) {
+        return path.join(this._dir, day + '.ndjson');
+    }
+
+    _rollupPath(day) {
+        return path.join(this._dir, day + '.rollup.ndjson');
+    }
+
+    /** Segment files on disk for a day: the rollup and/or raw samples (late ones after a rollup). */
+    _existingSegmentPaths(day) {
+        return [this._rollupPath(day), this._segmentPath(day)].filter(f => fs.existsSync(f));
+    }
+
+    /**
+     * Days with a segment on disk or buffered samples that overlap [from, to], oldest first.
+     * @returns {Promise<string[]>} day keys
+     */
+    async _daysInRange(from, to) {
+        let files = [];
+        try { files = await fs.promises.readdir(this._dir); }
+        catch (e) { /* no history yet */ }
+
+        const days = new Set(this._buffer.keys());
+        for (const name of files) {
+            const m = name.match(/^(\d{4}-\d{2}-\d{2})(\.rollup)?\.ndjson$/);
+            if (m) days.add(m[1]);
+        }
+        return [...days]
+            .filter((day) => {
+                const start = Date.parse(day + 'T00:00:00Z');
+                return start + DAY_MS > from && start <= to;
+            })
+            .sort();
+    }
+
+    /**
+     * Stream a segment line by line. The visitor returns false to stop early.
+     * @returns {Promise<boolean>} false if stopped early
+     */
+    async _scanFile(file, visit) {
+        const rl = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+        try {
+            for await (const line of rl) {
+                if (!line) continue;
+                let r;
+                try { r = JSON.parse(line); } catch (e) { continue; } // torn write
+                if (visit(r) === false) return false;
+            }
+        } finally {
+            rl.close();
+        }
+        return true;
+    }
+
+    /**
+     * Downsample one day segment: keep the first point per device per interval,
+     * plus every point where the device changed floor. A day that was already
+     * rolled up (late samples arrived since) is merged with its rollup.
+     */
+    async _rollupSegment(day) {
+        const src = this._segmentPath(day);
+        const dst = this._rollupPath(day);
+        const downsample = this._downsampler();
+        let kept = [];
+
+        await this._scanFile(src, (r) => {
+            if (downsample(r)) kept.push(r);
+            return true;
+        });
+
+        if (fs.existsSync(dst)) {
+            const merged = [];
+            await this._scanFile(dst, (r) => { merged.push(r); return true; });
+            merged.push(...kept);
+            merged.sort((a, b) => a.t - b.t);
+            const again = this._downsampler();
+            kept = merged.filter(again);
+        }
+
+        // Write beside and rename, so a failed write never loses the old rollup
+        const tmp = dst + '.tmp';
+        await fs.promises.writeFile(tmp, kept.length ? kept.map(r => JSON.stringify(r)).join('\n') + '\n' : '', 'utf8');
+        await fs.promises.rename(tmp, dst);
+        await fs.promises.unlink(src);
+    }
+
+    /** Predicate over time-ordered records: true for the points a rollup keeps. */
+    _downsampler() {
+        const lastBucket = new Map(); // deviceId -> bucket index
+        const lastFloor = new Map();  // deviceId -> floor
+        return (r) => {
+            const bucket = Math.floor(r.t / this._rollupIntervalMs);
+            if (lastBucket.get(r.id) === bucket && lastFloor.get(r.id) === r.floor) return false;
+            lastBucket.set(r.id, bucket);
+            lastFloor.set(r.id, r.floor);
+            return true;
+        };
+    }
+}
+
+function startOfDay(t) {
+    return Math.floor(t / DAY_MS) * DAY_MS;
+}
+
+function dayKey(t) {
+    return new Date(t).toISOString().slice(0, 10);
+}
+
+module.exports = { HistoryStore };
@@ -1,27 +1,39 @@
 /**
  * 2D Kalman filter for position smoothing.
- * State: [x, y, vx, vy]. Tuned for walking speed (~1.5 m/s).
+ * State: [x, y, vx, vy] in m and m/s (constant velocity, white-noise acceleration).
+ *
+ * Each update steps the model by the real time since the previous fix, and
+ * may carry its own measurement noise, so a Channel Sounding fix pulls harder
+ * than an RSSI one. A fix with a solver covariance uses that covariance as its
+ * noise, never smaller than the fix's σ in any direction. After a gap longer than maxGapSeconds the filter restarts
+ * from the new fix instead of coasting on an old velocity.
  *
  * @see TECHNICAL_SPEC.md — kalman.js requirements
  */
 
+const MIN_DT_S = 0.05;   // fixes closer together (or out of order) still advance the model a little
+
 /**
  * Create a Kalman filter instance for a single tag.
  *
  * @param {Object} opts
- * @param {number} [opts.dt=1] - Time step (seconds)
- * @param {number} [opts.processNoise=0.5] - Process noise (position)
- * @param {number} [opts.measurementNoise=1.0] - Measurement noise (Channel Sounding ~1m)
+ * @param {number} [opts.dt=1] - Time step (seconds) for updates without a timestamp
+ * @param {number} [opts.processNoise=0.5] - Process noise: acceleration variance (m²/s⁴)
+ * @param {number} [opts.measurementNoise=1.0] - Measurement noise σ in m (Channel Sounding ~1m)
+ * @param {number} [opts.maxGapSeconds=0] - Restart after a longer gap between fixes (0 = never)
  */
 function createKalmanFilter(opts = {}) {
-    const dt = opts.dt || 1;
-    const q = opts.processNoise ?? 0.5;
-    const r = opts.measurementNoise ?? 1.0;
+    const defaultDt = opts.dt || 1;
+    let q = opts.processNoise ?? 0.5;
+    let r = opts.measurementNoise ?? 1.0;
+    let maxGap = opts.maxGapSeconds || 0;
 
     // State: [x, y, vx, vy]
     let state = null;
     // Covariance 4x4
     let P = null;
+    // Time of the last fix (seconds)
+    let lastTime = null;
 
     return {
         /**
@@ -29,16 +41,31 @@ function createKalmanFilter(opts = {}) {
          *
          * @param {number} x - Measured x
          * @param {number} y - Measured y
+         * @param {Object} [meas]
+         * @param {number} [meas.time] - Fix time in seconds; dt is the time since the last fix
+         * @param {number} [meas.measurementNoise] - σ in m for this fix (default: the filter's)
+         * @param {number[][]} [meas.covariance] - Solver x/y covariance (m²); replaces σ², with
+         *   its minor axis raised to σ² so a tight fit is not trusted beyond the ranging method
          * @returns {{x: number, y: number}}
          */
-        update(x, y) {
+        update(x, y, meas = {}) {
             const z = [x, y];
+            const time = meas.time ?? null;
+            const rr = (meas.measurementNoise ?? r) ** 2;
+            const R = meas.covariance ? flooredCovariance(meas.covariance, rr) : [[rr, 0], [0, rr]];
+
+            let dt = defaultDt;
+            if (time != null && lastTime != null) {
+                dt = Math.max(MIN_DT_S, time - lastTime);
+                if (maxGap > 0 && time - lastTime > maxGap) state = null;
+            }
+            if (time != null) lastTime = Math.max(time, lastTime ?? time);
 
             if (state === null) {
                 state = [x, y, 0, 0];
                 P = [
-                    [r, 0, 0, 0],
-                    [0, r, 0, 0],
+                    [R[0][0], R[0][1], 0, 0],
+                    [R[1][0], R[1][1], 0, 0],
                     [0, 0, 10, 0],
                     [0, 0, 0, 10]
                 ];
@@ -61,7 +88,6 @@ function createKalmanFilter(opts = {}) {
                 [q * dt * dt * dt / 2, 0, q * dt * dt, 0],
                 [0, q * dt * dt * dt / 2, 0, q * dt * dt]
             ];
-            const R = [[r * r, 0], [0, r * r]];
 
             // Predict
             const x_pred = [
@@ -70,18 +96,19 @@ function createKalmanFilter(opts = {}) {
                 state[2],
                 state[3]
             ];
-            const P_pred = add(multiply4(F, P, transpose4(F)), Q);
+            const P_pred = add(multiply4(multiply4(F, P), transpose4(F)), Q);
 
             // Update
-            const Ht = transpose2(H);
-            const S = add(multiply(H, multiply4(P_pred, Ht)), R);
-            const Si = inv2(S);
-            const K = multiply4(multiply4(P_pred, Ht), Si);
+            const Ht = transpose(H);
+            const PHt = multiply(P_pred, Ht);
+            const S = add(multiply(H, PHt), R);
+            const K = multiply(PHt, inv2(S));
             const innov = [z[0] - x_pred[0], z[1] - x_pred[1]];
             const Ky = [K[0][0] * innov[0] + K[0][1] * innov[1], K[1][0] * innov[0] + K[1][1] * innov[1], K[2][0] * innov[0] + K[2][1] * innov[1], K[3][0] * innov[0] + K[3][1] * innov[1]];
             state = [x_pred[0] + Ky[0], x_pred[1] + Ky[1], x_pred[2] + Ky[2], x_pred[3] + Ky[3]];
-            const IKH = sub4(eye4(), multiply4(K, H));
-            P = multiply4(IKH, multiply4(P_pred, transpose4(IKH)));
+            // Joseph form: (I - KH) P (I - KH)ᵀ + K R Kᵀ
+            const IKH = sub4(eye4(), multiply(K, H));
+            P = add(multiply4(multiply4(IKH, P_pred), transpose4(IKH)), multiply(multiply(K, R), transpose(K)));
 
             return { x: state[0], y: state[1] };
         },
@@ -99,13 +126,66 @@ function createKalmanFilter(opts = {}) {
             return Math.sqrt(state[2] * state[2] + state[3] * state[3]);
         },
 
+        /**
+         * Move the state to a corrected position (map constraints), dropping
+         * the velocity that carried it into the wall.
+         * @param {number} x
+         * @param {number} y
+         */
+        setPosition(x, y) {
+            if (!state) return;
+            state = [x, y, 0, 0];
+        },
+
         reset() {
             state = null;
             P = null;
+            lastTime = null;
+        },
+
+        /**
+         * Retune noise parameters without losing the current state.
+         * @param {{processNoise?: number, measurementNoise?: number, maxGapSeconds?: number}} params
+         */
+        setParams(params) {
+            if (params.processNoise != null) q = params.processNoise;
+            if (params.measurementNoise != null) r = params.measurementNoise;
+            if (params.maxGapSeconds != null) maxGap = params.maxGapSeconds;
         }
     };
 }
 
+/**
+ * Measurement noise σ (m) for a fix: the CS or RSSI base noise, whichever method
+ * most of its ranges used, inflated as the solver's confidence drops.
+ * Pass no confidence for a fix that carries a covariance: the covariance already
+ * describes its quality, and the base noise is only its floor.
+ *
+ * @param {Array<{method?: string}>} ranges - Ranges the fix was solved from
+ * @param {number|null} confidence - Solver confidence 0–1
+ * @param {{csNoise: number, rssiNoise: number}} noise - Base σ per method (m)
+ * @returns {number}
+ */
+function fixMeasurementNoise(ranges, confidence, noise) {
+    const rssi = ranges.filter(m => m.method === 'rssi').length;
+    const base = rssi > ranges.length / 2 ? noise.rssiNoise : noise.csNoise;
+    return confidence == null ? base : base / Math.sqrt(Math.max(confidence, 0.1));
+}
+
+/**
+ * Covariance C shifted by (rr − λmin)·I when its smallest eigenvalue λmin is
+ * below rr, so the noise is at least rr in every direction.
+ * @param {number[][]} c - 2x2 covariance (m²)
+ * @param {number} rr - Minimum variance (m²)
+ * @returns {number[][]}
+ */
+function flooredCovariance(c, rr) {
+    const mean = (c[0][0] + c[1][1]) / 2;
+    const spread = Math.sqrt(((c[0][0] - c[1][1]) / 2) ** 2 + c[0][1] * c[1][0]);
+    const lift = Math.max(0, rr - (mean - spread));
+    return [[c[0][0] + lift, c[0][1]], [c[1][0], c[1][1] + lift]];
+}
+
 function multiply4(A, B) {
     const C = [[0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]];
     for (let i = 0; i < 4; i++)
@@ -129,8 +209,8 @@ function transpose4(M) {
     return [[M[0][0], M[1][0], M[2][0], M[3][0]], [M[0][1], M[1][1], M[2][1], M[3][1]], [M[0][2], M[1][2], M[2][2], M[3][2]], [M[0][3], M[1][3], M[2][3], M[3][3]]];
 }
 
-function transpose2(M) {
-    return [[M[0][0], M[1][0]], [M[0][1], M[1][1]]];
+function transpose(M) {
+    return M[0].map((_, j) => M.map(row => row[j]));
 }
 
 function add(A, B) {
@@ -151,4 +231,4 @@ function inv2(M) {
     return [[M[1][1] / det, -M[0][1] / det], [-M[1][0] / det, M[0][0] / det]];
 }
 
-module.exports = { createKalmanFilter };
+module.exports = { createKalmanFilter, fixMeasurementNoise };
@@ -0,0 +1,245 @@
+/**
+ * Man-Down Monitor — no-motion safety alerts for lone workers.
+ *
+ * A person inside an active work zone (zone.workZone, optionally limited to
+ * schedules) who shows no motion goes through three stages:
+ *
+ *   pre_alert — no motion for no_motion_seconds (zone noMotionSeconds overrides)
+ *   alarm     — still no motion alarm_after_seconds later
+ *   escalated — alarm not acknowledged within escalate_after_seconds
+ *
+ * Motion is the tag's accelerometer (motion = true) or the position moving
+ * more than motion_threshold_m from where the person stopped. This is kept
+ * apart from the adaptive-rate stationary state, which only throttles updates.
+ * An operator acknowledgement stops escalation; motion or leaving the work
+ * zone ends the episode ("cleared").
+ */
+
+const { inSchedules } = require('./zone-access');
+
+const STAGES = ['pre_alert', 'alarm', 'escalated'];
+
+class ManDownMonitor {
+    /**
+     * @param {object} opts
+     * @param {function(string): object|undefined} opts.getZone - Zone definition by id (zone checker)
+     * @param {string[]} [opts.personTypes=['person']] - Device types monitored
+     */
+    constructor(opts = {}) {
+        this._getZone = opts.getZone;
+        this._personTypes = opts.personTypes || ['person'];
+
+        this._enabled = true;
+        this._noMotionMs = 90 * 1000;
+        this._alarmAfterMs = 30 * 1000;
+        this._escalateAfterMs = 120 * 1000;
+        this._motionThresholdM = 1.0;
+        this._offlineMs = 600 * 1000;
+
+        // deviceId -> {deviceId, name, zoneId, floor, x, y, stillSince, lastSeen, stage, stageAt, acknowledged}
+        this._states = new Map();
+    }
+
+    /**
+     * Update thresholds at runtime. Omitted options keep their current value.
+     * @param {{enabled?: boolean, noMotionSeconds?: number, alarmAfterSeconds?: number, escalateAfterSeconds?: number,
+     *          motionThresholdM?: number, offlineTimeoutMs?: number}} opts
+     */
+    configure(opts = {}) {
+        if (opts.enabled != null) this._enabled = opts.enabled;
+        if (opts.noMotionSeconds != null) this._noMotionMs = opts.noMotionSeconds * 1000;
+        if (opts.alarmAfterSeconds != null) this._alarmAfterMs = opts.alarmAfterSeconds * 1000;
+        if (opts.escalateAfterSeconds != null) this._escalateAfterMs = opts.escalateAfterSeconds * 1000;
+        if (opts.motionThresholdM != null) this._motionThresholdM = opts.motionThresholdM;
+        if (opts.offlineTimeoutMs != null) this._offlineMs = opts.offlineTimeoutMs;
+        if (!this._enabled) this._states.clear();
+    }
+
+    /**
+     * Feed a position fix.
+     * @param {{deviceId: string, name?: string, type?: string, x: number, y: number, floor: number, zoneIds: string[], t?: number}} fix
+     *   t is epoch ms (default now)
+     * @returns {object[]} man-down events (a "cleared" event when an episode ends)
+     */
+    updatePosition(fix) {
+        if (!this._enabled || !this._personTypes.includes(fix.type || 'person')) return [];
+        const now = fix.t || Date.now();
+        const zoneId = (fix.zoneIds || []).find(id => this._isActiveWorkZone(id, now)) || null;
+        let state = this._states.get(fix.deviceId);
+
+        if (!zoneId) {
+            if (!state) return [];
+            this._states.delete(fix.deviceId);
+            return state.stage ? [this._event(state, 'cleared', now, { reason: 'left_work_zone' })] : [];
+        }
+
+        if (!state) {
+            this._states.set(fix.deviceId, {
+                deviceId: fix.deviceId,
+                name: fix.name || fix.deviceId,
+                zoneId,
+                floor: fix.floor,
+                x: fix.x,
+                y: fix.y,
+                stillSince: now,
+                lastSeen: now,
+                stage: null,
+                stageAt: null,
+                acknowledged: null
+            });
+            return [];
+        }
+
+        const moved = fix.floor !== state.floor ||
+            Math.hypot(fix.x - state.x, fix.y - state.y) >= this._motionThresholdM;
+        state.name = fix.name || state.name;
+        state.zoneId = zoneId;
+        state.lastSeen = now;
+        if (!moved) return [];
+
+        // Stillness is measured from where the person stopped, not from the last fix
+        state.floor = fix.floor;
+        state.x = fix.x;
+        state.y = fix.y;
+        return this._resetMotion(state, now, 'position');
+    }
+
+    /**
+     * Feed an accelerometer reading.
+     * @param {string} deviceId
+     * @param {boolean} moving
+     * @param {number} [t] - Epoch ms (default now)
+     * @returns {object[]} man-down events
+     */
+    updateMotion(deviceId, moving, t) {
+        const state = this._states.get(deviceId);
+        if (!state) return [];
+        const now = t || Date.now();
+        state.lastSeen = now;
+        return moving ? this._resetMotion(state, now, 'motion') : [];
+    }
+
+    /**
+     * Advance stages for everyone being monitored. Call every few seconds.
+     * @param {number} [now] - Epoch ms
+     * @returns {object[]} man-down events (pre_alert / alarm / escalated)
+     */
+    check(now = Date.now()) {
+        const events = [];
+        for (const [deviceId, state] of this._states) {
+            // Quiet tags that never raised anything are dropped; open episodes stay until cleared
+            if (!state.stage && now - state.lastSeen > this._offlineMs) {
+                this._states.delete(deviceId);
+                continue;
+            }
+            if (!this._isActiveWorkZone(state.zoneId, now)) {
+                this._states.delete(deviceId);
+                if (state.stage) events.push(this._event(state, 'cleared', now, { reason: 'left_work_zone' }));
+                continue;
+            }
+
+            const next = this._dueStage(state, now);
+            if (next) {
+                state.stage = next;
+                state.stageAt = now;
+                events.push(this._event(state, next, now));
+            }
+        }
+        return events;
+    }
+
+    /**
+     * Acknowledge a device's open episode (stops escalation).
+     * @param {string} deviceId
+     * @param {string} [by]
+     * @param {string} [note]
+     * @returns {object|null} "acknowledged" event, or null if there is no open episode
+     */
+    acknowledge(deviceId, by, note) {
+        const state = this._states.get(deviceId);
+        if (!state || !state.stage || state.acknowledged) return null;
+        const now = Date.now();
+        state.acknowledged = { by: by || 'unknown', at: new Date(now).toISOString(), note: note || '' };
+        return this._event(state, 'acknowledged', now);
+    }
+
+    /**
+     * Open episodes (pre-alert or later), longest still first.
+     * @returns {object[]}
+     */
+    getEpisodes(now = Date.now()) {
+        return [...this._states.values()]
+            .filter(s => s.stage)
+            .map(s => this._snapshot(s, now))
+            .sort((a, b) => b.stillSeconds - a.stillSeconds);
+    }
+
+    /** Number of people currently monitored (in an active work zone). */
+    get monitoredCount() {
+        return this._states.size;
+    }
+
+    // ─── Internals ───────────────────────────────────────────────────
+
+    _resetMotion(state, now, reason) {
+        const wasStage = state.stage;
+        const event = wasStage ? this._event(state, 'cleared', now, { reason }) : null;
+        state.stillSince = now;
+        state.stage = null;
+        state.stageAt = null;
+        state.acknowledged = null;
+        return event ? [event] : [];
+    }
+
+    /**
+     * Next stage whose time has come, or null.
+     */
+    _dueStage(state, now) {
+        const zone = this._getZone(state.zoneId) || {};
+        const noMotionMs = zone.workZone && zone.workZone.noMotionSeconds ? zone.workZone.noMotionSeconds * 1000 : this._noMotionMs;
+        const still = now - state.stillSince;
+        const due = [
+            noMotionMs,
+            noMotionMs + this._alarmAfterMs,
+            noMotionMs + this._alarmAfterMs + this._escalateAfterMs
+        ];
+
+        const current = state.stage ? STAGES.indexOf(state.stage) : -1;
+        const next = current + 1;
+        if (next >= STAGES.length || still < due[next]) return null;
+        // An acknowledged episode is being handled — it does not escalate further
+        if (state.acknowledged) return null;
+        return STAGES[next];
+    }
+
+    _isActiveWorkZone(zoneId, now) {
+        const zone = this._getZone(zoneId);
+        if (!zone || !zone.workZone) return false;
+        const wz = zone.workZone;
+        if (wz === true || !wz.schedules || !wz.schedules.length) return true;
+        return inSchedules(wz.schedules, wz.timezone, new Date(now));
+    }
+
+    _snapshot(state, now) {
+        const zone = this._getZone(state.zoneId) || {};
+        return {
+            deviceId: state.deviceId,
+            name: state.name,
+            stage: state.stage,
+            zoneId: state.zoneId,
+            zoneName: zone.name || state.zoneId,
+            floor: state.floor,
+            x: state.x,
+            y: state.y,
+            stillSince: new Date(state.stillSince).toISOString(),
+            stillSeconds: Math.round((now - state.stillSince) / 1000),
+            acknowledged: state.acknowledged
+        };
+    }
+
+    _event(state, event, now, extra) {
+        return { ...this._snapshot(state, now), event, ...extra };
+    }
+}
+
+module.exports = { ManDownMonitor, MAN_DOWN_STAGES: STAGES };
@@ -0,0 +1,200 @@
+/**
+ * Map Constraints — keeps positions from passing through walls or landing
+ * inside solid structures (constrained projection of each fix).
+ *
+ * Floors (config.json "floors[]") may carry geometry in engine coordinates (metres):
+ *   walls: [[[x, y], [x, y], ...], ...]          polylines a tag cannot pass (leave gaps for doors)
+ *   no_go: [[[x, y], [x, y], [x, y], ...], ...]  polygons nobody can stand in (columns, racks, shafts)
+ *
+ * Each fix, after Kalman smoothing:
+ *   1. A point inside a no-go polygon snaps to the nearest point just outside it.
+ *   2. A move from the tag's last position that crosses a wall stops just short of the wall.
+ *
+ * After max_rejections wall stops in a row the new position is accepted anyway,
+ * so a tag that really is on the other side (a door missing from the plan, a
+ * long gap between fixes) does not get stuck.
+ */
+
+const { pointInPolygon, nearestPointOnPolygonEdge, segmentIntersection } = require('./geo-utils');
+
+const SNAP_MARGIN_M = 0.1;          // how far outside a no-go area / short of a wall a point is placed
+const DEFAULT_MAX_REJECTIONS = 5;
+
+class MapConstraints {
+    /**
+     * @param {object} opts
+     * @param {boolean} [opts.enabled=true]
+     * @param {number} [opts.maxRejections=5] - Wall stops in a row before a move is accepted anyway
+     */
+    constructor(opts = {}) {
+        this._floors = new Map();   // floorId -> {segments: [[a, b], ...], noGo: [polygon, ...]}
+        this._last = new Map();     // tagId -> {floor, x, y, rejections}
+        this.configure(opts);
+    }
+
+    /**
+     * Apply runtime settings.
+     * @param {{enabled?: boolean, maxRejections?: number}} opts
+     */
+    configure(opts) {
+        this._enabled = opts.enabled !== false;
+        this._maxRejections = opts.maxRejections ?? DEFAULT_MAX_REJECTIONS;
+        if (!this._enabled) this._last.clear();
+    }
+
+    /**
+     * Load wall segments and no-go polygons from the floor configs.
+     * Malformed lines and polygons are ignored (see validateFloorGeometry).
+     * @param {object[]} floors
+     */
+    setFloors(floors) {
+        this._floors.clear();
+        for (const floor of floors || []) {
+            const segments = [];
+            for (const line of floor.walls || []) {
+                if (!isLine(line, 2)) continue;
+                for (let i = 1; i < line.length; i++) segments.push([line[i - 1], line[i]]);
+            }
+            const noGo = (floor.no_go || []).filter(poly => isLine(poly, 3));
+            if (segments.length || noGo.length) this._floors.set(floor.id, { segments, noGo });
+        }
+    }
+
+    /**
+     * Constrain a tag's new position on a floor.
+     * @param {string} tagId
+     * @param {number} floorId
+     * @param {number} x
+     * @param {number} y
+     * @returns {{x: number, y: number, constraint: null|'no_go'|'wall'}} constraint says what moved the point
+     */
+    apply(tagId, floorId, x, y) {
+        const geometry = this._enabled ? this._floors.get(floorId) : null;
+        if (!geometry) {
+            this._last.delete(tagId);
+            return { x, y, constraint: null };
+        }
+
+        const last = this._last.get(tagId);
+        const prev = last && last.floor === floorId ? last : null;
+        let point = [x, y];
+        let constraint = null;
+
+        // 1. Out of no-go areas; if that lands in another one, stay put
+        const inside = geometry.noGo.find(poly => pointInPolygon(point, poly));
+        if (inside) {
+            point = snapOutside(point, inside);
+            constraint = 'no_go';
+            if (prev && geometry.noGo.some(poly => pointInPolygon(point, poly))) point = [prev.x, prev.y];
+        }
+
+        // 2. No passing through walls
+        let rejections = 0;
+        if (prev) {
+            const t = firstCrossing([prev.x, prev.y], point, geometry.segments);
+            if (t != null && prev.rejections < this._maxRejections) {
+                point = stopShort([prev.x, prev.y], point, t);
+                constraint = 'wall';
+                rejections = prev.rejections + 1;
+            }
+        }
+
+        this._last.set(tagId, { floor: floorId, x: point[0], y: point[1], rejections });
+        return { x: point[0], y: point[1], constraint };
+    }
+
+    /**
+     * Whether a move is impossible: it crosses a wall or ends in a no-go area
+     * (used per particle by the particle filter).
+     * @param {number} floorId
+     * @param {number} x0 @param {number} y0 - From
+     * @param {number} x1 @param {number} y1 - To
+     * @returns {boolean}
+     */
+    blocked(floorId, x0, y0, x1, y1) {
+        const geometry = this._enabled ? this._floors.get(floorId) : null;
+        if (!geometry) return false;
+        const to = [x1, y1];
+        if (geometry.noGo.some(poly => pointInPolygon(to, poly))) return true;
+        return firstCrossing([x0, y0], to, geometry.segments) != null;
+    }
+
+    /**
+     * Forget a tag's last position (e.g. its filter was reset).
+     * @param {string} tagId
+     */
+    remove(tagId) {
+        this._last.delete(tagId);
+    }
+}
+
+/**
+ * Nearest point just outside a polygon.
+ */
+function snapOutside(point, polygon) {
+    const edge = nearestPointOnPolygonEdge(point, polygon);
+    let dx = edge[0] - point[0];
+    let dy = edge[1] - point[1];
+    let len = Math.hypot(dx, dy);
+    if (len < 1e-9) {
+        // On the edge already: push away from the polygon's centre
+        const cx = polygon.reduce((s, p) => s + p[0], 0) / polygon.length;
+        const cy = polygon.reduce((s, p) => s + p[1], 0) / polygon.length;
+        dx = edge[0] - cx;
+        dy = edge[1] - cy;
+        len = Math.hypot(dx, dy) || 1;
+    }
+    return [edge[0] + dx / len * SNAP_MARGIN_M, edge[1] + dy / len * SNAP_MARGIN_M];
+}
+
+/**
+ * Position along from→to (0..1) of the first wall it crosses, or null.
+ */
+function firstCrossing(from, to, segments) {
+    let first = null;
+    for (const [a, b] of segments) {
+        const t = segmentIntersection(from, to, a, b);
+        if (t != null && (first == null || t < first)) first = t;
+    }
+    return first;
+}
+
+/**
+ * Point on from→to just before position t (the wall), never behind from.
+ */
+function stopShort(from, to, t) {
+    const len = Math.hypot(to[0] - from[0], to[1] - from[1]);
+    if (len < 1e-9) return from;
+    const f = Math.max(0, t * len - SNAP_MARGIN_M) / len;
+    return [from[0] + (to[0] - from[0]) * f, from[1] + (to[1] - from[1]) * f];
+}
+
+function isPoint(p) {
+    return Array.isArray(p) && p.length === 2 && p.every(Number.isFinite);
+}
+
+function isLine(line, minPoints) {
+    return Array.isArray(line) && line.length >= minPoints && line.every(isPoint);
+}
+
+/**
+ * Validate a floor's walls / no_go geometry.
+ * @param {object} floor - {walls?, no_go?}
+ * @returns {object} {"walls[i]": "message"} — empty when valid
+ */
+function validateFloorGeometry(floor) {
+    const errors = {};
+    const check = (key, minPoints, what) => {
+        const list = floor[key];
+        if (list == null) return;
+        if (!Array.isArray(list)) { errors[key] = 'must be an array'; return; }
+        list.forEach((line, i) => {
+            if (!isLine(line, minPoints)) errors[`${key}[${i}]`] = `must be a ${what} of at least ${minPoints} [x, y] points`;
+        });
+    };
+    check('walls', 2, 'polyline');
+    check('no_go', 3, 'polygon');
+    return errors;
+}
+
+module.exports = { MapConstraints, validateFloorGeometry };
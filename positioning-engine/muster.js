@@ -0,0 +1,207 @@
+/**
+ * Muster Manager — site evacuation roll-call.
+ *
+ * While a muster is active, every tracked person is in one of three states:
+ *   safe    — currently inside one of the muster-point zones
+ *   missing — online but not at a muster point (last known position + floor reported)
+ *   offline — no recent position (last known position reported)
+ *
+ * reachedAt records when a person first reached a muster point during this
+ * muster. The roll-call is computed from the device cache and the zone
+ * checker, so it follows the same enter/exit hysteresis as zone alerts.
+ * Only one muster runs at a time; the last finished one is kept for its report.
+ */
+
+const crypto = require('crypto');
+
+const STATUSES = ['missing', 'offline', 'safe']; // roll-call sort order
+
+class MusterManager {
+    /**
+     * @param {object} opts
+     * @param {function(): object[]} opts.getDevices - Current devices (device cache)
+     * @param {function(string): string[]} opts.getDeviceZoneIds - Zones a device is in (zone checker)
+     * @param {function(string): object|undefined} [opts.getZone] - Zone definition by id (for names)
+     * @param {string[]} [opts.personTypes=['person']] - Device types included in the roll-call
+     */
+    constructor(opts = {}) {
+        this._getDevices = opts.getDevices;
+        this._getDeviceZoneIds = opts.getDeviceZoneIds;
+        this._getZone = opts.getZone || (() => undefined);
+        this._personTypes = opts.personTypes || ['person'];
+
+        this._active = null;      // {id, startedAt, startedBy, zoneIds, note}
+        this._reachedAt = new Map(); // deviceId -> {t: epoch ms, zoneId}
+        this._status = new Map();    // deviceId -> last status (change detection)
+        this._lastReport = null;
+    }
+
+    /** Whether a muster is in progress. */
+    get active() {
+        return !!this._active;
+    }
+
+    /**
+     * Start a muster.
+     * @param {{zoneIds: string[], startedBy?: string, note?: string}} opts
+     * @returns {object} muster state
+     */
+    start(opts) {
+        this._active = {
+            id: crypto.randomUUID(),
+            startedAt: new Date().toISOString(),
+            startedBy: opts.startedBy || 'unknown',
+            zoneIds: [...opts.zoneIds],
+            note: opts.note || ''
+        };
+        this._reachedAt.clear();
+        this._status.clear();
+        this.refresh();
+        console.log(`[Muster] STARTED by ${this._active.startedBy} — muster points: ${this._active.zoneIds.join(', ')}`);
+        return this._active;
+    }
+
+    /**
+     * End the active muster. The final roll-call is kept as the last report.
+     * @param {string} [stoppedBy]
+     * @returns {object|null} final roll-call
+     */
+    stop(stoppedBy) {
+        if (!this._active) return null;
+        const report = this.rollCall();
+        report.muster.endedAt = new Date().toISOString();
+        report.muster.endedBy = stoppedBy || 'unknown';
+        this._lastReport = report;
+        this._active = null;
+        this._status.clear();
+        console.log(`[Muster] ENDED by ${report.muster.endedBy} — ${report.summary.safe}/${report.summary.total} safe`);
+        return report;
+    }
+
+    /**
+     * Re-evaluate devices (all, or one).
+     * @param {string} [deviceId]
+     * @returns {boolean} true if any person's status changed
+     */
+    refresh(deviceId) {
+        if (!this._active) return false;
+        const devices = deviceId
+            ? this._getDevices().filter(d => d.id === deviceId)
+            : this._getDevices();
+
+        let changed = false;
+        for (const device of devices) {
+            if (!this._isPerson(device)) continue;
+            const status = this._evaluate(device).status;
+            if (this._status.get(device.id) !== status) {
+                this._status.set(device.id, status);
+                changed = true;
+            }
+        }
+        return changed;
+    }
+
+    /**
+     * Current roll-call (or the last finished one when no muster is active).
+     * @returns {{muster: object, summary: {total: number, safe: number, missing: number, offline: number}, people: object[]}|null}
+     */
+    rollCall() {
+        if (!this._active) return this._lastReport;
+
+        const people = this._getDevices()
+            .filter(d => this._isPerson(d))
+            .map(d => this._evaluate(d));
+
+        // Missing first (what the warden acts on), then offline, then safe
+        people.sort((a, b) => rank(a.status) - rank(b.status) || String(a.name).localeCompare(String(b.name)));
+
+        const summary = { total: people.length, safe: 0, missing: 0, offline: 0 };
+        for (const p of people) summary[p.status]++;
+
+        return {
+            muster: {
+                ...this._active,
+                zones: this._active.zoneIds.map(id => ({ id, name: (this._getZone(id) || {}).name || id })),
+                elapsedSeconds: Math.round((Date.now() - Date.parse(this._active.startedAt)) / 1000)
+            },
+            summary,
+            people
+        };
+    }
+
+    /**
+     * Roll-call as CSV (one row per person).
+     * @returns {string|null}
+     */
+    toCsv() {
+        const report = this.rollCall();
+        if (!report) return null;
+
+        const rows = [['status', 'id', 'name', 'type', 'muster_point', 'reached_at', 'floor', 'x', 'y', 'zone', 'last_seen']];
+        for (const p of report.people) {
+            rows.push([
+                p.status, p.id, p.name, p.type,
+                p.musterZoneId ? (this._getZone(p.musterZoneId) || {}).name || p.musterZoneId : '',
+                p.reachedAt || '',
+                p.floor ?? '', p.x ?? '', p.y ?? '', p.zone || '',
+                p.lastUpdate ? new Date(p.lastUpdate * 1000).toISOString() : ''
+            ]);
+        }
+        const m = report.muster;
+        const header = [
+            `# Muster ${m.id}`,
+            `# Started ${m.startedAt} by ${m.startedBy}` + (m.endedAt ? `, ended ${m.endedAt} by ${m.endedBy}` : ' (in progress)'),
+            `# Safe ${report.summary.safe} / Missing ${report.summary.missing} / Offline ${report.summary.offline} / Total ${report.summary.total}`
+        ];
+        return header.join('\n') + '\n' + rows.map(r => r.map(csvField).join(',')).join('\n') + '\n';
+    }
+
+    // ─── Internals ───────────────────────────────────────────────────
+
+    _isPerson(device) {
+        return this._personTypes.includes(device.type || 'person');
+    }
+
+    /**
+     * Roll-call entry for one device; records the first arrival at a muster point.
+     */
+    _evaluate(device) {
+        const zoneIds = this._getDeviceZoneIds(device.id) || [];
+        const musterZoneId = zoneIds.find(id => this._active.zoneIds.includes(id)) || null;
+
+        if (musterZoneId && !this._reachedAt.has(device.id)) {
+            this._reachedAt.set(device.id, { t: Date.now(), zoneId: musterZoneId });
+            console.log(`[Muster] ${device.id} reached "${(this._getZone(musterZoneId) || {}).name || musterZoneId}"`);
+        }
+        const reached = this._reachedAt.get(device.id);
+
+        let status = 'missing';
+        if (device.status === 'offline') status = 'offline';
+        else if (musterZoneId) status = 'safe';
+
+        return {
+            id: device.id,
+            name: device.name || device.id,
+            type: device.type || 'person',
+            status,
+            musterZoneId: musterZoneId || (reached ? reached.zoneId : null),
+            reachedAt: reached ? new Date(reached.t).toISOString() : null,
+            floor: device.floor ?? null,
+            x: device.x ?? null,
+            y: device.y ?? null,
+            zone: device.zone || '',
+            lastUpdate: device.lastUpdate || null
+        };
+    }
+}
+
+function rank(status) {
+    return STATUSES.indexOf(status);
+}
+
+function csvField(v) {
+    const s = String(v);
+    return /[",\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+module.exports = { MusterManager, MUSTER_STATUSES: STATUSES };
@@ -0,0 +1,335 @@
+/**
+ * Notifier — Pushes alerts to people who are not watching the dashboard.
+ *
+ * Channels (config.json "notifications.channels"):
+ *   webhook — JSON POST, HMAC-SHA256 signed, retried with backoff on network errors / 5xx / 429
+ *   email   — plain-text mail through an SMTP relay (smtp.js)
+ *   mqtt    — publish to the engine's broker (topic template: {severity}, {type}, {deviceId})
+ *   pilot   — PILOT-native unit event (pilot.api_url / api_key, tag_to_unit mapping)
+ *
+ * Each channel routes by severity and alert type ("man_down*" matches a
+ * prefix) and has its own rate limit; alerts over the limit are counted as
+ * suppressed, not queued. Channels marked escalation_only are skipped here
+ * and only used by escalation policies (escalation.js). Delivery is
+ * fire-and-forget: a slow or failing channel never delays alert evaluation
+ * or the other channels.
+ */
+
+const crypto = require('crypto');
+const { sendMail } = require('./smtp');
+const { postEvent } = require('./pilot-bridge');
+
+const CHANNEL_TYPES = ['webhook', 'email', 'mqtt', 'pilot'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const DEFAULT_RETRIES = 3;
+const DEFAULT_TIMEOUT_MS = 5000;
+const RETRY_BASE_MS = 1000;
+
+class Notifier {
+    /**
+     * @param {object} opts
+     * @param {object[]} [opts.channels] - Channel configs (see validateChannels)
+     * @param {function(string, string, object): void} [opts.mqttPublish] - (topic, payload, {qos, retain})
+     * @param {{apiUrl: string, apiKey: string, unitIdFor: function(string): string}} [opts.pilot]
+     */
+    constructor(opts = {}) {
+        this._mqttPublish = opts.mqttPublish || null;
+        this._pilot = opts.pilot || null;
+        this._channels = [];
+        this.configure(opts.channels || []);
+    }
+
+    /**
+     * Replace the channel list. Invalid channels are logged and skipped.
+     * @param {object[]} channels
+     */
+    configure(channels) {
+        const errors = validateChannels(channels);
+        const previous = new Map(this._channels.map(c => [c.config.id, c]));
+        this._channels = [];
+        (channels || []).forEach((config, i) => {
+            const bad = Object.keys(errors).filter(k => k.startsWith(`channels[${i}]`));
+            if (bad.length) {
+                console.warn(`[Notify] Channel ${config && config.id || i} skipped: ${bad.map(k => `${k} ${errors[k]}`).join('; ')}`);
+                return;
+            }
+            const prev = previous.get(config.id);
+            this._channels.push({
+                config,
+                stats: prev ? prev.stats : { sent: 0, failed: 0, suppressed: 0, lastSentAt: null, lastError: null },
+                window: prev ? prev.window : []
+            });
+        });
+    }
+
+    /**
+     * Deliver an alert to every enabled channel whose routing matches.
+     * @param {{id: string, deviceId: string, zoneId: string|null, type: string, severity: string, message: string, timestamp: string}} alert
+     */
+    notify(alert) {
+        for (const channel of this._channels) {
+            const cfg = channel.config;
+            if (cfg.enabled === false || cfg.escalation_only || !matchesRoute(cfg, alert)) continue;
+            if (!this._allow(channel)) {
+                channel.stats.suppressed++;
+                continue;
+            }
+            this._deliver(channel, alert);
+        }
+    }
+
+    /**
+     * Deliver an escalation through the given channels, regardless of their
+     * routing (rate limits still apply).
+     * @param {string[]} ids - Channel ids
+     * @param {object} alert
+     * @param {{policy: string, level: number, repeat: number}} escalation
+     */
+    escalate(ids, alert, escalation) {
+        for (const channel of this._channels) {
+            if (!ids.includes(channel.config.id) || channel.config.enabled === false) continue;
+            if (!this._allow(channel)) {
+                channel.stats.suppressed++;
+                continue;
+            }
+            this._deliver(channel, alert, { escalation });
+        }
+    }
+
+    /**
+     * Send a test alert through one channel, ignoring routing and rate limits.
+     * @param {string} id - Channel id
+     * @returns {Promise<boolean>} false if there is no such channel; rejects on delivery failure
+     */
+    async test(id) {
+        const channel = this._channels.find(c => c.config.id === id);
+        if (!channel) return false;
+        await this._deliver(channel, {
+            id: crypto.randomUUID(),
+            deviceId: null,
+            zoneId: null,
+            type: 'test',
+            severity: 'info',
+            message: `Test notification from PILOT Indoor (${id})`,
+            timestamp: new Date().toISOString()
+        }, { rethrow: true });
+        return true;
+    }
+
+    /** Ids of the configured channels. */
+    getChannelIds() {
+        return this._channels.map(c => c.config.id);
+    }
+
+    /**
+     * Channels with delivery stats; secrets and passwords are not included.
+     * @returns {object[]}
+     */
+    getStatus() {
+        return this._channels.map(c => ({ ...redact(c.config), stats: { ...c.stats } }));
+    }
+
+    // ─── Internals ───────────────────────────────────────────────────
+
+    /**
+     * Sliding-window rate limit: rate_limit {max, per_seconds}.
+     */
+    _allow(channel) {
+        const limit = channel.config.rate_limit;
+        if (!limit) return true;
+        const now = Date.now();
+        const windowMs = (limit.per_seconds || 60) * 1000;
+        while (channel.window.length && now - channel.window[0] >= windowMs) channel.window.shift();
+        if (channel.window.length >= limit.max) return false;
+        channel.window.push(now);
+        return true;
+    }
+
+    async _deliver(channel, alert, opts = {}) {
+        const cfg = channel.config;
+        const esc = opts.escalation || null;
+        try {
+            if (cfg.type === 'webhook') await this._sendWebhook(cfg, alert, esc);
+            else if (cfg.type === 'email') await this._sendEmail(cfg, alert, esc);
+            else if (cfg.type === 'mqtt') this._sendMqtt(cfg, alert, esc);
+            else if (cfg.type === 'pilot') await this._sendPilot(cfg, alert, esc);
+            channel.stats.sent++;
+            channel.stats.lastSentAt = new Date().toISOString();
+        } catch (e) {
+            channel.stats.failed++;
+            channel.stats.lastError = { message: e.message, at: new Date().toISOString() };
+            console.error(`[Notify] ${cfg.id} (${cfg.type}) failed: ${e.message}`);
+            if (opts.rethrow) throw e;
+        }
+    }
+
+    /**
+     * POST {event: "alert", alert} (or {event: "escalation", alert, escalation})
+     * as JSON. With a secret, the request carries
+     *   X-Pilot-Timestamp: <unix seconds>
+     *   X-Pilot-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+     */
+    async _sendWebhook(cfg, alert, esc) {
+        const body = JSON.stringify(esc ? { event: 'escalation', alert, escalation: esc } : { event: 'alert', alert });
+        const retries = cfg.retries ?? DEFAULT_RETRIES;
+
+        for (let attempt = 0; ; attempt++) {
+            const headers = { 'Content-Type': 'application/json', ...(cfg.headers || {}) };
+            if (cfg.secret) {
+                const ts = Math.floor(Date.now() / 1000);
+                headers['X-Pilot-Timestamp'] = String(ts);
+                headers['X-Pilot-Signature'] = 'sha256=' + crypto.createHmac('sha256', cfg.secret).update(`${ts}.${body}`).digest('hex');
+            }
+
+            let retryable;
+            try {
+                const res = await fetch(cfg.url, {
+                    method: 'POST',
+                    headers,
+                    body,
+                    signal: AbortSignal.timeout(cfg.timeout_ms || DEFAULT_TIMEOUT_MS)
+                });
+                if (res.ok) return;
+                retryable = res.status >= 500 || res.status === 429;
+                if (!retryable || attempt >= retries) throw new Error(`HTTP ${res.status}`);
+            } catch (e) {
+                if (retryable === false || attempt >= retries) {
+                    // fetch() reports "fetch failed"; the cause says why (ECONNREFUSED, timeout, ...)
+                    throw e.cause ? new Error(`${e.message}: ${e.cause.code || e.cause.message}`) : e;
+                }
+            }
+            await sleep(RETRY_BASE_MS * 2 ** attempt);
+        }
+    }
+
+    async _sendEmail(cfg, alert, esc) {
+        const smtp = cfg.smtp || {};
+        await sendMail({
+            host: smtp.host,
+            port: smtp.port,
+            secure: smtp.secure,
+            starttls: smtp.starttls,
+            username: smtp.username,
+            password: smtp.password,
+            timeoutMs: cfg.timeout_ms,
+            from: cfg.from,
+            to: [].concat(cfg.to),
+            subject: `[${esc ? `ESCALATION L${esc.level}` : alert.severity.toUpperCase()}] ${alert.type}: ${alert.message}`.slice(0, 200),
+            text: [
+                esc ? `Not acknowledged — escalation level ${esc.level} (${esc.policy}).\n\n${alert.message}` : alert.message,
+                '',
+                `Severity: ${alert.severity}`,
+                `Type:     ${alert.type}`,
+                `Device:   ${alert.deviceId || '-'}`,
+                `Zone:     ${alert.zoneId || '-'}`,
+                `Time:     ${alert.timestamp}`,
+                `Alert id: ${alert.id}`
+            ].join('\n')
+        });
+    }
+
+    _sendMqtt(cfg, alert, esc) {
+        if (!this._mqttPublish) throw new Error('MQTT not available');
+        const topic = (cfg.topic || 'pilot/indoor/alerts/{severity}/{type}')
+            .replace('{severity}', alert.severity)
+            .replace('{type}', alert.type)
+            .replace('{deviceId}', alert.deviceId || 'none');
+        this._mqttPublish(topic, JSON.stringify(esc ? { ...alert, escalation: esc } : alert), { qos: cfg.qos ?? 1, retain: !!cfg.retain });
+    }
+
+    async _sendPilot(cfg, alert, esc) {
+        const pilot = this._pilot;
+        if (!pilot || !pilot.apiUrl || !pilot.apiKey) throw new Error('pilot.api_url / api_key not configured');
+        if (!alert.deviceId) return; // PILOT events belong to a unit
+        await postEvent({
+            apiUrl: pilot.apiUrl,
+            apiKey: pilot.apiKey,
+            unitId: pilot.unitIdFor(alert.deviceId),
+            type: alert.type,
+            severity: alert.severity,
+            message: esc ? `Escalation L${esc.level}: ${alert.message}` : alert.message,
+            timestamp: Math.floor(Date.parse(alert.timestamp) / 1000)
+        });
+    }
+}
+
+/**
+ * Does a channel's routing accept this alert?
+ *   severities: ["critical", ...]            (default: all)
+ *   types: ["sos", "man_down*", ...]         (default: all; "*" suffix = prefix match)
+ *   exclude_types: [...]                     (same syntax)
+ */
+function matchesRoute(cfg, alert) {
+    if (cfg.severities && !cfg.severities.includes(alert.severity)) return false;
+    if (cfg.types && !cfg.types.some(t => typeMatches(t, alert.type))) return false;
+    if (cfg.exclude_types && cfg.exclude_types.some(t => typeMatches(t, alert.type))) return false;
+    return true;
+}
+
+function typeMatches(pattern, type) {
+    return pattern.endsWith('*') ? type.startsWith(pattern.slice(0, -1)) : pattern === type;
+}
+
+/**
+ * Validate notification channel configs.
+ * @param {object[]} channels
+ * @returns {object} {"channels[i].field": "message"} — empty when valid
+ */
+function validateChannels(channels) {
+    const errors = {};
+    if (channels == null) return errors;
+    if (!Array.isArray(channels)) return { channels: 'must be an array' };
+
+    const ids = new Set();
+    channels.forEach((c, i) => {
+        const p = `channels[${i}]`;
+        if (!c || typeof c !== 'object') { errors[p] = 'must be an object'; return; }
+        if (typeof c.id !== 'string' || !c.id) errors[`${p}.id`] = 'required';
+        else if (ids.has(c.id)) errors[`${p}.id`] = 'duplicate id';
+        else ids.add(c.id);
+        if (!CHANNEL_TYPES.includes(c.type)) errors[`${p}.type`] = `must be one of ${CHANNEL_TYPES.join(', ')}`;
+
+        if (c.severities != null && (!Array.isArray(c.severities) || c.severities.some(s => !SEVERITIES.includes(s)))) {
+            errors[`${p}.severities`] = `must be a list of ${SEVERITIES.join(', ')}`;
+        }
+        for (const key of ['types', 'exclude_types']) {
+            if (c[key] != null && (!Array.isArray(c[key]) || c[key].some(t => typeof t !== 'string' || !t))) {
+                errors[`${p}.${key}`] = 'must be a list of alert types';
+            }
+        }
+        if (c.rate_limit != null) {
+            const rl = c.rate_limit;
+            if (!rl || !Number.isInteger(rl.max) || rl.max < 1) errors[`${p}.rate_limit.max`] = 'must be an integer >= 1';
+            if (rl && rl.per_seconds != null && !(rl.per_seconds > 0)) errors[`${p}.rate_limit.per_seconds`] = 'must be > 0';
+        }
+
+        if (c.type === 'webhook') {
+            if (typeof c.url !== 'string' || !/^https?:\/\//.test(c.url)) errors[`${p}.url`] = 'must be an http(s) URL';
+            if (c.retries != null && !(Number.isInteger(c.retries) && c.retries >= 0 && c.retries <= 10)) errors[`${p}.retries`] = 'must be 0..10';
+        } else if (c.type === 'email') {
+            if (!c.smtp || typeof c.smtp.host !== 'string' || !c.smtp.host) errors[`${p}.smtp.host`] = 'required';
+            if (typeof c.from !== 'string' || !c.from.includes('@')) errors[`${p}.from`] = 'must be an email address';
+            const to = [].concat(c.to || []);
+            if (!to.length || to.some(a => typeof a !== 'string' || !a.includes('@'))) errors[`${p}.to`] = 'must be one or more email addresses';
+        } else if (c.type === 'mqtt') {
+            if (c.topic != null && (typeof c.topic !== 'string' || !c.topic || /[#+]/.test(c.topic))) errors[`${p}.topic`] = 'must be a topic without wildcards';
+            if (c.qos != null && ![0, 1, 2].includes(c.qos)) errors[`${p}.qos`] = 'must be 0, 1 or 2';
+        }
+    });
+    return errors;
+}
+
+function redact(cfg) {
+    const copy = { ...cfg };
+    if (copy.url) copy.url = new URL(copy.url).origin + '/***'; // webhook paths often carry tokens
+    if (copy.secret) copy.secret = '***';
+    if (copy.smtp) copy.smtp = { ...copy.smtp, password: copy.smtp.password ? '***' : undefined };
+    if (copy.headers) copy.headers = Object.fromEntries(Object.keys(copy.headers).map(k => [k, '***']));
+    return copy;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { Notifier, validateChannels, matchesRoute, CHANNEL_TYPES };
@@ -0,0 +1,365 @@
+/**
+ * Particle Filter Tracker — range-based positioning without a trilateration fix.
+ * Alternative to trilateration + Kalman, selected per floor ("tracker": "particle").
+ *
+ * Each tag keeps a cloud of particles (x, y, vx, vy). Per update:
+ *   1. Predict — particles move with their velocity plus noise scaled by the time
+ *      since the last update. A tag whose motion sensor reports no motion stays
+ *      put (only jitter). Moves through walls or into no-go areas are refused:
+ *      the particle stays where it was and stops (map-constraints.js).
+ *   2. Weight — every range is compared with the particle's distance to the anchor
+ *      (slant range, assumed tag height). The likelihood mixes a Gaussian with a
+ *      uniform outlier term, so a multipath range lowers a particle's weight
+ *      instead of dragging the whole estimate like a least-squares fit would.
+ *      Any number of ranges works: one range narrows the cloud to a ring,
+ *      zero ranges just predict.
+ *   3. Resample (systematic) when the effective particle count drops below half.
+ *
+ * A new tag (or one that changed floor, was silent too long, or that no
+ * particle can explain any more) is initialised on rings around its anchors.
+ *
+ * The estimate is the weighted mean, with the particle spread as covariance and
+ * 95% error ellipse. State lives in typed arrays: 2,000 tags × 200 particles is
+ * about 16 MB, and an update with four ranges takes under 0.1 ms, so 2,000 tags
+ * at 1 Hz use a fraction of one core.
+ */
+
+const { errorEllipse } = require('./trilateration');
+
+const DEFAULTS = {
+    particles: 200,
+    rangeSigmaM: 0.5,       // range noise (m) at quality 1
+    outlierRatio: 0.1,      // share of ranges assumed to be multipath / NLOS
+    speedMps: 1.5,          // velocity noise (m/s per √s) for moving tags
+    maxRangeM: 30
+};
+const STATIONARY_JITTER_M = 0.05;   // position noise per √s for tags the motion sensor says are still
+const POSITION_NOISE_M = 0.1;       // extra position noise per √s for moving tags
+const VELOCITY_DAMPING = 0.7;       // share of the velocity kept per second
+const MAX_DT_S = 10;
+const REINIT_AFTER_S = 60;
+const SQRT_2PI = Math.sqrt(2 * Math.PI);
+const TRACKERS = ['kalman', 'particle'];
+
+class ParticleTracker {
+    /**
+     * @param {object} [opts]
+     * @param {number} [opts.particles=200] - Particles per tag
+     * @param {number} [opts.rangeSigmaM=0.5] - Range noise at quality 1 (scaled by 1/quality)
+     * @param {number} [opts.outlierRatio=0.1] - Weight of the uniform multipath term
+     * @param {number} [opts.speedMps=1.5] - Velocity noise for moving tags
+     * @param {number} [opts.maxRangeM=30] - Range of the uniform outlier term
+     * @param {MapConstraints} [opts.constraints] - Walls / no-go areas particles cannot cross
+     */
+    constructor(opts = {}) {
+        this._tags = new Map();     // tagId -> {floor, n, px, py, vx, vy, w, t}
+        this._motion = new Map();   // tagId -> last motion sensor flag
+        this._constraints = opts.constraints || null;
+        this.configure(opts);
+    }
+
+    /**
+     * Apply runtime settings. Changing the particle count restarts all tags.
+     * @param {object} opts - Same keys as the constructor
+     */
+    configure(opts) {
+        const cfg = { ...DEFAULTS, ...this._cfg };
+        for (const key of Object.keys(DEFAULTS)) {
+            if (opts[key] != null) cfg[key] = opts[key];
+        }
+        if (this._cfg && cfg.particles !== this._cfg.particles) this._tags.clear();
+        this._cfg = cfg;
+    }
+
+    /**
+     * Record a tag's motion sensor state (true = moving). Applies from its next update.
+     * @param {string} tagId
+     * @param {boolean} moving
+     */
+    setMotion(tagId, moving) {
+        this._motion.set(tagId, moving);
+    }
+
+    /**
+     * Update a tag with its ranges.
+     * @param {string} tagId
+     * @param {number} floorId
+     * @param {Array<{x: number, y: number, z?: number, distance_m: number, quality?: number, anchor_id: string}>} ranges
+     * @param {object} [opts]
+     * @param {number} [opts.tagHeight=1.2] - Assumed tag height (m) for slant ranges
+     * @param {number} [opts.now=Date.now()]
+     * @returns {{x: number, y: number, confidence: number, iterations: null, rejected: number, residuals: object[],
+     *            gdop: null, covariance: number[][], ellipse: object, speed: number, particles: number}|null}
+     *   null when the tag has no state yet and no ranges to start from
+     */
+    update(tagId, floorId, ranges, opts = {}) {
+        const now = opts.now ?? Date.now();
+        const tagHeight = opts.tagHeight ?? 1.2;
+        let s = this._tags.get(tagId);
+
+        const dt = s ? (now - s.t) / 1000 : 0;
+        if (!s || s.floor !== floorId || dt > REINIT_AFTER_S) {
+            s = this._init(tagId, floorId, ranges, tagHeight, now);
+            if (!s) return null;
+        } else {
+            this._predict(s, Math.min(Math.max(dt, 0), MAX_DT_S), this._motion.get(tagId));
+            s.t = now;
+        }
+
+        if (ranges.length && !this._weigh(s, ranges, tagHeight)) {
+            // No particle explains the ranges (tag moved unseen): start again from them
+            s = this._init(tagId, floorId, ranges, tagHeight, now);
+            this._weigh(s, ranges, tagHeight);
+        }
+        if (effectiveCount(s.w) < s.n / 2) resample(s);
+
+        return this._estimate(s, ranges, tagHeight);
+    }
+
+    /**
+     * Mean velocity of a tag's particles (m/s), for proximity closing speeds.
+     * @param {string} tagId
+     * @returns {{vx: number, vy: number}|null}
+     */
+    getVelocity(tagId) {
+        const s = this._tags.get(tagId);
+        if (!s) return null;
+        let vx = 0, vy = 0;
+        for (let i = 0; i < s.n; i++) {
+            vx += s.w[i] * s.vx[i];
+            vy += s.w[i] * s.vy[i];
+        }
+        return { vx, vy };
+    }
+
+    /**
+     * Drop a tag's particles (offline, or moved to a Kalman floor).
+     * @param {string} tagId
+     */
+    remove(tagId) {
+        this._tags.delete(tagId);
+        this._motion.delete(tagId);
+    }
+
+    /** Number of tags with particles. */
+    get size() {
+        return this._tags.size;
+    }
+
+    // ─── Internals ───────────────────────────────────────────────────
+
+    /**
+     * Spread particles on rings around the anchors (nearest range first, so one
+     * range is enough to start).
+     */
+    _init(tagId, floorId, ranges, tagHeight, now) {
+        if (!ranges.length) {
+            this._tags.delete(tagId);
+            return null;
+        }
+        const n = this._cfg.particles;
+        const s = {
+            floor: floorId,
+            n,
+            px: new Float64Array(n),
+            py: new Float64Array(n),
+            vx: new Float64Array(n),
+            vy: new Float64Array(n),
+            w: new Float64Array(n).fill(1 / n),
+            t: now
+        };
+        const sorted = ranges.slice().sort((a, b) => a.distance_m - b.distance_m);
+        const rings = sorted.slice(0, 3);
+        for (let i = 0; i < n; i++) {
+            const m = rings[i % rings.length];
+            const r = Math.max(0, horizontal(m, tagHeight) + gaussian() * this._sigma(m));
+            const angle = Math.random() * 2 * Math.PI;
+            s.px[i] = m.x + r * Math.cos(angle);
+            s.py[i] = m.y + r * Math.sin(angle);
+        }
+        this._tags.set(tagId, s);
+        return s;
+    }
+
+    _predict(s, dt, moving) {
+        const root = Math.sqrt(dt);
+        const still = moving === false;
+        const keep = Math.pow(VELOCITY_DAMPING, dt);
+        for (let i = 0; i < s.n; i++) {
+            let nx, ny;
+            if (still) {
+                s.vx[i] = 0;
+                s.vy[i] = 0;
+                nx = s.px[i] + gaussian() * STATIONARY_JITTER_M * root;
+                ny = s.py[i] + gaussian() * STATIONARY_JITTER_M * root;
+            } else {
+                s.vx[i] = s.vx[i] * keep + gaussian() * this._cfg.speedMps * root;
+                s.vy[i] = s.vy[i] * keep + gaussian() * this._cfg.speedMps * root;
+                nx = s.px[i] + s.vx[i] * dt + gaussian() * POSITION_NOISE_M * root;
+                ny = s.py[i] + s.vy[i] * dt + gaussian() * POSITION_NOISE_M * root;
+            }
+            if (this._constraints && this._constraints.blocked(s.floor, s.px[i], s.py[i], nx, ny)) {
+                s.vx[i] = 0;
+                s.vy[i] = 0;
+                continue;
+            }
+            s.px[i] = nx;
+            s.py[i] = ny;
+        }
+    }
+
+    /**
+     * Multiply the weights by the range likelihoods and normalise.
+     * @returns {boolean} false if only the outlier term explains the ranges for every particle
+     */
+    _weigh(s, ranges, tagHeight) {
+        const { outlierRatio, maxRangeM } = this._cfg;
+        const k = ranges.length;
+        const uniform = outlierRatio / maxRangeM;
+        const floorLog = k * Math.log(uniform);
+
+        // Per-range constants, hoisted out of the particle loop
+        const ax = new Float64Array(k), ay = new Float64Array(k), dz2 = new Float64Array(k);
+        const dist = new Float64Array(k), invSigma = new Float64Array(k), peak = new Float64Array(k);
+        for (let j = 0; j < k; j++) {
+            const m = ranges[j];
+            const sigma = this._sigma(m);
+            const dz = (m.z || 0) - tagHeight;
+            ax[j] = m.x;
+            ay[j] = m.y;
+            dz2[j] = dz * dz;
+            dist[j] = m.distance_m;
+            invSigma[j] = 1 / sigma;
+            peak[j] = (1 - outlierRatio) / (sigma * SQRT_2PI);
+        }
+
+        const logL = new Float64Array(s.n);
+        let best = -Infinity;
+        for (let i = 0; i < s.n; i++) {
+            const x = s.px[i], y = s.py[i];
+            let l = 0;
+            for (let j = 0; j < k; j++) {
+                const dx = x - ax[j], dy = y - ay[j];
+                const e = (dist[j] - Math.sqrt(dx * dx + dy * dy + dz2[j])) * invSigma[j];
+                l += Math.log(peak[j] * Math.exp(-0.5 * e * e) + uniform);
+            }
+            logL[i] = l;
+            if (l > best) best = l;
+        }
+        if (best < floorLog + 1e-6) return false;
+
+        let sum = 0;
+        for (let i = 0; i < s.n; i++) {
+            s.w[i] *= Math.exp(logL[i] - best);
+            sum += s.w[i];
+        }
+        if (!(sum > 0)) {
+            s.w.fill(1 / s.n);
+            return true;
+        }
+        for (let i = 0; i < s.n; i++) s.w[i] /= sum;
+        return true;
+    }
+
+    _estimate(s, ranges, tagHeight) {
+        let x = 0, y = 0, vx = 0, vy = 0;
+        for (let i = 0; i < s.n; i++) {
+            x += s.w[i] * s.px[i];
+            y += s.w[i] * s.py[i];
+            vx += s.w[i] * s.vx[i];
+            vy += s.w[i] * s.vy[i];
+        }
+        let sxx = 0, sxy = 0, syy = 0;
+        for (let i = 0; i < s.n; i++) {
+            const dx = s.px[i] - x;
+            const dy = s.py[i] - y;
+            sxx += s.w[i] * dx * dx;
+            sxy += s.w[i] * dx * dy;
+            syy += s.w[i] * dy * dy;
+        }
+        const covariance = [[sxx, sxy], [sxy, syy]];
+
+        let rejected = 0;
+        const residuals = ranges.map(m => {
+            const dz = (m.z || 0) - tagHeight;
+            const expected = Math.sqrt((x - m.x) ** 2 + (y - m.y) ** 2 + dz * dz);
+            const residual = m.distance_m - expected;
+            const inlier = Math.abs(residual) <= 3 * this._sigma(m);
+            if (!inlier) rejected++;
+            return { anchorId: m.anchor_id, range: m.distance_m, expected, residual, weight: m.quality ?? 1, inlier };
+        });
+
+        return {
+            x,
+            y,
+            confidence: Math.max(0, Math.min(1, 1 - Math.sqrt(sxx + syy) / 5)),
+            iterations: null,
+            rejected,
+            residuals,
+            gdop: null,
+            covariance,
+            ellipse: errorEllipse(covariance),
+            speed: Math.hypot(vx, vy),
+            particles: s.n
+        };
+    }
+
+    _sigma(m) {
+        return this._cfg.rangeSigmaM / Math.max(0.1, m.quality ?? 1);
+    }
+}
+
+/** Horizontal range from a slant range and the anchor / tag height difference. */
+function horizontal(m, tagHeight) {
+    const dz = (m.z || 0) - tagHeight;
+    return Math.sqrt(Math.max(0, m.distance_m * m.distance_m - dz * dz));
+}
+
+/** 1 / Σw² — how many particles effectively carry the estimate. */
+function effectiveCount(w) {
+    let sumSq = 0;
+    for (let i = 0; i < w.length; i++) sumSq += w[i] * w[i];
+    return sumSq > 0 ? 1 / sumSq : 0;
+}
+
+/** Systematic resampling (low variance, O(n)). */
+function resample(s) {
+    const { n } = s;
+    const px = new Float64Array(n), py = new Float64Array(n);
+    const vx = new Float64Array(n), vy = new Float64Array(n);
+    const step = 1 / n;
+    let u = Math.random() * step;
+    let c = s.w[0];
+    let j = 0;
+    for (let i = 0; i < n; i++) {
+        while (u > c && j < n - 1) c += s.w[++j];
+        px[i] = s.px[j];
+        py[i] = s.py[j];
+        vx[i] = s.vx[j];
+        vy[i] = s.vy[j];
+        u += step;
+    }
+    s.px = px;
+    s.py = py;
+    s.vx = vx;
+    s.vy = vy;
+    s.w.fill(step);
+}
+
+/** Standard normal sample (Box-Muller; the second value of each pair is kept for the next call). */
+let spareGaussian = null;
+function gaussian() {
+    if (spareGaussian !== null) {
+        const v = spareGaussian;
+        spareGaussian = null;
+        return v;
+    }
+    let u = 0;
+    while (u === 0) u = Math.random();
+    const r = Math.sqrt(-2 * Math.log(u));
+    const theta = 2 * Math.PI * Math.random();
+    spareGaussian = r * Math.sin(theta);
+    return r * Math.cos(theta);
+}
+
+module.exports = { ParticleTracker, TRACKERS };
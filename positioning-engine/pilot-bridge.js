@@ -104,8 +104,44 @@ async function postPosition(opts) {
     return res.json();
 }
 
+/**
+ * Post an alert event for a unit to Pilot API V3.
+ *
+ * @param {Object} opts
+ * @param {string} opts.apiUrl - Base URL (e.g. https://server.pilot-gps.com)
+ * @param {string} opts.apiKey - API key
+ * @param {string} opts.unitId - Unit/device ID
+ * @param {string} opts.type - Alert type (e.g. "sos", "zone_enter")
+ * @param {string} opts.severity - info | warning | critical
+ * @param {string} opts.message
+ * @param {number} [opts.timestamp] - Unix seconds
+ */
+async function postEvent(opts) {
+    const { apiUrl, apiKey, unitId, type, severity, message, timestamp } = opts;
+    const url = `${apiUrl.replace(/\/$/, '')}/api/v3/units/${unitId}/events`;
+    const body = {
+        type,
+        severity,
+        message,
+        ...(timestamp != null && { timestamp })
+    };
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${apiKey}`,
+            'X-API-Key': apiKey
+        },
+        body: JSON.stringify(body)
+    });
+    if (!res.ok) {
+        throw new Error(`Pilot API error ${res.status}: ${await res.text()}`);
+    }
+}
+
 module.exports = {
     buildAffineTransform,
     pixelToGeo,
-    postPosition
+    postPosition,
+    postEvent
 };
@@ -0,0 +1,296 @@
+/**
+ * Proximity Monitor — collision warnings between devices (people vs vehicles,
+ * vehicles converging). Devices are kept in a grid hash per floor, fed from
+ * device cache updates, so each update only compares against the devices in
+ * the neighbouring cells.
+ *
+ * Rules (config.json "proximity.rules"):
+ *   { id: "person-vehicle", a: ["person"], b: ["forklift", "crane"], distance_m: 3, severity: "critical" }
+ *   { id: "vehicles-converging", a: ["forklift"], b: ["forklift"], distance_m: 10,
+ *     min_closing_speed_mps: 1, max_time_to_contact_s: 5, severity: "warning" }
+ *
+ * A pair matches when one device's type is in a and the other's in b, they are
+ * on the same floor within distance_m, and — if set — they approach each other
+ * at least min_closing_speed_mps and would meet within max_time_to_contact_s.
+ * Closing speed comes from each device's velocity (Kalman state, or the last
+ * two fixes when Kalman is off); a device silent for more than 5 s counts as
+ * standing still.
+ *
+ * Events:
+ *   proximity — pair matched (first time, then at most every throttle_seconds while it lasts)
+ *   cleared   — pair apart again (beyond distance_m × clear_factor) or a device went offline
+ */
+
+const DEFAULT_THROTTLE_SECONDS = 10;
+const DEFAULT_CLEAR_FACTOR = 1.2;
+const VELOCITY_MAX_AGE_MS = 5000;   // a device that has not reported for longer counts as standing still
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+class ProximityMonitor {
+    /**
+     * @param {object} opts
+     * @param {object[]} [opts.rules] - Rule configs (see validateProximityRules)
+     * @param {number} [opts.throttleSeconds=10] - Minimum interval between events for one pair
+     * @param {number} [opts.clearFactor=1.2] - A pair clears beyond distance_m × clearFactor
+     * @param {function(string): {vx: number, vy: number}|null} [opts.getVelocity] - Velocity in m/s (Kalman state)
+     */
+    constructor(opts = {}) {
+        this._throttleMs = (opts.throttleSeconds ?? DEFAULT_THROTTLE_SECONDS) * 1000;
+        this._clearFactor = opts.clearFactor || DEFAULT_CLEAR_FACTOR;
+        this._getVelocity = opts.getVelocity || (() => null);
+
+        this._grids = new Map();    // floor -> Map(cellKey -> Set(deviceId))
+        this._devices = new Map();  // deviceId -> {id, name, type, floor, x, y, t, vx, vy, cell}
+        this._active = new Map();   // pairKey -> {evt: last proximity event, lastSent: ms}
+
+        this.setRules(opts.rules || []);
+    }
+
+    /**
+     * Replace the rules (already validated). The grid is rebuilt when the cell size changes.
+     * @param {object[]} rules
+     */
+    setRules(rules) {
+        this._rules = rules.filter(r => r.enabled !== false).map(r => ({ severity: 'warning', ...r }));
+        const cell = Math.max(1, ...this._rules.map(r => r.distance_m * this._clearFactor));
+        if (cell !== this._cellSize) {
+            this._cellSize = cell;
+            this._grids.clear();
+            for (const d of this._devices.values()) this._index(d);
+        }
+        for (const [key, entry] of this._active) {
+            if (!this._rules.some(r => r.id === entry.evt.ruleId)) this._active.delete(key);
+        }
+    }
+
+    /**
+     * Feed a device cache update.
+     * @param {{id: string, name: string, type: string, floor: number, x: number, y: number, lastUpdate: number}} device
+     * @returns {object[]} proximity / cleared events
+     */
+    update(device) {
+        if (device.x == null || device.y == null) return [];
+        const now = Date.now();
+        const prev = this._devices.get(device.id);
+
+        let v = this._getVelocity(device.id);
+        if (!v && prev && prev.floor === device.floor && now > prev.t) {
+            const dt = (now - prev.t) / 1000;
+            v = { vx: (device.x - prev.x) / dt, vy: (device.y - prev.y) / dt };
+        }
+
+        const d = {
+            id: device.id,
+            name: device.name || device.id,
+            type: device.type || 'person',
+            floor: device.floor,
+            x: device.x,
+            y: device.y,
+            t: now,
+            vx: v ? v.vx : 0,
+            vy: v ? v.vy : 0
+        };
+        if (prev) this._unindex(prev);
+        this._devices.set(d.id, d);
+        this._index(d);
+
+        if (!this._rules.length) return [];
+        return this._check(d, now);
+    }
+
+    /**
+     * Drop a device (offline / removed); its open pairs clear.
+     * @param {string} deviceId
+     * @returns {object[]} cleared events
+     */
+    remove(deviceId) {
+        const d = this._devices.get(deviceId);
+        if (!d) return [];
+        this._unindex(d);
+        this._devices.delete(deviceId);
+
+        const events = [];
+        for (const [key, entry] of this._active) {
+            if (entry.evt.a.id === deviceId || entry.evt.b.id === deviceId) {
+                this._active.delete(key);
+                events.push({ ...entry.evt, event: 'cleared', reason: 'offline', timestamp: new Date().toISOString() });
+            }
+        }
+        return events;
+    }
+
+    /**
+     * Pairs currently close to each other (last event of each).
+     * @returns {object[]}
+     */
+    getActive() {
+        return Array.from(this._active.values(), entry => entry.evt);
+    }
+
+    // ─── Internals ───────────────────────────────────────────────────
+
+    _check(d, now) {
+        const events = [];
+        const seen = new Set();
+
+        for (const other of this._neighbours(d)) {
+            for (const rule of this._rules) {
+                const pair = orderPair(rule, d, other);
+                if (!pair) continue;
+                const key = `${rule.id}:${pair[0].id}:${pair[1].id}`;
+                seen.add(key);
+                const evt = this._evaluate(rule, key, pair[0], pair[1], now);
+                if (evt) events.push(evt);
+            }
+        }
+
+        // Pairs with this device that are no longer neighbours at all
+        for (const [key, entry] of this._active) {
+            if (seen.has(key) || (entry.evt.a.id !== d.id && entry.evt.b.id !== d.id)) continue;
+            this._active.delete(key);
+            events.push({ ...entry.evt, event: 'cleared', reason: 'apart', timestamp: new Date(now).toISOString() });
+        }
+        return events;
+    }
+
+    _evaluate(rule, key, a, b, now) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const distance = Math.hypot(dx, dy);
+        // Closing speed: how fast the gap shrinks (positive = approaching)
+        const va = velocityAt(a, now);
+        const vb = velocityAt(b, now);
+        const closing = distance > 0 ? -((vb.vx - va.vx) * dx + (vb.vy - va.vy) * dy) / distance : 0;
+        const ttc = closing > 0 ? distance / closing : null;
+
+        const active = this._active.get(key);
+        let match = distance <= rule.distance_m;
+        if (match && rule.min_closing_speed_mps != null) match = closing >= rule.min_closing_speed_mps;
+        if (match && rule.max_time_to_contact_s != null) match = ttc != null && ttc <= rule.max_time_to_contact_s;
+
+        if (!match) {
+            // Converging rules clear once the pair stops closing in; distance rules with hysteresis
+            const converging = rule.min_closing_speed_mps != null || rule.max_time_to_contact_s != null;
+            if (active && (converging || distance > rule.distance_m * this._clearFactor)) {
+                this._active.delete(key);
+                return {
+                    ...active.evt,
+                    event: 'cleared',
+                    reason: 'apart',
+                    distance: round(distance),
+                    closingSpeed: round(closing),
+                    timeToContact: ttc != null ? round(ttc) : null,
+                    timestamp: new Date(now).toISOString()
+                };
+            }
+            return null;
+        }
+
+        const evt = {
+            event: 'proximity',
+            ruleId: rule.id,
+            severity: rule.severity,
+            floor: a.floor,
+            a: { id: a.id, name: a.name, type: a.type, x: a.x, y: a.y },
+            b: { id: b.id, name: b.name, type: b.type, x: b.x, y: b.y },
+            distance: round(distance),
+            closingSpeed: round(closing),
+            timeToContact: ttc != null ? round(ttc) : null,
+            since: active ? active.evt.since : new Date(now).toISOString(),
+            timestamp: new Date(now).toISOString()
+        };
+        const lastSent = active ? active.lastSent : 0;
+        const send = now - lastSent >= this._throttleMs;
+        this._active.set(key, { evt, lastSent: send ? now : lastSent });
+        return send ? evt : null;
+    }
+
+    _neighbours(d) {
+        const grid = this._grids.get(d.floor);
+        const out = [];
+        if (!grid) return out;
+        const cx = Math.floor(d.x / this._cellSize);
+        const cy = Math.floor(d.y / this._cellSize);
+        for (let i = cx - 1; i <= cx + 1; i++) {
+            for (let j = cy - 1; j <= cy + 1; j++) {
+                const cell = grid.get(`${i}:${j}`);
+                if (!cell) continue;
+                for (const id of cell) if (id !== d.id) out.push(this._devices.get(id));
+            }
+        }
+        return out;
+    }
+
+    _index(d) {
+        d.cell = `${Math.floor(d.x / this._cellSize)}:${Math.floor(d.y / this._cellSize)}`;
+        if (!this._grids.has(d.floor)) this._grids.set(d.floor, new Map());
+        const grid = this._grids.get(d.floor);
+        if (!grid.has(d.cell)) grid.set(d.cell, new Set());
+        grid.get(d.cell).add(d.id);
+    }
+
+    _unindex(d) {
+        const grid = this._grids.get(d.floor);
+        const cell = grid && grid.get(d.cell);
+        if (!cell) return;
+        cell.delete(d.id);
+        if (!cell.size) grid.delete(d.cell);
+    }
+}
+
+/**
+ * [a, b] ordered to the rule's a/b types, or null if the pair does not match.
+ * For symmetric rules (same types on both sides) the lower id goes first.
+ */
+function orderPair(rule, d, other) {
+    const fwd = rule.a.includes(d.type) && rule.b.includes(other.type);
+    const rev = rule.a.includes(other.type) && rule.b.includes(d.type);
+    if (fwd && rev) return d.id < other.id ? [d, other] : [other, d];
+    if (fwd) return [d, other];
+    if (rev) return [other, d];
+    return null;
+}
+
+function velocityAt(d, now) {
+    return now - d.t <= VELOCITY_MAX_AGE_MS ? d : { vx: 0, vy: 0 };
+}
+
+function round(v) {
+    return Math.round(v * 100) / 100;
+}
+
+/**
+ * Validate proximity rules.
+ * @param {object[]} rules
+ * @returns {object} {"rules[i].field": "message"} — empty when valid
+ */
+function validateProximityRules(rules) {
+    const errors = {};
+    if (rules == null) return errors;
+    if (!Array.isArray(rules)) return { rules: 'must be an array' };
+
+    const ids = new Set();
+    rules.forEach((r, i) => {
+        const k = `rules[${i}]`;
+        if (!r || typeof r !== 'object') { errors[k] = 'must be an object'; return; }
+        if (typeof r.id !== 'string' || !r.id) errors[`${k}.id`] = 'required';
+        else if (ids.has(r.id)) errors[`${k}.id`] = 'duplicate id';
+        else ids.add(r.id);
+        for (const side of ['a', 'b']) {
+            if (!Array.isArray(r[side]) || !r[side].length || r[side].some(t => typeof t !== 'string' || !t)) {
+                errors[`${k}.${side}`] = 'must be a list of device types';
+            }
+        }
+        if (typeof r.distance_m !== 'number' || !(r.distance_m > 0 && r.distance_m <= 100)) errors[`${k}.distance_m`] = 'must be 0..100 m';
+        if (r.min_closing_speed_mps != null && !(typeof r.min_closing_speed_mps === 'number' && r.min_closing_speed_mps >= 0)) {
+            errors[`${k}.min_closing_speed_mps`] = 'must be >= 0';
+        }
+        if (r.max_time_to_contact_s != null && !(typeof r.max_time_to_contact_s === 'number' && r.max_time_to_contact_s > 0)) {
+            errors[`${k}.max_time_to_contact_s`] = 'must be > 0';
+        }
+        if (r.severity != null && !SEVERITIES.includes(r.severity)) errors[`${k}.severity`] = `must be one of ${SEVERITIES.join(', ')}`;
+    });
+    return errors;
+}
+
+module.exports = { ProximityMonitor, validateProximityRules };
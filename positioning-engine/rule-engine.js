@@ -0,0 +1,395 @@
+/**
+ * Rule Engine — site-specific alert rules declared as JSON (config.json "rules").
+ *
+ *   {
+ *     id: "forklift-near-person", name: "Forklift close to a person", enabled: true,
+ *     severity: "critical",
+ *     message: "{device.name} within {distance} m of {other.name}",
+ *     cooldown_seconds: 60,                       // optional, default alerts.cooldown_seconds
+ *     when: { all: [
+ *       { field: "type", op: "eq", value: "forklift" },
+ *       { near: { within_m: 2, where: { field: "type", op: "eq", value: "person" } } }
+ *     ] }
+ *   }
+ *
+ * Conditions (evaluated against one device, the "subject"):
+ *   { all: [...] } / { any: [...] } / { not: {...} }
+ *   { field, op, value }   device field — id, name, type, floor, x, y, speed, battery, temperature,
+ *                          humidity, confidence, isMoving, status, attributes.<key> (tag_mappings[].attributes);
+ *                          op: eq, ne, gt, gte, lt, lte, in, nin, exists. { field, op, ref } compares
+ *                          with another field of the same device instead of a value.
+ *   { zone: "id" | ["id", ...] }     inside any of these zones
+ *   { zone_type: "restricted" }      inside a zone of this type
+ *   { group: "name" }                device is in this tag group
+ *   { schedules: [{days, from, to}], timezone }   now falls inside a schedule (see zone-access.js)
+ *   { near: { within_m, where? } }   another online device on the same floor within within_m
+ *                                    (matching the optional where condition)
+ *
+ * Message placeholders: {device.<field>}, {other.<field>}, {distance}, {zone.name}, {zone.id}, {rule.name}.
+ * Rules are checked for a device on each of its position updates — and for the
+ * devices near it, so a proximity rule fires whichever side moves — and for all
+ * online devices on the 60 s timer. Repeats are limited by the alert cooldown.
+ */
+
+const { inSchedules } = require('./zone-access');
+const { validateSchedules, ZONE_TYPES } = require('./zone-schema');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'exists'];
+const ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z0-9_]+)*$/;
+const MAX_NAME_LENGTH = 100;
+const MAX_MESSAGE_LENGTH = 300;
+const MAX_DEPTH = 8;
+const MAX_NEAR_M = 100;
+
+class RuleEngine {
+    /**
+     * @param {object} opts
+     * @param {function(string): string[]} opts.getZoneIds - Zones a device is in (zone checker)
+     * @param {function(string): object|undefined} opts.getZone - Zone definition by id
+     * @param {function(string): string[]} opts.getGroups - Tag groups of a device
+     * @param {function(string): object} [opts.getAttributes] - Extra per-device attributes
+     */
+    constructor(opts = {}) {
+        this._getZoneIds = opts.getZoneIds;
+        this._getZone = opts.getZone;
+        this._getGroups = opts.getGroups;
+        this._getAttributes = opts.getAttributes || (() => ({}));
+        this._rules = [];
+        this._nearM = 0;   // largest near distance in any rule (0 = no proximity rules)
+    }
+
+    /**
+     * Replace the rules (already validated).
+     * @param {object[]} rules
+     */
+    setRules(rules) {
+        this._rules = (rules || []).filter(r => r.enabled !== false);
+        this._nearM = Math.max(0, ...this._rules.map(r => maxNear(r.when)));
+    }
+
+    /**
+     * Rules matched after a device's position update: the device itself and,
+     * when there are proximity rules, the devices within reach of it.
+     * @param {object} device - Device cache record
+     * @param {object[]} devices - All devices (device cache)
+     * @param {Date} [now]
+     * @returns {{rule: object, device: object, zone: object|null, other: object|null, distance: number|null}[]}
+     */
+    evaluateDevice(device, devices, now = new Date()) {
+        const subjects = [device];
+        if (this._nearM > 0) {
+            for (const d of devices) {
+                if (d.id !== device.id && d.status === 'online' && isNear(d, device, this._nearM)) subjects.push(d);
+            }
+        }
+        return subjects.flatMap(d => this._match(d, devices, now));
+    }
+
+    /**
+     * Rules matched by any online device (timer).
+     * @param {object[]} devices
+     * @param {Date} [now]
+     */
+    evaluateAll(devices, now = new Date()) {
+        return devices.filter(d => d.status === 'online').flatMap(d => this._match(d, devices, now));
+    }
+
+    // ─── Internals ───────────────────────────────────────────────────
+
+    _match(device, devices, now) {
+        if (!this._rules.length) return [];
+        const subject = this._subject(device);
+        const matches = [];
+        for (const rule of this._rules) {
+            const env = { devices, now, zone: null, other: null, distance: null };
+            if (this._test(rule.when, subject, env)) {
+                matches.push({ rule, device: subject, zone: env.zone, other: env.other, distance: env.distance });
+            }
+        }
+        return matches;
+    }
+
+    _subject(device) {
+        return { ...device, attributes: this._getAttributes(device.id) || {} };
+    }
+
+    /**
+     * Evaluate a condition; bindings for the message (zone, other device,
+     * distance) are recorded on env.
+     */
+    _test(cond, subject, env) {
+        if (cond.all) return cond.all.every(c => this._test(c, subject, env));
+        if (cond.any) return cond.any.some(c => this._test(c, subject, env));
+        if (cond.not) return !this._test(cond.not, subject, { ...env });
+
+        if (cond.field) {
+            const actual = getPath(subject, cond.field);
+            if (!cond.ref) return compare(actual, cond.op, cond.value);
+            // A device without the referenced field (e.g. no assigned floor) never matches
+            const expected = getPath(subject, cond.ref);
+            return expected != null && compare(actual, cond.op, expected);
+        }
+
+        if (cond.zone || cond.zone_type) {
+            const wanted = cond.zone ? [].concat(cond.zone) : null;
+            for (const id of this._getZoneIds(subject.id)) {
+                const zone = this._getZone(id);
+                if (!zone) continue;
+                if (wanted && !wanted.includes(id)) continue;
+                if (cond.zone_type && zone.type !== cond.zone_type) continue;
+                env.zone = zone;
+                return true;
+            }
+            return false;
+        }
+
+        if (cond.group) return this._getGroups(subject.id).includes(cond.group);
+
+        if (cond.schedules) return inSchedules(cond.schedules, cond.timezone, env.now);
+
+        if (cond.near) {
+            let best = null;
+            for (const d of env.devices) {
+                if (d.id === subject.id || d.status !== 'online' || !isNear(d, subject, cond.near.within_m)) continue;
+                if (cond.near.where && !this._test(cond.near.where, this._subject(d), { ...env })) continue;
+                const dist = Math.hypot(d.x - subject.x, d.y - subject.y);
+                if (!best || dist < best.dist) best = { device: d, dist };
+            }
+            if (!best) return false;
+            env.other = best.device;
+            env.distance = Math.round(best.dist * 10) / 10;
+            return true;
+        }
+
+        return false;
+    }
+}
+
+function isNear(a, b, withinM) {
+    return a.floor === b.floor && a.x != null && b.x != null &&
+        Math.hypot(a.x - b.x, a.y - b.y) <= withinM;
+}
+
+function maxNear(cond) {
+    if (!cond || typeof cond !== 'object') return 0;
+    if (cond.all || cond.any) return Math.max(0, ...(cond.all || cond.any).map(maxNear));
+    if (cond.not) return maxNear(cond.not);
+    if (cond.near) return cond.near.within_m;
+    return 0;
+}
+
+function getPath(obj, path) {
+    return path.split('.').reduce((v, key) => (v == null ? undefined : v[key]), obj);
+}
+
+function compare(actual, op, expected) {
+    switch (op) {
+        case 'exists': return expected === false ? actual == null : actual != null;
+        case 'eq': return actual === expected;
+        case 'ne': return actual !== expected;
+        case 'in': return Array.isArray(expected) && expected.includes(actual);
+        case 'nin': return Array.isArray(expected) && !expected.includes(actual);
+    }
+    // Ordering operators never match a missing reading
+    if (typeof actual !== 'number' || typeof expected !== 'number') return false;
+    switch (op) {
+        case 'gt': return actual > expected;
+        case 'gte': return actual >= expected;
+        case 'lt': return actual < expected;
+        case 'lte': return actual <= expected;
+    }
+    return false;
+}
+
+/**
+ * Fill a message template from a rule match.
+ * @param {{rule: object, device: object, zone: object|null, other: object|null, distance: number|null}} match
+ * @returns {string}
+ */
+function renderMessage(match) {
+    const template = match.rule.message || '{rule.name}: {device.name}';
+    const values = { rule: match.rule, device: match.device, other: match.other, zone: match.zone, distance: match.distance };
+    return template.replace(/\{([A-Za-z0-9_.]+)\}/g, (token, path) => {
+        const v = getPath(values, path);
+        return v == null ? '-' : String(v);
+    });
+}
+
+/**
+ * Validate a rule create/update body.
+ *
+ * @param {object} body - Request body
+ * @param {object} ctx
+ * @param {object[]} ctx.rules - Current rules
+ * @param {object[]} [ctx.zones] - Configured zones (zone conditions must name one)
+ * @param {object} [ctx.tagGroups] - config.tag_groups (group conditions must name one)
+ * @param {object} [ctx.existing] - Rule being updated (PUT); fields missing from body are kept
+ * @returns {{rule: object}|{errors: object, conflict?: boolean}}
+ */
+function validateRule(body, ctx) {
+    const errors = {};
+    const existing = ctx.existing || null;
+    const rules = ctx.rules || [];
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { errors: { body: 'Expected a JSON object' } };
+    }
+    const pick = (key, fallback) => {
+        if (body[key] !== undefined) return body[key];
+        return existing && existing[key] !== undefined ? existing[key] : fallback;
+    };
+
+    // name
+    const name = pick('name');
+    if (typeof name !== 'string' || !name.trim()) errors.name = 'Name is required';
+    else if (name.trim().length > MAX_NAME_LENGTH) errors.name = `Name must be at most ${MAX_NAME_LENGTH} characters`;
+
+    // id
+    let id;
+    let conflict = false;
+    if (existing) {
+        id = existing.id;
+        if (body.id !== undefined && body.id !== existing.id) errors.id = 'Rule id cannot be changed';
+    } else if (body.id !== undefined && body.id !== null && body.id !== '') {
+        id = String(body.id);
+        if (!ID_PATTERN.test(id)) {
+            errors.id = 'Id may only contain letters, digits, "_", "-" and "."';
+        } else if (rules.some(r => r.id === id)) {
+            errors.id = `Rule "${id}" already exists`;
+            conflict = true;
+        }
+    } else if (!errors.name) {
+        id = uniqueRuleId(name, rules);
+    }
+
+    const enabled = pick('enabled', true);
+    if (typeof enabled !== 'boolean') errors.enabled = 'Must be true or false';
+
+    const severity = pick('severity', 'warning');
+    if (!SEVERITIES.includes(severity)) errors.severity = `Severity must be one of: ${SEVERITIES.join(', ')}`;
+
+    const message = pick('message', '');
+    if (typeof message !== 'string' || message.length > MAX_MESSAGE_LENGTH) {
+        errors.message = `Message must be a string of at most ${MAX_MESSAGE_LENGTH} characters`;
+    }
+
+    const cooldown = pick('cooldown_seconds', null);
+    if (cooldown !== null && !(typeof cooldown === 'number' && cooldown >= 0 && cooldown <= 86400)) {
+        errors.cooldown_seconds = 'Must be between 0 and 86400 seconds, or null';
+    }
+
+    let when;
+    const whenInput = pick('when');
+    if (whenInput === undefined) {
+        errors.when = 'Condition is required';
+    } else {
+        const zoneIds = (ctx.zones || []).map(z => z.id);
+        const groups = Object.keys(ctx.tagGroups || {});
+        when = validateCondition(whenInput, 'when', errors, { zoneIds, groups }, 0);
+    }
+
+    if (Object.keys(errors).length) return { errors, conflict };
+
+    const rule = { id, name: name.trim(), enabled, severity };
+    if (message) rule.message = message;
+    if (cooldown !== null) rule.cooldown_seconds = cooldown;
+    rule.when = when;
+    return { rule };
+}
+
+/**
+ * Validate one condition; returns it in normalized form (errors keyed by path).
+ */
+function validateCondition(cond, path, errors, ctx, depth) {
+    if (depth > MAX_DEPTH) { errors[path] = `Conditions may nest at most ${MAX_DEPTH} levels`; return null; }
+    if (!cond || typeof cond !== 'object' || Array.isArray(cond)) { errors[path] = 'Expected a condition object'; return null; }
+
+    for (const key of ['all', 'any']) {
+        if (cond[key] === undefined) continue;
+        if (!Array.isArray(cond[key]) || !cond[key].length) { errors[`${path}.${key}`] = 'Must be a non-empty list of conditions'; return null; }
+        return { [key]: cond[key].map((c, i) => validateCondition(c, `${path}.${key}.${i}`, errors, ctx, depth + 1)) };
+    }
+    if (cond.not !== undefined) return { not: validateCondition(cond.not, `${path}.not`, errors, ctx, depth + 1) };
+
+    if (cond.field !== undefined) {
+        const out = { field: cond.field, op: cond.op };
+        if (typeof cond.field !== 'string' || !FIELD_PATTERN.test(cond.field)) errors[`${path}.field`] = 'Must be a field name such as "temperature" or "attributes.assigned_floor"';
+        if (!OPERATORS.includes(cond.op)) { errors[`${path}.op`] = `Operator must be one of: ${OPERATORS.join(', ')}`; return out; }
+        if (cond.ref !== undefined) {
+            if (typeof cond.ref !== 'string' || !FIELD_PATTERN.test(cond.ref)) errors[`${path}.ref`] = 'Must be a field name';
+            else if (['in', 'nin', 'exists'].includes(cond.op)) errors[`${path}.ref`] = `Cannot be used with "${cond.op}"`;
+            out.ref = cond.ref;
+        } else if (cond.op === 'exists') {
+            if (cond.value !== undefined && typeof cond.value !== 'boolean') errors[`${path}.value`] = 'Must be true or false';
+            if (cond.value !== undefined) out.value = cond.value;
+        } else if (cond.op === 'in' || cond.op === 'nin') {
+            if (!Array.isArray(cond.value)) errors[`${path}.value`] = 'Must be a list';
+            out.value = cond.value;
+        } else if (['gt', 'gte', 'lt', 'lte'].includes(cond.op)) {
+            if (typeof cond.value !== 'number' || !isFinite(cond.value)) errors[`${path}.value`] = 'Must be a number';
+            out.value = cond.value;
+        } else {
+            if (cond.value === undefined || (cond.value !== null && typeof cond.value === 'object')) errors[`${path}.value`] = 'Must be a string, number, boolean or null';
+            out.value = cond.value;
+        }
+        return out;
+    }
+
+    if (cond.zone !== undefined) {
+        const ids = [].concat(cond.zone);
+        if (!ids.length || ids.some(z => typeof z !== 'string')) errors[`${path}.zone`] = 'Must be a zone id or a list of zone ids';
+        else {
+            const unknown = ids.filter(z => !ctx.zoneIds.includes(z));
+            if (unknown.length) errors[`${path}.zone`] = `Unknown zone ${unknown.join(', ')}`;
+        }
+        const out = { zone: cond.zone };
+        if (cond.zone_type !== undefined) out.zone_type = cond.zone_type;
+        if (cond.zone_type !== undefined && !ZONE_TYPES.includes(cond.zone_type)) errors[`${path}.zone_type`] = `Must be one of: ${ZONE_TYPES.join(', ')}`;
+        return out;
+    }
+    if (cond.zone_type !== undefined) {
+        if (!ZONE_TYPES.includes(cond.zone_type)) errors[`${path}.zone_type`] = `Must be one of: ${ZONE_TYPES.join(', ')}`;
+        return { zone_type: cond.zone_type };
+    }
+
+    if (cond.group !== undefined) {
+        if (typeof cond.group !== 'string' || !ctx.groups.includes(cond.group)) errors[`${path}.group`] = 'Must name a tag group';
+        return { group: cond.group };
+    }
+
+    if (cond.schedules !== undefined) {
+        const out = {};
+        validateSchedules(cond, path, out, errors);
+        const invalid = Object.keys(errors).some(k => k.startsWith(`${path}.schedules`));
+        if (!out.schedules && !invalid) errors[`${path}.schedules`] = 'Must list at least one schedule';
+        return out;
+    }
+
+    if (cond.near !== undefined) {
+        const near = cond.near;
+        if (!near || typeof near !== 'object') { errors[`${path}.near`] = 'Expected {within_m, where?}'; return null; }
+        if (typeof near.within_m !== 'number' || !(near.within_m > 0 && near.within_m <= MAX_NEAR_M)) {
+            errors[`${path}.near.within_m`] = `Must be a distance in meters, up to ${MAX_NEAR_M}`;
+        }
+        const out = { near: { within_m: near.within_m } };
+        if (near.where !== undefined) out.near.where = validateCondition(near.where, `${path}.near.where`, errors, ctx, depth + 1);
+        return out;
+    }
+
+    errors[path] = 'Unknown condition (expected all, any, not, field, zone, zone_type, group, schedules or near)';
+    return null;
+}
+
+function uniqueRuleId(name, rules) {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48);
+    const base = 'rule-' + (slug || 'unnamed');
+    const taken = new Set(rules.map(r => r.id));
+    if (!taken.has(base)) return base;
+    let n = 2;
+    while (taken.has(base + '-' + n)) n++;
+    return base + '-' + n;
+}
+
+module.exports = { RuleEngine, validateRule, renderMessage };
@@ -2,17 +2,38 @@
  * PILOT Indoor Positioning Engine v3.0 — Modular Orchestrator
  * Ported from SiteTrack pipeline architecture.
  *
- * Pipeline: MQTT → Parse → Enrich → Trilaterate → Kalman → Affine → Zone → Alert → Cache → Broadcast → Pilot API
+ * Pipeline: MQTT → Parse → Enrich → Trilaterate → Kalman → Map constraints → Affine → Zone → Alert → Cache → History → Broadcast → Pilot API
  *
  * Features:
- *   - Zero-dependency trilateration (130x faster than mathjs)
- *   - Zone checker with point-in-polygon enter/exit detection
- *   - Alert evaluator with 6 types + cooldown
- *   - WebSocket real-time broadcast (positions, zones, alerts, stats)
+ *   - Zero-dependency trilateration, 2D / 2.5D / 3D per floor
+ *   - Levenberg-Marquardt refinement with Huber weights + RANSAC range rejection
+ *   - GDOP, position covariance and 95% error ellipse per fix
+ *   - Map constraints: per-floor walls and no-go areas — no moves through walls, no fixes inside structures
+ *   - Floor detection: weighted anchor vote + barometer, hysteresis, changes only via transition zones
+ *   - Anchor self-calibration: anchor-to-anchor ranges → MDS layout pinned to surveyed anchors, typos flagged
+ *   - Particle filter tracker per floor: raw ranges (any count), multipath-robust, wall-aware, motion-sensor aware
+ *   - Zone checker with point-in-polygon enter/exit detection + per-zone hysteresis
+ *   - Dwell tracking per device/zone with max/min dwell alerts
+ *   - Zone occupancy limits (per device type) with over-capacity / understaffed alerts
+ *   - Zone access lists by device id, type or tag group, with time-of-day schedules
+ *   - Muster / evacuation mode: live roll-call of people at muster points, CSV report
+ *   - Man-down: no-motion pre-alert / alarm / escalation for people in work zones, with acknowledgement
+ *   - SOS: panic button presses (Wirepas EP 13, ELA JSON, Velavu events) → critical alert until acknowledged
+ *   - Zone CRUD API with schema validation and hot reload
+ *   - Settings API: alert thresholds, RSSI/CS, adaptive rate, Kalman — applied live
+ *   - API keys / signed tokens with viewer/operator/admin roles (HTTP + WebSocket)
+ *   - Alert evaluator with 18 types + cooldown
+ *   - Custom JSON alert rules: device fields, zones, schedules, sensor values, proximity — CRUD API with validation
+ *   - Alert lifecycle (open → acknowledged → resolved) with assignee, comments and audit trail, persisted on disk
+ *   - Alert notifications: signed webhooks, SMTP email, MQTT publish, PILOT events — routed by severity/type, rate-limited
+ *   - Escalation policies: unacknowledged alerts go to further channels after a timeout, then repeat
+ *   - Proximity / collision warnings: people vs vehicles, vehicles converging (grid index per floor, Kalman closing speed)
+ *   - WebSocket real-time broadcast (positions, zones, alerts, occupancy, muster, proximity, stats)
  *   - Binary protobuf decode from SolidSense N6 gateways
  *   - Gateway registry with health monitoring
  *   - Distance-based adaptive update rate
  *   - Proper device cache with merge semantics + stale sweep
+ *   - Append-only position history on local disk with time-range queries
  */
 
 const mqtt = require('mqtt');
@@ -20,14 +41,30 @@ const path = require('path');
 const fs = require('fs');
 const http = require('http');
 
-const { trilaterate } = require('./trilateration');
-const { createKalmanFilter } = require('./kalman');
+const { trilaterate, SOLVER_MODES, DEFAULT_TAG_HEIGHT_M } = require('./trilateration');
+const { createKalmanFilter, fixMeasurementNoise } = require('./kalman');
+const { MapConstraints, validateFloorGeometry } = require('./map-constraints');
+const { ParticleTracker, TRACKERS } = require('./particle-filter');
+const { FloorDetector } = require('./floor-detector');
+const { AnchorRanges, calibrateAnchors } = require('./anchor-calibration');
 const { buildAffineTransform, pixelToGeo, postPosition } = require('./pilot-bridge');
-const { parseMessage, getMqttTopics, shouldProcessUpdate, getTagMotionState, registerAnchor, getStats: getElaStats, getGatewayStats, getAnchors: getElaAnchors, getELADeviceList, sweepGateways } = require('./ela-wirepas');
+const { parseMessage, getMqttTopics, shouldProcessUpdate, getTagMotionState, setOnSensorData, registerAnchor, getStats: getElaStats, getGatewayStats, getAnchors: getElaAnchors, getELADeviceList, sweepGateways, RSSI_CONFIG, CS_CONFIG, ADAPTIVE_RATE } = require('./ela-wirepas');
 const { DeviceCache } = require('./device-cache');
 const { ZoneChecker } = require('./zone-checker');
+const { validateZone, validateTagGroups } = require('./zone-schema');
+const { readSettings, validateSettings, writeSettings } = require('./settings-schema');
+const { ApiAuth, requiredRole } = require('./auth');
 const { AlertEvaluator } = require('./alert-evaluator');
+const { RuleEngine, validateRule } = require('./rule-engine');
+const { AlertStore } = require('./alert-store');
+const { Notifier } = require('./notifier');
+const { EscalationManager } = require('./escalation');
 const { WebSocketBroadcaster } = require('./websocket');
+const { HistoryStore } = require('./history-store');
+const { MusterManager } = require('./muster');
+const { ManDownMonitor } = require('./man-down');
+const { SosManager } = require('./sos');
+const { ProximityMonitor, validateProximityRules } = require('./proximity');
 const velavuAdapter = require('./velavu-adapter');
 
 // ─── Config ──────────────────────────────────────────────────────────
@@ -50,8 +87,8 @@ const deviceCache = new DeviceCache({
     offlineTimeout: (config.alerts && config.alerts.offline_timeout_seconds || 600) * 1000
 });
 
-// 2. Zone Checker
-const zoneChecker = new ZoneChecker();
+// 2. Zone Checker (hysteresis defaults applied with the runtime settings below)
+const zoneChecker = new ZoneChecker({ tagGroups: config.tag_groups });
 zoneChecker.setZones(config.zones || []);
 
 // 3. Alert Evaluator
@@ -64,22 +101,82 @@ const alertEvaluator = new AlertEvaluator({
     speedLimitKmh: alertConfig.speed_limit_kmh || 40
 });
 
-// 4. WebSocket Broadcaster (attached to HTTP server later)
+// Custom alert rules (checked on each position update and with the 60s health checks)
+const ruleEngine = new RuleEngine({
+    getZoneIds: (id) => zoneChecker.getDeviceZoneIds(id),
+    getZone: (id) => zoneChecker.getZoneById(id),
+    getGroups: (id) => zoneChecker.getDeviceGroups(id),
+    getAttributes: (id) => tagAttributes.get(id)
+});
+config.rules = (config.rules || []).filter((rule, i, all) => {
+    const result = validateRule(rule, { rules: all.slice(0, i), zones: config.zones, tagGroups: config.tag_groups });
+    if (!result.errors) return true;
+    console.warn(`[Rules] Rule ${rule && rule.id || i} skipped:`, JSON.stringify(result.errors));
+    return false;
+});
+ruleEngine.setRules(config.rules);
+
+// Alert lifecycle + audit trail (survives restarts)
+const alertLogConfig = config.alert_log || {};
+const alertStore = new AlertStore({
+    file: path.resolve(__dirname, alertLogConfig.file || 'data/alerts.json'),
+    maxAlerts: alertLogConfig.max_alerts || 2000,
+    retentionDays: alertLogConfig.retention_days ?? 90
+});
+
+// 4. Man-Down Monitor (no-motion alerts for people in work zones; thresholds applied with the runtime settings below)
+const manDownMonitor = new ManDownMonitor({
+    getZone: (id) => zoneChecker.getZoneById(id)
+});
+
+// 5. WebSocket Broadcaster (attached to HTTP server later)
 const wsBroadcaster = new WebSocketBroadcaster();
 
-// Wire alert callback to WebSocket broadcast
+// Wire alert callback to the alert store + WebSocket broadcast + notification channels
 alertEvaluator.setOnAlert((alert) => {
-    wsBroadcaster.broadcastAlert(alert);
+    const record = alertStore.add(alert);
+    wsBroadcaster.broadcastAlert(record);
+    notifier.notify(record);
+    runEscalations([record]);
 });
 
-// 5. Floor / Anchor Maps
+// 6. Position History (append-only, on local disk)
+const historyConfig = config.history || {};
+const historyEnabled = historyConfig.enabled !== false;
+const historyStore = historyEnabled ? new HistoryStore({
+    dir: path.resolve(__dirname, historyConfig.dir || 'data/history'),
+    retentionDays: historyConfig.retention_days ?? 30,
+    rollupAfterDays: historyConfig.rollup_after_days ?? 7,
+    rollupIntervalSeconds: historyConfig.rollup_interval_seconds || 60,
+    flushIntervalMs: historyConfig.flush_interval_ms || 5000,
+    maxQueryPoints: historyConfig.max_query_points || 50000
+}) : null;
+
+// 7. Floor / Anchor Maps
 const anchorMap = new Map();
 const transformMap = new Map();
+const solverMap = new Map(); // floorId -> '2d' | '2.5d' | '3d'
+const trackerMap = new Map(); // floorId -> 'kalman' | 'particle'
+const mapConstraints = new MapConstraints(); // enabled / max_rejections applied with the runtime settings below
+const anchorRanges = new AnchorRanges(); // anchor-to-anchor distances for anchor self-calibration
+const floorDetector = new FloorDetector({
+    // Floors with transition zones (stairs, lifts) only change floor from inside one
+    getTransitionZone: (tagId, floor) => {
+        const zones = zoneChecker.getZones().filter(z => z.type === 'transition' && z.floor === floor);
+        if (!zones.length) return undefined;
+        const inside = zoneChecker.getDeviceZoneIds(tagId);
+        return zones.find(z => inside.includes(z.id)) || null;
+    }
+}); // thresholds applied with the runtime settings below
 
 function refreshFloorMaps() {
     anchorMap.clear();
     transformMap.clear();
+    solverMap.clear();
+    trackerMap.clear();
     for (const floor of config.floors || []) {
+        solverMap.set(floor.id, SOLVER_MODES.includes(floor.solver) ? floor.solver : '2d');
+        trackerMap.set(floor.id, TRACKERS.includes(floor.tracker) ? floor.tracker : 'kalman');
         const anchors = {};
         for (const a of floor.anchors || []) {
             anchors[a.id] = { x: a.x, y: a.y, z: a.z || 0 };
@@ -87,29 +184,293 @@ function refreshFloorMaps() {
             registerAnchor(a.id, { x: a.x, y: a.y, z: a.z || 0, floor: floor.id, name: 'Anchor ' + a.id });
         }
         anchorMap.set(floor.id, anchors);
+        const geometryErrors = validateFloorGeometry(floor);
+        if (Object.keys(geometryErrors).length) {
+            console.warn(`[Floors] Floor ${floor.id} geometry partly ignored:`, JSON.stringify(geometryErrors));
+        }
         const cal = floor.calibration;
         if (cal && cal.points && cal.points.length >= 3) {
             const points = cal.points.map(p => ({ pixel: p.pixel, geo: p.geo }));
             transformMap.set(floor.id, buildAffineTransform(points));
         }
     }
+    mapConstraints.setFloors(config.floors);
+    floorDetector.setFloors(config.floors);
 }
 refreshFloorMaps();
 
-// 6. Per-tag Kalman filters
+// 8. Per-tag Kalman filters / particle clouds + last solve report (debug API)
 const kalmanFilters = new Map();
-
-// 7. Runtime Settings
+const kalmanFloors = new Map(); // tagId -> floor its filter is tracking on
+const particleTracker = new ParticleTracker({
+    maxRangeM: config.positioning.max_distance_m || 30,
+    constraints: mapConstraints
+}); // particle_filter settings applied with the runtime settings below
+const solveReports = new Map();
+
+// 9. Runtime Settings
 const MQTT_BROKER = process.env.MQTT_BROKER || config.mqtt.broker;
 const PILOT_API_URL = process.env.PILOT_API_URL || config.pilot.api_url;
 const PILOT_API_KEY = process.env.PILOT_API_KEY || config.pilot.api_key;
-const minAnchors = config.positioning.min_anchors || 3;
-const kalmanEnabled = config.positioning.kalman_enabled !== false;
+let minAnchors = 3;
+const anchorCalibrationParams = { thresholdM: 0.5, minLinks: 3 };
+let kalmanEnabled = true;
+const kalmanParams = { processNoise: 0.5, measurementNoise: 1.0, rssiMeasurementNoise: 3.0, maxGapSeconds: 120 };
+
+/**
+ * Apply settings to the running modules — no restart, MQTT and WebSocket stay connected.
+ * @param {object} settings - Settings document (see settings-schema.js)
+ */
+function applyRuntimeSettings(settings) {
+    const a = settings.alerts;
+    const p = settings.positioning;
+
+    alertEvaluator.configure({
+        cooldownMs: a.cooldown_seconds * 1000,
+        batteryWarning: a.battery_warning,
+        batteryCritical: a.battery_critical,
+        offlineTimeoutMs: a.offline_timeout_seconds * 1000,
+        speedLimitKmh: a.speed_limit_kmh
+    });
+    deviceCache.setOfflineTimeout(a.offline_timeout_seconds * 1000);
+
+    const md = settings.man_down;
+    manDownMonitor.configure({
+        enabled: md.enabled,
+        noMotionSeconds: md.no_motion_seconds,
+        alarmAfterSeconds: md.alarm_after_seconds,
+        escalateAfterSeconds: md.escalate_after_seconds,
+        motionThresholdM: md.motion_threshold_m,
+        offlineTimeoutMs: a.offline_timeout_seconds * 1000
+    });
+
+    minAnchors = p.min_anchors;
+
+    const zh = settings.zone_hysteresis;
+    zoneChecker.setDefaultHysteresis({
+        innerBuffer: zh.inner_buffer_m,
+        outerBuffer: zh.outer_buffer_m,
+        enterDwellSeconds: zh.enter_dwell_seconds,
+        exitSamples: zh.exit_samples,
+        minConfidence: zh.min_confidence
+    });
+    zoneChecker.setZones(config.zones || []);
+
+    kalmanParams.processNoise = p.kalman.process_noise;
+    kalmanParams.measurementNoise = p.kalman.measurement_noise;
+    kalmanParams.rssiMeasurementNoise = p.kalman.rssi_measurement_noise;
+    kalmanParams.maxGapSeconds = p.kalman.max_gap_seconds;
+    if (kalmanEnabled && !p.kalman_enabled) {
+        kalmanFilters.clear();
+        kalmanFloors.clear();
+    }
+    kalmanEnabled = p.kalman_enabled;
+    for (const [tagId, kf] of kalmanFilters) {
+        const device = deviceCache.get(tagId);
+        kf.setParams({ ...kalmanParams, processNoise: getProcessNoise(device ? device.type : 'person') });
+    }
+
+    const pf = p.particle_filter;
+    particleTracker.configure({
+        particles: pf.particles,
+        rangeSigmaM: pf.range_sigma_m,
+        outlierRatio: pf.outlier_ratio,
+        speedMps: pf.speed_mps,
+        maxRangeM: p.max_distance_m
+    });
 
-// Tag ID -> Pilot unit ID mapping
+    anchorCalibrationParams.thresholdM = p.anchor_calibration.threshold_m;
+    anchorCalibrationParams.minLinks = p.anchor_calibration.min_links;
+
+    const fd = p.floor_detection;
+    floorDetector.configure({
+        enabled: fd.enabled,
+        minShare: fd.min_share,
+        switchAfter: fd.switch_after,
+        barometerWeight: fd.barometer_weight,
+        transitionFallback: fd.transition_fallback,
+        minAnchors: p.min_anchors
+    });
+
+    mapConstraints.configure({
+        enabled: p.map_constraints.enabled,
+        maxRejections: p.map_constraints.max_rejections
+    });
+
+    CS_CONFIG.enabled = p.channel_sounding.enabled;
+    CS_CONFIG.minConfidence = p.channel_sounding.min_confidence;
+    CS_CONFIG.maxDistance = p.channel_sounding.max_distance_m;
+
+    RSSI_CONFIG.txPower = p.rssi.tx_power;
+    RSSI_CONFIG.pathLossExponent = p.rssi.path_loss_exponent;
+    RSSI_CONFIG.minRSSI = p.rssi.min_rssi;
+    RSSI_CONFIG.maxDistance = p.rssi.max_distance_m;
+
+    ADAPTIVE_RATE.enabled = p.adaptive_rate.enabled;
+    ADAPTIVE_RATE.movingIntervalMs = p.adaptive_rate.moving_interval_ms;
+    ADAPTIVE_RATE.stationaryIntervalMs = p.adaptive_rate.stationary_interval_ms;
+    ADAPTIVE_RATE.movementThresholdM = p.adaptive_rate.movement_threshold_m;
+    ADAPTIVE_RATE.stationaryAfterMs = p.adaptive_rate.stationary_after_ms;
+}
+applyRuntimeSettings(readSettings(config));
+
+// Tag ID -> Pilot unit ID mapping, and extra tag attributes for rules (e.g. assigned_floor)
 const tagToUnitId = new Map();
+const tagAttributes = new Map();
 for (const mapping of config.tag_mappings || []) {
-    tagToUnitId.set(mapping.tag_id, mapping.pilot_unit_id);
+    if (mapping.pilot_unit_id) tagToUnitId.set(mapping.tag_id, mapping.pilot_unit_id);
+    if (mapping.attributes) tagAttributes.set(mapping.tag_id, mapping.attributes);
+}
+
+// Alert notification channels (webhook / email / MQTT / PILOT events)
+const notifier = new Notifier({
+    channels: (config.notifications || {}).channels || [],
+    mqttPublish: (topic, payload, opts) => client.publish(topic, payload, opts),
+    pilot: {
+        apiUrl: PILOT_API_URL,
+        apiKey: PILOT_API_KEY,
+        unitIdFor: (tagId) => tagToUnitId.get(tagId) || tagId
+    }
+});
+
+// Escalation policies for alerts nobody acknowledges (checked with the 60s health checks)
+const escalationManager = new EscalationManager({
+    policies: (config.escalation || {}).policies || [],
+    channelIds: notifier.getChannelIds()
+});
+
+/**
+ * Send the escalation steps that are due for these alerts and record them on the alerts.
+ * @param {object[]} alerts - Alert store records
+ */
+function runEscalations(alerts) {
+    for (const step of escalationManager.check(alerts)) {
+        notifier.escalate(step.channels, step.alert, { policy: step.policy, level: step.level, repeat: step.repeat });
+        const alert = alertStore.recordEscalation(step.alert.id, step);
+        wsBroadcaster.broadcastAlertUpdate(alert);
+        console.log(`[Escalation] ${alert.type} ${alert.deviceId || ''} → level ${step.level}${step.repeat ? ` (repeat ${step.repeat})` : ''}: ${step.channels.join(', ')}`);
+    }
+}
+
+// 10. API Auth (API keys / signed tokens, roles, CORS)
+const authConfig = config.auth || {};
+const apiKeys = [...(authConfig.api_keys || [])];
+if (process.env.API_ADMIN_KEY) apiKeys.push({ name: 'env-admin', key: process.env.API_ADMIN_KEY, role: 'admin' });
+if (authConfig.enabled === true && apiKeys.length === 0) {
+    // Nothing could ever authenticate; refuse to start rather than lock everyone out (or fall back to open)
+    console.error('[Auth] auth.enabled is true but no API keys are configured — add auth.api_keys or set API_ADMIN_KEY');
+    process.exit(1);
+}
+const apiAuth = new ApiAuth({
+    enabled: authConfig.enabled ?? apiKeys.length > 0,
+    apiKeys,
+    tokenSecret: process.env.API_TOKEN_SECRET || authConfig.token_secret,
+    tokenTtlSeconds: authConfig.token_ttl_seconds,
+    corsOrigins: authConfig.cors_origins
+});
+wsBroadcaster.setAuth(apiAuth);
+if (!apiAuth.enabled) {
+    console.warn('[Auth] API authentication is OFF — set auth.api_keys in config.json or API_ADMIN_KEY to protect the engine');
+}
+
+// 11. Muster (evacuation roll-call over device cache + zone membership)
+const musterManager = new MusterManager({
+    getDevices: () => deviceCache.getAll(),
+    getDeviceZoneIds: (id) => zoneChecker.getDeviceZoneIds(id),
+    getZone: (id) => zoneChecker.getZoneById(id),
+    personTypes: (config.muster && config.muster.person_types) || ['person']
+});
+let musterBroadcastTimer = null;
+
+/**
+ * Broadcast the roll-call at most once per second (many tags report at once).
+ */
+function scheduleMusterBroadcast() {
+    if (musterBroadcastTimer) return;
+    musterBroadcastTimer = setTimeout(() => {
+        musterBroadcastTimer = null;
+        wsBroadcaster.broadcastMuster({ active: musterManager.active, ...musterManager.rollCall() });
+    }, 1000);
+}
+
+// 12. SOS (panic button presses, open until acknowledged)
+const sosManager = new SosManager();
+
+/**
+ * Open an SOS for a button press, or count a repeat press of an open one.
+ * @param {string} deviceId
+ * @param {string} source - 'tag' (ELA / Wirepas button) | 'velavu'
+ * @param {object} [position] - Defaults to the device's last fix in the cache
+ * @param {string} [name] - Defaults to the cached device name
+ */
+function raiseSos(deviceId, source, position, name) {
+    const device = deviceCache.get(deviceId);
+    const { sos, isNew } = sosManager.raise({
+        deviceId,
+        name: name || (device ? device.name : null),
+        source,
+        position: position || sosPosition(device)
+    });
+    if (isNew) alertEvaluator.evaluateSos(sos, 'raised');
+}
+
+/**
+ * Last known position of a cached device, for SOS alerts and map pins.
+ */
+function sosPosition(device) {
+    if (!device || device.x == null || device.y == null) return null;
+    return { x: device.x, y: device.y, floor: device.floor, zone: device.zone || null };
+}
+
+// 13. Proximity (collision warnings between device pairs, fed from device cache updates)
+const proximityConfig = config.proximity || {};
+const proximityErrors = validateProximityRules(proximityConfig.rules);
+const proximityMonitor = new ProximityMonitor({
+    rules: proximityConfig.enabled === false ? [] : (proximityConfig.rules || []).filter((rule, i) => {
+        const bad = Object.keys(proximityErrors).filter(k => k.startsWith(`rules[${i}]`));
+        if (!bad.length) return true;
+        console.warn(`[Proximity] Rule ${rule && rule.id || i} skipped: ${bad.map(k => `${k} ${proximityErrors[k]}`).join('; ')}`);
+        return false;
+    }),
+    throttleSeconds: proximityConfig.throttle_seconds,
+    clearFactor: proximityConfig.clear_factor,
+    // Particle floors: particle velocity; else Kalman velocity; off → last two fixes
+    getVelocity: (id) => {
+        const device = deviceCache.get(id);
+        if (device && trackerMap.get(device.floor) === 'particle') return particleTracker.getVelocity(id);
+        return kalmanEnabled && kalmanFilters.has(id) ? kalmanFilters.get(id).getState() : null;
+    }
+});
+deviceCache.setOnUpdate((device) => {
+    for (const evt of proximityMonitor.update(device)) broadcastProximity(evt);
+});
+deviceCache.setOnOffline((device) => {
+    for (const evt of proximityMonitor.remove(device.id)) broadcastProximity(evt);
+    particleTracker.remove(device.id);
+    floorDetector.remove(device.id);
+    solveReports.delete(device.id);
+    // A dead tag must not keep a zone looking staffed
+    for (const zoneId of zoneChecker.removeDevice(device.id)) {
+        const occ = zoneChecker.getOccupancy(zoneId);
+        if (!occ) continue;
+        alertEvaluator.evaluateOccupancy(occ);
+        wsBroadcaster.broadcastOccupancy(occ);
+    }
+});
+
+function handleFloorChange(tagId, change) {
+    const evt = { event: 'floor_change', deviceId: tagId, ...change };
+    wsBroadcaster.broadcastZoneEvent(evt);
+    const via = change.zoneName ? ` via ${change.zoneName}`
+        : change.fallback ? ` outside any transition zone (${change.fallback} fallback)` : '';
+    console.log(`[Floor] ${tagId}: floor ${change.from} → ${change.to}${via} (vote ${change.share}${change.barometer ? ', barometer' : ''})`);
+}
+
+function broadcastProximity(evt) {
+    wsBroadcaster.broadcastProximity(evt);
+    if (evt.event === 'proximity') {
+        console.log(`[Proximity] ${evt.ruleId}: ${evt.a.id} ↔ ${evt.b.id} ${evt.distance}m closing=${evt.closingSpeed}m/s`);
+    }
 }
 
 // ─── Processing Pipeline (ported from SiteTrack pipeline.ts) ────────
@@ -118,50 +479,164 @@ function getAnchorsForFloor(floorId) {
     return anchorMap.get(floorId) || anchorMap.get(1) || {};
 }
 
+function isAnchor(id) {
+    for (const anchors of anchorMap.values()) {
+        if (anchors[id]) return true;
+    }
+    return false;
+}
+
+/**
+ * Assumed tag height for the 2.5D solver: positioning.tag_heights[type], then .default.
+ */
+function getTagHeight(type) {
+    const heights = config.positioning.tag_heights || {};
+    return heights[type] ?? heights.default ?? DEFAULT_TAG_HEIGHT_M;
+}
+
+/**
+ * Kalman process noise for a device type (positioning.kalman.process_noise_by_type),
+ * falling back to positioning.kalman.process_noise.
+ */
+function getProcessNoise(type) {
+    const byType = (config.positioning.kalman && config.positioning.kalman.process_noise_by_type) || {};
+    return byType[type] ?? kalmanParams.processNoise;
+}
+
+/**
+ * Kalman measurement noise σ (m) for a fix from the methods of its ranges and
+ * the solver's confidence (positioning.kalman.measurement_noise / rssi_measurement_noise).
+ * @param {number|null} confidence - null when the fix carries a covariance
+ */
+function getMeasurementNoise(ranges, confidence) {
+    return fixMeasurementNoise(ranges, confidence, {
+        csNoise: kalmanParams.measurementNoise,
+        rssiNoise: kalmanParams.rssiMeasurementNoise
+    });
+}
+
 function enrichMeasurements(measurements, floorId) {
     const anchors = getAnchorsForFloor(floorId);
     return measurements
         .filter(m => anchors[m.anchor_id])
         .map(m => ({
             ...anchors[m.anchor_id],
+            anchor_id: m.anchor_id,
             distance_m: m.distance_m,
-            quality: m.quality ?? 0.9
+            quality: m.quality ?? 0.9,
+            method: m.method
         }));
 }
 
 function processTagData(tagData) {
-    const { tagId, measurements, sensors, floor: floorId, name, type, timestamp } = tagData;
-    if (!tagId || !measurements.length) return;
+    const { tagId, measurements, sensors, name, type, timestamp } = tagData;
+    if (!tagId) return;
 
-    // Stage 1: Enrich with anchor positions
-    const enriched = enrichMeasurements(measurements, floorId);
-    if (enriched.length < minAnchors) return;
+    // Anchors ranging each other feed anchor self-calibration, not tracking
+    if (isAnchor(tagId)) {
+        for (const m of measurements) anchorRanges.add(tagId, m.anchor_id, m.distance_m, m.method);
+        return;
+    }
+
+    // A button press is never dropped — it alerts before any of the filtering below
+    if (sensors.button) raiseSos(tagId, 'tag');
 
-    // Outlier check
-    const maxDist = Math.max(...enriched.map(m => m.distance_m));
-    if (maxDist > (config.positioning.max_distance_m || 30)) return;
+    // Accelerometer motion resets the man-down timer, even when the fix itself is dropped below,
+    // and tells the particle filter whether the tag can move at all
+    if (sensors.motion != null) {
+        handleManDownEvents(manDownMonitor.updateMotion(tagId, !!sensors.motion));
+        particleTracker.setMotion(tagId, !!sensors.motion);
+    }
+    if (!measurements.length) return;
 
-    // Stage 2: Trilaterate (zero-dependency WLS)
-    const result = trilaterate(enriched);
+    // Floor: weighted vote of all anchors heard (+ barometer), with hysteresis and transition zones
+    const { floor: floorId, change: floorChange } = floorDetector.detect(tagId, measurements, {
+        floor: tagData.floor,
+        pressure: sensors.pressure
+    });
+    if (floorChange) handleFloorChange(tagId, floorChange);
+
+    // Stage 1: Enrich with anchor positions, drop ranges beyond max_distance_m
+    const maxDist = config.positioning.max_distance_m || 30;
+    const enriched = enrichMeasurements(measurements, floorId).filter(m => m.distance_m <= maxDist);
+    const particle = trackerMap.get(floorId) === 'particle';
+    // The particle filter works from any number of ranges; trilateration needs min_anchors
+    if (enriched.length < (particle ? 1 : minAnchors)) return;
+
+    // Stage 2: Trilaterate (WLS seed → LM refinement, RANSAC rejection; 2D / 2.5D / 3D per floor),
+    // or on particle floors feed the ranges straight into the tag's particle filter
+    const mode = particle ? 'particle' : (solverMap.get(floorId) || '2d');
+    const tagHeight = getTagHeight(type || 'person');
+    const result = particle
+        ? particleTracker.update(tagId, floorId, enriched, { tagHeight })
+        : trilaterate(enriched, {
+            mode,
+            tagHeight,
+            outlierThreshold: config.positioning.outlier_threshold_m ?? 10
+        });
     if (!result) return;
+    solveReports.set(tagId, {
+        timestamp: timestamp || Math.floor(Date.now() / 1000),
+        floor: floorId,
+        mode,
+        x: round3(result.x),
+        y: round3(result.y),
+        z: result.z != null ? round3(result.z) : null,
+        confidence: round3(result.confidence),
+        iterations: result.iterations,
+        rejected: result.rejected,
+        gdop: result.gdop != null ? round3(result.gdop) : null,
+        constraint: null,
+        residuals: result.residuals.map(r => ({
+            anchorId: r.anchorId,
+            range: round3(r.range),
+            expected: round3(r.expected),
+            residual: round3(r.residual),
+            weight: round3(r.weight),
+            inlier: r.inlier
+        }))
+    });
 
     let { x, y } = result;
     const confidence = result.confidence;
 
-    // Stage 3: Kalman smoothing
+    // Stage 3: Kalman smoothing over the real time between fixes, trusting each fix by its
+    // method and quality; restarts on a floor change (particle floors are already tracked over time)
     let speed = 0;
-    if (kalmanEnabled) {
+    if (particle) {
+        speed = result.speed;
+    } else if (kalmanEnabled) {
         let kf = kalmanFilters.get(tagId);
         if (!kf) {
-            kf = createKalmanFilter({ processNoise: 0.5, measurementNoise: 1.0 });
+            kf = createKalmanFilter({ ...kalmanParams, processNoise: getProcessNoise(type || 'person') });
             kalmanFilters.set(tagId, kf);
         }
-        const smoothed = kf.update(x, y);
+        if (kalmanFloors.get(tagId) !== floorId) {
+            kf.reset();
+            kalmanFloors.set(tagId, floorId);
+        }
+        // Timestamps are whole seconds: use arrival time unless the fix was delivered late
+        const now = Date.now() / 1000;
+        const smoothed = kf.update(x, y, {
+            time: Number.isFinite(timestamp) && now - timestamp > 1 ? timestamp : now,
+            // Fix quality counts once: the solver covariance when there is one, else confidence
+            measurementNoise: getMeasurementNoise(enriched, result.covariance ? null : confidence),
+            covariance: result.covariance
+        });
         x = smoothed.x;
         y = smoothed.y;
         speed = kf.getSpeed();
     }
 
+    // Stage 3b: Map constraints (out of no-go areas, not through walls)
+    const constrained = mapConstraints.apply(tagId, floorId, x, y);
+    if (constrained.constraint) {
+        x = constrained.x;
+        y = constrained.y;
+        if (!particle && kalmanEnabled) kalmanFilters.get(tagId).setPosition(x, y);
+        solveReports.get(tagId).constraint = constrained.constraint;
+    }
+
     // Stage 4: Adaptive rate check (distance-based)
     if (!shouldProcessUpdate(tagId, x, y, floorId)) return;
 
@@ -173,14 +648,27 @@ function processTagData(tagData) {
     }
 
     // Stage 6: Zone check
-    const zoneEvents = zoneChecker.check({ deviceId: tagId, x, y, floor: floorId });
+    const zoneEvents = zoneChecker.check({ deviceId: tagId, x, y, floor: floorId, type: type || 'person', confidence, timestamp });
     const zoneNames = zoneChecker.getDeviceZones(tagId);
     const zoneName = zoneNames.length > 0 ? zoneNames.join(', ') : '';
 
-    // Stage 7: Alert evaluation
+    // Stage 7: Alert evaluation (zone events, then headcount of zones that changed)
     for (const evt of zoneEvents) {
         alertEvaluator.evaluate(evt);
     }
+    const occupancyChanges = occupancyForEvents(zoneEvents);
+    for (const occ of occupancyChanges) {
+        alertEvaluator.evaluateOccupancy(occ);
+    }
+    handleManDownEvents(manDownMonitor.updatePosition({
+        deviceId: tagId,
+        name: name || tagId,
+        type: type || 'person',
+        x,
+        y,
+        floor: floorId,
+        zoneIds: zoneChecker.getDeviceZoneIds(tagId)
+    }));
 
     // Get motion state from adaptive rate tracker
     const motionState = getTagMotionState(tagId);
@@ -203,16 +691,52 @@ function processTagData(tagData) {
         confidence: Math.round(confidence * 100) / 100,
         geo: geo || null,
         speed: Math.round(speed * 100) / 100,
-        zones: zoneNames
+        zones: zoneNames,
+        gdop: result.gdop != null ? Math.round(result.gdop * 100) / 100 : null,
+        covariance: result.covariance ? result.covariance.map(row => row.map(round4)) : null,
+        ellipse: result.ellipse ? {
+            semiMajor: Math.round(result.ellipse.semiMajor * 100) / 100,
+            semiMinor: Math.round(result.ellipse.semiMinor * 100) / 100,
+            angle: Math.round(result.ellipse.angle * 10) / 10
+        } : null
     });
 
-    // Stage 9: WebSocket broadcast
+    // An open SOS follows the device so the map pin shows where help is needed
+    sosManager.updatePosition(tagId, sosPosition(device));
+
+    // Custom rules for this device (and, for proximity rules, the devices near it)
+    for (const match of ruleEngine.evaluateDevice(device, deviceCache.getAll())) {
+        alertEvaluator.evaluateRule(match);
+    }
+
+    // Stage 9: Append to position history
+    if (historyStore) {
+        historyStore.append({
+            t: device.lastUpdate * 1000,
+            id: device.id,
+            floor: device.floor,
+            x: device.x,
+            y: device.y,
+            confidence: device.confidence,
+            speed: device.speed,
+            zones: device.zones,
+            isMoving: device.isMoving
+        });
+    }
+
+    // Stage 10: WebSocket broadcast
     wsBroadcaster.broadcastPosition(device);
     for (const evt of zoneEvents) {
         wsBroadcaster.broadcastZoneEvent(evt);
     }
+    for (const occ of occupancyChanges) {
+        wsBroadcaster.broadcastOccupancy(occ);
+    }
+    if (musterManager.active && musterManager.refresh(tagId)) {
+        scheduleMusterBroadcast();
+    }
 
-    // Stage 10: Post to Pilot API
+    // Stage 11: Post to Pilot API
     const unitId = tagToUnitId.get(tagId) || tagId;
     if (PILOT_API_URL && PILOT_API_KEY && geo) {
         postPosition({
@@ -229,7 +753,59 @@ function processTagData(tagData) {
     }
 
     const method = measurements[0]?.method || '?';
-    console.log(`[${method}] ${tagId}: (${x.toFixed(2)}, ${y.toFixed(2)}) conf=${confidence.toFixed(2)} ${isMoving ? 'MOVING' : 'parked'}${zoneName ? ' [' + zoneName + ']' : ''}`);
+    const rejectedNote = result.rejected ? ` rejected=${result.rejected}` : '';
+    console.log(`[${method}] ${tagId}: (${x.toFixed(2)}, ${y.toFixed(2)}) conf=${confidence.toFixed(2)}${rejectedNote} ${isMoving ? 'MOVING' : 'parked'}${zoneName ? ' [' + zoneName + ']' : ''}`);
+}
+
+/**
+ * Raise alerts for man-down stage changes (they reach clients on the alerts channel).
+ */
+function handleManDownEvents(events) {
+    for (const evt of events) {
+        alertEvaluator.evaluateManDown(evt);
+    }
+}
+
+const MAN_DOWN_ALARM_TYPES = ['man_down_pre_alert', 'man_down', 'man_down_escalated'];
+
+/**
+ * Acknowledge a device's open alerts once the SOS / man-down behind them is
+ * acknowledged through its own API, so the alert inbox agrees.
+ */
+function acknowledgeDeviceAlerts(deviceId, types, by, note) {
+    for (const alert of alertStore.acknowledgeOpen(deviceId, types, by, note)) {
+        wsBroadcaster.broadcastAlertUpdate(alert);
+    }
+}
+
+/**
+ * Acknowledging an SOS or man-down alert from the inbox also acknowledges
+ * the SOS / man-down episode (pin and prompts close, escalation stops).
+ */
+function acknowledgeAlertSource(alert, by, note) {
+    if (alert.type === 'sos') {
+        const sos = sosManager.acknowledge(alert.deviceId, by, note);
+        if (sos) alertEvaluator.evaluateSos(sos, 'acknowledged');
+    } else if (MAN_DOWN_ALARM_TYPES.includes(alert.type)) {
+        const evt = manDownMonitor.acknowledge(alert.deviceId, by, note);
+        if (evt) handleManDownEvents([evt]);
+    }
+}
+
+/**
+ * Occupancy of each zone a device entered or exited.
+ */
+function occupancyForEvents(zoneEvents) {
+    const zoneIds = new Set(zoneEvents.filter(e => e.event === 'enter' || e.event === 'exit').map(e => e.zoneId));
+    return [...zoneIds].map(id => zoneChecker.getOccupancy(id)).filter(Boolean);
+}
+
+function round3(v) {
+    return Math.round(v * 1000) / 1000;
+}
+
+function round4(v) {
+    return Math.round(v * 10000) / 10000;
 }
 
 // ─── MQTT Message Router ─────────────────────────────────────────────
@@ -244,12 +820,26 @@ function handleMqttMessage(topic, payload) {
     }
 }
 
+// Sensor-only messages: EP 12 motion feeds the man-down monitor, EP 13 button raises an SOS
+setOnSensorData((nodeId, sensors) => {
+    if (sensors.button) raiseSos(nodeId, 'tag');
+    if (sensors.motion != null) handleManDownEvents(manDownMonitor.updateMotion(nodeId, !!sensors.motion));
+});
+
+// Velavu panic buttons (polled button events) — position from the Velavu device
+velavuAdapter.setOnButtonEvent(({ deviceId, device }) => {
+    const position = device && device.lat != null && device.lng != null
+        ? { lat: device.lat, lng: device.lng, floor: device.floorId || null }
+        : null;
+    raiseSos(deviceId, 'velavu', position, device ? device.name : null);
+});
+
 // ─── Periodic Tasks ──────────────────────────────────────────────────
 
 // Stale device sweep (30s)
 deviceCache.startSweep(30000);
 
-// Alert health checks (60s)
+// Alert health checks + dwell / occupancy limits + custom rules + escalation (60s)
 setInterval(() => {
     const devices = deviceCache.getAll();
     for (const device of devices) {
@@ -257,8 +847,49 @@ setInterval(() => {
     }
     alertEvaluator.cleanCooldowns();
     sweepGateways();
+
+    // Max dwell for devices that went quiet inside a zone
+    for (const evt of zoneChecker.checkDwell()) {
+        alertEvaluator.evaluate(evt);
+        wsBroadcaster.broadcastZoneEvent(evt);
+    }
+
+    // Zones still over capacity / understaffed (alerts repeat after the cooldown)
+    for (const occ of zoneChecker.getLimitedOccupancy()) {
+        alertEvaluator.evaluateOccupancy(occ);
+    }
+
+    // Custom rules (time windows, devices that went quiet)
+    for (const match of ruleEngine.evaluateAll(devices)) {
+        alertEvaluator.evaluateRule(match);
+    }
+
+    // Escalate alerts still unacknowledged
+    runEscalations(alertStore.getOpen());
 }, 60000);
 
+// Muster roll-call refresh (5s) — picks up people whose tags went offline
+setInterval(() => {
+    if (musterManager.active && musterManager.refresh()) scheduleMusterBroadcast();
+}, 5000);
+
+// Man-down stages (5s) — pre-alert / alarm / escalation timers
+setInterval(() => {
+    handleManDownEvents(manDownMonitor.check());
+}, 5000);
+
+// History flush + retention/rollup
+if (historyStore) historyStore.start();
+
+// Flush buffered history and alert changes on shutdown
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        if (historyStore) historyStore.stop();
+        alertStore.flushSync();
+        process.exit(0);
+    });
+}
+
 // Stats broadcast (10s)
 const wsConfig = config.websocket || {};
 if (wsConfig.enabled !== false) {
@@ -267,6 +898,7 @@ if (wsConfig.enabled !== false) {
         wsBroadcaster.broadcastStats({
             devicesOnline: deviceCache.onlineCount,
             devicesTotal: deviceCache.size,
+            alertsOpen: alertStore.counts().open,
             uptime: process.uptime(),
             wsClients: wsBroadcaster.clientCount,
             ...elaStats
@@ -277,11 +909,42 @@ if (wsConfig.enabled !== false) {
 // ─── HTTP API ────────────────────────────────────────────────────────
 const API_PORT = parseInt(process.env.API_PORT || config.api_port || '3080', 10);
 
-function parseJsonBody(req) {
+// Largest JSON body accepted; zones, floor geometry and settings are far below this.
+// Floor plans arrive base64-encoded in JSON and get a larger limit.
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_PLAN_BODY_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Read and parse a JSON request body. Rejects with err.status = 413 once the
+ * body passes maxBytes (the rest is drained, not buffered).
+ */
+function parseJsonBody(req, maxBytes = MAX_BODY_BYTES) {
     return new Promise((resolve, reject) => {
-        let body = '';
-        req.on('data', chunk => { body += chunk; });
+        const tooLarge = () => {
+            const err = new Error(`Request body exceeds ${maxBytes} bytes`);
+            err.status = 413;
+            return err;
+        };
+        if (parseInt(req.headers['content-length'], 10) > maxBytes) {
+            req.resume();
+            return reject(tooLarge());
+        }
+
+        const chunks = [];
+        let size = 0;
+        const onData = (chunk) => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                req.removeListener('data', onData);
+                req.resume();
+                return reject(tooLarge());
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
         req.on('end', () => {
+            if (size > maxBytes) return;
+            const body = Buffer.concat(chunks).toString('utf8');
             try { resolve(body ? JSON.parse(body) : {}); }
             catch (e) { reject(e); }
         });
@@ -289,20 +952,126 @@ function parseJsonBody(req) {
     });
 }
 
-const apiServer = http.createServer(async (req, res) => {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+/**
+ * Parse a time query parameter: epoch seconds, epoch ms, or ISO 8601.
+ * @returns {number|null} epoch ms
+ */
+function parseTimeParam(value) {
+    if (value == null || value === '') return null;
+    if (/^\d+(\.\d+)?$/.test(value)) {
+        const n = parseFloat(value);
+        return n > 1e12 ? n : n * 1000;
+    }
+    const t = Date.parse(value);
+    return isNaN(t) ? null : t;
+}
+
+/**
+ * Parse from/to/floor/limit from a history query string.
+ * Defaults to the last hour.
+ * @returns {{from: number, to: number, floor: number|undefined, limit: number|undefined}|{error: string}}
+ */
+function parseHistoryQuery(query) {
+    const now = Date.now();
+    const to = query.to != null ? parseTimeParam(query.to) : now;
+    const from = query.from != null ? parseTimeParam(query.from) : to - 60 * 60 * 1000;
+    if (from == null || to == null) return { error: 'Invalid from/to (use epoch seconds, epoch ms or ISO 8601)' };
+    if (from < 0 || to > now + 24 * 60 * 60 * 1000) return { error: 'from/to out of range (1970 to tomorrow)' };
+    if (from > to) return { error: 'from must be before to' };
+
+    let floor;
+    if (query.floor != null && query.floor !== '') {
+        floor = parseInt(query.floor, 10);
+        if (isNaN(floor)) return { error: 'Invalid floor' };
+    }
+    const limit = query.limit ? parseInt(query.limit, 10) || undefined : undefined;
+    return { from, to, floor, limit };
+}
+
+/**
+ * Route one API request. Throws on bad input it could not answer itself
+ * (e.g. a malformed %-escape in a path id); the server turns that into 400.
+ */
+async function handleApiRequest(req, res) {
+    apiAuth.applyCors(req, res);
     if (req.method === 'OPTIONS') { res.writeHead(204); res.end(); return; }
 
     const url = req.url.split('?')[0];
+    const query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
     const json = (data, status) => { res.setHeader('Content-Type', 'application/json'); res.writeHead(status || 200); res.end(JSON.stringify(data)); };
+    const badBody = (e) => e.status === 413 ? json({ error: e.message }, 413) : json({ error: 'Invalid JSON' }, 400);
+
+    // Auth: /api/* requires a credential with the route's role; plans and the standalone demo stay public
+    let principal = null;
+    if (url.startsWith('/api/')) {
+        principal = apiAuth.authenticateRequest(req, query);
+        if (!principal) {
+            res.setHeader('WWW-Authenticate', 'Bearer');
+            return json({ error: 'Unauthorized' }, 401);
+        }
+        const role = requiredRole(req.method, url);
+        if (!apiAuth.hasRole(principal, role)) return json({ error: `Forbidden: requires ${role} role` }, 403);
+    }
+
+    // GET /api/indoor/auth/whoami — current credential and role
+    if (req.method === 'GET' && url.match(/^\/api\/indoor\/auth\/whoami\/?$/)) {
+        return json({ name: principal.name, role: principal.role, via: principal.via, authEnabled: apiAuth.enabled });
+    }
+
+    // POST /api/indoor/auth/token — issue a signed token (e.g. short-lived viewer token for a browser)
+    if (req.method === 'POST' && url.match(/^\/api\/indoor\/auth\/token\/?$/)) {
+        if (!apiAuth.enabled) return json({ error: 'Authentication is disabled' }, 400);
+        let body;
+        try { body = await parseJsonBody(req); }
+        catch (e) { return badBody(e); }
+
+        const result = apiAuth.issueToken(principal, { role: body.role, ttlSeconds: body.ttl_seconds });
+        if (result.error) return json({ error: result.error }, 403);
+        return json(result);
+    }
 
     // GET /api/indoor/devices — device list for extension
     if (req.method === 'GET' && url.match(/^\/api\/indoor\/devices\/?$/)) {
         return json({ data: deviceCache.getAll() });
     }
 
+    // GET /api/indoor/devices/:id/history — position history for one device
+    const historyMatch = url.match(/^\/api\/indoor\/devices\/([^/]+)\/history\/?$/);
+    if (req.method === 'GET' && historyMatch) {
+        if (!historyStore) return json({ error: 'History disabled' }, 404);
+        const q = parseHistoryQuery(query);
+        if (q.error) return json({ error: q.error }, 400);
+        const deviceId = decodeURIComponent(historyMatch[1]);
+        const result = await historyStore.query({ ...q, deviceIds: [deviceId] });
+        return json({ deviceId, from: q.from, to: q.to, floor: q.floor ?? null, ...result });
+    }
+
+    // GET /api/indoor/devices/:id/solve — last trilateration solve with per-anchor residuals (debug)
+    const solveMatch = url.match(/^\/api\/indoor\/devices\/([^/]+)\/solve\/?$/);
+    if (req.method === 'GET' && solveMatch) {
+        const deviceId = decodeURIComponent(solveMatch[1]);
+        const report = solveReports.get(deviceId);
+        if (!report) return json({ error: 'No solve recorded for this device' }, 404);
+        return json({ deviceId, ...report });
+    }
+
+    // GET /api/indoor/devices/:id/dwell — time spent per zone (current visit + accumulated)
+    const dwellMatch = url.match(/^\/api\/indoor\/devices\/([^/]+)\/dwell\/?$/);
+    if (req.method === 'GET' && dwellMatch) {
+        const deviceId = decodeURIComponent(dwellMatch[1]);
+        return json({ deviceId, zones: zoneChecker.getDeviceDwell(deviceId) });
+    }
+
+    // GET /api/indoor/history — bulk position history (optional ?devices=a,b)
+    if (req.method === 'GET' && url.match(/^\/api\/indoor\/history\/?$/)) {
+        if (!historyStore) return json({ error: 'History disabled' }, 404);
+        const q = parseHistoryQuery(query);
+        if (q.error) return json({ error: q.error }, 400);
+        const deviceIds = query.devices ? query.devices.split(',').map(s => s.trim()).filter(Boolean) : null;
+        const result = await historyStore.query({ ...q, deviceIds });
+        return json({ from: q.from, to: q.to, floor: q.floor ?? null, ...result });
+    }
+
     // GET /api/indoor/floors — floor list
     if (req.method === 'GET' && url.match(/^\/api\/indoor\/floors\/?$/)) {
         return json({ floors: config.floors || [] });
@@ -313,9 +1082,196 @@ const apiServer = http.createServer(async (req, res) => {
         return json({ zones: zoneChecker.getZonesWithCounts() });
     }
 
-    // GET /api/indoor/alerts — recent alerts
+    // GET /api/indoor/alerts — ?severity=&type=&state= (comma-separated), &device=, &from=&to=, &limit=; newest first
     if (req.method === 'GET' && url.match(/^\/api\/indoor\/alerts\/?$/)) {
-        return json({ alerts: alertEvaluator.getRecentAlerts(50) });
+        const result = alertStore.query({
+            severity: query.severity,
+            type: query.type,
+            state: query.state,
+            deviceId: query.device || null,
+            from: parseTimeParam(query.from),
+            to: parseTimeParam(query.to),
+            limit: Math.min(parseInt(query.limit, 10) || 100, 1000)
+        });
+        return json({ ...result, counts: alertStore.counts() });
+    }
+
+    // GET /api/indoor/alerts/:id — one alert with comments and audit trail
+    const alertMatch = url.match(/^\/api\/indoor\/alerts\/([^/]+)\/?$/);
+    if (req.method === 'GET' && alertMatch) {
+        const alert = alertStore.get(decodeURIComponent(alertMatch[1]));
+        if (!alert) return json({ error: 'Alert not found' }, 404);
+        return json({ alert });
+    }
+
+    // POST /api/indoor/alerts/:id/(ack|resolve|assign|comments)
+    //   ack / resolve: {note?}   assign: {assignee: string|null, note?}   comments: {text}
+    const alertActionMatch = url.match(/^\/api\/indoor\/alerts\/([^/]+)\/(ack|resolve|assign|comments)\/?$/);
+    if (req.method === 'POST' && alertActionMatch) {
+        let body;
+        try { body = await parseJsonBody(req); }
+        catch (e) { return badBody(e); }
+
+        const id = decodeURIComponent(alertActionMatch[1]);
+        const action = alertActionMatch[2];
+        const note = typeof body.note === 'string' ? body.note.slice(0, 500) : '';
+        let result;
+        if (action === 'ack') {
+            result = alertStore.acknowledge(id, principal.name, note);
+            if (result.alert) acknowledgeAlertSource(result.alert, principal.name, note);
+        } else if (action === 'resolve') {
+            result = alertStore.resolve(id, principal.name, note);
+        } else if (action === 'assign') {
+            if (body.assignee != null && (typeof body.assignee !== 'string' || body.assignee.length > 100)) {
+                return json({ error: 'Invalid assignment', fields: { assignee: 'must be a string of at most 100 characters, or null' } }, 400);
+            }
+            result = alertStore.assign(id, (body.assignee || '').trim() || null, principal.name, note);
+        } else {
+            if (typeof body.text !== 'string' || !body.text.trim() || body.text.length > 1000) {
+                return json({ error: 'Invalid comment', fields: { text: 'required, at most 1000 characters' } }, 400);
+            }
+            result = alertStore.comment(id, principal.name, body.text.trim());
+        }
+
+        if (result.error === 'not_found') return json({ error: 'Alert not found' }, 404);
+        if (result.error) return json({ error: result.error }, 409);
+        wsBroadcaster.broadcastAlertUpdate(result.alert);
+        return json({ alert: result.alert });
+    }
+
+    // GET /api/indoor/notifications — notification channels with delivery stats (secrets redacted) + escalation policies
+    if (req.method === 'GET' && url.match(/^\/api\/indoor\/notifications\/?$/)) {
+        return json({ channels: notifier.getStatus(), escalation_policies: escalationManager.getPolicies() });
+    }
+
+    // POST /api/indoor/notifications/:id/test — send a test alert through one channel
+    const notifyTestMatch = url.match(/^\/api\/indoor\/notifications\/([^/]+)\/test\/?$/);
+    if (req.method === 'POST' && notifyTestMatch) {
+        const id = decodeURIComponent(notifyTestMatch[1]);
+        try {
+            if (!await notifier.test(id)) return json({ error: 'Channel not found' }, 404);
+        } catch (e) {
+            return json({ error: `Delivery failed: ${e.message}` }, 502);
+        }
+        return json({ ok: true });
+    }
+
+    // GET /api/indoor/access-log — entries into access-controlled zones (?zone=<id>)
+    if (req.method === 'GET' && url.match(/^\/api\/indoor\/access-log\/?$/)) {
+        return json({ entries: alertEvaluator.getAccessLog(parseInt(query.limit, 10) || 50, query.zone || null) });
+    }
+
+    // GET /api/indoor/muster — live roll-call (or the last finished muster)
+    if (req.method === 'GET' && url.match(/^\/api\/indoor\/muster\/?$/)) {
+        return json({ active: musterManager.active, ...(musterManager.rollCall() || {}) });
+    }
+
+    // GET /api/indoor/muster/report — roll-call report (?format=csv for a download)
+    if (req.method === 'GET' && url.match(/^\/api\/indoor\/muster\/report\/?$/)) {
+        const report = musterManager.rollCall();
+        if (!report) return json({ error: 'No muster has been run' }, 404);
+        if (query.format !== 'csv') return json({ active: musterManager.active, ...report });
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="muster-${report.muster.startedAt.slice(0, 19).replace(/:/g, '')}.csv"`);
+        res.writeHead(200);
+        return res.end(musterManager.toCsv());
+    }
+
+    // POST /api/indoor/muster/start — {zones: [zoneId, ...], note?}
+    if (req.method === 'POST' && url.match(/^\/api\/indoor\/muster\/start\/?$/)) {
+        let body;
+        try { body = await parseJsonBody(req); }
+        catch (e) { return badBody(e); }
+
+        if (musterManager.active) return json({ error: 'A muster is already in progress' }, 409);
+        const zoneIds = Array.isArray(body.zones) ? [...new Set(body.zones.map(String))] : [];
+        if (!zoneIds.length) return json({ error: 'Invalid muster', fields: { zones: 'At least one muster-point zone is required' } }, 400);
+        const unknown = zoneIds.filter(id => !zoneChecker.getZoneById(id));
+        if (unknown.length) return json({ error: 'Invalid muster', fields: { zones: `Unknown zone(s): ${unknown.join(', ')}` } }, 400);
+
+        musterManager.start({ zoneIds, startedBy: principal.name, note: typeof body.note === 'string' ? body.note.slice(0, 500) : '' });
+        const status = { active: true, ...musterManager.rollCall() };
+        wsBroadcaster.broadcastMuster(status);
+        return json(status, 201);
+    }
+
+    // POST /api/indoor/muster/stop — end the muster, returns the final roll-call
+    if (req.method === 'POST' && url.match(/^\/api\/indoor\/muster\/stop\/?$/)) {
+        if (!musterManager.active) return json({ error: 'No muster in progress' }, 409);
+        const report = { active: false, ...musterManager.stop(principal.name) };
+        wsBroadcaster.broadcastMuster(report);
+        return json(report);
+    }
+
+    // GET /api/indoor/man-down — open man-down episodes (pre-alert, alarm, escalated)
+    if (req.method === 'GET' && url.match(/^\/api\/indoor\/man-down\/?$/)) {
+        return json({ monitored: manDownMonitor.monitoredCount, episodes: manDownMonitor.getEpisodes() });
+    }
+
+    // POST /api/indoor/man-down/:deviceId/ack — {note?}; stops escalation until the person moves again
+    const manDownAckMatch = url.match(/^\/api\/indoor\/man-down\/([^/]+)\/ack\/?$/);
+    if (req.method === 'POST' && manDownAckMatch) {
+        let body;
+        try { body = await parseJsonBody(req); }
+        catch (e) { return badBody(e); }
+
+        const deviceId = decodeURIComponent(manDownAckMatch[1]);
+        const note = typeof body.note === 'string' ? body.note.slice(0, 500) : '';
+        const evt = manDownMonitor.acknowledge(deviceId, principal.name, note);
+        if (!evt) return json({ error: `No unacknowledged man-down for ${deviceId}` }, 404);
+        handleManDownEvents([evt]);
+        acknowledgeDeviceAlerts(deviceId, MAN_DOWN_ALARM_TYPES, principal.name, note);
+        return json({ episode: manDownMonitor.getEpisodes().find(e => e.deviceId === deviceId) });
+    }
+
+    // GET /api/indoor/sos — open SOS events and recently acknowledged ones
+    if (req.method === 'GET' && url.match(/^\/api\/indoor\/sos\/?$/)) {
+        return json({ active: sosManager.getActive(), history: sosManager.getHistory(parseInt(query.limit, 10) || 50) });
+    }
+
+    // POST /api/indoor/sos/:deviceId/ack — {note?}; closes the device's open SOS
+    const sosAckMatch = url.match(/^\/api\/indoor\/sos\/([^/]+)\/ack\/?$/);
+    if (req.method === 'POST' && sosAckMatch) {
+        let body;
+        try { body = await parseJsonBody(req); }
+        catch (e) { return badBody(e); }
+
+        const deviceId = decodeURIComponent(sosAckMatch[1]);
+        const note = typeof body.note === 'string' ? body.note.slice(0, 500) : '';
+        const sos = sosManager.acknowledge(deviceId, principal.name, note);
+        if (!sos) return json({ error: `No open SOS for ${deviceId}` }, 404);
+        alertEvaluator.evaluateSos(sos, 'acknowledged');
+        acknowledgeDeviceAlerts(deviceId, ['sos'], principal.name, note);
+        return json({ sos });
+    }
+
+    // GET /api/indoor/proximity — device pairs currently within a proximity rule
+    if (req.method === 'GET' && url.match(/^\/api\/indoor\/proximity\/?$/)) {
+        return json({ data: proximityMonitor.getActive() });
+    }
+
+    // GET /api/indoor/tag-groups — {groupName: [deviceId, ...]} for zone access lists
+    if (req.method === 'GET' && url.match(/^\/api\/indoor\/tag-groups\/?$/)) {
+        return json({ tag_groups: config.tag_groups || {} });
+    }
+
+    // PUT /api/indoor/tag-groups — replace all tag groups
+    if (req.method === 'PUT' && url.match(/^\/api\/indoor\/tag-groups\/?$/)) {
+        let body;
+        try { body = await parseJsonBody(req); }
+        catch (e) { return badBody(e); }
+
+        const result = validateTagGroups(body.tag_groups !== undefined ? body.tag_groups : body);
+        if (result.errors) return json({ error: 'Invalid tag groups', fields: result.errors }, 400);
+
+        config.tag_groups = result.tagGroups;
+        zoneChecker.setTagGroups(config.tag_groups);
+        try { persistConfig(); }
+        catch (e) { return json({ error: e.message }, 500); }
+
+        console.log(`[Zone] Tag groups updated (${Object.keys(result.tagGroups).length})`);
+        return json({ tag_groups: config.tag_groups });
     }
 
     // GET /api/indoor/gateways — gateway status
@@ -336,9 +1292,12 @@ const apiServer = http.createServer(async (req, res) => {
             devicesOnline: deviceCache.onlineCount,
             devicesTotal: deviceCache.size,
             alertsTotal: alertEvaluator.totalAlerts,
+            alertsOpen: alertStore.counts().open,
             zonesActive: zoneChecker.getZones().length,
             wsClients: wsBroadcaster.clientCount,
             wsMessagesSent: wsBroadcaster.messagesSent,
+            historyWritten: historyStore ? historyStore.written : 0,
+            historyPending: historyStore ? historyStore.pending : 0,
             uptime: process.uptime()
         });
     }
@@ -349,18 +1308,33 @@ const apiServer = http.createServer(async (req, res) => {
         const floorId = parseInt(putFloorMatch[1], 10);
         let body;
         try { body = await parseJsonBody(req); }
-        catch (e) { return json({ error: 'Invalid JSON' }, 400); }
+        catch (e) { return badBody(e); }
 
         const floors = config.floors || [];
         const idx = floors.findIndex(f => f.id === floorId);
         if (idx === -1) return json({ error: 'Floor not found' }, 404);
 
+        if (body.solver !== undefined && !SOLVER_MODES.includes(body.solver)) {
+            return json({ error: 'Invalid floor', fields: { solver: `Solver must be one of: ${SOLVER_MODES.join(', ')}` } }, 400);
+        }
+        if (body.tracker !== undefined && !TRACKERS.includes(body.tracker)) {
+            return json({ error: 'Invalid floor', fields: { tracker: `Tracker must be one of: ${TRACKERS.join(', ')}` } }, 400);
+        }
+        const geometryErrors = validateFloorGeometry(body);
+        if (Object.keys(geometryErrors).length) {
+            return json({ error: 'Invalid floor', fields: geometryErrors }, 400);
+        }
+
         const floor = floors[idx];
         if (body.name !== undefined) floor.name = body.name;
         if (body.plan_url !== undefined) floor.plan_url = body.plan_url;
         if (body.calibration !== undefined) floor.calibration = body.calibration;
         if (body.anchors !== undefined) floor.anchors = body.anchors;
         if (body.bounds !== undefined) floor.bounds = body.bounds;
+        if (body.solver !== undefined) floor.solver = body.solver;
+        if (body.tracker !== undefined) floor.tracker = body.tracker;
+        if (body.walls !== undefined) floor.walls = body.walls;
+        if (body.no_go !== undefined) floor.no_go = body.no_go;
 
         try { refreshFloorMaps(); persistConfig(); }
         catch (e) { return json({ error: e.message }, 500); }
@@ -368,13 +1342,53 @@ const apiServer = http.createServer(async (req, res) => {
         return json({ floor });
     }
 
+    // GET /api/indoor/floors/:id/anchor-calibration — anchor layout solved from anchor-to-anchor ranges
+    const calibrationMatch = url.match(/^\/api\/indoor\/floors\/(\d+)\/anchor-calibration\/?$/);
+    if (req.method === 'GET' && calibrationMatch) {
+        const floorId = parseInt(calibrationMatch[1], 10);
+        const floor = (config.floors || []).find(f => f.id === floorId);
+        if (!floor) return json({ error: 'Floor not found' }, 404);
+
+        const anchors = floor.anchors || [];
+        const thresholdM = query.threshold_m != null ? parseFloat(query.threshold_m) : anchorCalibrationParams.thresholdM;
+        if (!(thresholdM > 0)) return json({ error: 'Invalid threshold_m' }, 400);
+        const result = calibrateAnchors(anchors, anchorRanges.get(anchors.map(a => a.id)), { ...anchorCalibrationParams, thresholdM });
+        if (result.error) return json({ error: result.error }, 400);
+        return json({ floor: floorId, thresholdM, ...result });
+    }
+
+    // POST /api/indoor/floors/:id/anchor-ranges — import anchor-to-anchor distances ({ranges: [{from, to, distance_m, method?}]})
+    const rangesMatch = url.match(/^\/api\/indoor\/floors\/(\d+)\/anchor-ranges\/?$/);
+    if (req.method === 'POST' && rangesMatch) {
+        const floorId = parseInt(rangesMatch[1], 10);
+        let body;
+        try { body = await parseJsonBody(req); }
+        catch (e) { return badBody(e); }
+
+        const floor = (config.floors || []).find(f => f.id === floorId);
+        if (!floor) return json({ error: 'Floor not found' }, 404);
+        const ids = (floor.anchors || []).map(a => a.id);
+        if (!Array.isArray(body.ranges)) return json({ error: 'Invalid anchor ranges', fields: { ranges: 'must be an array' } }, 400);
+        const fields = {};
+        body.ranges.forEach((r, i) => {
+            if (!r || !ids.includes(r.from)) fields[`ranges[${i}].from`] = 'must be an anchor on this floor';
+            if (!r || !ids.includes(r.to) || r.to === r.from) fields[`ranges[${i}].to`] = 'must be another anchor on this floor';
+            if (!r || typeof r.distance_m !== 'number' || !(r.distance_m > 0)) fields[`ranges[${i}].distance_m`] = 'must be a positive number';
+            if (r && r.method != null && r.method !== 'cs' && r.method !== 'rssi') fields[`ranges[${i}].method`] = 'must be cs or rssi';
+        });
+        if (Object.keys(fields).length) return json({ error: 'Invalid anchor ranges', fields }, 400);
+
+        for (const r of body.ranges) anchorRanges.add(r.from, r.to, r.distance_m, r.method);
+        return json({ pairs: anchorRanges.get(ids) });
+    }
+
     // POST /api/indoor/floors/:id/plan — upload floor plan image
     const postPlanMatch = url.match(/^\/api\/indoor\/floors\/(\d+)\/plan\/?$/);
     if (req.method === 'POST' && postPlanMatch) {
         const floorId = parseInt(postPlanMatch[1], 10);
         let body;
-        try { body = await parseJsonBody(req); }
-        catch (e) { return json({ error: 'Invalid JSON' }, 400); }
+        try { body = await parseJsonBody(req, MAX_PLAN_BODY_BYTES); }
+        catch (e) { return badBody(e); }
 
         const base64 = body.plan;
         const filename = (body.filename || 'floor-plan.png').replace(/[^a-zA-Z0-9._-]/g, '_');
@@ -401,19 +1415,172 @@ const apiServer = http.createServer(async (req, res) => {
         return json({ plan_url: planUrl, floor: floors[idx] });
     }
 
-    // PUT /api/indoor/zones — update zone config
+    // PUT /api/indoor/zones — replace all zones (each entry validated as on create)
     if (req.method === 'PUT' && url.match(/^\/api\/indoor\/zones\/?$/)) {
         let body;
         try { body = await parseJsonBody(req); }
-        catch (e) { return json({ error: 'Invalid JSON' }, 400); }
+        catch (e) { return badBody(e); }
+
+        if (!body || !Array.isArray(body.zones)) {
+            return json({ error: 'Invalid zones', fields: { zones: 'Expected an array of zones' } }, 400);
+        }
+        const zones = [];
+        const fields = {};
+        body.zones.forEach((entry, i) => {
+            // Earlier entries count as existing, so duplicate ids are rejected
+            const result = validateZone(entry, { floors: config.floors, zones });
+            if (result.errors) {
+                for (const [k, msg] of Object.entries(result.errors)) fields[`zones[${i}].${k}`] = msg;
+            } else {
+                zones.push(result.zone);
+            }
+        });
+        if (Object.keys(fields).length) return json({ error: 'Invalid zones', fields }, 400);
+
+        config.zones = zones;
+        zoneChecker.setZones(config.zones);
+        try { persistConfig(); }
+        catch (e) { return json({ error: e.message }, 500); }
+
+        console.log(`[Zone] Replaced all zones (${zones.length})`);
+        return json({ zones: zoneChecker.getZonesWithCounts() });
+    }
+
+    // POST /api/indoor/zones — create zone
+    if (req.method === 'POST' && url.match(/^\/api\/indoor\/zones\/?$/)) {
+        let body;
+        try { body = await parseJsonBody(req); }
+        catch (e) { return badBody(e); }
+
+        const zones = config.zones || [];
+        const result = validateZone(body, { floors: config.floors, zones });
+        if (result.errors) return json({ error: 'Invalid zone', fields: result.errors }, result.conflict ? 409 : 400);
+
+        config.zones = [...zones, result.zone];
+        zoneChecker.setZones(config.zones);
+        try { persistConfig(); }
+        catch (e) { return json({ error: e.message }, 500); }
+
+        console.log(`[Zone] Created "${result.zone.name}" (${result.zone.id})`);
+        return json({ zone: result.zone }, 201);
+    }
 
-        if (Array.isArray(body.zones)) {
-            config.zones = body.zones;
+    // PUT /api/indoor/zones/:id — update zone (fields omitted from the body are kept)
+    // DELETE /api/indoor/zones/:id — delete zone
+    const zoneMatch = url.match(/^\/api\/indoor\/zones\/([^/]+)\/?$/);
+    if ((req.method === 'PUT' || req.method === 'DELETE') && zoneMatch) {
+        const zoneId = decodeURIComponent(zoneMatch[1]);
+        const zones = config.zones || [];
+        const idx = zones.findIndex(z => z.id === zoneId);
+        if (idx === -1) return json({ error: 'Zone not found' }, 404);
+
+        if (req.method === 'DELETE') {
+            config.zones = zones.filter(z => z.id !== zoneId);
             zoneChecker.setZones(config.zones);
             try { persistConfig(); }
             catch (e) { return json({ error: e.message }, 500); }
+
+            console.log(`[Zone] Deleted "${zones[idx].name}" (${zoneId})`);
+            return json({ deleted: zoneId });
         }
-        return json({ zones: zoneChecker.getZonesWithCounts() });
+
+        let body;
+        try { body = await parseJsonBody(req); }
+        catch (e) { return badBody(e); }
+
+        const others = zones.filter(z => z.id !== zoneId);
+        const result = validateZone(body, { floors: config.floors, zones: others, existing: zones[idx] });
+        if (result.errors) return json({ error: 'Invalid zone', fields: result.errors }, 400);
+
+        config.zones = zones.map(z => (z.id === zoneId ? result.zone : z));
+        zoneChecker.setZones(config.zones);
+        try { persistConfig(); }
+        catch (e) { return json({ error: e.message }, 500); }
+
+        console.log(`[Zone] Updated "${result.zone.name}" (${zoneId})`);
+        return json({ zone: result.zone });
+    }
+
+    // GET /api/indoor/rules — custom alert rules
+    if (req.method === 'GET' && url.match(/^\/api\/indoor\/rules\/?$/)) {
+        return json({ rules: config.rules });
+    }
+
+    // POST /api/indoor/rules — create rule
+    if (req.method === 'POST' && url.match(/^\/api\/indoor\/rules\/?$/)) {
+        let body;
+        try { body = await parseJsonBody(req); }
+        catch (e) { return badBody(e); }
+
+        const result = validateRule(body, { rules: config.rules, zones: config.zones, tagGroups: config.tag_groups });
+        if (result.errors) return json({ error: 'Invalid rule', fields: result.errors }, result.conflict ? 409 : 400);
+
+        config.rules = [...config.rules, result.rule];
+        ruleEngine.setRules(config.rules);
+        try { persistConfig(); }
+        catch (e) { return json({ error: e.message }, 500); }
+
+        console.log(`[Rules] Created "${result.rule.name}" (${result.rule.id})`);
+        return json({ rule: result.rule }, 201);
+    }
+
+    // PUT /api/indoor/rules/:id — update rule (fields omitted from the body are kept)
+    // DELETE /api/indoor/rules/:id — delete rule
+    const ruleMatch = url.match(/^\/api\/indoor\/rules\/([^/]+)\/?$/);
+    if ((req.method === 'PUT' || req.method === 'DELETE') && ruleMatch) {
+        const ruleId = decodeURIComponent(ruleMatch[1]);
+        const idx = config.rules.findIndex(r => r.id === ruleId);
+        if (idx === -1) return json({ error: 'Rule not found' }, 404);
+
+        if (req.method === 'DELETE') {
+            const removed = config.rules[idx];
+            config.rules = config.rules.filter(r => r.id !== ruleId);
+            ruleEngine.setRules(config.rules);
+            try { persistConfig(); }
+            catch (e) { return json({ error: e.message }, 500); }
+
+            console.log(`[Rules] Deleted "${removed.name}" (${ruleId})`);
+            return json({ deleted: ruleId });
+        }
+
+        let body;
+        try { body = await parseJsonBody(req); }
+        catch (e) { return badBody(e); }
+
+        const others = config.rules.filter(r => r.id !== ruleId);
+        const result = validateRule(body, { rules: others, zones: config.zones, tagGroups: config.tag_groups, existing: config.rules[idx] });
+        if (result.errors) return json({ error: 'Invalid rule', fields: result.errors }, 400);
+
+        config.rules = config.rules.map(r => (r.id === ruleId ? result.rule : r));
+        ruleEngine.setRules(config.rules);
+        try { persistConfig(); }
+        catch (e) { return json({ error: e.message }, 500); }
+
+        console.log(`[Rules] Updated "${result.rule.name}" (${ruleId})`);
+        return json({ rule: result.rule });
+    }
+
+    // GET /api/indoor/settings — effective runtime settings
+    if (req.method === 'GET' && url.match(/^\/api\/indoor\/settings\/?$/)) {
+        return json({ settings: readSettings(config) });
+    }
+
+    // PUT /api/indoor/settings — validate, persist and apply live (partial document)
+    if (req.method === 'PUT' && url.match(/^\/api\/indoor\/settings\/?$/)) {
+        let body;
+        try { body = await parseJsonBody(req); }
+        catch (e) { return badBody(e); }
+
+        const result = validateSettings(body, readSettings(config));
+        if (result.errors) return json({ error: 'Invalid settings', fields: result.errors }, 400);
+
+        writeSettings(config, result.changes);
+        try { persistConfig(); }
+        catch (e) { return json({ error: e.message }, 500); }
+        applyRuntimeSettings(result.settings);
+
+        console.log(`[Settings] Applied ${Object.keys(result.changes).length} change(s): ${Object.keys(result.changes).join(', ') || '-'}`);
+        return json({ settings: result.settings });
     }
 
     // Serve /plans/ for floor plan images
@@ -462,6 +1629,18 @@ const apiServer = http.createServer(async (req, res) => {
 
     res.writeHead(404);
     res.end();
+}
+
+const apiServer = http.createServer((req, res) => {
+    // One bad request must never take the engine down
+    handleApiRequest(req, res).catch((e) => {
+        const badInput = e instanceof URIError;
+        if (!badInput) console.error(`[API] ${req.method} ${req.url} failed:`, e.stack || e.message);
+        if (res.headersSent) { res.destroy(); return; }
+        res.setHeader('Content-Type', 'application/json');
+        res.writeHead(badInput ? 400 : 500);
+        res.end(JSON.stringify({ error: badInput ? 'Malformed URL encoding' : 'Internal error' }));
+    });
 });
 
 apiServer.listen(API_PORT, () => {
@@ -477,9 +1656,11 @@ apiServer.listen(API_PORT, () => {
     console.log(pad(`Zones:     http://0.0.0.0:${API_PORT}/api/indoor/zones`));
     console.log(pad(`Alerts:    http://0.0.0.0:${API_PORT}/api/indoor/alerts`));
     console.log(pad(`Gateways:  http://0.0.0.0:${API_PORT}/api/indoor/gateways`));
+    console.log(pad(`History:   http://0.0.0.0:${API_PORT}/api/indoor/history`));
     console.log(pad(`WebSocket: ws://0.0.0.0:${API_PORT}`));
     console.log(pad(`MQTT:      ${MQTT_BROKER}`));
     console.log(pad(`Velavu:    ${process.env.VELAVU_API_TOKEN ? 'enabled' : 'disabled (no token)'}`));
+    console.log(pad(`Auth:      ${apiAuth.enabled ? `enabled (${apiAuth.keyCount} key(s))` : 'OFF (open API)'}`));
     console.log(`╚${'═'.repeat(W)}╝\n`);
 });
 
@@ -492,6 +1673,7 @@ if (wsConfig.enabled !== false) {
         ws.on('message', (msg) => {
             try {
                 const parsed = JSON.parse(msg);
+                if (!wsBroadcaster.isAuthenticated(ws)) return;
                 if (parsed.type === 'subscribe' && Array.isArray(parsed.channels) && parsed.channels.includes('velavu')) {
                     velavuAdapter.addSubscriber(ws);
                     ws.on('close', () => velavuAdapter.removeSubscriber(ws));
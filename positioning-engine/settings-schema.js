@@ -0,0 +1,208 @@
+/**
+ * Settings Schema — runtime-tunable engine settings.
+ *
+ * The settings document mirrors config.json (snake_case, same nesting), so a
+ * validated change is written straight back into the config object:
+ *
+ *   {
+ *     alerts:      { cooldown_seconds, battery_warning, battery_critical, offline_timeout_seconds, speed_limit_kmh },
+ *     positioning: { min_anchors, max_distance_m, outlier_threshold_m, kalman_enabled,
+ *                    kalman:           { process_noise, process_noise_by_type, measurement_noise, rssi_measurement_noise, max_gap_seconds },
+ *                    channel_sounding: { enabled, min_confidence, max_distance_m },
+ *                    map_constraints:  { enabled, max_rejections },
+ *                    particle_filter:  { particles, range_sigma_m, outlier_ratio, speed_mps },
+ *                    floor_detection:  { enabled, min_share, switch_after, barometer_weight, transition_fallback },
+ *                    anchor_calibration: { threshold_m, min_links },
+ *                    rssi:             { tx_power, path_loss_exponent, min_rssi, max_distance_m },
+ *                    adaptive_rate:    { enabled, moving_interval_ms, stationary_interval_ms, movement_threshold_m, stationary_after_ms } },
+ *     zone_hysteresis: { inner_buffer_m, outer_buffer_m, enter_dwell_seconds, exit_samples, min_confidence },
+ *     man_down:    { enabled, no_motion_seconds, alarm_after_seconds, escalate_after_seconds, motion_threshold_m }
+ *   }
+ *
+ * process_noise_by_type maps a device type to its process noise and is replaced as a
+ * whole; types it leaves out use process_noise.
+ * zone_hysteresis is the default for zones without their own `hysteresis` block.
+ * man_down applies to zones marked `workZone` (see man-down.js).
+ *
+ * RSSI / CS / adaptive-rate defaults come from ela-wirepas (i.e. the WIREPAS_* env vars);
+ * values saved in config.json take precedence over them.
+ */
+
+const { RSSI_CONFIG, CS_CONFIG, ADAPTIVE_RATE } = require('./ela-wirepas');
+
+const FIELDS = [
+    { path: 'alerts.cooldown_seconds',          type: 'integer', min: 0,    max: 86400,  default: 300 },
+    { path: 'alerts.battery_warning',           type: 'number',  min: 1,    max: 100,    default: 15 },
+    { path: 'alerts.battery_critical',          type: 'number',  min: 0,    max: 100,    default: 5 },
+    { path: 'alerts.offline_timeout_seconds',   type: 'integer', min: 10,   max: 86400,  default: 600 },
+    { path: 'alerts.speed_limit_kmh',           type: 'number',  min: 0.1,  max: 500,    default: 40 },
+
+    { path: 'positioning.min_anchors',          type: 'integer', min: 3,    max: 16,     default: 3 },
+    { path: 'positioning.max_distance_m',       type: 'number',  min: 1,    max: 1000,   default: 30 },
+    { path: 'positioning.outlier_threshold_m',  type: 'number',  min: 0.1,  max: 100,    default: 10 },
+    { path: 'positioning.kalman_enabled',       type: 'boolean',                         default: true },
+    { path: 'positioning.kalman.process_noise',     type: 'number', min: 0.001, max: 100, default: 0.5 },
+    { path: 'positioning.kalman.process_noise_by_type', type: 'map', min: 0.001, max: 100, default: {} },
+    { path: 'positioning.kalman.measurement_noise', type: 'number', min: 0.01,  max: 100, default: 1.0 },
+    { path: 'positioning.kalman.rssi_measurement_noise', type: 'number', min: 0.01, max: 100, default: 3.0 },
+    { path: 'positioning.kalman.max_gap_seconds',   type: 'integer', min: 0,    max: 86400, default: 120 },
+
+    { path: 'positioning.channel_sounding.enabled',        type: 'boolean',                 default: CS_CONFIG.enabled },
+    { path: 'positioning.channel_sounding.min_confidence', type: 'number', min: 0, max: 1,  default: CS_CONFIG.minConfidence },
+    { path: 'positioning.channel_sounding.max_distance_m', type: 'number', min: 1, max: 1000, default: CS_CONFIG.maxDistance },
+
+    { path: 'positioning.map_constraints.enabled',        type: 'boolean',                default: true },
+    { path: 'positioning.map_constraints.max_rejections', type: 'integer', min: 0, max: 100, default: 5 },
+
+    { path: 'positioning.particle_filter.particles',     type: 'integer', min: 20,    max: 5000, default: 200 },
+    { path: 'positioning.particle_filter.range_sigma_m', type: 'number',  min: 0.05,  max: 20,   default: 0.5 },
+    { path: 'positioning.particle_filter.outlier_ratio', type: 'number',  min: 0.001, max: 0.9,  default: 0.1 },
+    { path: 'positioning.particle_filter.speed_mps',     type: 'number',  min: 0.1,   max: 20,   default: 1.5 },
+
+    { path: 'positioning.floor_detection.enabled',          type: 'boolean',                      default: true },
+    { path: 'positioning.floor_detection.min_share',        type: 'number',  min: 0.5, max: 1,   default: 0.6 },
+    { path: 'positioning.floor_detection.switch_after',     type: 'integer', min: 1,   max: 50,  default: 3 },
+    { path: 'positioning.floor_detection.barometer_weight', type: 'number',  min: 0,   max: 10,  default: 1 },
+    { path: 'positioning.floor_detection.transition_fallback', type: 'integer', min: 1, max: 500, default: 10 },
+
+    { path: 'positioning.anchor_calibration.threshold_m', type: 'number',  min: 0.05, max: 20, default: 0.5 },
+    { path: 'positioning.anchor_calibration.min_links',   type: 'integer', min: 2,    max: 20, default: 3 },
+
+    { path: 'positioning.rssi.tx_power',           type: 'number', min: -120, max: 20,   default: RSSI_CONFIG.txPower },
+    { path: 'positioning.rssi.path_loss_exponent', type: 'number', min: 1,    max: 6,    default: RSSI_CONFIG.pathLossExponent },
+    { path: 'positioning.rssi.min_rssi',           type: 'number', min: -120, max: 0,    default: RSSI_CONFIG.minRSSI },
+    { path: 'positioning.rssi.max_distance_m',     type: 'number', min: 1,    max: 1000, default: RSSI_CONFIG.maxDistance },
+
+    { path: 'positioning.adaptive_rate.enabled',                type: 'boolean',                      default: ADAPTIVE_RATE.enabled },
+    { path: 'positioning.adaptive_rate.moving_interval_ms',     type: 'integer', min: 100,  max: 3600000, default: ADAPTIVE_RATE.movingIntervalMs },
+    { path: 'positioning.adaptive_rate.stationary_interval_ms', type: 'integer', min: 100,  max: 3600000, default: ADAPTIVE_RATE.stationaryIntervalMs },
+    { path: 'positioning.adaptive_rate.movement_threshold_m',   type: 'number',  min: 0,    max: 100,     default: ADAPTIVE_RATE.movementThresholdM },
+    { path: 'positioning.adaptive_rate.stationary_after_ms',    type: 'integer', min: 1000, max: 86400000, default: ADAPTIVE_RATE.stationaryAfterMs },
+
+    { path: 'zone_hysteresis.inner_buffer_m',      type: 'number',  min: 0, max: 50,   default: 0 },
+    { path: 'zone_hysteresis.outer_buffer_m',      type: 'number',  min: 0, max: 50,   default: 0 },
+    { path: 'zone_hysteresis.enter_dwell_seconds', type: 'number',  min: 0, max: 3600, default: 0 },
+    { path: 'zone_hysteresis.exit_samples',        type: 'integer', min: 1, max: 100,  default: 1 },
+    { path: 'zone_hysteresis.min_confidence',      type: 'number',  min: 0, max: 1,    default: 0 },
+
+    { path: 'man_down.enabled',                type: 'boolean',                         default: true },
+    { path: 'man_down.no_motion_seconds',      type: 'integer', min: 10,  max: 3600,    default: 90 },
+    { path: 'man_down.alarm_after_seconds',    type: 'integer', min: 0,   max: 3600,    default: 30 },
+    { path: 'man_down.escalate_after_seconds', type: 'integer', min: 0,   max: 86400,   default: 120 },
+    { path: 'man_down.motion_threshold_m',     type: 'number',  min: 0.1, max: 20,      default: 1.0 }
+];
+
+const FIELD_MAP = new Map(FIELDS.map(f => [f.path, f]));
+
+/**
+ * Resolve the effective settings from config (defaults filled in).
+ * @param {object} config - Parsed config.json
+ * @returns {object} Settings document
+ */
+function readSettings(config) {
+    const out = {};
+    for (const f of FIELDS) {
+        const v = getPath(config, f.path);
+        setPath(out, f.path, v === undefined || v === null ? f.default : v);
+    }
+    return out;
+}
+
+/**
+ * Validate a partial settings document against the current settings.
+ *
+ * @param {object} body - Partial settings document
+ * @param {object} current - Result of readSettings()
+ * @returns {{settings: object, changes: object}|{errors: object}}
+ *   changes is a flat map of dotted path -> new value
+ */
+function validateSettings(body, current) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { errors: { body: 'Expected a JSON object' } };
+    }
+
+    const errors = {};
+    const changes = {};
+
+    for (const [p, value] of flatten(body)) {
+        const field = FIELD_MAP.get(p);
+        if (!field) { errors[p] = 'Unknown setting'; continue; }
+
+        const err = checkValue(field, value);
+        if (err) errors[p] = err;
+        else changes[p] = value;
+    }
+
+    const settings = JSON.parse(JSON.stringify(current));
+    for (const [p, value] of Object.entries(changes)) setPath(settings, p, value);
+
+    // Cross-field rules
+    if (settings.alerts.battery_critical >= settings.alerts.battery_warning) {
+        errors['alerts.battery_critical'] = 'Must be lower than alerts.battery_warning';
+    }
+    const rate = settings.positioning.adaptive_rate;
+    if (rate.moving_interval_ms > rate.stationary_interval_ms) {
+        errors['positioning.adaptive_rate.moving_interval_ms'] = 'Must not exceed stationary_interval_ms';
+    }
+
+    if (Object.keys(errors).length) return { errors };
+    return { settings, changes };
+}
+
+/**
+ * Write validated changes into the config object (persist separately).
+ * @param {object} config
+ * @param {object} changes - Flat map of dotted path -> value
+ */
+function writeSettings(config, changes) {
+    for (const [p, value] of Object.entries(changes)) setPath(config, p, value);
+}
+
+function checkValue(field, value) {
+    if (field.type === 'map') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return 'Must be an object';
+        for (const [k, v] of Object.entries(value)) {
+            const err = checkValue({ ...field, type: 'number' }, v);
+            if (err) return `${k}: ${err}`;
+        }
+        return null;
+    }
+    if (field.type === 'boolean') {
+        return typeof value === 'boolean' ? null : 'Must be true or false';
+    }
+    if (typeof value !== 'number' || !isFinite(value)) return 'Must be a number';
+    if (field.type === 'integer' && !Number.isInteger(value)) return 'Must be an integer';
+    if (field.min != null && value < field.min) return `Must be at least ${field.min}`;
+    if (field.max != null && value > field.max) return `Must be at most ${field.max}`;
+    return null;
+}
+
+/**
+ * Flatten nested plain objects into [dottedPath, leafValue] pairs
+ * (a map field is one leaf).
+ */
+function flatten(obj, prefix = '', out = []) {
+    for (const [k, v] of Object.entries(obj)) {
+        const p = prefix ? prefix + '.' + k : k;
+        const field = FIELD_MAP.get(p);
+        if (v && typeof v === 'object' && !Array.isArray(v) && !(field && field.type === 'map')) flatten(v, p, out);
+        else out.push([p, v]);
+    }
+    return out;
+}
+
+function getPath(obj, p) {
+    return p.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function setPath(obj, p, value) {
+    const keys = p.split('.');
+    let o = obj;
+    for (let i = 0; i < keys.length - 1; i++) {
+        if (!o[keys[i]] || typeof o[keys[i]] !== 'object') o[keys[i]] = {};
+        o = o[keys[i]];
+    }
+    o[keys[keys.length - 1]] = value;
+}
+
+module.exports = { readSettings, validateSettings, writeSettings, SETTINGS_FIELDS: FIELDS };
@@ -0,0 +1,197 @@
+/**
+ * Minimal SMTP client — zero dependencies (net / tls).
+ * Enough to hand a plain-text alert email to a relay:
+ *
+ *   EHLO → [STARTTLS → EHLO] → [AUTH PLAIN | AUTH LOGIN] → MAIL FROM → RCPT TO… → DATA → QUIT
+ *
+ * secure: true connects with implicit TLS (port 465). Otherwise STARTTLS is
+ * used when the server offers it (required with starttls: true).
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+/**
+ * Send one email.
+ * @param {object} opts
+ * @param {string} opts.host
+ * @param {number} [opts.port] - Default 465 when secure, else 25
+ * @param {boolean} [opts.secure=false] - Implicit TLS
+ * @param {boolean} [opts.starttls] - true = require STARTTLS, false = never, undefined = when offered
+ * @param {boolean} [opts.rejectUnauthorized=true]
+ * @param {string} [opts.username]
+ * @param {string} [opts.password]
+ * @param {string} opts.from
+ * @param {string[]} opts.to
+ * @param {string} opts.subject
+ * @param {string} opts.text
+ * @param {number} [opts.timeoutMs=15000]
+ * @returns {Promise<void>} rejects with the failing SMTP reply
+ */
+async function sendMail(opts) {
+    const port = opts.port || (opts.secure ? 465 : 25);
+    const tlsOpts = { servername: opts.host, rejectUnauthorized: opts.rejectUnauthorized !== false };
+    let conn = new SmtpConnection(opts.secure
+        ? tls.connect({ host: opts.host, port, ...tlsOpts })
+        : net.connect({ host: opts.host, port }), opts.timeoutMs || DEFAULT_TIMEOUT_MS);
+
+    try {
+        await conn.expect(220);
+        let ehlo = await conn.command(`EHLO ${os.hostname() || 'localhost'}`, 250);
+
+        const offersStarttls = /^STARTTLS$/mi.test(ehlo);
+        if (!opts.secure && opts.starttls !== false && (offersStarttls || opts.starttls)) {
+            await conn.command('STARTTLS', 220);
+            conn = conn.upgrade(tlsOpts);
+            ehlo = await conn.command(`EHLO ${os.hostname() || 'localhost'}`, 250);
+        }
+
+        if (opts.username) {
+            if (/^AUTH\b.*\bPLAIN\b/mi.test(ehlo)) {
+                const token = Buffer.from(`\0${opts.username}\0${opts.password || ''}`).toString('base64');
+                await conn.command(`AUTH PLAIN ${token}`, 235);
+            } else {
+                await conn.command('AUTH LOGIN', 334);
+                await conn.command(Buffer.from(opts.username).toString('base64'), 334);
+                await conn.command(Buffer.from(opts.password || '').toString('base64'), 235);
+            }
+        }
+
+        await conn.command(`MAIL FROM:<${opts.from}>`, 250);
+        for (const rcpt of opts.to) {
+            await conn.command(`RCPT TO:<${rcpt}>`, [250, 251]);
+        }
+        await conn.command('DATA', 354);
+        await conn.command(buildMessage(opts) + '\r\n.', 250);
+        await conn.command('QUIT', 221).catch(() => {});
+    } finally {
+        conn.close();
+    }
+}
+
+/**
+ * RFC 5322 message with dot-stuffing for DATA.
+ */
+function buildMessage(opts) {
+    const headers = [
+        `From: ${opts.from}`,
+        `To: ${opts.to.join(', ')}`,
+        `Subject: ${encodeHeader(opts.subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit'
+    ];
+    const body = String(opts.text).replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+    return headers.join('\r\n') + '\r\n\r\n' + body;
+}
+
+/** RFC 2047 encoded-word for non-ASCII subjects. */
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+/**
+ * Line-oriented SMTP conversation over one socket.
+ */
+class SmtpConnection {
+    constructor(socket, timeoutMs) {
+        this._socket = socket;
+        this._timeoutMs = timeoutMs;
+        this._buffer = '';
+        this._lines = [];
+        this._waiter = null;
+        this._error = null;
+
+        socket.setEncoding('utf8');
+        socket.setTimeout(timeoutMs, () => this._fail(new Error('SMTP timeout')));
+        socket.on('data', (chunk) => this._onData(chunk));
+        socket.on('error', (e) => this._fail(e));
+        socket.on('close', () => this._fail(new Error('SMTP connection closed')));
+    }
+
+    /**
+     * Send a line and wait for the reply.
+     * @param {string} line
+     * @param {number|number[]} code - Expected reply code(s)
+     * @returns {Promise<string>} reply text
+     */
+    command(line, code) {
+        this._socket.write(line + '\r\n');
+        return this.expect(code);
+    }
+
+    /**
+     * Wait for a (possibly multi-line) reply with the expected code.
+     */
+    async expect(code) {
+        const codes = [].concat(code);
+        const reply = await this._readReply();
+        if (!codes.includes(reply.code)) {
+            throw new Error(`SMTP ${reply.code}: ${reply.text.split('\n').pop()}`);
+        }
+        return reply.text;
+    }
+
+    /**
+     * Switch to TLS after STARTTLS.
+     * @returns {SmtpConnection}
+     */
+    upgrade(tlsOpts) {
+        this._socket.removeAllListeners();
+        const secure = tls.connect({ socket: this._socket, ...tlsOpts });
+        return new SmtpConnection(secure, this._timeoutMs);
+    }
+
+    close() {
+        this._socket.removeAllListeners('close');
+        this._socket.destroy();
+    }
+
+    _onData(chunk) {
+        this._buffer += chunk;
+        let idx;
+        while ((idx = this._buffer.indexOf('\n')) >= 0) {
+            this._lines.push(this._buffer.slice(0, idx).replace(/\r$/, ''));
+            this._buffer = this._buffer.slice(idx + 1);
+        }
+        this._flush();
+    }
+
+    _readReply() {
+        return new Promise((resolve, reject) => {
+            this._waiter = { resolve, reject };
+            this._flush();
+        });
+    }
+
+    /** Resolve the waiter once a final reply line ("250 ..." not "250-...") has arrived. */
+    _flush() {
+        if (!this._waiter) return;
+        if (this._error) {
+            const w = this._waiter;
+            this._waiter = null;
+            w.reject(this._error);
+            return;
+        }
+        const last = this._lines.findIndex(l => /^\d{3}(?: |$)/.test(l));
+        if (last < 0) return;
+        const lines = this._lines.splice(0, last + 1);
+        const w = this._waiter;
+        this._waiter = null;
+        w.resolve({
+            code: parseInt(lines[last].slice(0, 3), 10),
+            text: lines.map(l => l.slice(4)).join('\n')
+        });
+    }
+
+    _fail(err) {
+        if (!this._error) this._error = err;
+        this._flush();
+    }
+}
+
+module.exports = { sendMail };
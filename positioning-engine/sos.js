@@ -0,0 +1,111 @@
+/**
+ * SOS Manager — panic button presses awaiting acknowledgement.
+ *
+ * A button press (ELA tag button, Velavu panic button) opens an SOS for the
+ * device, carrying its last known position. Further presses while it is open
+ * only count as repeats. The SOS follows the device's position updates and
+ * stays active until an operator acknowledges it; acknowledged SOS events
+ * are kept in a short history.
+ */
+
+const crypto = require('crypto');
+
+const MAX_HISTORY = 100;
+
+class SosManager {
+    constructor() {
+        this._active = new Map(); // deviceId -> sos
+        this._history = [];       // acknowledged, newest last
+    }
+
+    /**
+     * Record a button press.
+     * @param {{deviceId: string, name?: string, source: string, position?: object|null}} press
+     *   position: {x, y, floor, zone} (Channel Sounding) or {lat, lng, floor} (Velavu)
+     * @returns {{sos: object, isNew: boolean}}
+     */
+    raise(press) {
+        const now = new Date().toISOString();
+        const open = this._active.get(press.deviceId);
+        if (open) {
+            open.presses++;
+            open.lastPressAt = now;
+            if (press.position) open.position = press.position;
+            return { sos: open, isNew: false };
+        }
+
+        const sos = {
+            id: crypto.randomUUID(),
+            deviceId: press.deviceId,
+            name: press.name || press.deviceId,
+            source: press.source,
+            raisedAt: now,
+            lastPressAt: now,
+            presses: 1,
+            position: press.position || null,
+            acknowledged: null
+        };
+        this._active.set(press.deviceId, sos);
+        console.log(`[SOS] ${sos.name} (${sos.source}) — ${formatPosition(sos.position)}`);
+        return { sos, isNew: true };
+    }
+
+    /**
+     * Follow the device while its SOS is open.
+     * @param {string} deviceId
+     * @param {object} position
+     * @returns {boolean} true if an open SOS was updated
+     */
+    updatePosition(deviceId, position) {
+        const sos = this._active.get(deviceId);
+        if (!sos || !position) return false;
+        sos.position = position;
+        return true;
+    }
+
+    /**
+     * Acknowledge a device's open SOS.
+     * @param {string} deviceId
+     * @param {string} [by]
+     * @param {string} [note]
+     * @returns {object|null} the acknowledged SOS, or null if none is open
+     */
+    acknowledge(deviceId, by, note) {
+        const sos = this._active.get(deviceId);
+        if (!sos) return null;
+        sos.acknowledged = { by: by || 'unknown', at: new Date().toISOString(), note: note || '' };
+        this._active.delete(deviceId);
+        this._history.push(sos);
+        if (this._history.length > MAX_HISTORY) this._history.shift();
+        return sos;
+    }
+
+    /** Open SOS events, oldest first. */
+    getActive() {
+        return [...this._active.values()];
+    }
+
+    /**
+     * Acknowledged SOS events, newest last.
+     * @param {number} [limit=50]
+     */
+    getHistory(limit) {
+        return this._history.slice(-(limit || 50));
+    }
+}
+
+/**
+ * "(12.3, 4.5) floor 1 in "Loading Bay"", "25.20412, 55.27081" or "no position".
+ */
+function formatPosition(p) {
+    if (!p) return 'no position';
+    let text;
+    if (p.x != null && p.y != null) text = `(${p.x.toFixed(1)}, ${p.y.toFixed(1)})`;
+    else if (p.lat != null && p.lng != null) text = `${p.lat.toFixed(5)}, ${p.lng.toFixed(5)}`;
+    else return 'no position';
+    if (p.floor != null) text += ` floor ${p.floor}`;
+    if (p.zone) text += ` in "${p.zone}"`;
+    return text;
+}
+
+module.exports = { SosManager, formatSosPosition: formatPosition };
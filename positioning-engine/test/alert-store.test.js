@@ -0,0 +1,139 @@
+/**
+ * Alert store — lifecycle transitions, audit trail, and saving to disk.
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AlertStore } = require('../alert-store');
+
+function tempFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alert-store-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'alerts.json');
+}
+
+function raise(store, id, extra = {}) {
+    return store.add({
+        id,
+        deviceId: 'tag-017',
+        zoneId: null,
+        type: 'sos',
+        severity: 'critical',
+        message: 'SOS pressed by tag-017',
+        timestamp: new Date().toISOString(),
+        ...extra
+    });
+}
+
+test('open → acknowledged → resolved, and no way back', (t) => {
+    const store = new AlertStore({ file: tempFile(t), saveDelayMs: 60000 });
+    raise(store, 'a-1');
+    raise(store, 'a-2');
+
+    assert.strictEqual(store.acknowledge('a-1', 'alice', 'on my way').alert.state, 'acknowledged');
+    assert.deepStrictEqual(store.acknowledge('a-1', 'bob'), { error: 'Alert is acknowledged' });
+    assert.strictEqual(store.resolve('a-1', 'alice').alert.state, 'resolved');
+    assert.deepStrictEqual(store.resolve('a-1', 'bob'), { error: 'Alert is resolved' });
+    assert.deepStrictEqual(store.assign('a-1', 'bob', 'alice'), { error: 'Alert is resolved' });
+
+    assert.strictEqual(store.resolve('a-2', 'bob').alert.state, 'resolved', 'open → resolved is allowed');
+    assert.deepStrictEqual(store.acknowledge('nope', 'bob'), { error: 'not_found' });
+    assert.deepStrictEqual(store.counts(), { open: 0, acknowledged: 0, resolved: 2 });
+    store.flushSync();
+});
+
+test('every action lands in the audit trail', (t) => {
+    const store = new AlertStore({ file: tempFile(t), saveDelayMs: 60000 });
+    raise(store, 'a-1');
+    store.assign('a-1', 'bob', 'alice', 'nearest');
+    store.comment('a-1', 'bob', 'found them');
+    store.recordEscalation('a-1', { policy: 'sos', level: 1, repeat: 0, channels: ['sms'] });
+    store.acknowledge('a-1', 'bob');
+    store.assign('a-1', '', 'alice');
+    store.resolve('a-1', 'alice', 'false alarm');
+
+    const alert = store.get('a-1');
+    assert.deepStrictEqual(alert.audit.map(a => a.action),
+        ['raised', 'assigned', 'commented', 'escalated', 'acknowledged', 'unassigned', 'resolved']);
+    assert.deepStrictEqual(alert.audit.map(a => a.by), ['engine', 'alice', 'bob', 'engine', 'bob', 'alice', 'alice']);
+    assert.strictEqual(alert.audit[3].note, 'level 1: sms');
+    assert.strictEqual(alert.assignee, null);
+    assert.strictEqual(alert.resolved.note, 'false alarm');
+    assert.deepStrictEqual(alert.comments.map(c => c.text), ['found them']);
+    store.flushSync();
+});
+
+test('acknowledgeOpen only touches the device\'s open alerts of those types', (t) => {
+    const store = new AlertStore({ file: tempFile(t), saveDelayMs: 60000 });
+    raise(store, 'a-1');
+    raise(store, 'a-2', { type: 'man_down' });
+    raise(store, 'a-3', { deviceId: 'tag-018' });
+    raise(store, 'a-4');
+    store.resolve('a-4', 'alice');
+
+    assert.deepStrictEqual(store.acknowledgeOpen('tag-017', ['sos'], 'tag', 'button').map(a => a.id), ['a-1']);
+    assert.deepStrictEqual(store.getOpen().map(a => a.id), ['a-2', 'a-3']);
+    store.flushSync();
+});
+
+test('a reloaded store has the same alerts', async (t) => {
+    const file = tempFile(t);
+    const store = new AlertStore({ file, saveDelayMs: 60000 });
+    raise(store, 'a-1');
+    raise(store, 'a-2');
+    store.acknowledge('a-1', 'alice', 'seen');
+    await store.flush();
+
+    const reloaded = new AlertStore({ file });
+    assert.deepStrictEqual(reloaded.query().alerts, store.query().alerts);
+    assert.strictEqual(reloaded.get('a-1').acknowledged.by, 'alice');
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['alerts.json']);
+});
+
+test('resolved alerts past retention are dropped on reload', async (t) => {
+    const file = tempFile(t);
+    const store = new AlertStore({ file, saveDelayMs: 60000 });
+    const old = new Date(Date.now() - 100 * 24 * 60 * 60 * 1000).toISOString();
+    raise(store, 'old-resolved', { timestamp: old });
+    raise(store, 'old-open', { timestamp: old });
+    store.resolve('old-resolved', 'alice');
+    await store.flush();
+
+    assert.deepStrictEqual(new AlertStore({ file, retentionDays: 90 }).query().alerts.map(a => a.id), ['old-open']);
+});
+
+test('a failed save is kept and written by the next one', async (t) => {
+    const file = tempFile(t);
+    const store = new AlertStore({ file, saveDelayMs: 60000 });
+    fs.mkdirSync(file); // renaming onto a directory fails
+    raise(store, 'a-1');
+    await assert.rejects(store.flush());
+
+    fs.rmdirSync(file);
+    await store.flush();
+    assert.deepStrictEqual(new AlertStore({ file }).query().alerts.map(a => a.id), ['a-1']);
+});
+
+test('changes made while a save is running are saved too', async (t) => {
+    const file = tempFile(t);
+    const store = new AlertStore({ file, saveDelayMs: 60000 });
+    raise(store, 'a-1');
+    const first = store.flush();
+    raise(store, 'a-2');
+    const second = store.flush();
+    await Promise.all([first, second]);
+    assert.deepStrictEqual(new AlertStore({ file }).query().alerts.map(a => a.id), ['a-2', 'a-1']);
+
+    // A shutdown write during an async one wins
+    raise(store, 'a-3');
+    const pending = store.flush();
+    raise(store, 'a-4');
+    store.flushSync();
+    await pending;
+    assert.strictEqual(new AlertStore({ file }).query().total, 4);
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['alerts.json']);
+});
@@ -0,0 +1,96 @@
+/**
+ * Anchor self-calibration — solve a synthetic layout from anchor-to-anchor
+ * ranges and flag the one anchor whose configured position is wrong.
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { AnchorRanges, calibrateAnchors } = require('../anchor-calibration');
+
+// 8 anchors at 2.5 m; pairs further apart than MAX_LINK_M are never measured,
+// so part of the distance matrix comes from the shortest-path fill
+const TRUTH = [[0, 0], [20, 0], [10, 15], [0, 15], [20, 15], [10, 7], [30, 5], [25, 20]];
+const ANCHOR_Z = 2.5;
+const MAX_LINK_M = 22;
+const RANGE_NOISE_M = 0.1;
+const TOLERANCE_M = 0.2;
+
+// Deterministic PRNG (mulberry32) so the layout is reproducible
+function rng(seed) {
+    let s = seed | 0;
+    return () => {
+        s = (s + 0x6D2B79F5) | 0;
+        let t = Math.imul(s ^ (s >>> 15), 1 | s);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/** Noisy averaged ranges between every pair within MAX_LINK_M. */
+function measure(seed = 7) {
+    const rand = rng(seed);
+    const store = new AnchorRanges();
+    for (let i = 0; i < TRUTH.length; i++) {
+        for (let j = i + 1; j < TRUTH.length; j++) {
+            const d = Math.hypot(TRUTH[i][0] - TRUTH[j][0], TRUTH[i][1] - TRUTH[j][1]);
+            if (d > MAX_LINK_M) continue;
+            for (let s = 0; s < 5; s++) store.add(`a${i}`, `a${j}`, d + (rand() - 0.5) * 2 * RANGE_NOISE_M, 'cs');
+        }
+    }
+    return store.get(TRUTH.map((_, i) => `a${i}`));
+}
+
+/** Configured anchors: the true layout with one anchor moved by (dx, dy). */
+function configured(surveyedCount, wrong, dx, dy) {
+    return TRUTH.map(([x, y], i) => ({
+        id: `a${i}`,
+        x: i === wrong ? x + dx : x,
+        y: i === wrong ? y + dy : y,
+        z: ANCHOR_Z,
+        surveyed: i < surveyedCount
+    }));
+}
+
+function assertSolved(result, wrong) {
+    assert.ok(!result.error, result.error);
+    assert.deepStrictEqual(result.flagged, [`a${wrong}`]);
+    for (const a of result.anchors) {
+        const i = Number(a.id.slice(1));
+        const err = Math.hypot(a.solved.x - TRUTH[i][0], a.solved.y - TRUTH[i][1]);
+        assert.ok(err < TOLERANCE_M, `${a.id} solved ${err.toFixed(3)} m from truth`);
+    }
+}
+
+test('some pairs are out of range, so the fill is exercised', () => {
+    const ranges = measure();
+    const all = TRUTH.length * (TRUTH.length - 1) / 2;
+    assert.ok(ranges.length < all, `${ranges.length} of ${all} pairs measured`);
+});
+
+test('flags only the anchor configured 1.5 m off (3 surveyed)', () => {
+    const wrong = 5;
+    const result = calibrateAnchors(configured(3, wrong, 1.2, -0.9), measure());
+    assertSolved(result, wrong);
+    const entry = result.anchors[wrong];
+    assert.strictEqual(entry.status, 'moved');
+    assert.ok(Math.abs(entry.deviation - 1.5) < TOLERANCE_M, `deviation ${entry.deviation}`);
+    assert.deepStrictEqual(result.layout[wrong], { ...configured(3, wrong, 0, 0)[wrong], x: entry.solved.x, y: entry.solved.y });
+    assert.ok(result.rms < 2 * RANGE_NOISE_M, `rms ${result.rms}`);
+});
+
+test('two surveyed anchors: the mirror image agreeing with the configured layout wins', () => {
+    const wrong = 6;
+    // A mirror-image solve would put every anchor but the surveyed pair metres off
+    assertSolved(calibrateAnchors(configured(2, wrong, 0, 3), measure()), wrong);
+});
+
+test('a correct layout flags nothing', () => {
+    const result = calibrateAnchors(configured(3, -1, 0, 0), measure());
+    assert.deepStrictEqual(result.flagged, []);
+    assert.ok(result.anchors.every(a => a.status === 'surveyed' || a.status === 'ok'));
+});
+
+test('needs two surveyed anchors', () => {
+    assert.ok(calibrateAnchors(configured(1, -1, 0, 0), measure()).error);
+});
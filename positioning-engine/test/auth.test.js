@@ -0,0 +1,199 @@
+/**
+ * API auth — key hashing, signed tokens, roles per route and the WebSocket
+ * handshake against a local HTTP server.
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { ApiAuth, ROLES, requiredRole } = require('../auth');
+const { WebSocketBroadcaster } = require('../websocket');
+
+const SECRET = 'token-secret';
+
+function auth(extra = {}) {
+    return new ApiAuth({
+        tokenSecret: SECRET,
+        apiKeys: [
+            { name: 'wall', key: 'viewer-key', role: 'viewer' },
+            { name: 'ops', key_sha256: crypto.createHash('sha256').update('operator-key').digest('hex').toUpperCase(), role: 'operator' },
+            { name: 'root', key: 'admin-key', role: 'admin' }
+        ],
+        ...extra
+    });
+}
+
+/** Token signed with SECRET for arbitrary claims. */
+function sign(claims) {
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return payload + '.' + crypto.createHmac('sha256', SECRET).update(payload).digest('base64url');
+}
+
+test('keys match in plain text or as a sha256 digest', () => {
+    const a = auth();
+    assert.strictEqual(a.keyCount, 3);
+    assert.deepStrictEqual(a.authenticate('viewer-key'), { name: 'wall', role: 'viewer', via: 'key' });
+    assert.deepStrictEqual(a.authenticate('operator-key'), { name: 'ops', role: 'operator', via: 'key' });
+    assert.strictEqual(a.authenticate('VIEWER-KEY'), null);
+    assert.strictEqual(a.authenticate(''), null);
+});
+
+test('auth off treats every caller as admin', () => {
+    const a = auth({ enabled: false });
+    assert.strictEqual(a.authenticate(null).role, 'admin');
+    assert.strictEqual(a.authenticateRequest({ headers: {} }).role, 'admin');
+});
+
+test('credential from Bearer, X-API-Key or ?token=', () => {
+    const a = auth();
+    assert.strictEqual(a.authenticateRequest({ headers: { authorization: 'Bearer admin-key' } }).role, 'admin');
+    assert.strictEqual(a.authenticateRequest({ headers: { 'x-api-key': 'viewer-key' } }).role, 'viewer');
+    assert.strictEqual(a.authenticateRequest({ headers: {} }, { token: 'operator-key' }).role, 'operator');
+    assert.strictEqual(a.authenticateRequest({ headers: {} }), null);
+});
+
+test('roles include the ones before them', () => {
+    const a = auth();
+    assert.deepStrictEqual(ROLES, ['viewer', 'operator', 'admin']);
+    assert.ok(a.hasRole({ role: 'admin' }, 'operator'));
+    assert.ok(a.hasRole({ role: 'operator' }, 'viewer'));
+    assert.ok(!a.hasRole({ role: 'operator' }, 'admin'));
+    assert.ok(!a.hasRole({ role: 'viewer' }, 'operator'));
+    assert.ok(!a.hasRole(null, 'viewer'));
+});
+
+test('issued tokens authenticate with their role until they expire', () => {
+    const a = auth();
+    const issued = a.issueToken({ name: 'ops', role: 'operator' }, { role: 'viewer', ttlSeconds: 60 });
+    assert.strictEqual(issued.role, 'viewer');
+    assert.ok(Math.abs(issued.expiresAt - Date.now() / 1000 - 60) < 2);
+    assert.deepStrictEqual(a.authenticate(issued.token), { name: 'ops', role: 'viewer', via: 'token', exp: issued.expiresAt });
+
+    const expired = sign({ sub: 'ops', role: 'viewer', exp: Math.floor(Date.now() / 1000) - 1 });
+    assert.strictEqual(a.authenticate(expired), null);
+    assert.ok(a.authenticate(sign({ sub: 'ops', role: 'viewer', exp: Math.floor(Date.now() / 1000) + 60 })));
+});
+
+test('a token cannot be raised above the caller role or tampered with', () => {
+    const a = auth();
+    assert.ok(a.issueToken({ name: 'wall', role: 'viewer' }, { role: 'admin' }).error);
+    assert.ok(a.issueToken({ name: 'root', role: 'admin' }, { role: 'root' }).error);
+
+    const { token } = a.issueToken({ name: 'wall', role: 'viewer' });
+    const [payload, mac] = token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const raised = Buffer.from(JSON.stringify({ ...claims, role: 'admin' })).toString('base64url');
+    assert.strictEqual(a.authenticate(raised + '.' + mac), null);
+    assert.strictEqual(a.authenticate(payload + '.' + mac.slice(1)), null);
+    assert.strictEqual(auth({ tokenSecret: 'other' }).authenticate(token), null, 'signed with another secret');
+});
+
+test('required role per route', () => {
+    const cases = [
+        ['GET', '/api/indoor/settings', 'viewer'],
+        ['HEAD', '/api/indoor/devices', 'viewer'],
+        ['POST', '/api/indoor/auth/token', 'viewer'],
+        ['POST', '/api/indoor/zones', 'operator'],
+        ['DELETE', '/api/indoor/zones/z-1', 'operator'],
+        ['POST', '/api/indoor/alerts/a-1/ack', 'operator'],
+        ['POST', '/api/indoor/muster/start', 'operator'],
+        ['PUT', '/api/indoor/tag-groups', 'operator'],
+        ['PUT', '/api/indoor/settings', 'admin'],
+        ['PUT', '/api/indoor/floors/1', 'admin'],
+        ['POST', '/api/indoor/floors/1/plan', 'admin'],
+        ['POST', '/api/indoor/floors/1/anchor-ranges', 'admin'],
+        ['POST', '/api/indoor/notifications/hook/test', 'admin'],
+        ['POST', '/api/indoor/rules', 'admin'],
+        ['PUT', '/api/indoor/settingsx', 'operator']
+    ];
+    for (const [method, url, role] of cases) {
+        assert.strictEqual(requiredRole(method, url), role, `${method} ${url}`);
+    }
+});
+
+/**
+ * HTTP server with a WebSocketBroadcaster requiring auth.
+ * @returns {Promise<{url: string, ws: WebSocketBroadcaster, close: function}>}
+ */
+function startServer() {
+    const server = http.createServer((req, res) => res.end());
+    const ws = new WebSocketBroadcaster({ auth: auth({ corsOrigins: ['https://pilot.site'] }) });
+    ws.attach(server);
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            url: `ws://127.0.0.1:${server.address().port}/ws`,
+            ws,
+            close: () => { ws.close(); return new Promise(r => server.close(r)); }
+        }));
+    });
+}
+
+/** Status of a rejected upgrade, or 'open'. */
+function handshake(url, opts) {
+    return new Promise((resolve) => {
+        const client = new WebSocket(url, opts);
+        client.on('unexpected-response', (req, res) => { resolve(res.statusCode); req.destroy(); });
+        client.on('open', () => { resolve('open'); client.close(); });
+        client.on('error', () => {});
+    });
+}
+
+/** Messages received until the server closes the connection. */
+function session(url, send) {
+    return new Promise((resolve) => {
+        const messages = [];
+        const client = new WebSocket(url);
+        client.on('open', () => send.forEach(m => client.send(JSON.stringify(m))));
+        client.on('message', (data) => messages.push(JSON.parse(data.toString())));
+        client.on('close', (code) => resolve({ code, messages }));
+    });
+}
+
+test('WebSocket upgrade rejects a bad credential or origin', async () => {
+    const srv = await startServer();
+    try {
+        assert.strictEqual(await handshake(srv.url + '?token=nope'), 401);
+        assert.strictEqual(await handshake(srv.url, { headers: { 'X-API-Key': 'nope' } }), 401);
+        assert.strictEqual(await handshake(srv.url + '?token=viewer-key', { origin: 'https://evil.example' }), 403);
+        assert.strictEqual(await handshake(srv.url + '?token=viewer-key', { origin: 'https://pilot.site' }), 'open');
+        assert.strictEqual(await handshake(srv.url), 'open', 'no credential: may still send {"type":"auth"}');
+    } finally {
+        await srv.close();
+    }
+});
+
+test('WebSocket client without a valid auth message gets nothing and is closed', async () => {
+    const srv = await startServer();
+    try {
+        const { code, messages } = await session(srv.url, [
+            { type: 'subscribe', channels: ['alerts'] },
+            { type: 'auth', token: 'nope' }
+        ]);
+        assert.strictEqual(code, 4401);
+        assert.strictEqual(messages[0].authenticated, false);
+        assert.deepStrictEqual(messages.slice(1).map(m => m.error), ['Authentication required', 'Invalid credentials']);
+    } finally {
+        await srv.close();
+    }
+});
+
+test('WebSocket auth message unlocks subscriptions', async () => {
+    const srv = await startServer();
+    try {
+        const client = new WebSocket(srv.url);
+        const messages = [];
+        client.on('message', (data) => messages.push(JSON.parse(data.toString())));
+        await new Promise(r => client.on('open', r));
+        client.send(JSON.stringify({ type: 'auth', token: 'viewer-key' }));
+        client.send(JSON.stringify({ type: 'subscribe', channels: ['alerts'] }));
+        while (messages.length < 3) await new Promise(r => setTimeout(r, 10));
+        client.close();
+        assert.deepStrictEqual(messages.slice(1).map(m => m.type), ['authenticated', 'subscribed']);
+        assert.strictEqual(messages[1].role, 'viewer');
+    } finally {
+        await srv.close();
+    }
+});
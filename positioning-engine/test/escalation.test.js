@@ -0,0 +1,99 @@
+/**
+ * Escalation — levels by time since the alert was raised, repeats of the
+ * last level, stopping on acknowledge, and policy validation.
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { EscalationManager, validatePolicies } = require('../escalation');
+
+const MIN = 60000;
+const RAISED = Date.parse('2026-01-01T00:00:00.000Z');
+const CHANNELS = ['desk', 'sms', 'email'];
+
+const SOS_POLICY = {
+    id: 'sos',
+    severities: ['critical'],
+    levels: [
+        { after_minutes: 0, channels: ['desk'] },
+        { after_minutes: 5, channels: ['sms'] }
+    ],
+    repeat_minutes: 10,
+    max_repeats: 2
+};
+
+function alert(extra = {}) {
+    return { id: 'a-1', type: 'sos', severity: 'critical', state: 'open', timestamp: new Date(RAISED).toISOString(), escalation: null, ...extra };
+}
+
+/** Record a due step on the alert the way the alert store does. */
+function record(a, step, now) {
+    a.escalation = { policy: step.policy, level: step.level, repeats: step.repeat, at: new Date(now).toISOString() };
+}
+
+/** Run check() every minute up to `minutes`, recording each step. @returns {string[]} "minute:level/repeat" */
+function run(manager, a, minutes) {
+    const sent = [];
+    for (let m = 0; m <= minutes; m++) {
+        const now = RAISED + m * MIN;
+        for (const step of manager.check([a], now)) {
+            sent.push(`${m}:${step.level}/${step.repeat} ${step.channels.join(',')}`);
+            record(a, step, now);
+        }
+    }
+    return sent;
+}
+
+test('levels fire at their after_minutes, then the last level repeats', () => {
+    const manager = new EscalationManager({ policies: [SOS_POLICY], channelIds: CHANNELS });
+    assert.deepStrictEqual(run(manager, alert(), 60), ['0:1/0 desk', '5:2/0 sms', '15:2/1 sms', '25:2/2 sms']);
+});
+
+test('an acknowledged alert stops escalating', () => {
+    const manager = new EscalationManager({ policies: [SOS_POLICY], channelIds: CHANNELS });
+    const a = alert();
+    assert.deepStrictEqual(run(manager, a, 3), ['0:1/0 desk']);
+    a.state = 'acknowledged';
+    assert.deepStrictEqual(manager.check([a], RAISED + 30 * MIN), []);
+});
+
+test('progress kept on the alert survives a restart', () => {
+    const a = alert({ escalation: { policy: 'sos', level: 2, repeats: 0, at: new Date(RAISED + 5 * MIN).toISOString() } });
+    const restarted = new EscalationManager({ policies: [SOS_POLICY], channelIds: CHANNELS });
+    assert.deepStrictEqual(restarted.check([a], RAISED + 14 * MIN), []);
+    assert.deepStrictEqual(restarted.check([a], RAISED + 15 * MIN).map(s => [s.level, s.repeat]), [[2, 1]]);
+});
+
+test('the first matching enabled policy applies', () => {
+    const manager = new EscalationManager({
+        channelIds: CHANNELS,
+        policies: [
+            { id: 'off', enabled: false, levels: [{ channels: ['email'] }] },
+            { id: 'warnings', severities: ['warning'], levels: [{ channels: ['email'] }] },
+            { id: 'catch-all', levels: [{ channels: ['desk'] }] }
+        ]
+    });
+    assert.deepStrictEqual(manager.check([alert({ severity: 'warning' })], RAISED).map(s => s.policy), ['warnings']);
+    assert.deepStrictEqual(manager.check([alert()], RAISED).map(s => s.policy), ['catch-all']);
+});
+
+test('invalid policies are reported per field and skipped', () => {
+    const errors = validatePolicies([
+        { id: 'a', levels: [{ after_minutes: 5, channels: ['desk'] }, { after_minutes: 5, channels: ['pager'] }] },
+        { id: 'a', levels: [], repeat_minutes: 0, max_repeats: 1.5 },
+        'nope'
+    ], CHANNELS);
+    assert.deepStrictEqual(errors, {
+        'policies[0].levels[1].after_minutes': 'must be later than the previous level',
+        'policies[0].levels[1].channels': 'unknown channel pager',
+        'policies[1].id': 'duplicate id',
+        'policies[1].levels': 'must list at least one level',
+        'policies[1].repeat_minutes': 'must be > 0',
+        'policies[1].max_repeats': 'must be an integer >= 0',
+        'policies[2]': 'must be an object'
+    });
+
+    const manager = new EscalationManager({ channelIds: CHANNELS, policies: [{ id: 'bad', levels: [] }, SOS_POLICY] });
+    assert.deepStrictEqual(manager.getPolicies().map(p => p.id), ['sos']);
+});
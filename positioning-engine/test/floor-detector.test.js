@@ -0,0 +1,141 @@
+/**
+ * Floor detection — anchor vote, hysteresis, barometer and transition zones.
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { FloorDetector } = require('../floor-detector');
+
+// Two floors 4 m apart, three anchors on each
+const FLOORS = [
+    { id: 1, elevation_m: 0, anchors: [{ id: 'f1a' }, { id: 'f1b' }, { id: 'f1c' }] },
+    { id: 2, elevation_m: 4, anchors: [{ id: 'f2a' }, { id: 'f2b' }, { id: 'f2c' }] }
+];
+
+function detector(opts = {}) {
+    const fd = new FloorDetector({ switchAfter: 3, minShare: 0.6, minAnchors: 3, transitionFallback: 5, ...opts });
+    fd.setFloors(FLOORS);
+    return fd;
+}
+
+function range(anchorId, distance, quality = 1) {
+    return { anchor_id: anchorId, distance_m: distance, quality };
+}
+
+const ON_FLOOR_1 = [range('f1a', 3), range('f1b', 4), range('f1c', 5), range('f2a', 8)];
+const ON_FLOOR_2 = [range('f2a', 3), range('f2b', 4), range('f2c', 5), range('f1a', 8)];
+// Still hears all of floor 1, but floor 2 is closer and wins the vote
+const ON_STAIRS = [range('f1a', 9), range('f1b', 10), range('f1c', 12), range('f2a', 1), range('f2b', 2), range('f2c', 2)];
+
+test('closest, cleanest anchors win the vote, not the first one listed', () => {
+    const fd = detector();
+    const far = [range('f2a', 15, 0.3), range('f1a', 2), range('f1b', 3)];
+    assert.strictEqual(fd.detect('t1', far).floor, 1);
+});
+
+test('parser floor is kept when no anchor is known', () => {
+    const fd = detector();
+    assert.strictEqual(fd.detect('t1', [range('unknown', 2)], { floor: 7 }).floor, 7);
+});
+
+test('hysteresis: a change needs switchAfter winning fixes in a row', () => {
+    const fd = detector();
+    fd.detect('t1', ON_FLOOR_1);
+    assert.strictEqual(fd.detect('t1', ON_FLOOR_2).floor, 1);
+    assert.strictEqual(fd.detect('t1', ON_FLOOR_2).floor, 1);
+    const r = fd.detect('t1', ON_FLOOR_2);
+    assert.strictEqual(r.floor, 2);
+    assert.strictEqual(r.change.from, 1);
+    assert.strictEqual(r.change.to, 2);
+    assert.strictEqual(r.change.fallback, null);
+});
+
+test('hysteresis: a fix for the current floor resets the streak', () => {
+    const fd = detector();
+    fd.detect('t1', ON_FLOOR_1);
+    fd.detect('t1', ON_FLOOR_2);
+    fd.detect('t1', ON_FLOOR_2);
+    fd.detect('t1', ON_FLOOR_1);
+    assert.strictEqual(fd.detect('t1', ON_FLOOR_2).floor, 1);
+});
+
+test('hysteresis: a split vote below minShare does not count', () => {
+    const fd = detector();
+    fd.detect('t1', ON_FLOOR_1);
+    const split = [range('f1a', 4), range('f2a', 3.5)];
+    for (let i = 0; i < 5; i++) assert.strictEqual(fd.detect('t1', split).floor, 1);
+});
+
+test('barometer: a climb of one floor outvotes ambiguous anchors', () => {
+    const fd = detector({ barometerWeight: 1 });
+    const ambiguous = [range('f1a', 5), range('f2a', 5)];
+    fd.detect('t1', ON_FLOOR_1, { pressure: 1013.25 });
+    // 4 m up ≈ 0.48 hPa
+    let r;
+    for (let i = 0; i < 3; i++) r = fd.detect('t1', ambiguous, { pressure: 1013.25 - 4 / 8.3 });
+    assert.strictEqual(r.floor, 2);
+    assert.strictEqual(r.change.barometer, true);
+});
+
+test('barometer: weather drift on the same floor does not move the tag', () => {
+    const fd = detector({ barometerWeight: 1 });
+    let p = 1013.25;
+    fd.detect('t1', ON_FLOOR_1, { pressure: p });
+    for (let i = 0; i < 50; i++) {
+        p -= 0.02; // 1 hPa over the run, but slowly
+        assert.strictEqual(fd.detect('t1', ON_FLOOR_1, { pressure: p }).floor, 1);
+    }
+});
+
+test('transition zone: the change waits until the tag is in the stairwell', () => {
+    let inStairs = false;
+    const fd = detector({
+        transitionFallback: 100,
+        getTransitionZone: (tagId, floor) => (floor === 1 ? (inStairs ? { id: 'z-stairs', name: 'Stairs A' } : null) : undefined)
+    });
+    fd.detect('t1', ON_FLOOR_1);
+    for (let i = 0; i < 10; i++) assert.strictEqual(fd.detect('t1', ON_STAIRS).floor, 1);
+    inStairs = true;
+    const r = fd.detect('t1', ON_STAIRS);
+    assert.strictEqual(r.floor, 2);
+    assert.strictEqual(r.change.zoneId, 'z-stairs');
+    assert.strictEqual(r.change.zoneName, 'Stairs A');
+});
+
+test('transition zone: falls back when the old floor gives too few ranges', () => {
+    const fd = detector({ getTransitionZone: (tagId, floor) => (floor === 1 ? null : undefined) });
+    fd.detect('t1', ON_FLOOR_1);
+    // Reached floor 2 without a fix in the stairwell; only one floor-1 anchor still heard
+    fd.detect('t1', ON_FLOOR_2);
+    fd.detect('t1', ON_FLOOR_2);
+    const r = fd.detect('t1', ON_FLOOR_2);
+    assert.strictEqual(r.floor, 2);
+    assert.strictEqual(r.change.zoneId, null);
+    assert.strictEqual(r.change.fallback, 'anchors');
+});
+
+test('transition zone: falls back after transitionFallback further votes', () => {
+    const fd = detector({ transitionFallback: 5, getTransitionZone: (tagId, floor) => (floor === 1 ? null : undefined) });
+    fd.detect('t1', ON_FLOOR_1);
+    // switchAfter (3) + transitionFallback (5) - 1 fixes are not enough
+    for (let i = 0; i < 7; i++) assert.strictEqual(fd.detect('t1', ON_STAIRS).floor, 1);
+    const r = fd.detect('t1', ON_STAIRS);
+    assert.strictEqual(r.floor, 2);
+    assert.strictEqual(r.change.fallback, 'votes');
+});
+
+test('floors without transition zones change on the vote alone', () => {
+    const fd = detector({ getTransitionZone: () => undefined });
+    fd.detect('t1', ON_FLOOR_1);
+    fd.detect('t1', ON_STAIRS);
+    fd.detect('t1', ON_STAIRS);
+    assert.strictEqual(fd.detect('t1', ON_STAIRS).floor, 2);
+});
+
+test('remove() forgets the tag', () => {
+    const fd = detector();
+    fd.detect('t1', ON_FLOOR_1);
+    fd.remove('t1');
+    assert.strictEqual(fd.detect('t1', ON_FLOOR_2).floor, 2);
+});
@@ -0,0 +1,125 @@
+/**
+ * Position history — queries, rollup, and late samples for rolled-up days.
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HistoryStore } = require('../history-store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OLD_DAY = Math.floor(Date.now() / DAY_MS) * DAY_MS - 10 * DAY_MS; // past rollup_after_days
+
+function tempStore(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return { dir, store: new HistoryStore({ dir, rollupAfterDays: 7, rollupIntervalSeconds: 60 }) };
+}
+
+/** One sample every 10 s for `minutes` minutes from `start`. */
+async function record(store, id, start, minutes) {
+    for (let t = start; t < start + minutes * 60000; t += 10000) store.append({ id, x: 1, y: 2, floor: 1, t });
+    await store.flush();
+}
+
+async function times(store, id) {
+    const { points } = await store.query({ from: OLD_DAY, to: OLD_DAY + DAY_MS - 1, deviceIds: [id] });
+    return points.map(p => p.t);
+}
+
+test('rollup keeps one point per device per interval', async (t) => {
+    const { store } = tempStore(t);
+    await record(store, 'tag-1', OLD_DAY, 10);
+    assert.strictEqual((await times(store, 'tag-1')).length, 60);
+
+    assert.deepStrictEqual(await store.runMaintenance(), { deleted: 0, rolledUp: 1 });
+    assert.strictEqual((await times(store, 'tag-1')).length, 10);
+});
+
+test('late samples for a rolled-up day are read alongside the rollup and merged into it', async (t) => {
+    const { store, dir } = tempStore(t);
+    await record(store, 'tag-1', OLD_DAY, 10);
+    await store.runMaintenance();
+
+    // Backdated upload for the same day, an hour later
+    await record(store, 'tag-1', OLD_DAY + 3600000, 5);
+    const before = await times(store, 'tag-1');
+    assert.strictEqual(before.length, 10 + 30, 'reads see the rollup and the late raw samples');
+
+    await store.runMaintenance();
+    const after = await times(store, 'tag-1');
+    assert.strictEqual(after.length, 10 + 5, 'earlier rolled-up points are kept');
+    assert.strictEqual(after[0], OLD_DAY);
+    assert.deepStrictEqual(after, [...after].sort((a, b) => a - b));
+
+    const files = fs.readdirSync(dir);
+    assert.deepStrictEqual(files, [new Date(OLD_DAY).toISOString().slice(0, 10) + '.rollup.ndjson']);
+});
+
+test('query filters by floor and caps the result', async (t) => {
+    const { store } = tempStore(t);
+    store.append({ id: 'tag-1', x: 0, y: 0, floor: 1, t: OLD_DAY + 1000 });
+    store.append({ id: 'tag-1', x: 0, y: 0, floor: 2, t: OLD_DAY + 2000 });
+    store.append({ id: 'tag-2', x: 0, y: 0, floor: 2, t: OLD_DAY + 3000 });
+    await store.flush();
+
+    const floor2 = await store.query({ from: OLD_DAY, to: OLD_DAY + DAY_MS, floor: 2 });
+    assert.deepStrictEqual(floor2.points.map(p => p.id), ['tag-1', 'tag-2']);
+    const capped = await store.query({ from: OLD_DAY, to: OLD_DAY + DAY_MS, limit: 2 });
+    assert.strictEqual(capped.points.length, 2);
+    assert.strictEqual(capped.truncated, true);
+});
+
+test('a huge time range only reads the days that exist', async (t) => {
+    const { store } = tempStore(t);
+    await record(store, 'tag-1', OLD_DAY, 1);
+    store.append({ id: 'tag-1', x: 0, y: 0, floor: 1, t: Date.now() }); // buffered, not flushed
+
+    const start = Date.now();
+    const { points } = await store.query({ from: 0, to: 8.64e15 });
+    assert.ok(Date.now() - start < 1000, 'does not walk day by day');
+    assert.strictEqual(points.length, 7);
+});
+
+test('nothing older than the retention window is returned', async (t) => {
+    const { dir } = tempStore(t);
+    const store = new HistoryStore({ dir, retentionDays: 5, rollupAfterDays: 0 });
+    await record(store, 'tag-1', OLD_DAY, 1);
+    const { points } = await store.query({ from: 0, to: Date.now() });
+    assert.strictEqual(points.length, 0);
+});
+
+test('a failed flush keeps its samples for the next one', async (t) => {
+    const { store, dir } = tempStore(t);
+    const segment = path.join(dir, new Date(OLD_DAY).toISOString().slice(0, 10) + '.ndjson');
+    fs.mkdirSync(segment); // appending to a directory fails
+
+    store.append({ id: 'tag-1', x: 0, y: 0, floor: 1, t: OLD_DAY + 1000 });
+    await store.flush();
+    store.append({ id: 'tag-1', x: 0, y: 0, floor: 1, t: OLD_DAY + 2000 });
+    assert.strictEqual(store.pending, 2);
+    assert.strictEqual(store.written, 0);
+
+    fs.rmdirSync(segment);
+    await store.flush();
+    assert.strictEqual(store.pending, 0);
+    assert.deepStrictEqual(await times(store, 'tag-1'), [OLD_DAY + 1000, OLD_DAY + 2000]);
+});
+
+test('flush and maintenance never overlap', async (t) => {
+    const { store, dir } = tempStore(t);
+    await record(store, 'tag-1', OLD_DAY, 10);
+
+    // Late samples flushed while the rollup of their day is running
+    const maintenance = store.runMaintenance();
+    await record(store, 'tag-1', OLD_DAY + 3600000, 1);
+    await maintenance;
+    assert.strictEqual((await times(store, 'tag-1')).length, 10 + 6);
+
+    await store.runMaintenance();
+    assert.strictEqual((await times(store, 'tag-1')).length, 10 + 1);
+    assert.strictEqual(fs.readdirSync(dir).length, 1);
+});
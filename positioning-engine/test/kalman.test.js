@@ -0,0 +1,75 @@
+/**
+ * Kalman filter — real dt and per-fix measurement noise (CS vs RSSI).
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createKalmanFilter, fixMeasurementNoise } = require('../kalman');
+
+const NOISE = { csNoise: 1.0, rssiNoise: 3.0 };
+
+function ranges(methods) {
+    return methods.map((method, i) => ({ anchor_id: `a${i}`, distance_m: 5, method }));
+}
+
+/**
+ * Settle a filter on (0, 0) at rest, then feed one fix 2 m east with σ.
+ * @returns {number} fraction of the innovation the filter accepted (≈ Kalman gain)
+ */
+function stepTowards(sigma, covariance) {
+    const kf = createKalmanFilter({ processNoise: 0.5, measurementNoise: 1.0 });
+    for (let t = 0; t < 10; t++) kf.update(0, 0, { time: t });
+    const out = kf.update(2, 0, { time: 10, measurementNoise: sigma, covariance });
+    return out.x / 2;
+}
+
+test('RSSI-majority fix gets the RSSI measurement noise', () => {
+    assert.strictEqual(fixMeasurementNoise(ranges(['cs', 'cs', 'cs']), 1, NOISE), 1.0);
+    assert.strictEqual(fixMeasurementNoise(ranges(['rssi', 'rssi', 'cs']), 1, NOISE), 3.0);
+    // A tie is not a majority
+    assert.strictEqual(fixMeasurementNoise(ranges(['rssi', 'cs']), 1, NOISE), 1.0);
+});
+
+test('low solver confidence inflates the noise', () => {
+    const sure = fixMeasurementNoise(ranges(['cs', 'cs', 'cs']), 1, NOISE);
+    const unsure = fixMeasurementNoise(ranges(['cs', 'cs', 'cs']), 0.25, NOISE);
+    assert.ok(Math.abs(unsure - 2 * sure) < 1e-9, `σ ${unsure} should be 2 × ${sure}`);
+});
+
+test('a fix with a covariance is not inflated by its confidence', () => {
+    assert.strictEqual(fixMeasurementNoise(ranges(['cs', 'cs', 'cs']), null, NOISE), 1.0);
+    assert.strictEqual(fixMeasurementNoise(ranges(['rssi', 'rssi', 'cs']), null, NOISE), 3.0);
+});
+
+test('the solver covariance replaces σ², floored at σ² in every direction', () => {
+    const close = (a, b) => Math.abs(a - b) < 1e-9;
+    // Wider than σ: the covariance alone sets the noise
+    assert.ok(close(stepTowards(1, [[4, 0], [0, 4]]), stepTowards(2)));
+    // Tighter than σ: lifted to σ², not added to it
+    assert.ok(close(stepTowards(1, [[1e-4, 0], [0, 1e-4]]), stepTowards(1)));
+    // Wide only along y: x still gets σ
+    assert.ok(close(stepTowards(1, [[0.01, 0], [0, 9]]), stepTowards(1)));
+});
+
+test('an RSSI fix moves the track less than a CS fix', () => {
+    const cs = stepTowards(fixMeasurementNoise(ranges(['cs', 'cs', 'cs']), 0.9, NOISE));
+    const rssi = stepTowards(fixMeasurementNoise(ranges(['rssi', 'rssi', 'cs']), 0.9, NOISE));
+    assert.ok(cs > 0 && cs < 1, `CS gain ${cs}`);
+    assert.ok(rssi > 0 && rssi < cs, `RSSI gain ${rssi} should be below CS gain ${cs}`);
+});
+
+test('velocity follows real time between fixes', () => {
+    const kf = createKalmanFilter({ processNoise: 0.5, measurementNoise: 0.2 });
+    // 1 m/s east, fixes every 0.5 s
+    for (let k = 0; k <= 40; k++) kf.update(k * 0.5, 0, { time: k * 0.5 });
+    assert.ok(Math.abs(kf.getSpeed() - 1) < 0.1, `speed ${kf.getSpeed()}`);
+});
+
+test('a gap longer than maxGapSeconds restarts from the new fix', () => {
+    const kf = createKalmanFilter({ maxGapSeconds: 60 });
+    for (let t = 0; t < 5; t++) kf.update(t, 0, { time: t });
+    const out = kf.update(50, 50, { time: 200 });
+    assert.deepStrictEqual(out, { x: 50, y: 50 });
+    assert.strictEqual(kf.getSpeed(), 0);
+});
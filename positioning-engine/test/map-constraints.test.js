@@ -0,0 +1,81 @@
+/**
+ * Map constraints — no-go areas, walls with doors, giving up after repeated
+ * wall stops, and floor geometry validation.
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MapConstraints, validateFloorGeometry } = require('../map-constraints');
+
+// A wall along x = 10 with a door between y = 4 and y = 6, and a 2 m column at (20, 5)
+const FLOOR = {
+    id: 1,
+    walls: [[[10, 0], [10, 4]], [[10, 6], [10, 10]]],
+    no_go: [[[19, 4], [21, 4], [21, 6], [19, 6]]]
+};
+
+function constraints(opts) {
+    const mc = new MapConstraints(opts);
+    mc.setFloors([FLOOR]);
+    return mc;
+}
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+test('a fix inside a no-go area snaps just outside its nearest edge', () => {
+    const mc = constraints();
+    const out = mc.apply('t1', 1, 20.8, 5.2);
+    assert.strictEqual(out.constraint, 'no_go');
+    assert.ok(close(out.x, 21.1) && close(out.y, 5.2), `(${out.x}, ${out.y})`);
+});
+
+test('a move through a wall stops just short of it; through the door it passes', () => {
+    const mc = constraints();
+    mc.apply('t1', 1, 8, 2);
+    const stopped = mc.apply('t1', 1, 12, 2);
+    assert.strictEqual(stopped.constraint, 'wall');
+    assert.ok(close(stopped.x, 9.9) && close(stopped.y, 2), `(${stopped.x}, ${stopped.y})`);
+
+    mc.apply('t1', 1, 8, 5);
+    assert.deepStrictEqual(mc.apply('t1', 1, 12, 5), { x: 12, y: 5, constraint: null });
+});
+
+test('after max_rejections stops in a row the move is accepted', () => {
+    const mc = constraints({ maxRejections: 2 });
+    mc.apply('t1', 1, 8, 2);
+    assert.strictEqual(mc.apply('t1', 1, 12, 2).constraint, 'wall');
+    assert.strictEqual(mc.apply('t1', 1, 12, 2).constraint, 'wall');
+    assert.deepStrictEqual(mc.apply('t1', 1, 12, 2), { x: 12, y: 2, constraint: null });
+});
+
+test('another floor, a disabled checker or a forgotten tag starts fresh', () => {
+    const mc = constraints();
+    mc.apply('t1', 1, 8, 2);
+    assert.deepStrictEqual(mc.apply('t1', 2, 12, 2), { x: 12, y: 2, constraint: null }, 'no geometry on floor 2');
+    assert.deepStrictEqual(mc.apply('t1', 1, 12, 2), { x: 12, y: 2, constraint: null }, 'no last position on floor 1');
+
+    mc.apply('t2', 1, 8, 2);
+    mc.remove('t2');
+    assert.strictEqual(mc.apply('t2', 1, 12, 2).constraint, null);
+
+    mc.configure({ enabled: false });
+    assert.deepStrictEqual(mc.apply('t3', 1, 20, 5), { x: 20, y: 5, constraint: null });
+});
+
+test('blocked() checks a single move for the particle filter', () => {
+    const mc = constraints();
+    assert.strictEqual(mc.blocked(1, 8, 2, 12, 2), true, 'through the wall');
+    assert.strictEqual(mc.blocked(1, 8, 5, 12, 5), false, 'through the door');
+    assert.strictEqual(mc.blocked(1, 15, 5, 20, 5), true, 'into the column');
+    assert.strictEqual(mc.blocked(2, 8, 2, 12, 2), false);
+});
+
+test('floor geometry is validated per line', () => {
+    assert.deepStrictEqual(validateFloorGeometry(FLOOR), {});
+    assert.deepStrictEqual(validateFloorGeometry({ walls: [[[0, 0]], [[0, 0], [1, 'x']]], no_go: {} }), {
+        'walls[0]': 'must be a polyline of at least 2 [x, y] points',
+        'walls[1]': 'must be a polyline of at least 2 [x, y] points',
+        no_go: 'must be an array'
+    });
+});
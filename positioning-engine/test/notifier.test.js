@@ -0,0 +1,145 @@
+/**
+ * Webhook notifications against a local HTTP receiver (HMAC signature,
+ * retries, rate limits) and channel routing.
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const { Notifier, matchesRoute } = require('../notifier');
+
+const SECRET = 'hook-secret';
+
+/**
+ * HTTP receiver that answers with the given status codes in turn (then 200).
+ * @param {number[]} [statuses]
+ * @returns {Promise<{url: string, requests: object[], close: function}>}
+ */
+function startReceiver(statuses = []) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            res.statusCode = statuses.length ? statuses.shift() : 200;
+            res.end();
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}/hooks/indoor`,
+            requests,
+            close: () => new Promise(r => server.close(r))
+        }));
+    });
+}
+
+function alert(extra = {}) {
+    return {
+        id: 'a-1',
+        deviceId: 'tag-017',
+        zoneId: null,
+        type: 'sos',
+        severity: 'critical',
+        message: 'SOS pressed by tag-017',
+        timestamp: '2026-01-01T00:00:00.000Z',
+        ...extra
+    };
+}
+
+function webhook(url, extra = {}) {
+    return new Notifier({ channels: [{ id: 'hook', type: 'webhook', url, secret: SECRET, retries: 1, ...extra }] });
+}
+
+async function waitFor(check, timeoutMs = 3000) {
+    const start = Date.now();
+    while (!check()) {
+        if (Date.now() - start > timeoutMs) throw new Error('timed out');
+        await new Promise(r => setTimeout(r, 20));
+    }
+}
+
+test('signs the body with HMAC-SHA256 over "<timestamp>.<body>"', async () => {
+    const rx = await startReceiver();
+    try {
+        assert.strictEqual(await webhook(rx.url).test('hook'), true);
+        const { headers, body } = rx.requests[0];
+        const ts = headers['x-pilot-timestamp'];
+        assert.ok(Math.abs(Number(ts) - Date.now() / 1000) < 5);
+        const expected = 'sha256=' + crypto.createHmac('sha256', SECRET).update(`${ts}.${body}`).digest('hex');
+        assert.strictEqual(headers['x-pilot-signature'], expected);
+        assert.strictEqual(JSON.parse(body).event, 'alert');
+    } finally {
+        await rx.close();
+    }
+});
+
+test('retries on 5xx and 429', async () => {
+    for (const status of [503, 429]) {
+        const rx = await startReceiver([status]);
+        try {
+            const notifier = webhook(rx.url);
+            await notifier.test('hook');
+            assert.strictEqual(rx.requests.length, 2, `HTTP ${status} is retried once`);
+            assert.strictEqual(notifier.getStatus()[0].stats.sent, 1);
+        } finally {
+            await rx.close();
+        }
+    }
+});
+
+test('does not retry on other 4xx', async () => {
+    const rx = await startReceiver([400]);
+    try {
+        const notifier = webhook(rx.url, { retries: 3 });
+        await assert.rejects(notifier.test('hook'), /HTTP 400/);
+        assert.strictEqual(rx.requests.length, 1);
+        assert.strictEqual(notifier.getStatus()[0].stats.failed, 1);
+    } finally {
+        await rx.close();
+    }
+});
+
+test('gives up after the configured retries', async () => {
+    const rx = await startReceiver([500, 500, 500]);
+    try {
+        await assert.rejects(webhook(rx.url).test('hook'), /HTTP 500/);
+        assert.strictEqual(rx.requests.length, 2);
+    } finally {
+        await rx.close();
+    }
+});
+
+test('rate limit suppresses alerts over the limit instead of queueing them', async () => {
+    const rx = await startReceiver();
+    try {
+        const notifier = webhook(rx.url, { rate_limit: { max: 2, per_seconds: 60 } });
+        for (let i = 0; i < 5; i++) notifier.notify(alert({ id: `a-${i}` }));
+        await waitFor(() => notifier.getStatus()[0].stats.sent === 2);
+        await new Promise(r => setTimeout(r, 100));
+        assert.strictEqual(rx.requests.length, 2);
+        assert.deepStrictEqual(rx.requests.map(r => JSON.parse(r.body).alert.id), ['a-0', 'a-1']);
+        assert.strictEqual(notifier.getStatus()[0].stats.suppressed, 3);
+    } finally {
+        await rx.close();
+    }
+});
+
+test('status hides the secret and the webhook path', async () => {
+    const status = webhook('http://127.0.0.1:9/hooks/t0ken').getStatus()[0];
+    assert.strictEqual(status.secret, '***');
+    assert.strictEqual(status.url, 'http://127.0.0.1:9/***');
+});
+
+test('routing by severity and type prefix', () => {
+    const cfg = { severities: ['critical'], types: ['man_down*', 'sos'], exclude_types: ['man_down_pre'] };
+    assert.ok(matchesRoute(cfg, alert()));
+    assert.ok(matchesRoute(cfg, alert({ type: 'man_down_alarm' })));
+    assert.ok(!matchesRoute(cfg, alert({ type: 'man_down_pre' })));
+    assert.ok(!matchesRoute(cfg, alert({ severity: 'warning' })));
+    assert.ok(!matchesRoute(cfg, alert({ type: 'zone_enter' })));
+});
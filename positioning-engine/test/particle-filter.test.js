@@ -0,0 +1,113 @@
+/**
+ * Particle filter — convergence from ranges alone, robustness to a multipath
+ * range, motion, and when a tag's cloud starts over.
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ParticleTracker } = require('../particle-filter');
+
+const ANCHORS = [[0, 0], [20, 0], [20, 15], [0, 15]];
+const TAG_HEIGHT = 1.2;
+const ANCHOR_Z = 2.5;
+
+// Deterministic PRNG (mulberry32): the filter draws from Math.random
+function rng(seed) {
+    let s = seed | 0;
+    return () => {
+        s = (s + 0x6D2B79F5) | 0;
+        let t = Math.imul(s ^ (s >>> 15), 1 | s);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function seeded(t, seed = 3) {
+    const random = Math.random;
+    Math.random = rng(seed);
+    t.after(() => { Math.random = random; });
+}
+
+/** Exact slant ranges from every anchor to (x, y), with per-anchor offsets (m). */
+function ranges(x, y, offsets = {}) {
+    return ANCHORS.map(([ax, ay], i) => ({
+        anchor_id: `a${i}`,
+        x: ax,
+        y: ay,
+        z: ANCHOR_Z,
+        distance_m: Math.hypot(x - ax, y - ay, ANCHOR_Z - TAG_HEIGHT) + (offsets[i] || 0)
+    }));
+}
+
+/** Feed `count` updates one second apart; returns the last estimate. */
+function track(pf, id, at, count, start = 0) {
+    let out = null;
+    for (let k = 0; k < count; k++) {
+        const [x, y] = at(k);
+        out = pf.update(id, 1, ranges(x, y), { tagHeight: TAG_HEIGHT, now: (start + k) * 1000 });
+    }
+    return out;
+}
+
+test('converges on a still tag from ranges alone', (t) => {
+    seeded(t);
+    const pf = new ParticleTracker();
+    const out = track(pf, 't1', () => [6, 9], 10);
+    assert.ok(Math.hypot(out.x - 6, out.y - 9) < 0.3, `(${out.x.toFixed(2)}, ${out.y.toFixed(2)})`);
+    assert.ok(out.confidence > 0.8, `confidence ${out.confidence}`);
+    assert.ok(out.ellipse.semiMajor < 1, `ellipse ${out.ellipse.semiMajor}`);
+    assert.strictEqual(out.particles, 200);
+    assert.strictEqual(out.rejected, 0);
+});
+
+test('a multipath range is flagged instead of dragging the estimate', (t) => {
+    seeded(t);
+    const pf = new ParticleTracker();
+    track(pf, 't1', () => [6, 9], 10);
+    let out;
+    for (let k = 10; k < 15; k++) out = pf.update('t1', 1, ranges(6, 9, { 2: 6 }), { tagHeight: TAG_HEIGHT, now: k * 1000 });
+    assert.ok(Math.hypot(out.x - 6, out.y - 9) < 0.5, `(${out.x.toFixed(2)}, ${out.y.toFixed(2)})`);
+    assert.strictEqual(out.rejected, 1);
+    assert.deepStrictEqual(out.residuals.map(r => r.inlier), [true, true, false, true]);
+});
+
+test('follows a walking tag and reports its velocity', (t) => {
+    seeded(t);
+    const pf = new ParticleTracker();
+    const out = track(pf, 't1', (k) => [3 + k, 7], 12);
+    assert.ok(Math.hypot(out.x - 14, out.y - 7) < 0.6, `(${out.x.toFixed(2)}, ${out.y.toFixed(2)})`);
+    const v = pf.getVelocity('t1');
+    assert.ok(v.vx > 0.5 && Math.abs(v.vy) < 0.5, `v (${v.vx.toFixed(2)}, ${v.vy.toFixed(2)})`);
+});
+
+test('a still tag without ranges stays put', (t) => {
+    seeded(t);
+    const pf = new ParticleTracker();
+    const fix = track(pf, 't1', () => [6, 9], 10);
+    pf.setMotion('t1', false);
+    const out = pf.update('t1', 1, [], { tagHeight: TAG_HEIGHT, now: 20000 });
+    assert.ok(Math.hypot(out.x - fix.x, out.y - fix.y) < 0.1);
+    assert.strictEqual(out.speed, 0);
+});
+
+test('no state and no ranges gives nothing; floor change, silence and new particle count start over', (t) => {
+    seeded(t);
+    const pf = new ParticleTracker();
+    assert.strictEqual(pf.update('t1', 1, [], { now: 0 }), null);
+    assert.strictEqual(pf.size, 0);
+
+    track(pf, 't1', () => [6, 9], 10);
+    // Ranges that only fit the far corner: after 61 s of silence the cloud is rebuilt from them
+    const jumped = pf.update('t1', 1, ranges(18, 2), { tagHeight: TAG_HEIGHT, now: 71000 });
+    assert.ok(Math.hypot(jumped.x - 18, jumped.y - 2) < 4, `(${jumped.x.toFixed(2)}, ${jumped.y.toFixed(2)})`);
+    assert.strictEqual(pf.update('t1', 2, [], { now: 72000 }), null, 'a new floor with no ranges has no state');
+
+    track(pf, 't1', () => [6, 9], 3, 100);
+    pf.configure({ particles: 100 });
+    assert.strictEqual(pf.size, 0);
+    assert.strictEqual(track(pf, 't1', () => [6, 9], 1, 200).particles, 100);
+
+    pf.remove('t1');
+    assert.strictEqual(pf.getVelocity('t1'), null);
+});
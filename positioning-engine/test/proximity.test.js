@@ -0,0 +1,121 @@
+/**
+ * Proximity warnings — distance and converging rules, throttling, clearing
+ * with hysteresis, and rule validation.
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ProximityMonitor, validateProximityRules } = require('../proximity');
+
+const PERSON_VEHICLE = { id: 'person-vehicle', a: ['person'], b: ['forklift'], distance_m: 3, severity: 'critical' };
+const CONVERGING = { id: 'converging', a: ['forklift'], b: ['forklift'], distance_m: 10, min_closing_speed_mps: 1, max_time_to_contact_s: 5 };
+
+function monitor(rules, velocities = {}, extra = {}) {
+    return new ProximityMonitor({ rules, getVelocity: (id) => velocities[id] || null, throttleSeconds: 0, ...extra });
+}
+
+function at(id, type, x, y = 0, floor = 1) {
+    return { id, name: id, type, floor, x, y };
+}
+
+const events = (list) => list.map(e => `${e.event}:${e.ruleId}:${e.a.id}-${e.b.id}`);
+
+test('a person near a vehicle matches whichever of them moves', () => {
+    const pm = monitor([PERSON_VEHICLE]);
+    assert.deepStrictEqual(pm.update(at('fl1', 'forklift', 0)), []);
+    assert.deepStrictEqual(pm.update(at('p1', 'person', 5)), []);
+    const evts = pm.update(at('p1', 'person', 2));
+    assert.deepStrictEqual(events(evts), ['proximity:person-vehicle:p1-fl1'], 'a is the person, b the vehicle');
+    assert.strictEqual(evts[0].distance, 2);
+    assert.strictEqual(evts[0].severity, 'critical');
+    assert.deepStrictEqual(pm.update(at('p2', 'person', 1, 0, 2)), [], 'another floor');
+    assert.strictEqual(pm.getActive().length, 1);
+});
+
+test('a pair clears only beyond distance × clear factor', () => {
+    const pm = monitor([PERSON_VEHICLE]);
+    pm.update(at('fl1', 'forklift', 0));
+    pm.update(at('p1', 'person', 2));
+    assert.deepStrictEqual(pm.update(at('p1', 'person', 3.4)), [], 'inside 3 × 1.2 m: still open, nothing new to send');
+    assert.strictEqual(pm.getActive().length, 1);
+    const cleared = pm.update(at('p1', 'person', 3.7));
+    assert.deepStrictEqual(events(cleared), ['cleared:person-vehicle:p1-fl1']);
+    assert.strictEqual(cleared[0].reason, 'apart');
+    assert.deepStrictEqual(pm.getActive(), []);
+});
+
+test('a pair that is far apart at once clears too', () => {
+    const pm = monitor([PERSON_VEHICLE]);
+    pm.update(at('fl1', 'forklift', 0));
+    pm.update(at('p1', 'person', 2));
+    assert.deepStrictEqual(events(pm.update(at('p1', 'person', 500))), ['cleared:person-vehicle:p1-fl1']);
+});
+
+test('repeats of an open pair are throttled', () => {
+    const pm = monitor([PERSON_VEHICLE], {}, { throttleSeconds: 60 });
+    pm.update(at('fl1', 'forklift', 0));
+    assert.strictEqual(pm.update(at('p1', 'person', 2)).length, 1);
+    assert.deepStrictEqual(pm.update(at('p1', 'person', 1)), []);
+    assert.strictEqual(pm.getActive()[0].distance, 1, 'the open pair still tracks the latest distance');
+});
+
+test('an offline device clears its pairs', () => {
+    const pm = monitor([PERSON_VEHICLE]);
+    pm.update(at('fl1', 'forklift', 0));
+    pm.update(at('p1', 'person', 2));
+    const cleared = pm.remove('fl1');
+    assert.deepStrictEqual(events(cleared), ['cleared:person-vehicle:p1-fl1']);
+    assert.strictEqual(cleared[0].reason, 'offline');
+    assert.deepStrictEqual(pm.remove('fl1'), []);
+});
+
+test('converging rules need closing speed and time to contact', () => {
+    const v = {};
+    const pm = monitor([CONVERGING], v);
+    pm.update(at('fl1', 'forklift', 0));
+
+    // 8 m apart, parked: close enough but not approaching
+    assert.deepStrictEqual(pm.update(at('fl2', 'forklift', 8)), []);
+
+    // Approaching at 1 m/s: 8 s to contact is too far off
+    v.fl2 = { vx: -1, vy: 0 };
+    assert.deepStrictEqual(pm.update(at('fl2', 'forklift', 8)), []);
+
+    // Both at 1 m/s towards each other: 2 m/s, 4 s to contact
+    v.fl1 = { vx: 1, vy: 0 };
+    const evts = pm.update(at('fl1', 'forklift', 0));
+    assert.deepStrictEqual(events(evts), ['proximity:converging:fl1-fl2'], 'symmetric rule: lower id first');
+    assert.strictEqual(evts[0].closingSpeed, 2);
+    assert.strictEqual(evts[0].timeToContact, 4);
+
+    // One stops: 8 s to contact again, so it clears at once without waiting for distance
+    v.fl1 = { vx: 0, vy: 0 };
+    assert.deepStrictEqual(events(pm.update(at('fl1', 'forklift', 0))), ['cleared:converging:fl1-fl2']);
+});
+
+test('without Kalman velocity the last two fixes give the speed', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+    const pm = monitor([CONVERGING]);
+    pm.update(at('fl1', 'forklift', 0));
+    pm.update(at('fl2', 'forklift', 12));
+    t.mock.timers.tick(1000);
+    const evts = pm.update(at('fl2', 'forklift', 9));
+    assert.deepStrictEqual(events(evts), ['proximity:converging:fl1-fl2']);
+    assert.strictEqual(evts[0].closingSpeed, 3);
+});
+
+test('rules are validated per field', () => {
+    assert.deepStrictEqual(validateProximityRules([PERSON_VEHICLE, CONVERGING]), {});
+    assert.deepStrictEqual(validateProximityRules([
+        { id: 'x', a: [], b: ['forklift'], distance_m: 0, severity: 'loud' },
+        { id: 'x', a: ['person'], b: ['forklift'], distance_m: 3, min_closing_speed_mps: -1, max_time_to_contact_s: 0 }
+    ]), {
+        'rules[0].a': 'must be a list of device types',
+        'rules[0].distance_m': 'must be 0..100 m',
+        'rules[0].severity': 'must be one of info, warning, critical',
+        'rules[1].id': 'duplicate id',
+        'rules[1].min_closing_speed_mps': 'must be >= 0',
+        'rules[1].max_time_to_contact_s': 'must be > 0'
+    });
+});
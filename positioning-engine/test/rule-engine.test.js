@@ -0,0 +1,143 @@
+/**
+ * Rule engine — conditions against device fields, zones, groups and nearby
+ * devices, message templates, and rule validation.
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { RuleEngine, validateRule, renderMessage } = require('../rule-engine');
+
+const ZONES = { 'z-store': { id: 'z-store', name: 'Cold store', type: 'restricted' } };
+
+function engine(rules, state = {}) {
+    const re = new RuleEngine({
+        getZoneIds: (id) => (state.zones || {})[id] || [],
+        getZone: (id) => ZONES[id],
+        getGroups: (id) => (state.groups || {})[id] || [],
+        getAttributes: (id) => (state.attributes || {})[id]
+    });
+    re.setRules(rules);
+    return re;
+}
+
+function device(id, extra = {}) {
+    return { id, name: id.toUpperCase(), type: 'person', floor: 1, x: 0, y: 0, status: 'online', ...extra };
+}
+
+const matched = (matches) => matches.map(m => `${m.rule.id}:${m.device.id}`);
+
+test('field conditions, including ref and missing readings', () => {
+    const re = engine([
+        { id: 'hot', when: { all: [{ field: 'temperature', op: 'gt', value: 30 }, { field: 'type', op: 'in', value: ['person'] }] } },
+        { id: 'wrong-floor', when: { field: 'floor', op: 'ne', ref: 'attributes.assigned_floor' } },
+        { id: 'no-battery', when: { not: { field: 'battery', op: 'exists' } } }
+    ], { attributes: { p2: { assigned_floor: 2 } } });
+
+    assert.deepStrictEqual(matched(re.evaluateAll([
+        device('p1', { temperature: 35, battery: 80 }),
+        device('p2', { temperature: 20, battery: 80 }),
+        device('p3', { temperature: 'n/a' })
+    ])), ['hot:p1', 'wrong-floor:p2', 'no-battery:p3'], 'p1 has no assigned floor; a string reading never compares');
+});
+
+test('zone, zone type and group conditions bind the zone', () => {
+    const re = engine([
+        { id: 'in-store', when: { all: [{ zone_type: 'restricted' }, { not: { group: 'cold-crew' } }] } },
+        { id: 'named', when: { zone: ['z-store', 'z-other'] } }
+    ], { zones: { p1: ['z-store'], p2: ['z-store'] }, groups: { p2: ['cold-crew'] } });
+
+    const matches = re.evaluateAll([device('p1'), device('p2'), device('p3')]);
+    assert.deepStrictEqual(matched(matches), ['in-store:p1', 'named:p1', 'named:p2']);
+    assert.strictEqual(matches[0].zone.name, 'Cold store');
+});
+
+test('near picks the closest matching device and fires whichever side moves', () => {
+    const re = engine([{
+        id: 'forklift-near-person',
+        message: '{device.name} within {distance} m of {other.name} ({zone.name})',
+        when: { all: [{ field: 'type', op: 'eq', value: 'forklift' }, { near: { within_m: 3, where: { field: 'type', op: 'eq', value: 'person' } } }] }
+    }]);
+    const forklift = device('fl1', { type: 'forklift' });
+    const devices = [
+        forklift,
+        device('p1', { x: 2.5 }),
+        device('p2', { x: 1.23 }),
+        device('p3', { x: 1, floor: 2 }),
+        device('p4', { x: 0.5, status: 'offline' }),
+        device('fl2', { type: 'forklift', x: 20 })
+    ];
+
+    const matches = re.evaluateDevice(devices[2], devices);
+    assert.deepStrictEqual(matched(matches), ['forklift-near-person:fl1'], 'the person moved; the forklift is checked');
+    assert.strictEqual(matches[0].other.id, 'p2');
+    assert.strictEqual(renderMessage(matches[0]), 'FL1 within 1.2 m of P2 (-)');
+    assert.deepStrictEqual(matched(re.evaluateDevice(device('p9', { x: 50 }), devices)), []);
+});
+
+test('schedules use the time passed in', () => {
+    const re = engine([{ id: 'night', when: { schedules: [{ from: '22:00', to: '06:00' }], timezone: 'UTC' } }]);
+    assert.strictEqual(re.evaluateAll([device('p1')], new Date('2026-01-02T23:00:00Z')).length, 1);
+    assert.strictEqual(re.evaluateAll([device('p1')], new Date('2026-01-02T12:00:00Z')).length, 0);
+});
+
+test('disabled rules and offline devices are skipped on the timer', () => {
+    const re = engine([{ id: 'any', when: { field: 'type', op: 'exists' } }, { id: 'off', enabled: false, when: { field: 'type', op: 'exists' } }]);
+    assert.deepStrictEqual(matched(re.evaluateAll([device('p1'), device('p2', { status: 'offline' })])), ['any:p1']);
+});
+
+test('validation normalizes a rule and generates an id', () => {
+    const ctx = { rules: [{ id: 'rule-cold-store' }], zones: [{ id: 'z-store' }], tagGroups: { 'cold-crew': [] } };
+    const { rule } = validateRule({
+        name: ' Cold store ',
+        severity: 'critical',
+        when: { all: [{ zone: 'z-store' }, { not: { group: 'cold-crew' } }] }
+    }, ctx);
+    assert.deepStrictEqual(rule, {
+        id: 'rule-cold-store-2',
+        name: 'Cold store',
+        enabled: true,
+        severity: 'critical',
+        when: { all: [{ zone: 'z-store' }, { not: { group: 'cold-crew' } }] }
+    });
+
+    const { rule: updated } = validateRule({ severity: 'info' }, { ...ctx, existing: rule });
+    assert.strictEqual(updated.id, 'rule-cold-store-2');
+    assert.strictEqual(updated.severity, 'info');
+    assert.deepStrictEqual(updated.when, rule.when);
+});
+
+test('validation errors are keyed by condition path', () => {
+    const ctx = { rules: [{ id: 'taken' }], zones: [{ id: 'z-store' }], tagGroups: {} };
+    const result = validateRule({
+        id: 'taken',
+        name: 'Bad',
+        severity: 'panic',
+        when: { any: [
+            { field: 'temperature', op: 'gt', value: 'hot' },
+            { zone: 'z-nowhere' },
+            { group: 'nobody' },
+            { near: { within_m: 500 } },
+            { field: 'floor', op: 'in', ref: 'attributes.floor' },
+            { foo: 1 }
+        ] }
+    }, ctx);
+    assert.strictEqual(result.conflict, true);
+    assert.deepStrictEqual(result.errors, {
+        id: 'Rule "taken" already exists',
+        severity: 'Severity must be one of: info, warning, critical',
+        'when.any.0.value': 'Must be a number',
+        'when.any.1.zone': 'Unknown zone z-nowhere',
+        'when.any.2.group': 'Must name a tag group',
+        'when.any.3.near.within_m': 'Must be a distance in meters, up to 100',
+        'when.any.4.ref': 'Cannot be used with "in"',
+        'when.any.5': 'Unknown condition (expected all, any, not, field, zone, zone_type, group, schedules or near)'
+    });
+});
+
+test('conditions nest at most 8 levels', () => {
+    let when = { field: 'type', op: 'exists' };
+    for (let i = 0; i < 9; i++) when = { not: when };
+    const { errors } = validateRule({ name: 'Deep', when }, { rules: [] });
+    assert.deepStrictEqual(Object.values(errors), ['Conditions may nest at most 8 levels']);
+});
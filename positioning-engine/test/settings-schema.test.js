@@ -0,0 +1,79 @@
+/**
+ * Runtime settings — defaults, validation of partial documents, and writing
+ * changes back into config.
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { readSettings, validateSettings, writeSettings, SETTINGS_FIELDS } = require('../settings-schema');
+
+const CONFIG = {
+    alerts: { cooldown_seconds: 60, battery_warning: 20 },
+    positioning: { min_anchors: 4, kalman: { process_noise_by_type: { forklift: 2 } } }
+};
+
+test('saved values win, missing ones get their default', () => {
+    const s = readSettings(CONFIG);
+    assert.strictEqual(s.alerts.cooldown_seconds, 60);
+    assert.strictEqual(s.alerts.battery_critical, 5);
+    assert.strictEqual(s.positioning.min_anchors, 4);
+    assert.strictEqual(s.positioning.kalman.process_noise, 0.5);
+    assert.deepStrictEqual(s.positioning.kalman.process_noise_by_type, { forklift: 2 });
+    assert.strictEqual(s.man_down.enabled, true);
+    for (const f of SETTINGS_FIELDS) {
+        assert.notStrictEqual(f.path.split('.').reduce((o, k) => o[k], s), undefined, f.path);
+    }
+});
+
+test('a valid partial document lists only what it changes', () => {
+    const current = readSettings(CONFIG);
+    const result = validateSettings({ alerts: { cooldown_seconds: 120 }, positioning: { kalman_enabled: false } }, current);
+    assert.deepStrictEqual(result.changes, { 'alerts.cooldown_seconds': 120, 'positioning.kalman_enabled': false });
+    assert.strictEqual(result.settings.alerts.cooldown_seconds, 120);
+    assert.strictEqual(result.settings.alerts.battery_warning, 20);
+    assert.strictEqual(current.alerts.cooldown_seconds, 60, 'current settings are not modified');
+});
+
+test('type, range and unknown-path errors are reported per field', () => {
+    const { errors } = validateSettings({
+        alerts: { cooldown_seconds: 1.5, battery_warning: '15' },
+        positioning: { min_anchors: 2, kalman_enabled: 1, nope: 3 }
+    }, readSettings(CONFIG));
+    assert.deepStrictEqual(errors, {
+        'alerts.cooldown_seconds': 'Must be an integer',
+        'alerts.battery_warning': 'Must be a number',
+        'positioning.min_anchors': 'Must be at least 3',
+        'positioning.kalman_enabled': 'Must be true or false',
+        'positioning.nope': 'Unknown setting'
+    });
+    assert.deepStrictEqual(validateSettings([], readSettings(CONFIG)).errors, { body: 'Expected a JSON object' });
+});
+
+test('cross-field rules see the merged settings', () => {
+    const current = readSettings(CONFIG);
+    assert.deepStrictEqual(validateSettings({ alerts: { battery_critical: 25 } }, current).errors,
+        { 'alerts.battery_critical': 'Must be lower than alerts.battery_warning' });
+    assert.ok(validateSettings({ alerts: { battery_critical: 25, battery_warning: 30 } }, current).changes);
+    assert.ok(validateSettings({ positioning: { adaptive_rate: { moving_interval_ms: 10000000 } } }, current)
+        .errors['positioning.adaptive_rate.moving_interval_ms']);
+});
+
+test('a map setting is validated and replaced as a whole', () => {
+    const current = readSettings(CONFIG);
+    const { changes, settings } = validateSettings({ positioning: { kalman: { process_noise_by_type: { person: 0.4 } } } }, current);
+    assert.deepStrictEqual(changes, { 'positioning.kalman.process_noise_by_type': { person: 0.4 } });
+    assert.deepStrictEqual(settings.positioning.kalman.process_noise_by_type, { person: 0.4 });
+
+    const bad = (v) => validateSettings({ positioning: { kalman: { process_noise_by_type: v } } }, current).errors;
+    assert.deepStrictEqual(bad({ person: 0 }), { 'positioning.kalman.process_noise_by_type': 'person: Must be at least 0.001' });
+    assert.deepStrictEqual(bad([0.5]), { 'positioning.kalman.process_noise_by_type': 'Must be an object' });
+});
+
+test('changes are written into the config by path', () => {
+    const config = JSON.parse(JSON.stringify(CONFIG));
+    writeSettings(config, { 'alerts.cooldown_seconds': 5, 'man_down.enabled': false });
+    assert.strictEqual(config.alerts.cooldown_seconds, 5);
+    assert.strictEqual(config.alerts.battery_warning, 20);
+    assert.deepStrictEqual(config.man_down, { enabled: false });
+});
@@ -0,0 +1,158 @@
+/**
+ * SMTP client against a local sink (EHLO, AUTH, DATA, dot-stuffing).
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { sendMail } = require('../smtp');
+
+/**
+ * Minimal SMTP server that accepts everything and records the session.
+ * @param {{auth?: string, rejectAuth?: boolean}} [opts] - auth: mechanisms to advertise
+ * @returns {Promise<{port: number, sessions: object[], close: function}>}
+ */
+function startSink(opts = {}) {
+    const sessions = [];
+    const server = net.createServer((socket) => {
+        const session = { commands: [], data: null };
+        sessions.push(session);
+        let buffer = '';
+        let inData = false;
+        let pendingLogin = 0;
+        socket.setEncoding('utf8');
+        socket.write('220 sink ESMTP\r\n');
+
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            if (inData) {
+                const end = buffer.indexOf('\r\n.\r\n');
+                if (end < 0) return;
+                session.data = buffer.slice(0, end);
+                buffer = buffer.slice(end + 5);
+                inData = false;
+                socket.write('250 queued\r\n');
+            }
+            let idx;
+            while (!inData && (idx = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, idx);
+                buffer = buffer.slice(idx + 2);
+                session.commands.push(line);
+                if (pendingLogin) {
+                    pendingLogin--;
+                    socket.write(pendingLogin ? '334 UGFzc3dvcmQ6\r\n' : '235 ok\r\n');
+                } else if (/^EHLO/i.test(line)) {
+                    socket.write(`250-sink\r\n${opts.auth ? `250-AUTH ${opts.auth}\r\n` : ''}250 SIZE 1000000\r\n`);
+                } else if (/^AUTH PLAIN/i.test(line)) {
+                    socket.write(opts.rejectAuth ? '535 bad credentials\r\n' : '235 ok\r\n');
+                } else if (/^AUTH LOGIN/i.test(line)) {
+                    pendingLogin = 2;
+                    socket.write('334 VXNlcm5hbWU6\r\n');
+                } else if (/^DATA/i.test(line)) {
+                    inData = true;
+                    socket.write('354 go ahead\r\n');
+                } else if (/^QUIT/i.test(line)) {
+                    socket.end('221 bye\r\n');
+                } else {
+                    socket.write('250 ok\r\n');
+                }
+            }
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            port: server.address().port,
+            sessions,
+            close: () => new Promise(r => server.close(r))
+        }));
+    });
+}
+
+function mail(port, extra = {}) {
+    return {
+        host: '127.0.0.1',
+        port,
+        starttls: false,
+        from: 'engine@site.local',
+        to: ['warden@site.local', 'ops@site.local'],
+        subject: 'SOS tag-017',
+        text: 'SOS pressed\nline two',
+        timeoutMs: 2000,
+        ...extra
+    };
+}
+
+test('delivers envelope and message through DATA', async () => {
+    const sink = await startSink();
+    try {
+        await sendMail(mail(sink.port));
+        const s = sink.sessions[0];
+        assert.ok(/^EHLO /.test(s.commands[0]));
+        assert.ok(s.commands.includes('MAIL FROM:<engine@site.local>'));
+        assert.ok(s.commands.includes('RCPT TO:<warden@site.local>'));
+        assert.ok(s.commands.includes('RCPT TO:<ops@site.local>'));
+        assert.strictEqual(s.commands[s.commands.length - 1], 'QUIT');
+        assert.ok(s.data.includes('Subject: SOS tag-017\r\n'));
+        assert.ok(s.data.includes('To: warden@site.local, ops@site.local\r\n'));
+        assert.ok(s.data.endsWith('\r\n\r\nSOS pressed\r\nline two'), 'body lines end in CRLF');
+    } finally {
+        await sink.close();
+    }
+});
+
+test('dot-stuffs lines that start with a dot', async () => {
+    const sink = await startSink();
+    try {
+        await sendMail(mail(sink.port, { text: 'before\n.\n.hidden\nafter' }));
+        const body = sink.sessions[0].data.split('\r\n\r\n').slice(1).join('\r\n\r\n');
+        assert.strictEqual(body, 'before\r\n..\r\n..hidden\r\nafter');
+    } finally {
+        await sink.close();
+    }
+});
+
+test('AUTH PLAIN when offered', async () => {
+    const sink = await startSink({ auth: 'PLAIN LOGIN' });
+    try {
+        await sendMail(mail(sink.port, { username: 'engine', password: 's3cret' }));
+        const auth = sink.sessions[0].commands.find(c => c.startsWith('AUTH'));
+        assert.strictEqual(auth, 'AUTH PLAIN ' + Buffer.from('\0engine\0s3cret').toString('base64'));
+    } finally {
+        await sink.close();
+    }
+});
+
+test('AUTH LOGIN when PLAIN is not offered', async () => {
+    const sink = await startSink({ auth: 'LOGIN' });
+    try {
+        await sendMail(mail(sink.port, { username: 'engine', password: 's3cret' }));
+        const cmds = sink.sessions[0].commands;
+        const i = cmds.indexOf('AUTH LOGIN');
+        assert.ok(i >= 0);
+        assert.strictEqual(cmds[i + 1], Buffer.from('engine').toString('base64'));
+        assert.strictEqual(cmds[i + 2], Buffer.from('s3cret').toString('base64'));
+    } finally {
+        await sink.close();
+    }
+});
+
+test('rejects with the failing reply', async () => {
+    const sink = await startSink({ auth: 'PLAIN', rejectAuth: true });
+    try {
+        await assert.rejects(sendMail(mail(sink.port, { username: 'engine', password: 'wrong' })), /SMTP 535/);
+        assert.strictEqual(sink.sessions[0].data, null);
+    } finally {
+        await sink.close();
+    }
+});
+
+test('encodes a non-ASCII subject', async () => {
+    const sink = await startSink();
+    try {
+        await sendMail(mail(sink.port, { subject: 'Тревога' }));
+        assert.ok(sink.sessions[0].data.includes(`Subject: =?UTF-8?B?${Buffer.from('Тревога').toString('base64')}?=`));
+    } finally {
+        await sink.close();
+    }
+});
@@ -0,0 +1,211 @@
+/**
+ * Trilateration accuracy — 2D vs 2.5D vs 3D over synthetic ranges.
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { trilaterate } = require('../trilateration');
+
+const TAG_HEIGHT = 1.2;
+const SAMPLES = 400;
+const RANGE_NOISE_M = 0.15;
+
+// Deterministic PRNG (mulberry32) so the comparison is reproducible
+function rng(seed) {
+    let s = seed | 0;
+    return () => {
+        s = (s + 0x6D2B79F5) | 0;
+        let t = Math.imul(s ^ (s >>> 15), 1 | s);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function gaussian(rand) {
+    return Math.sqrt(-2 * Math.log(rand() + 1e-12)) * Math.cos(2 * Math.PI * rand());
+}
+
+/**
+ * Solve SAMPLES random tag positions in a 20 x 15 m room with each mode.
+ * @returns {object} mode -> {meanError, p95Error, meanConfidence, meanZ}
+ */
+function compare(anchors, { noise = RANGE_NOISE_M, seed = 42 } = {}) {
+    const rand = rng(seed);
+    const stats = {};
+    for (const mode of ['2d', '2.5d', '3d']) stats[mode] = { errors: [], confidence: 0, z: 0 };
+
+    for (let k = 0; k < SAMPLES; k++) {
+        const tx = 1 + rand() * 18;
+        const ty = 1 + rand() * 13;
+        const measurements = anchors.map(([x, y, z]) => ({
+            x, y, z,
+            distance_m: Math.hypot(tx - x, ty - y, TAG_HEIGHT - z) + gaussian(rand) * noise
+        }));
+
+        for (const mode of Object.keys(stats)) {
+            const r = trilaterate(measurements, { mode, tagHeight: TAG_HEIGHT });
+            assert.ok(r, `${mode} returned no solution`);
+            stats[mode].errors.push(Math.hypot(r.x - tx, r.y - ty));
+            stats[mode].confidence += r.confidence;
+            stats[mode].z += r.z ?? 0;
+        }
+    }
+
+    const out = {};
+    for (const [mode, s] of Object.entries(stats)) {
+        const sorted = s.errors.sort((a, b) => a - b);
+        out[mode] = {
+            meanError: sorted.reduce((a, b) => a + b, 0) / sorted.length,
+            p95Error: sorted[Math.floor(sorted.length * 0.95)],
+            meanConfidence: s.confidence / SAMPLES,
+            meanZ: s.z / SAMPLES
+        };
+    }
+    return out;
+}
+
+test('2D mode is unchanged when no options are passed', () => {
+    const m = [
+        { x: 0, y: 0, z: 2.5, distance_m: 5 },
+        { x: 10, y: 0, z: 2.5, distance_m: 5 },
+        { x: 5, y: 8, z: 2.5, distance_m: 5 }
+    ];
+    assert.deepStrictEqual(trilaterate(m), trilaterate(m, { mode: '2d' }));
+    assert.strictEqual(trilaterate(m).z, undefined);
+});
+
+test('noise-free ranges from mixed-height anchors: 2.5D and 3D are exact, 2D is biased', () => {
+    const anchors = [[0, 0, 2.5], [20, 0, 6], [20, 15, 2.5], [0, 15, 6]];
+    const r = compare(anchors, { noise: 0 });
+
+    assert.ok(r['2.5d'].meanError < 1e-6, `2.5D mean error ${r['2.5d'].meanError}`);
+    assert.ok(r['3d'].meanError < 1e-6, `3D mean error ${r['3d'].meanError}`);
+    assert.ok(Math.abs(r['3d'].meanZ - TAG_HEIGHT) < 1e-6, `3D mean z ${r['3d'].meanZ}`);
+    assert.ok(r['2d'].meanError > 0.1, `2D mean error ${r['2d'].meanError}`);
+});
+
+test('mixed-height anchors with ranging noise: 2.5D and 3D beat 2D', () => {
+    const anchors = [[0, 0, 2.5], [20, 0, 6], [20, 15, 2.5], [0, 15, 6], [10, 7.5, 4]];
+    const r = compare(anchors);
+
+    assert.ok(r['2.5d'].meanError < r['2d'].meanError * 0.7,
+        `2.5D ${r['2.5d'].meanError.toFixed(3)} m vs 2D ${r['2d'].meanError.toFixed(3)} m`);
+    assert.ok(r['3d'].meanError < r['2d'].meanError * 0.7,
+        `3D ${r['3d'].meanError.toFixed(3)} m vs 2D ${r['2d'].meanError.toFixed(3)} m`);
+    assert.ok(r['2.5d'].p95Error < r['2d'].p95Error);
+    assert.ok(r['2.5d'].meanConfidence > r['2d'].meanConfidence);
+});
+
+test('coplanar ceiling anchors: same x/y in every mode, 3D recovers tag height', () => {
+    const anchors = [[0, 0, 2.5], [20, 0, 2.5], [20, 15, 2.5], [0, 15, 2.5]];
+    const r = compare(anchors);
+
+    assert.ok(Math.abs(r['2.5d'].meanError - r['2d'].meanError) < 0.01);
+    assert.ok(Math.abs(r['3d'].meanError - r['2d'].meanError) < 0.01);
+    assert.ok(Math.abs(r['3d'].meanZ - TAG_HEIGHT) < 0.3, `3D mean z ${r['3d'].meanZ.toFixed(2)}`);
+    // Slant ranges no longer count as residual error
+    assert.ok(r['2.5d'].meanConfidence >= r['2d'].meanConfidence);
+});
+
+test('2.5D projects a range shorter than the anchor height to zero', () => {
+    const r = trilaterate([
+        { x: 0, y: 0, z: 2.5, distance_m: 1.2 },   // noisy range, shorter than the 1.3 m drop
+        { x: 10, y: 0, z: 2.5, distance_m: Math.hypot(10, 1.3) },
+        { x: 0, y: 10, z: 2.5, distance_m: Math.hypot(10, 1.3) }
+    ], { mode: '2.5d', tagHeight: 1.2 });
+    assert.ok(Math.hypot(r.x, r.y) < 0.1, `(${r.x}, ${r.y})`);
+    assert.strictEqual(r.z, 1.2);
+});
+
+// ─── Refinement + outlier rejection ─────────────────────────────────
+
+const SIX_CEILING_ANCHORS = [[0, 0, 2.5], [10, 0, 2.5], [20, 0, 2.5], [20, 15, 2.5], [10, 15, 2.5], [0, 15, 2.5]];
+
+function rangesTo(tx, ty, anchors) {
+    return anchors.map(([x, y, z], i) => ({
+        anchor_id: 'a' + (i + 1), x, y, z,
+        distance_m: Math.hypot(tx - x, ty - y, TAG_HEIGHT - z)
+    }));
+}
+
+test('Levenberg-Marquardt refinement beats the linear seed under ranging noise', () => {
+    const rand = rng(7);
+    let linear = 0, refined = 0;
+    for (let k = 0; k < SAMPLES; k++) {
+        const tx = 1 + rand() * 18, ty = 1 + rand() * 13;
+        const m = rangesTo(tx, ty, SIX_CEILING_ANCHORS);
+        for (const r of m) r.distance_m += gaussian(rand) * RANGE_NOISE_M;
+
+        const a = trilaterate(m, { mode: '2.5d', tagHeight: TAG_HEIGHT, refine: false });
+        const b = trilaterate(m, { mode: '2.5d', tagHeight: TAG_HEIGHT });
+        linear += Math.hypot(a.x - tx, a.y - ty);
+        refined += Math.hypot(b.x - tx, b.y - ty);
+    }
+    assert.ok(refined < linear * 0.9, `refined ${(refined / SAMPLES).toFixed(3)} m vs linear ${(linear / SAMPLES).toFixed(3)} m`);
+});
+
+test('RANSAC rejects a bad range and flags it in the residual report', () => {
+    const m = rangesTo(7, 4, SIX_CEILING_ANCHORS);
+    m[0].distance_m += 6; // multipath on the first anchor — the one the linear solve pivots on
+
+    const plain = trilaterate(m, { mode: '2.5d', tagHeight: TAG_HEIGHT });
+    const robust = trilaterate(m, { mode: '2.5d', tagHeight: TAG_HEIGHT, outlierThreshold: 1.5 });
+
+    assert.ok(Math.hypot(robust.x - 7, robust.y - 4) < 0.01, `(${robust.x}, ${robust.y})`);
+    assert.ok(Math.hypot(plain.x - 7, plain.y - 4) > Math.hypot(robust.x - 7, robust.y - 4));
+    assert.strictEqual(robust.rejected, 1);
+
+    assert.strictEqual(robust.residuals.length, 6);
+    const bad = robust.residuals.find(r => r.anchorId === 'a1');
+    assert.strictEqual(bad.inlier, false);
+    assert.strictEqual(bad.weight, 0);
+    assert.ok(Math.abs(bad.residual + 6) < 0.01, `a1 residual ${bad.residual}`);
+    for (const r of robust.residuals.filter(r => r.anchorId !== 'a1')) {
+        assert.strictEqual(r.inlier, true);
+        assert.ok(Math.abs(r.residual) < 0.01);
+    }
+    assert.ok(robust.confidence < 1, 'a rejected anchor lowers confidence');
+});
+
+test('no rejection when every range agrees within the threshold', () => {
+    const r = trilaterate(rangesTo(12, 9, SIX_CEILING_ANCHORS), { mode: '3d', outlierThreshold: 0.5 });
+    assert.strictEqual(r.rejected, 0);
+    assert.ok(r.residuals.every(x => x.inlier));
+    assert.ok(Math.abs(r.z - TAG_HEIGHT) < 0.01, `z ${r.z}`);
+});
+
+// ─── GDOP / covariance ──────────────────────────────────────────────
+
+test('GDOP and error ellipse follow anchor geometry', () => {
+    const square = trilaterate(rangesTo(10, 7.5, SIX_CEILING_ANCHORS), { mode: '2.5d', tagHeight: TAG_HEIGHT });
+    // 20 m corridor, anchors only at the ends: y (across) is poorly constrained mid-corridor
+    const corridor = [[0, 0, 2.5], [20, 0, 2.5], [20, 1, 2.5], [0, 1, 2.5]];
+    const line = trilaterate(rangesTo(10, 0.5, corridor), { mode: '2.5d', tagHeight: TAG_HEIGHT });
+
+    assert.ok(square.gdop < 1.2, `square GDOP ${square.gdop}`);
+    assert.ok(line.gdop > square.gdop * 2, `line GDOP ${line.gdop} vs square ${square.gdop}`);
+
+    assert.ok(square.ellipse.semiMajor / square.ellipse.semiMinor < 1.5);
+    assert.ok(line.ellipse.semiMajor / line.ellipse.semiMinor > 2);
+    assert.ok(Math.abs(Math.abs(line.ellipse.angle) - 90) < 15, `major axis at ${line.ellipse.angle}°`);
+
+    const [[sxx, sxy], [syx, syy]] = line.covariance;
+    assert.strictEqual(sxy, syx);
+    assert.ok(syy > sxx);
+});
+
+test('covariance grows with ranging noise', () => {
+    const spread = (noise) => {
+        const rand = rng(11);
+        let area = 0;
+        for (let k = 0; k < 100; k++) {
+            const m = rangesTo(8, 6, SIX_CEILING_ANCHORS);
+            for (const r of m) r.distance_m += gaussian(rand) * noise;
+            const e = trilaterate(m, { mode: '2.5d', tagHeight: TAG_HEIGHT }).ellipse;
+            area += e.semiMajor * e.semiMinor;
+        }
+        return area / 100;
+    };
+    assert.ok(spread(0.5) > spread(0.05) * 4);
+});
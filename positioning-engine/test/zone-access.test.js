@@ -0,0 +1,69 @@
+/**
+ * Zone access lists — who may enter, schedules (incl. overnight and time
+ * zones) and tag groups.
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkAccess, inSchedules, indexTagGroups, isValidTimezone } = require('../zone-access');
+const { ZoneChecker } = require('../zone-checker');
+
+// 2026-01-02 is a Friday
+const FRI = (hhmm) => new Date(`2026-01-02T${hhmm}:00Z`);
+const SAT = (hhmm) => new Date(`2026-01-03T${hhmm}:00Z`);
+
+test('a device matches by id, type or group, in that order', () => {
+    const access = { devices: ['tag-017'], types: ['forklift'], groups: ['electricians'] };
+    assert.deepStrictEqual(checkAccess(access, { deviceId: 'tag-017', type: 'forklift' }), { authorized: true, reason: 'device:tag-017' });
+    assert.deepStrictEqual(checkAccess(access, { deviceId: 'fl-1', type: 'forklift' }), { authorized: true, reason: 'type:forklift' });
+    assert.deepStrictEqual(checkAccess(access, { deviceId: 'p1', type: 'person', groups: ['cleaners', 'electricians'] }),
+        { authorized: true, reason: 'group:electricians' });
+    assert.deepStrictEqual(checkAccess(access, { deviceId: 'p2', type: 'person' }), { authorized: false, reason: 'not_listed' });
+});
+
+test('an empty allow-list admits any device', () => {
+    assert.deepStrictEqual(checkAccess({}, { deviceId: 'p1' }), { authorized: true, reason: 'any' });
+});
+
+test('outside every schedule is refused even for a listed device', () => {
+    const access = { devices: ['p1'], timezone: 'UTC', schedules: [{ days: ['fri'], from: '07:00', to: '18:00' }] };
+    assert.strictEqual(checkAccess(access, { deviceId: 'p1' }, FRI('07:00')).authorized, true);
+    assert.deepStrictEqual(checkAccess(access, { deviceId: 'p1' }, FRI('18:00')), { authorized: false, reason: 'outside_schedule' });
+    assert.strictEqual(checkAccess(access, { deviceId: 'p1' }, SAT('12:00')).authorized, false);
+    assert.strictEqual(checkAccess(access, { deviceId: 'p2' }, FRI('12:00')).reason, 'not_listed');
+});
+
+test('an overnight schedule runs into the next morning', () => {
+    const night = [{ days: ['fri'], from: '22:00', to: '06:00' }];
+    assert.ok(inSchedules(night, 'UTC', FRI('23:30')));
+    assert.ok(inSchedules(night, 'UTC', SAT('05:59')));
+    assert.ok(!inSchedules(night, 'UTC', SAT('06:00')));
+    assert.ok(!inSchedules(night, 'UTC', FRI('05:00')), 'Friday morning belongs to Thursday night');
+    assert.ok(!inSchedules(night, 'UTC', SAT('23:00')));
+});
+
+test('schedules are read in the zone time zone', () => {
+    const day = [{ days: ['fri'], from: '07:00', to: '18:00' }];
+    // 04:00 UTC is 08:00 in Dubai
+    assert.ok(inSchedules(day, 'Asia/Dubai', FRI('04:00')));
+    assert.ok(!inSchedules(day, 'UTC', FRI('04:00')));
+    assert.ok(!inSchedules(day, 'Asia/Dubai', FRI('14:00')), '18:00 in Dubai');
+    assert.ok(isValidTimezone('Asia/Dubai'));
+    assert.ok(!isValidTimezone('Mars/Olympus'));
+});
+
+test('tag groups are indexed by device', () => {
+    const index = indexTagGroups({ electricians: ['p1', 'p2'], firstAid: ['p2'], broken: 'p3' });
+    assert.deepStrictEqual(index.get('p1'), ['electricians']);
+    assert.deepStrictEqual(index.get('p2'), ['electricians', 'firstAid']);
+    assert.strictEqual(index.has('p3'), false);
+});
+
+test('enter events carry the access decision', () => {
+    const zc = new ZoneChecker({ tagGroups: { electricians: ['p1'] } });
+    zc.setZones([{ id: 'z-hv', name: 'HV room', floor: 1, polygon: [[0, 0], [10, 0], [10, 10], [0, 10]], access: { groups: ['electricians'] } }]);
+    const enter = (deviceId) => zc.check({ deviceId, x: 5, y: 5, floor: 1, type: 'person', timestamp: 100 })[0].access;
+    assert.deepStrictEqual(enter('p1'), { authorized: true, reason: 'group:electricians' });
+    assert.deepStrictEqual(enter('p2'), { authorized: false, reason: 'not_listed' });
+});
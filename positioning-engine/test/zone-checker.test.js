@@ -0,0 +1,144 @@
+/**
+ * Zone occupancy (headcount limits, devices going offline), enter/exit
+ * hysteresis and dwell tracking.
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ZoneChecker } = require('../zone-checker');
+
+const FIRE_WATCH = {
+    id: 'z-watch',
+    name: 'Hot work',
+    floor: 1,
+    type: 'restricted',
+    polygon: [[0, 0], [10, 0], [10, 10], [0, 10]],
+    minOccupancy: 1,
+    occupancyTypes: ['person']
+};
+
+test('an offline tag stops counting toward occupancy', () => {
+    const zc = new ZoneChecker();
+    zc.setZones([FIRE_WATCH]);
+    zc.check({ deviceId: 'p1', x: 5, y: 5, floor: 1, type: 'person', timestamp: 100 });
+    assert.strictEqual(zc.getOccupancy('z-watch').count, 1);
+    assert.strictEqual(zc.getOccupancy('z-watch').status, 'ok');
+
+    assert.deepStrictEqual(zc.removeDevice('p1'), ['z-watch']);
+    const occ = zc.getOccupancy('z-watch');
+    assert.strictEqual(occ.count, 0);
+    assert.strictEqual(occ.status, 'under');
+    assert.deepStrictEqual(zc.getDeviceZoneIds('p1'), []);
+});
+
+test('a device that comes back re-enters its zone', () => {
+    const zc = new ZoneChecker();
+    zc.setZones([FIRE_WATCH]);
+    zc.check({ deviceId: 'p1', x: 5, y: 5, floor: 1, type: 'person', timestamp: 100 });
+    zc.removeDevice('p1');
+    const events = zc.check({ deviceId: 'p1', x: 5, y: 5, floor: 1, type: 'person', timestamp: 800 });
+    assert.deepStrictEqual(events.map(e => e.event), ['enter']);
+    assert.strictEqual(zc.getOccupancy('z-watch').count, 1);
+});
+
+test('removing an unknown device changes nothing', () => {
+    const zc = new ZoneChecker();
+    zc.setZones([FIRE_WATCH]);
+    assert.deepStrictEqual(zc.removeDevice('nobody'), []);
+});
+
+const ROOM = { id: 'z-room', name: 'Room', floor: 1, polygon: [[0, 0], [10, 0], [10, 10], [0, 10]] };
+
+/** Checker with one zone and the given hysteresis; at(x, y, t, extra) returns the event names. */
+function room(hysteresis) {
+    const zc = new ZoneChecker();
+    zc.setZones([{ ...ROOM, hysteresis }]);
+    const at = (x, y, t, extra = {}) =>
+        zc.check({ deviceId: 'p1', x, y, floor: 1, confidence: 0.9, timestamp: t, ...extra }).map(e => e.event);
+    return { zc, at };
+}
+
+test('inner and outer buffers: samples near the edge keep the current state', () => {
+    const { at } = room({ innerBuffer: 1, outerBuffer: 2 });
+    assert.deepStrictEqual(at(0.5, 5, 1), [], 'inside, but within the inner buffer');
+    assert.deepStrictEqual(at(3, 5, 2), ['enter']);
+    assert.deepStrictEqual(at(-1, 5, 3), [], 'outside, but within the outer buffer');
+    assert.deepStrictEqual(at(-3, 5, 4), ['exit']);
+});
+
+test('enter dwell: enter fires once the device has stayed inside long enough', () => {
+    const { zc, at } = room({ enterDwellSeconds: 10 });
+    assert.deepStrictEqual(at(5, 5, 100), []);
+    assert.deepStrictEqual(at(-5, 5, 105), [], 'left before the dwell elapsed');
+    assert.deepStrictEqual(at(5, 5, 110), []);
+    assert.deepStrictEqual(at(5, 5, 115), []);
+    assert.deepStrictEqual(at(5, 5, 120), ['enter']);
+    assert.strictEqual(zc.getDeviceDwell('p1', 120)[0].enteredAt, 110, 'dwell counts from the first sample inside');
+});
+
+test('exit samples: one stray fix outside does not exit', () => {
+    const { zc, at } = room({ exitSamples: 3 });
+    at(5, 5, 100);
+    assert.deepStrictEqual(at(20, 5, 101), []);
+    assert.deepStrictEqual(at(5, 5, 102), [], 'back inside: the exit is cancelled');
+    assert.deepStrictEqual(at(20, 5, 103), []);
+    assert.deepStrictEqual(at(20, 5, 104), []);
+    const events = zc.check({ deviceId: 'p1', x: 20, y: 5, floor: 1, timestamp: 105 });
+    assert.deepStrictEqual(events.map(e => e.event), ['exit']);
+    assert.strictEqual(events[0].dwell.seconds, 3, 'the visit ends at the first sample outside');
+});
+
+test('min confidence: low-confidence fixes neither enter nor exit', () => {
+    const { at } = room({ minConfidence: 0.5 });
+    assert.deepStrictEqual(at(5, 5, 1, { confidence: 0.2 }), []);
+    assert.deepStrictEqual(at(5, 5, 2), ['enter']);
+    assert.deepStrictEqual(at(20, 5, 3, { confidence: 0.2 }), []);
+    assert.deepStrictEqual(at(5, 5, 4, { floor: 2, confidence: 0.2 }), [], 'a low-confidence fix on another floor');
+    assert.deepStrictEqual(at(5, 5, 5, { floor: 2 }), ['exit']);
+});
+
+test('dwell_exceeded fires once per visit, also for a tag that stopped reporting', () => {
+    const zc = new ZoneChecker();
+    zc.setZones([{ ...ROOM, maxDwellSeconds: 60 }]);
+    const at = (x, t) => zc.check({ deviceId: 'p1', x, y: 5, floor: 1, timestamp: t }).map(e => e.event);
+
+    at(5, 1000);
+    assert.deepStrictEqual(at(5, 1030), []);
+    assert.deepStrictEqual(at(5, 1060), ['dwell_exceeded']);
+    assert.deepStrictEqual(at(5, 1090), [], 'not repeated in the same visit');
+
+    at(20, 1100);
+    at(5, 1200);
+    // Parked inside: no new samples, the periodic check fires it
+    assert.deepStrictEqual(zc.checkDwell(1230), []);
+    const events = zc.checkDwell(1260);
+    assert.deepStrictEqual(events.map(e => [e.event, e.dwell.seconds]), [['dwell_exceeded', 60]]);
+    assert.deepStrictEqual(zc.checkDwell(1300), []);
+});
+
+test('dwell totals add up completed visits and the current one', () => {
+    const zc = new ZoneChecker();
+    zc.setZones([ROOM]);
+    const at = (x, t) => zc.check({ deviceId: 'p1', x, y: 5, floor: 1, timestamp: t });
+
+    at(5, 100);
+    const exit = at(20, 130)[0];
+    assert.deepStrictEqual(exit.dwell, { enteredAt: 100, seconds: 30, totalSeconds: 30, visits: 1 });
+    at(5, 200);
+    assert.deepStrictEqual(zc.getDeviceDwell('p1', 210), [
+        { zoneId: 'z-room', zoneName: 'Room', inside: true, enteredAt: 200, seconds: 10, totalSeconds: 40, visits: 2 }
+    ]);
+});
+
+test('reloading zones keeps the visits of zones that still exist', () => {
+    const zc = new ZoneChecker();
+    const other = { ...ROOM, id: 'z-other', name: 'Other' };
+    zc.setZones([ROOM, other]);
+    zc.check({ deviceId: 'p1', x: 5, y: 5, floor: 1, timestamp: 100 });
+
+    zc.setZones([{ ...ROOM, name: 'Renamed' }]);
+    assert.deepStrictEqual(zc.getDeviceZoneIds('p1'), ['z-room']);
+    assert.deepStrictEqual(zc.check({ deviceId: 'p1', x: 5, y: 5, floor: 1, timestamp: 110 }), [], 'no second enter');
+    assert.deepStrictEqual(zc.getDeviceDwell('p1', 110).map(d => [d.zoneName, d.enteredAt]), [['Renamed', 100]]);
+});
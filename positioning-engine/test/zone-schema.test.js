@@ -0,0 +1,34 @@
+/**
+ * Zone schema — polygon normalization: vertex forms, duplicates, closing
+ * vertex, crossing edges and the vertex limit.
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizePolygon } = require('../zone-schema');
+
+/** Regular n-gon of radius 10 around (10, 10). */
+function ring(n) {
+    return Array.from({ length: n }, (_, i) => [10 + 10 * Math.cos(2 * Math.PI * i / n), 10 + 10 * Math.sin(2 * Math.PI * i / n)]);
+}
+
+test('{x, y} vertices, repeated points and a closing vertex are normalized', () => {
+    assert.deepStrictEqual(normalizePolygon([{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 3 }, { x: 0, y: 0 }]), {
+        polygon: [[0, 0], [4, 0], [4, 3]]
+    });
+});
+
+test('invalid rings are refused', () => {
+    assert.deepStrictEqual(normalizePolygon('square'), { error: 'Polygon must be an array of [x, y] vertices' });
+    assert.deepStrictEqual(normalizePolygon([[0, 0], [1, 'x']]), { error: 'Vertex 1 is not a valid [x, y] point' });
+    assert.deepStrictEqual(normalizePolygon([[0, 0], [1, 1], [0, 0]]), { error: 'Polygon needs at least 3 distinct vertices' });
+    assert.deepStrictEqual(normalizePolygon([[0, 0], [1, 1], [2, 2]]), { error: 'Polygon does not enclose an area' });
+    assert.deepStrictEqual(normalizePolygon([[0, 0], [4, 4], [4, 0], [0, 6]]), { error: 'Polygon is not closed cleanly: edges cross each other' });
+});
+
+test('polygons are limited to 200 vertices', () => {
+    assert.strictEqual(normalizePolygon(ring(200)).polygon.length, 200);
+    assert.strictEqual(normalizePolygon([...ring(200), ring(200)[0]]).polygon.length, 200, 'a closed 200-gon is fine');
+    assert.deepStrictEqual(normalizePolygon(ring(201)), { error: 'Polygon may have at most 200 vertices' });
+});
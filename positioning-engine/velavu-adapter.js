@@ -16,6 +16,7 @@
  *   VELAVU_API_TOKEN  — Bearer token from Velavu dashboard
  *   VELAVU_API_URL    — Base URL (default: https://api.velavu.com)
  *   VELAVU_POLL_MS    — Polling interval in ms (default: 10000)
+ *   VELAVU_BUTTON_EVENTS — Event category polled for panic button presses (default: BUTTON)
  */
 
 'use strict';
@@ -30,6 +31,7 @@ const url   = require('url');
 const VELAVU_API_URL = process.env.VELAVU_API_URL || 'https://api.velavu.com';
 const VELAVU_TOKEN   = process.env.VELAVU_API_TOKEN || '';
 const POLL_INTERVAL  = parseInt(process.env.VELAVU_POLL_MS, 10) || 10000;
+const BUTTON_EVENT_CATEGORY = process.env.VELAVU_BUTTON_EVENTS || 'BUTTON';
 
 // ---------------------------------------------------------------------------
 // In-memory cache
@@ -52,6 +54,11 @@ const cache = {
 // WebSocket subscribers (engine pushes updates to extension)
 const wsSubscribers = new Set();
 
+// Panic button presses: ids already reported, and presses older than the adapter are ignored
+const seenButtonEvents = new Set();
+let buttonEventsSince = Date.now();
+let onButtonEvent = null;
+
 // ---------------------------------------------------------------------------
 // Velavu API client
 // ---------------------------------------------------------------------------
@@ -279,6 +286,11 @@ async function pollVelavu() {
             } catch (e) { /* token scope */ }
         }
 
+        // Panic button presses
+        try {
+            await pollButtonEvents();
+        } catch (e) { /* token scope */ }
+
         cache.lastUpdate = new Date().toISOString();
 
         // Push to WebSocket subscribers
@@ -289,6 +301,47 @@ async function pollVelavu() {
     }
 }
 
+/**
+ * Fetch recent button events and report presses not seen before.
+ */
+async function pollButtonEvents() {
+    const events = await velavuGet('/events/' + BUTTON_EVENT_CATEGORY + '?limit=50');
+    if (!Array.isArray(events)) return;
+
+    for (const ev of events) {
+        const id = ev.id || `${ev.device_id}:${ev.timestamp}`;
+        const time = ev.timestamp ? new Date(ev.timestamp).getTime() : Date.now();
+        if (seenButtonEvents.has(id) || time < buttonEventsSince) continue;
+        seenButtonEvents.add(id);
+
+        const deviceId = ev.device_id || (ev.device && ev.device.id);
+        if (!deviceId || !onButtonEvent) continue;
+        try {
+            onButtonEvent({
+                deviceId,
+                timestamp: ev.timestamp || new Date(time).toISOString(),
+                device: cache.devices.find(d => d.id === deviceId) || null
+            });
+        } catch (e) {
+            console.error('[Velavu] Button listener error:', e.message);
+        }
+    }
+
+    // Velavu returns the newest events; anything older than the window can be forgotten
+    if (seenButtonEvents.size > 1000) {
+        seenButtonEvents.clear();
+        buttonEventsSince = Date.now();
+    }
+}
+
+/**
+ * Register a listener for panic button presses (used by server.js for SOS).
+ * @param {function({deviceId: string, timestamp: string, device: object|null}): void} fn
+ */
+function setOnButtonEvent(fn) {
+    onButtonEvent = fn;
+}
+
 function broadcastUpdate() {
     const payload = JSON.stringify({
         type: 'velavu_update',
@@ -522,5 +575,6 @@ module.exports = {
     removeSubscriber,
     getCache: () => cache,
     pollNow:  pollVelavu,
+    setOnButtonEvent,
     velavuGet
 };
@@ -4,28 +4,40 @@
  *
  * Channels:
  *   positions  — device position updates
- *   zones      — zone enter/exit events
- *   alerts     — alert notifications
+ *   zones      — zone enter/exit events, and tag floor changes ("floor_change")
+ *   alerts     — alert notifications ("alerts"), and lifecycle changes to them ("alert_update")
+ *   occupancy  — zone headcount vs min/max limits (on change)
+ *   muster     — evacuation roll-call (on start/stop and status changes)
+ *   proximity  — collision warnings between device pairs ("proximity", then "cleared"; throttled per pair)
  *   stats      — engine stats (every 10s)
  *
  * Clients subscribe via: {"type":"subscribe","channels":["positions","zones","alerts"]}
+ *
+ * Authentication (when an ApiAuth is set): pass ?token=<key|token> on the upgrade URL
+ * (invalid credentials are rejected with 401), or send {"type":"auth","token":"..."}
+ * as the first message. Unauthenticated clients receive nothing and are closed
+ * with code 4401 after AUTH_TIMEOUT.
  */
 
 const { WebSocketServer } = require('ws');
 
 const HEARTBEAT_INTERVAL = 30000;  // 30s ping/pong
-const VALID_CHANNELS = new Set(['positions', 'zones', 'alerts', 'stats']);
+const AUTH_TIMEOUT = 10000;        // 10s to send {"type":"auth"} after connecting
+const CLOSE_UNAUTHORIZED = 4401;
+const VALID_CHANNELS = new Set(['positions', 'zones', 'alerts', 'occupancy', 'muster', 'proximity', 'stats']);
 
 class WebSocketBroadcaster {
     /**
      * @param {object} opts
      * @param {http.Server} opts.server - HTTP server to attach to
      * @param {number} [opts.heartbeatInterval=30000]
+     * @param {ApiAuth} [opts.auth] - Require authentication (see auth.js)
      */
     constructor(opts = {}) {
         this._clients = new Set();
         this._messagesSent = 0;
         this._heartbeatTimer = null;
+        this._auth = opts.auth || null;
 
         if (opts.server) {
             this.attach(opts.server, opts.heartbeatInterval);
@@ -38,12 +50,18 @@ class WebSocketBroadcaster {
      * @param {number} [heartbeatInterval]
      */
     attach(server, heartbeatInterval) {
-        this._wss = new WebSocketServer({ server });
+        this._wss = new WebSocketServer({
+            server,
+            verifyClient: (info, done) => this._verifyClient(info, done)
+        });
 
-        this._wss.on('connection', (ws) => {
+        this._wss.on('connection', (ws, req) => {
             // Per-client state
             ws._channels = new Set(['positions']); // default subscription
             ws._alive = true;
+            // Auth off (or not configured) = every client is trusted
+            const authRequired = !!(this._auth && this._auth.enabled);
+            ws._principal = req._principal || (authRequired ? null : { name: 'anonymous', role: 'admin' });
 
             this._clients.add(ws);
             console.log(`[WS] Client connected (total: ${this._clients.size})`);
@@ -52,9 +70,16 @@ class WebSocketBroadcaster {
             this._send(ws, {
                 type: 'welcome',
                 channels: Array.from(VALID_CHANNELS),
-                subscribed: Array.from(ws._channels)
+                subscribed: Array.from(ws._channels),
+                authenticated: !!ws._principal
             });
 
+            if (!ws._principal) {
+                ws._authTimer = setTimeout(() => {
+                    if (!ws._principal) ws.close(CLOSE_UNAUTHORIZED, 'Authentication required');
+                }, AUTH_TIMEOUT);
+            }
+
             ws.on('message', (data) => {
                 try {
                     const msg = JSON.parse(data.toString());
@@ -69,6 +94,7 @@ class WebSocketBroadcaster {
             });
 
             ws.on('close', () => {
+                clearTimeout(ws._authTimer);
                 this._clients.delete(ws);
                 console.log(`[WS] Client disconnected (total: ${this._clients.size})`);
             });
@@ -97,9 +123,53 @@ class WebSocketBroadcaster {
     }
 
     /**
-     * Handle incoming client message (subscribe/unsubscribe).
+     * Set the authenticator. Call before attach().
+     * @param {ApiAuth|null} auth
+     */
+    setAuth(auth) {
+        this._auth = auth;
+    }
+
+    /**
+     * Upgrade check: reject disallowed origins and invalid credentials.
+     * A missing credential is allowed through — the client must then send {"type":"auth"}.
+     */
+    _verifyClient(info, done) {
+        if (!this._auth || !this._auth.enabled) return done(true);
+        if (!this._auth.isOriginAllowed(info.origin)) return done(false, 403, 'Origin not allowed');
+
+        const query = Object.fromEntries(new URL(info.req.url, 'http://localhost').searchParams);
+        const hasCredential = !!(query.token || info.req.headers.authorization || info.req.headers['x-api-key']);
+        if (!hasCredential) return done(true);
+
+        const principal = this._auth.authenticateRequest(info.req, query);
+        if (!principal) return done(false, 401, 'Unauthorized');
+        info.req._principal = principal;
+        done(true);
+    }
+
+    /**
+     * Handle incoming client message (auth/subscribe/unsubscribe).
      */
     _handleClientMessage(ws, msg) {
+        if (msg.type === 'auth') {
+            const principal = this._auth ? this._auth.authenticate(msg.token) : ws._principal;
+            if (!principal) {
+                this._send(ws, { type: 'error', error: 'Invalid credentials' });
+                ws.close(CLOSE_UNAUTHORIZED, 'Invalid credentials');
+                return;
+            }
+            ws._principal = principal;
+            clearTimeout(ws._authTimer);
+            this._send(ws, { type: 'authenticated', role: principal.role });
+            return;
+        }
+
+        if (!ws._principal) {
+            this._send(ws, { type: 'error', error: 'Authentication required' });
+            return;
+        }
+
         if (msg.type === 'subscribe' && Array.isArray(msg.channels)) {
             for (const ch of msg.channels) {
                 if (VALID_CHANNELS.has(ch)) {
@@ -133,11 +203,12 @@ class WebSocketBroadcaster {
      * Broadcast to all clients subscribed to a channel.
      * @param {string} channel
      * @param {object} data
+     * @param {string} [type=channel] - Message type seen by clients
      */
-    _broadcast(channel, data) {
-        const payload = JSON.stringify({ type: channel, data });
+    _broadcast(channel, data, type = channel) {
+        const payload = JSON.stringify({ type, data });
         for (const ws of this._clients) {
-            if (ws.readyState === 1 && ws._channels && ws._channels.has(channel)) {
+            if (ws.readyState === 1 && ws._principal && ws._channels && ws._channels.has(channel)) {
                 try {
                     ws.send(payload);
                     this._messagesSent++;
@@ -162,6 +233,9 @@ class WebSocketBroadcaster {
             status: device.status,
             isMoving: device.isMoving,
             confidence: device.confidence,
+            gdop: device.gdop,
+            covariance: device.covariance,
+            ellipse: device.ellipse,
             battery: device.battery,
             temperature: device.temperature,
             humidity: device.humidity,
@@ -171,8 +245,8 @@ class WebSocketBroadcaster {
     }
 
     /**
-     * Broadcast a zone enter/exit event.
-     * @param {object} event - {deviceId, zoneId, zoneName, zoneType, event}
+     * Broadcast a zone event (enter / exit / dwell_exceeded).
+     * @param {object} event - {deviceId, zoneId, zoneName, zoneType, event, dwell: {enteredAt, seconds, totalSeconds, visits}}
      */
     broadcastZoneEvent(event) {
         this._broadcast('zones', event);
@@ -186,6 +260,39 @@ class WebSocketBroadcaster {
         this._broadcast('alerts', alert);
     }
 
+    /**
+     * Broadcast an alert's lifecycle change (ack, assign, comment, resolve) on
+     * the alerts channel, as message type "alert_update".
+     * @param {object} alert - full alert record from the alert store
+     */
+    broadcastAlertUpdate(alert) {
+        this._broadcast('alerts', alert, 'alert_update');
+    }
+
+    /**
+     * Broadcast a zone's occupancy.
+     * @param {object} occupancy - {zoneId, zoneName, floor, count, total, byType, maxOccupancy, minOccupancy, occupancyTypes, status}
+     */
+    broadcastOccupancy(occupancy) {
+        this._broadcast('occupancy', occupancy);
+    }
+
+    /**
+     * Broadcast the muster roll-call.
+     * @param {object} status - {active, muster, summary: {total, safe, missing, offline}, people}
+     */
+    broadcastMuster(status) {
+        this._broadcast('muster', status);
+    }
+
+    /**
+     * Broadcast a proximity warning or its clearing.
+     * @param {object} event - {event, ruleId, severity, floor, a, b, distance, closingSpeed, timeToContact, since, timestamp}
+     */
+    broadcastProximity(event) {
+        this._broadcast('proximity', event);
+    }
+
     /**
      * Broadcast engine stats.
      * @param {object} stats
@@ -208,6 +315,14 @@ class WebSocketBroadcaster {
         this._clients.clear();
     }
 
+    /**
+     * Whether a client has authenticated (always true when auth is off).
+     * @param {WebSocket} ws
+     */
+    isAuthenticated(ws) {
+        return !!ws._principal;
+    }
+
     /** Number of connected clients. */
     get clientCount() {
         return this._clients.size;
@@ -0,0 +1,128 @@
+/**
+ * Zone Access — per-zone allow-lists tied to tag identity.
+ *
+ * A zone with an `access` block only admits matching devices:
+ *
+ *   access: {
+ *     devices:   ["tag-017"],                 // device ids
+ *     types:     ["forklift"],                // device types
+ *     groups:    ["electricians"],            // names from config.tag_groups
+ *     schedules: [{ days: ["mon", "tue", "wed", "thu", "fri"], from: "07:00", to: "18:00" }],
+ *     timezone:  "Asia/Dubai"                 // IANA zone for schedules (default: server local time)
+ *   }
+ *
+ * A device is authorized when it matches any of devices / types / groups
+ * (all three empty = any device) and, if schedules are set, the entry time
+ * falls inside one of them. A schedule with from > to runs overnight
+ * ("22:00"-"06:00" on "fri" covers Friday night into Saturday morning).
+ */
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * @param {object} access - Zone access block (see above)
+ * @param {{deviceId: string, type?: string, groups?: string[]}} identity
+ * @param {Date} [at] - Entry time (default now)
+ * @returns {{authorized: boolean, reason: string}}
+ *   reason: "device:<id>", "type:<type>", "group:<name>" or "any" when authorized,
+ *   "not_listed" or "outside_schedule" otherwise
+ */
+function checkAccess(access, identity, at) {
+    const devices = access.devices || [];
+    const types = access.types || [];
+    const groups = access.groups || [];
+
+    let reason = null;
+    if (!devices.length && !types.length && !groups.length) reason = 'any';
+    else if (devices.includes(identity.deviceId)) reason = 'device:' + identity.deviceId;
+    else if (identity.type && types.includes(identity.type)) reason = 'type:' + identity.type;
+    else {
+        const group = (identity.groups || []).find(g => groups.includes(g));
+        if (group) reason = 'group:' + group;
+    }
+    if (!reason) return { authorized: false, reason: 'not_listed' };
+
+    if (access.schedules && access.schedules.length && !inSchedules(access.schedules, access.timezone, at)) {
+        return { authorized: false, reason: 'outside_schedule' };
+    }
+    return { authorized: true, reason };
+}
+
+/**
+ * Whether a time falls inside any of the schedules.
+ * @param {Array<{days?: string[], from: string, to: string}>} schedules
+ * @param {string} [timezone] - IANA zone (default: server local time)
+ * @param {Date} [at] - Default now
+ * @returns {boolean}
+ */
+function inSchedules(schedules, timezone, at) {
+    const t = localTime(at || new Date(), timezone);
+    return schedules.some(s => inSchedule(s, t));
+}
+
+/**
+ * @param {{days?: string[], from: string, to: string}} schedule
+ * @param {{day: number, minutes: number}} t - Local weekday (0 = Sunday) and minutes since midnight
+ */
+function inSchedule(schedule, t) {
+    const days = schedule.days && schedule.days.length ? schedule.days : DAYS;
+    const from = toMinutes(schedule.from);
+    const to = toMinutes(schedule.to);
+    const today = days.includes(DAYS[t.day]);
+
+    if (from <= to) return today && t.minutes >= from && t.minutes < to;
+    // Overnight: the evening part belongs to the listed day, the morning part to the day after
+    const yesterday = days.includes(DAYS[(t.day + 6) % 7]);
+    return (today && t.minutes >= from) || (yesterday && t.minutes < to);
+}
+
+/**
+ * Weekday and minutes since midnight in the given IANA time zone.
+ */
+function localTime(date, timezone) {
+    if (!timezone) return { day: date.getDay(), minutes: date.getHours() * 60 + date.getMinutes() };
+
+    const parts = {};
+    const fmt = new Intl.DateTimeFormat('en-US', { timeZone: timezone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+    for (const p of fmt.formatToParts(date)) parts[p.type] = p.value;
+    return {
+        day: DAYS.indexOf(parts.weekday.slice(0, 3).toLowerCase()),
+        minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+    };
+}
+
+function toMinutes(hhmm) {
+    const m = TIME_PATTERN.exec(hhmm);
+    return m ? parseInt(m[1], 10) * 60 + parseInt(m[2], 10) : 0;
+}
+
+/**
+ * Whether a string is a time zone Intl understands.
+ */
+function isValidTimezone(tz) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: tz });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Invert config.tag_groups ({name: [deviceId, ...]}) to deviceId -> group names.
+ * @param {object} tagGroups
+ * @returns {Map<string, string[]>}
+ */
+function indexTagGroups(tagGroups) {
+    const byDevice = new Map();
+    for (const [name, ids] of Object.entries(tagGroups || {})) {
+        for (const id of Array.isArray(ids) ? ids : []) {
+            if (!byDevice.has(id)) byDevice.set(id, []);
+            byDevice.get(id).push(name);
+        }
+    }
+    return byDevice;
+}
+
+module.exports = { checkAccess, inSchedules, indexTagGroups, isValidTimezone, DAYS, TIME_PATTERN };
@@ -4,27 +4,103 @@
  *
  * On every position update:
  *   1. Tests device position against all zone polygons (point-in-polygon)
- *   2. Detects enter/exit transitions per device
- *   3. Returns zone events for alert evaluation + WebSocket broadcast
+ *   2. Detects enter/exit transitions per device, with per-zone hysteresis
+ *      (edge buffers, enter dwell, exit sample count, confidence gate)
+ *   3. Tracks dwell per device and zone (entry time, accumulated time, visits)
+ *   4. Counts occupancy per zone against min/max limits (optionally per device type)
+ *   5. Checks entries against the zone's access list (see zone-access.js)
+ *   6. Returns zone events for alert evaluation + WebSocket broadcast
  *
  * Unlike SiteTrack (which uses lat/lon geo-polygons), this version works
  * with indoor x/y pixel/meter coordinates directly.
  */
 
-const { pointInPolygon } = require('./geo-utils');
+const { pointInPolygon, distanceToPolygonEdge } = require('./geo-utils');
+const { checkAccess, indexTagGroups } = require('./zone-access');
+
+/**
+ * Hysteresis (per zone, falling back to the checker defaults):
+ *   innerBuffer       — metres inside the edge before a sample counts as "inside"
+ *   outerBuffer       — metres outside the edge before a sample counts as "outside"
+ *   enterDwellSeconds — device must stay inside this long before ENTER fires
+ *   exitSamples       — consecutive "outside" samples needed before EXIT fires
+ *   minConfidence     — samples below this position confidence are ignored
+ *
+ * Samples in the band between the buffers keep the current state. All zeros
+ * = the original single-sample behaviour.
+ */
+const NO_HYSTERESIS = Object.freeze({
+    innerBuffer: 0,
+    outerBuffer: 0,
+    enterDwellSeconds: 0,
+    exitSamples: 1,
+    minConfidence: 0
+});
 
 class ZoneChecker {
-    constructor() {
-        // deviceId -> Set of zone IDs the device is currently in
+    /**
+     * @param {object} [opts]
+     * @param {object} [opts.hysteresis] - Default hysteresis for zones without their own (see above)
+     * @param {object} [opts.tagGroups] - {groupName: [deviceId, ...]} for zone access lists
+     */
+    constructor(opts = {}) {
+        // deviceId -> Set of zone IDs the device is currently in (confirmed, incl. pending exit)
         this._deviceZoneState = new Map();
 
-        // Zone definitions: array of {id, name, floor, type, polygon: [[x,y],...], alertOnEnter, alertOnExit}
+        // deviceId -> Map(zoneId -> {state: 'enter'|'exit', since: epoch s, samples: number})
+        this._pending = new Map();
+
+        // deviceId -> Map(zoneId -> {enteredAt: epoch s, maxDwellFired: boolean}) — current visits
+        this._visits = new Map();
+
+        // deviceId -> Map(zoneId -> {totalSeconds, visits}) — completed visits
+        this._dwellTotals = new Map();
+
+        // deviceId -> device type (person, asset, ...) from the last check
+        this._deviceTypes = new Map();
+
+        // deviceId -> tag group names
+        this._deviceGroups = indexTagGroups(opts.tagGroups);
+
+        this._defaultHysteresis = normalizeHysteresis(opts.hysteresis, NO_HYSTERESIS);
+
+        // Zone definitions: array of {id, name, floor, type, polygon: [[x,y],...], alertOnEnter, alertOnExit, hysteresis,
+        //                            maxDwellSeconds, minDwellSeconds, maxOccupancy, minOccupancy, occupancyTypes, access, workZone}
         this._zones = [];
     }
 
+    /**
+     * Replace the default hysteresis (zones with their own settings keep them).
+     * Call setZones() afterwards to apply.
+     * @param {object} hysteresis
+     */
+    setDefaultHysteresis(hysteresis) {
+        this._defaultHysteresis = normalizeHysteresis(hysteresis, NO_HYSTERESIS);
+    }
+
+    /**
+     * Replace the tag groups used by zone access lists.
+     * @param {object} tagGroups - {groupName: [deviceId, ...]}
+     */
+    setTagGroups(tagGroups) {
+        this._deviceGroups = indexTagGroups(tagGroups);
+    }
+
+    /**
+     * Tag groups a device belongs to.
+     * @param {string} deviceId
+     * @returns {string[]}
+     */
+    getDeviceGroups(deviceId) {
+        return this._deviceGroups.get(deviceId) || [];
+    }
+
     /**
      * Load/update zone definitions.
-     * @param {Array<{id: string, name: string, floor: number, type?: string, polygon: [number,number][], alertOnEnter?: boolean, alertOnExit?: boolean}>} zones
+     * Device state is kept for zones that still exist, so a hot reload does
+     * not re-fire enter events; membership in removed zones is dropped.
+     * @param {Array<{id: string, name: string, floor: number, type?: string, polygon: [number,number][], alertOnEnter?: boolean, alertOnExit?: boolean, hysteresis?: object,
+     *                 maxOccupancy?: number, minOccupancy?: number, occupancyTypes?: string[], access?: object, workZone?: boolean|object}>} zones
      */
     setZones(zones) {
         this._zones = (zones || []).map(z => ({
@@ -34,8 +110,28 @@ class ZoneChecker {
             type: z.type || 'general',
             polygon: z.polygon || [],
             alertOnEnter: z.alertOnEnter !== false,  // default true
-            alertOnExit: z.alertOnExit !== false       // default true
+            alertOnExit: z.alertOnExit !== false,      // default true
+            hysteresis: normalizeHysteresis(z.hysteresis, this._defaultHysteresis),
+            maxDwellSeconds: z.maxDwellSeconds > 0 ? z.maxDwellSeconds : null,
+            minDwellSeconds: z.minDwellSeconds > 0 ? z.minDwellSeconds : null,
+            maxOccupancy: z.maxOccupancy > 0 ? z.maxOccupancy : null,
+            minOccupancy: z.minOccupancy > 0 ? z.minOccupancy : null,
+            occupancyTypes: Array.isArray(z.occupancyTypes) && z.occupancyTypes.length ? z.occupancyTypes : null, // null = all types
+            access: z.access || null, // null = no access list
+            workZone: z.workZone || null  // null = no man-down monitoring
         }));
+
+        const ids = new Set(this._zones.map(z => z.id));
+        for (const zoneIds of this._deviceZoneState.values()) {
+            for (const zoneId of zoneIds) {
+                if (!ids.has(zoneId)) zoneIds.delete(zoneId);
+            }
+        }
+        for (const byZone of [...this._pending.values(), ...this._visits.values(), ...this._dwellTotals.values()]) {
+            for (const zoneId of byZone.keys()) {
+                if (!ids.has(zoneId)) byZone.delete(zoneId);
+            }
+        }
     }
 
     /**
@@ -48,10 +144,16 @@ class ZoneChecker {
 
     /**
      * Check a device position against all zones.
-     * Returns array of zone events (enter/exit/inside).
+     * Returns array of zone events (enter / exit / dwell_exceeded).
      *
-     * @param {{deviceId: string, x: number, y: number, floor: number}} position
-     * @returns {Array<{deviceId: string, zoneId: string, zoneName: string, zoneType: string, event: string, alertOnEnter: boolean, alertOnExit: boolean}>}
+     * @param {{deviceId: string, x: number, y: number, floor: number, type?: string, confidence?: number, timestamp?: number}} position
+     *   timestamp is epoch seconds (defaults to now), used for the enter dwell and dwell times;
+     *   type is the device type counted against occupancyTypes
+     * @returns {Array<{deviceId: string, zoneId: string, zoneName: string, zoneType: string, event: string, alertOnEnter: boolean, alertOnExit: boolean,
+     *                  maxDwellSeconds: number|null, minDwellSeconds: number|null,
+     *                  dwell: {enteredAt: number, seconds: number, totalSeconds: number, visits: number},
+     *                  access?: {authorized: boolean, reason: string}}>}
+     *   access is set on enter events of zones with an access list
      */
     check(position) {
         if (!position || position.x == null || position.y == null) return [];
@@ -59,68 +161,208 @@ class ZoneChecker {
 
         const { deviceId, x, y, floor } = position;
         const point = [x, y];
+        const now = position.timestamp || Date.now() / 1000;
+        const confidence = position.confidence;
+        if (position.type) this._deviceTypes.set(deviceId, position.type);
 
         // Get device's current zone set (or create empty)
         if (!this._deviceZoneState.has(deviceId)) {
             this._deviceZoneState.set(deviceId, new Set());
+            this._pending.set(deviceId, new Map());
+            this._visits.set(deviceId, new Map());
+            this._dwellTotals.set(deviceId, new Map());
         }
         const currentZones = this._deviceZoneState.get(deviceId);
+        const pending = this._pending.get(deviceId);
+        const visits = this._visits.get(deviceId);
         const events = [];
 
-        // Test against all zones on same floor
-        const nowInZones = new Set();
         for (const zone of this._zones) {
-            if (zone.floor !== floor) continue;
             if (!zone.polygon || zone.polygon.length < 3) continue;
+            const h = zone.hysteresis;
+            // Low-confidence fixes cannot change zone state, whatever floor they put the tag on
+            if (h.minConfidence > 0 && confidence != null && confidence < h.minConfidence) continue;
+            const wasInside = currentZones.has(zone.id);
+            const p = pending.get(zone.id);
 
-            const inside = pointInPolygon(point, zone.polygon);
-
-            if (inside) {
-                nowInZones.add(zone.id);
-
-                // ENTER event — device just entered this zone
-                if (!currentZones.has(zone.id)) {
-                    events.push({
-                        deviceId,
-                        zoneId: zone.id,
-                        zoneName: zone.name,
-                        zoneType: zone.type,
-                        event: 'enter',
-                        alertOnEnter: zone.alertOnEnter,
-                        alertOnExit: zone.alertOnExit
-                    });
-                    console.log(`[Zone] ${deviceId} ENTER "${zone.name}" (${zone.type})`);
+            // Classify the sample: inside / outside / band (no decision)
+            let inPolygon = false;
+            let clearlyInside = false;
+            let clearlyOutside = true; // other floor = outside
+            if (zone.floor === floor) {
+                inPolygon = pointInPolygon(point, zone.polygon);
+                const edge = (h.innerBuffer > 0 || h.outerBuffer > 0) ? distanceToPolygonEdge(point, zone.polygon) : Infinity;
+                clearlyInside = inPolygon && edge >= h.innerBuffer;
+                clearlyOutside = !inPolygon && edge >= h.outerBuffer;
+            }
+
+            if (!wasInside) {
+                if (p && !inPolygon) {
+                    pending.delete(zone.id); // left before the dwell elapsed
+                    continue;
+                }
+                if (!clearlyInside && !p) continue;
+
+                const since = p ? p.since : now;
+                if (now - since >= h.enterDwellSeconds) {
+                    pending.delete(zone.id);
+                    currentZones.add(zone.id);
+                    // Dwell counts from the first sample inside, not from confirmation
+                    visits.set(zone.id, { enteredAt: since, maxDwellFired: false });
+                    const evt = this._zoneEvent(deviceId, zone, 'enter', now);
+                    if (zone.access) {
+                        evt.access = checkAccess(zone.access, {
+                            deviceId,
+                            type: this._deviceTypes.get(deviceId),
+                            groups: this.getDeviceGroups(deviceId)
+                        }, new Date(now * 1000));
+                    }
+                    events.push(evt);
+                    const accessNote = evt.access ? (evt.access.authorized ? ' authorized ' : ' UNAUTHORIZED ') + evt.access.reason : '';
+                    console.log(`[Zone] ${deviceId} ENTER "${zone.name}" (${zone.type})${accessNote}`);
+                } else if (!p) {
+                    pending.set(zone.id, { state: 'enter', since, samples: 1 });
                 } else {
-                    // INSIDE — still in zone (no event emitted, but useful for dwell tracking)
+                    p.samples++;
                 }
+                continue;
             }
-        }
 
-        // EXIT events — device left zones it was previously in
-        for (const zoneId of currentZones) {
-            if (!nowInZones.has(zoneId)) {
-                const zone = this._zones.find(z => z.id === zoneId);
-                if (zone) {
-                    events.push({
-                        deviceId,
-                        zoneId: zone.id,
-                        zoneName: zone.name,
-                        zoneType: zone.type,
-                        event: 'exit',
-                        alertOnEnter: zone.alertOnEnter,
-                        alertOnExit: zone.alertOnExit
-                    });
-                    console.log(`[Zone] ${deviceId} EXIT "${zone.name}" (${zone.type})`);
-                }
+            // INSIDE — still in zone: check the dwell limit
+            if (inPolygon) {
+                if (p) pending.delete(zone.id); // back inside — exit cancelled
+                const evt = this._checkMaxDwell(deviceId, zone, now);
+                if (evt) events.push(evt);
+                continue;
+            }
+            if (!clearlyOutside) continue; // in the outer band — hold
+
+            // Count consecutive clearly-outside samples
+            const samples = p ? p.samples + 1 : 1;
+            if (samples >= h.exitSamples) {
+                // Dwell ends at the first outside sample, not at confirmation
+                const exitedAt = p ? p.since : now;
+                pending.delete(zone.id);
+                currentZones.delete(zone.id);
+                const evt = this._zoneEvent(deviceId, zone, 'exit', exitedAt);
+                this._endVisit(deviceId, zone.id, evt.dwell.seconds);
+                evt.dwell.totalSeconds = this._totalDwell(deviceId, zone.id, exitedAt);
+                evt.dwell.visits = this._visitCount(deviceId, zone.id);
+                events.push(evt);
+                console.log(`[Zone] ${deviceId} EXIT "${zone.name}" (${zone.type})`);
+            } else if (p) {
+                p.samples = samples;
+            } else {
+                pending.set(zone.id, { state: 'exit', since: now, samples });
             }
         }
 
-        // Update device zone state
-        this._deviceZoneState.set(deviceId, nowInZones);
+        return events;
+    }
 
+    /**
+     * Fire dwell_exceeded for devices that stopped reporting while inside
+     * (a parked tag in a confined space sends no new samples).
+     * Called periodically.
+     *
+     * @param {number} [now] - Epoch seconds
+     * @returns {object[]} zone events
+     */
+    checkDwell(now) {
+        const t = now || Date.now() / 1000;
+        const events = [];
+        for (const [deviceId, visits] of this._visits) {
+            for (const zoneId of visits.keys()) {
+                const zone = this.getZoneById(zoneId);
+                const evt = zone && this._checkMaxDwell(deviceId, zone, t);
+                if (evt) events.push(evt);
+            }
+        }
         return events;
     }
 
+    /**
+     * Dwell summary for one device.
+     * @param {string} deviceId
+     * @param {number} [now] - Epoch seconds
+     * @returns {Array<{zoneId: string, zoneName: string, inside: boolean, enteredAt: number|null, seconds: number, totalSeconds: number, visits: number}>}
+     */
+    getDeviceDwell(deviceId, now) {
+        const t = now || Date.now() / 1000;
+        const visits = this._visits.get(deviceId) || new Map();
+        const totals = this._dwellTotals.get(deviceId) || new Map();
+        const zoneIds = new Set([...visits.keys(), ...totals.keys()]);
+
+        const out = [];
+        for (const zoneId of zoneIds) {
+            const zone = this.getZoneById(zoneId);
+            if (!zone) continue;
+            const visit = visits.get(zoneId);
+            out.push({
+                zoneId,
+                zoneName: zone.name,
+                inside: !!visit,
+                enteredAt: visit ? visit.enteredAt : null,
+                seconds: visit ? Math.max(0, t - visit.enteredAt) : 0,
+                totalSeconds: this._totalDwell(deviceId, zoneId, t),
+                visits: this._visitCount(deviceId, zoneId)
+            });
+        }
+        return out;
+    }
+
+    /**
+     * Occupancy of one zone: devices currently inside (incl. pending exit).
+     * count only includes the zone's occupancyTypes; total counts every device.
+     *
+     * @param {string} zoneId
+     * @returns {{zoneId: string, zoneName: string, zoneType: string, floor: number, count: number, total: number, byType: object,
+     *            maxOccupancy: number|null, minOccupancy: number|null, occupancyTypes: string[]|null, status: 'ok'|'over'|'under'}|null}
+     */
+    getOccupancy(zoneId) {
+        const zone = this.getZoneById(zoneId);
+        if (!zone) return null;
+
+        const byType = {};
+        let total = 0;
+        let count = 0;
+        for (const [deviceId, zoneIds] of this._deviceZoneState) {
+            if (!zoneIds.has(zone.id)) continue;
+            const type = this._deviceTypes.get(deviceId) || 'unknown';
+            byType[type] = (byType[type] || 0) + 1;
+            total++;
+            if (!zone.occupancyTypes || zone.occupancyTypes.includes(type)) count++;
+        }
+
+        let status = 'ok';
+        if (zone.maxOccupancy && count > zone.maxOccupancy) status = 'over';
+        else if (zone.minOccupancy && count < zone.minOccupancy) status = 'under';
+
+        return {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            zoneType: zone.type,
+            floor: zone.floor,
+            count,
+            total,
+            byType,
+            maxOccupancy: zone.maxOccupancy,
+            minOccupancy: zone.minOccupancy,
+            occupancyTypes: zone.occupancyTypes,
+            status
+        };
+    }
+
+    /**
+     * Occupancy of every zone with a min or max limit.
+     * @returns {object[]} see getOccupancy()
+     */
+    getLimitedOccupancy() {
+        return this._zones
+            .filter(z => z.maxOccupancy || z.minOccupancy)
+            .map(z => this.getOccupancy(z.id));
+    }
+
     /**
      * Get current zone names for a device.
      * @param {string} deviceId
@@ -156,24 +398,164 @@ class ZoneChecker {
 
     /**
      * Get zones with device counts (for API).
-     * @returns {Array<{id: string, name: string, floor: number, type: string, deviceCount: number, polygon: Array}>}
+     * deviceCount includes devices pending exit (they have not left yet);
+     * devices pending enter are only listed under pending.
+     *
+     * @returns {Array<{id: string, name: string, floor: number, type: string, deviceCount: number, polygon: Array,
+     *                  pendingEnter: number, pendingExit: number, pending: Array<{deviceId: string, state: string, since: number, samples: number}>,
+     *                  dwell: {current: Array<{deviceId: string, enteredAt: number, seconds: number}>, longestSeconds: number, totalSeconds: number, visits: number},
+     *                  occupancy: {count: number, byType: object, status: string}}>}
      */
     getZonesWithCounts() {
+        const now = Date.now() / 1000;
         return this._zones.map(z => {
             let deviceCount = 0;
             for (const [, zoneIds] of this._deviceZoneState) {
                 if (zoneIds.has(z.id)) deviceCount++;
             }
-            return { ...z, deviceCount };
+
+            const pending = [];
+            for (const [deviceId, zones] of this._pending) {
+                const p = zones.get(z.id);
+                if (p) pending.push({ deviceId, state: p.state, since: p.since, samples: p.samples });
+            }
+
+            // Dwell: current occupants + completed visits
+            const current = [];
+            let totalSeconds = 0;
+            let visits = 0;
+            for (const [deviceId, byZone] of this._visits) {
+                const v = byZone.get(z.id);
+                if (v) current.push({ deviceId, enteredAt: v.enteredAt, seconds: Math.round(Math.max(0, now - v.enteredAt)) });
+            }
+            for (const byZone of this._dwellTotals.values()) {
+                const d = byZone.get(z.id);
+                if (d) { totalSeconds += d.totalSeconds; visits += d.visits; }
+            }
+            for (const c of current) totalSeconds += c.seconds;
+
+            const occ = this.getOccupancy(z.id);
+
+            return {
+                ...z,
+                deviceCount,
+                pendingEnter: pending.filter(p => p.state === 'enter').length,
+                pendingExit: pending.filter(p => p.state === 'exit').length,
+                pending,
+                dwell: {
+                    current,
+                    longestSeconds: current.reduce((m, c) => Math.max(m, c.seconds), 0),
+                    totalSeconds: Math.round(totalSeconds),
+                    visits: visits + current.length
+                },
+                occupancy: { count: occ.count, byType: occ.byType, status: occ.status }
+            };
         });
     }
 
+    // ─── Internals ───────────────────────────────────────────────────
+
+    /**
+     * Zone event with the device's dwell in that zone at time t.
+     */
+    _zoneEvent(deviceId, zone, event, t) {
+        const visit = (this._visits.get(deviceId) || new Map()).get(zone.id);
+        const enteredAt = visit ? visit.enteredAt : t;
+        return {
+            deviceId,
+            zoneId: zone.id,
+            zoneName: zone.name,
+            zoneType: zone.type,
+            event,
+            alertOnEnter: zone.alertOnEnter,
+            alertOnExit: zone.alertOnExit,
+            maxDwellSeconds: zone.maxDwellSeconds,
+            minDwellSeconds: zone.minDwellSeconds,
+            dwell: {
+                enteredAt,
+                seconds: Math.max(0, t - enteredAt),
+                totalSeconds: this._totalDwell(deviceId, zone.id, t),
+                visits: this._visitCount(deviceId, zone.id)
+            }
+        };
+    }
+
+    /**
+     * dwell_exceeded event once per visit when the zone's max dwell is passed.
+     */
+    _checkMaxDwell(deviceId, zone, t) {
+        if (!zone.maxDwellSeconds) return null;
+        const visit = (this._visits.get(deviceId) || new Map()).get(zone.id);
+        if (!visit || visit.maxDwellFired || t - visit.enteredAt < zone.maxDwellSeconds) return null;
+
+        visit.maxDwellFired = true;
+        console.log(`[Zone] ${deviceId} DWELL EXCEEDED "${zone.name}" (${Math.round(t - visit.enteredAt)}s > ${zone.maxDwellSeconds}s)`);
+        return this._zoneEvent(deviceId, zone, 'dwell_exceeded', t);
+    }
+
+    /** Close the current visit and add it to the device's totals. */
+    _endVisit(deviceId, zoneId, seconds) {
+        this._visits.get(deviceId).delete(zoneId);
+        const totals = this._dwellTotals.get(deviceId);
+        const d = totals.get(zoneId) || { totalSeconds: 0, visits: 0 };
+        d.totalSeconds += seconds;
+        d.visits++;
+        totals.set(zoneId, d);
+    }
+
+    /** Completed visits + the current one (up to t). */
+    _totalDwell(deviceId, zoneId, t) {
+        const d = (this._dwellTotals.get(deviceId) || new Map()).get(zoneId);
+        const visit = (this._visits.get(deviceId) || new Map()).get(zoneId);
+        return (d ? d.totalSeconds : 0) + (visit ? Math.max(0, t - visit.enteredAt) : 0);
+    }
+
+    _visitCount(deviceId, zoneId) {
+        const d = (this._dwellTotals.get(deviceId) || new Map()).get(zoneId);
+        const visit = (this._visits.get(deviceId) || new Map()).get(zoneId);
+        return (d ? d.visits : 0) + (visit ? 1 : 0);
+    }
+
+    /**
+     * Forget a device that went offline, so it no longer counts toward occupancy.
+     * @param {string} deviceId
+     * @returns {string[]} IDs of the zones it was in
+     */
+    removeDevice(deviceId) {
+        const zoneIds = [...(this._deviceZoneState.get(deviceId) || [])];
+        this._deviceZoneState.delete(deviceId);
+        this._pending.delete(deviceId);
+        this._visits.delete(deviceId);
+        this._dwellTotals.delete(deviceId);
+        this._deviceTypes.delete(deviceId);
+        return zoneIds;
+    }
+
     /**
      * Clear all device zone state (e.g., on config reload).
      */
     clearState() {
         this._deviceZoneState.clear();
+        this._pending.clear();
+        this._visits.clear();
+        this._dwellTotals.clear();
+        this._deviceTypes.clear();
     }
 }
 
+/**
+ * Fill a partial hysteresis object from defaults; invalid values fall back too.
+ */
+function normalizeHysteresis(h, defaults) {
+    const src = h || {};
+    const num = (v, d, min) => (typeof v === 'number' && isFinite(v) && v >= min ? v : d);
+    return {
+        innerBuffer: num(src.innerBuffer, defaults.innerBuffer, 0),
+        outerBuffer: num(src.outerBuffer, defaults.outerBuffer, 0),
+        enterDwellSeconds: num(src.enterDwellSeconds, defaults.enterDwellSeconds, 0),
+        exitSamples: Math.max(1, Math.round(num(src.exitSamples, defaults.exitSamples, 1))),
+        minConfidence: num(src.minConfidence, defaults.minConfidence, 0)
+    };
+}
+
 module.exports = { ZoneChecker };
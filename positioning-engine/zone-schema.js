@@ -0,0 +1,441 @@
+/**
+ * Zone Schema — validation for zone create/update requests.
+ *
+ * Accepts the engine's config shape as well as the ZoneManager payload
+ * (alertEnter/alertExit, type 'normal', {x, y} vertices) and returns a
+ * zone in config shape, or a map of field → error message.
+ *
+ * Rules:
+ *   - id: optional on create (derived from name), unique, [A-Za-z0-9_.-]
+ *   - name: non-empty string
+ *   - floor: must be one of the configured floors
+ *   - polygon: 3..MAX_POLYGON_VERTICES distinct vertices, closes into a simple ring (no crossing edges,
+ *     non-zero area); the cap bounds the O(n²) crossing-edge check
+ *   - maxDwellSeconds / minDwellSeconds: optional positive numbers (null clears), min < max
+ *   - maxOccupancy / minOccupancy: optional positive integers (null clears), min <= max
+ *   - occupancyTypes: optional list of device types counted for occupancy (null / [] = all types)
+ *   - hysteresis: optional {innerBuffer, outerBuffer, enterDwellSeconds, exitSamples, minConfidence};
+ *     null removes the zone's override (the global zone_hysteresis applies)
+ *   - access: optional {devices, types, groups, schedules: [{days, from, to}], timezone} (see zone-access.js);
+ *     replaced as a whole, null removes it
+ *   - workZone: optional true or {schedules, timezone, noMotionSeconds} — man-down monitoring for people
+ *     in the zone (during the schedules, if set); false / null removes it
+ */
+
+const { DAYS, TIME_PATTERN, isValidTimezone } = require('./zone-access');
+
+const ZONE_TYPES = ['general', 'restricted', 'transition'];
+const TYPE_ALIASES = { normal: 'general' };
+const ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const MAX_NAME_LENGTH = 100;
+const MAX_POLYGON_VERTICES = 200;
+const DEVICE_TYPE_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+const HYSTERESIS_FIELDS = {
+    innerBuffer:       { min: 0, max: 50 },
+    outerBuffer:       { min: 0, max: 50 },
+    enterDwellSeconds: { min: 0, max: 3600 },
+    exitSamples:       { min: 1, max: 100, integer: true },
+    minConfidence:     { min: 0, max: 1 }
+};
+
+/**
+ * Validate a zone body.
+ *
+ * @param {object} body - Request body
+ * @param {object} ctx
+ * @param {Array} ctx.floors - Configured floors ({id, ...})
+ * @param {Array} ctx.zones - Current zones in config shape
+ * @param {object} [ctx.existing] - Zone being updated (PUT); fields missing from body are kept
+ * @returns {{zone: object}|{errors: object, conflict?: boolean}}
+ */
+function validateZone(body, ctx) {
+    const errors = {};
+    const existing = ctx.existing || null;
+    const zones = ctx.zones || [];
+    const floors = ctx.floors || [];
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { errors: { body: 'Expected a JSON object' } };
+    }
+
+    // name
+    const name = body.name !== undefined ? body.name : existing && existing.name;
+    if (typeof name !== 'string' || !name.trim()) {
+        errors.name = 'Name is required';
+    } else if (name.trim().length > MAX_NAME_LENGTH) {
+        errors.name = `Name must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+
+    // id
+    let id;
+    let conflict = false;
+    if (existing) {
+        id = existing.id;
+        if (body.id !== undefined && body.id !== existing.id) errors.id = 'Zone id cannot be changed';
+    } else if (body.id !== undefined && body.id !== null && body.id !== '') {
+        id = String(body.id);
+        if (!ID_PATTERN.test(id)) {
+            errors.id = 'Id may only contain letters, digits, "_", "-" and "."';
+        } else if (zones.some(z => z.id === id)) {
+            errors.id = `Zone "${id}" already exists`;
+            conflict = true;
+        }
+    } else if (!errors.name) {
+        id = uniqueZoneId(name, zones);
+    }
+
+    // floor
+    let floor = body.floor !== undefined ? body.floor : existing ? existing.floor : undefined;
+    if (floor === undefined || floor === null || floor === '') {
+        errors.floor = 'Floor is required';
+    } else {
+        floor = Number(floor);
+        if (!Number.isInteger(floor)) {
+            errors.floor = 'Floor must be an integer floor id';
+        } else if (floors.length && !floors.some(f => f.id === floor)) {
+            errors.floor = `Floor ${floor} does not exist`;
+        }
+    }
+
+    // type
+    let type = body.type !== undefined ? body.type : existing ? existing.type : 'general';
+    type = TYPE_ALIASES[type] || type || 'general';
+    if (!ZONE_TYPES.includes(type)) {
+        errors.type = `Type must be one of: ${ZONE_TYPES.join(', ')}`;
+    }
+
+    // polygon
+    let polygon;
+    if (body.polygon !== undefined) {
+        const result = normalizePolygon(body.polygon);
+        if (result.error) errors.polygon = result.error;
+        else polygon = result.polygon;
+    } else if (existing) {
+        polygon = existing.polygon;
+    } else {
+        errors.polygon = 'Polygon is required';
+    }
+
+    // alert flags (ZoneManager sends alertEnter/alertExit)
+    const alertOnEnter = firstDefined(body.alertOnEnter, body.alertEnter, existing ? existing.alertOnEnter : undefined);
+    const alertOnExit = firstDefined(body.alertOnExit, body.alertExit, existing ? existing.alertOnExit : undefined);
+    if (alertOnEnter !== undefined && typeof alertOnEnter !== 'boolean') errors.alertOnEnter = 'Must be true or false';
+    if (alertOnExit !== undefined && typeof alertOnExit !== 'boolean') errors.alertOnExit = 'Must be true or false';
+
+    // dwell limits
+    const dwellLimits = {};
+    for (const key of ['maxDwellSeconds', 'minDwellSeconds']) {
+        const value = body[key] !== undefined ? body[key] : existing ? existing[key] : undefined;
+        if (value === undefined || value === null) continue;
+        if (typeof value !== 'number' || !isFinite(value) || value <= 0) errors[key] = 'Must be a positive number of seconds';
+        else dwellLimits[key] = value;
+    }
+    if (dwellLimits.maxDwellSeconds && dwellLimits.minDwellSeconds && dwellLimits.minDwellSeconds >= dwellLimits.maxDwellSeconds) {
+        errors.minDwellSeconds = 'Must be lower than maxDwellSeconds';
+    }
+
+    // occupancy limits
+    const occupancy = {};
+    for (const key of ['maxOccupancy', 'minOccupancy']) {
+        const value = body[key] !== undefined ? body[key] : existing ? existing[key] : undefined;
+        if (value === undefined || value === null) continue;
+        if (!Number.isInteger(value) || value <= 0) errors[key] = 'Must be a positive whole number of devices';
+        else occupancy[key] = value;
+    }
+    if (occupancy.maxOccupancy && occupancy.minOccupancy && occupancy.minOccupancy > occupancy.maxOccupancy) {
+        errors.minOccupancy = 'Must not exceed maxOccupancy';
+    }
+    const occupancyTypes = body.occupancyTypes !== undefined ? body.occupancyTypes : existing ? existing.occupancyTypes : undefined;
+    if (occupancyTypes !== undefined && occupancyTypes !== null) {
+        if (!Array.isArray(occupancyTypes) || !occupancyTypes.every(t => typeof t === 'string' && DEVICE_TYPE_PATTERN.test(t))) {
+            errors.occupancyTypes = 'Must be a list of device types, e.g. ["person"]';
+        } else if (occupancyTypes.length) {
+            occupancy.occupancyTypes = [...new Set(occupancyTypes)];
+        }
+    }
+
+    // access list
+    let access = existing ? existing.access : undefined;
+    if (body.access === null) {
+        access = undefined;
+    } else if (body.access !== undefined) {
+        const result = validateAccess(body.access);
+        if (result.errors) Object.assign(errors, result.errors);
+        else access = result.access;
+    }
+
+    // work zone (man-down monitoring)
+    let workZone = existing ? existing.workZone : undefined;
+    if (body.workZone === null || body.workZone === false) {
+        workZone = undefined;
+    } else if (body.workZone !== undefined) {
+        const result = validateWorkZone(body.workZone);
+        if (result.errors) Object.assign(errors, result.errors);
+        else workZone = result.workZone;
+    }
+
+    // hysteresis (partial objects merge into the existing override)
+    let hysteresis = existing ? existing.hysteresis : undefined;
+    if (body.hysteresis === null) {
+        hysteresis = undefined;
+    } else if (body.hysteresis !== undefined) {
+        const result = validateHysteresis(body.hysteresis, hysteresis);
+        if (result.errors) Object.assign(errors, result.errors);
+        else hysteresis = result.hysteresis;
+    }
+
+    if (Object.keys(errors).length) return conflict ? { errors, conflict } : { errors };
+
+    const zone = { id, name: name.trim(), floor, type, polygon };
+    if (alertOnEnter !== undefined) zone.alertOnEnter = alertOnEnter;
+    if (alertOnExit !== undefined) zone.alertOnExit = alertOnExit;
+    Object.assign(zone, dwellLimits, occupancy);
+    if (access !== undefined) zone.access = access;
+    if (workZone !== undefined) zone.workZone = workZone;
+    if (hysteresis !== undefined) zone.hysteresis = hysteresis;
+    return { zone };
+}
+
+/**
+ * Normalize polygon vertices to [[x, y], ...] without a repeated closing vertex.
+ * Accepts [x, y] pairs or {x, y} objects.
+ *
+ * @param {Array} input
+ * @returns {{polygon: [number, number][]}|{error: string}}
+ */
+function normalizePolygon(input) {
+    if (!Array.isArray(input)) return { error: 'Polygon must be an array of [x, y] vertices' };
+
+    const pts = [];
+    for (let i = 0; i < input.length; i++) {
+        const v = input[i];
+        const x = Array.isArray(v) ? v[0] : v && v.x;
+        const y = Array.isArray(v) ? v[1] : v && v.y;
+        if (typeof x !== 'number' || typeof y !== 'number' || !isFinite(x) || !isFinite(y)) {
+            return { error: `Vertex ${i} is not a valid [x, y] point` };
+        }
+        // Skip consecutive duplicates (double-clicks while drawing)
+        const prev = pts[pts.length - 1];
+        if (prev && prev[0] === x && prev[1] === y) continue;
+        pts.push([x, y]);
+    }
+
+    // A ring sent closed (first == last) is stored open
+    if (pts.length > 1) {
+        const first = pts[0];
+        const last = pts[pts.length - 1];
+        if (first[0] === last[0] && first[1] === last[1]) pts.pop();
+    }
+
+    if (pts.length < 3) return { error: 'Polygon needs at least 3 distinct vertices' };
+    if (pts.length > MAX_POLYGON_VERTICES) return { error: `Polygon may have at most ${MAX_POLYGON_VERTICES} vertices` };
+    if (Math.abs(signedArea(pts)) < 1e-9) return { error: 'Polygon does not enclose an area' };
+    if (hasCrossingEdges(pts)) return { error: 'Polygon is not closed cleanly: edges cross each other' };
+
+    return { polygon: pts };
+}
+
+/**
+ * @param {object} input - Partial hysteresis block
+ * @param {object} [current] - Existing override to merge into
+ * @returns {{hysteresis: object}|{errors: object}}
+ */
+function validateHysteresis(input, current) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { errors: { hysteresis: 'Expected an object' } };
+    }
+
+    const errors = {};
+    const out = { ...(current || {}) };
+    for (const [key, value] of Object.entries(input)) {
+        const rule = HYSTERESIS_FIELDS[key];
+        if (!rule) { errors['hysteresis.' + key] = 'Unknown setting'; continue; }
+        if (typeof value !== 'number' || !isFinite(value)) errors['hysteresis.' + key] = 'Must be a number';
+        else if (rule.integer && !Number.isInteger(value)) errors['hysteresis.' + key] = 'Must be an integer';
+        else if (value < rule.min || value > rule.max) errors['hysteresis.' + key] = `Must be between ${rule.min} and ${rule.max}`;
+        else out[key] = value;
+    }
+    return Object.keys(errors).length ? { errors } : { hysteresis: out };
+}
+
+/**
+ * @param {object} input - Zone access block
+ * @returns {{access: object}|{errors: object}}
+ */
+function validateAccess(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { errors: { access: 'Expected an object' } };
+    }
+
+    const errors = {};
+    const access = {};
+    for (const key of Object.keys(input)) {
+        if (!['devices', 'types', 'groups', 'schedules', 'timezone'].includes(key)) errors['access.' + key] = 'Unknown setting';
+    }
+
+    for (const key of ['devices', 'types', 'groups']) {
+        const list = input[key];
+        if (list === undefined || list === null) continue;
+        if (!Array.isArray(list) || !list.every(v => typeof v === 'string' && v.trim() && v.length <= 64)) {
+            errors['access.' + key] = 'Must be a list of names';
+        } else if (list.length) {
+            access[key] = [...new Set(list.map(v => v.trim()))];
+        }
+    }
+
+    validateSchedules(input, 'access', access, errors);
+    return Object.keys(errors).length ? { errors } : { access };
+}
+
+/**
+ * @param {boolean|object} input - true, or {schedules, timezone, noMotionSeconds}
+ * @returns {{workZone: true|object}|{errors: object}}
+ */
+function validateWorkZone(input) {
+    if (input === true) return { workZone: true };
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { errors: { workZone: 'Expected true or an object' } };
+    }
+
+    const errors = {};
+    const workZone = {};
+    for (const key of Object.keys(input)) {
+        if (!['schedules', 'timezone', 'noMotionSeconds'].includes(key)) errors['workZone.' + key] = 'Unknown setting';
+    }
+
+    const seconds = input.noMotionSeconds;
+    if (seconds !== undefined && seconds !== null) {
+        if (!Number.isInteger(seconds) || seconds < 10 || seconds > 3600) errors['workZone.noMotionSeconds'] = 'Must be a whole number of seconds between 10 and 3600';
+        else workZone.noMotionSeconds = seconds;
+    }
+
+    validateSchedules(input, 'workZone', workZone, errors);
+    if (Object.keys(errors).length) return { errors };
+    return { workZone: Object.keys(workZone).length ? workZone : true };
+}
+
+/**
+ * Validate input.schedules / input.timezone into out; errors are keyed "<prefix>.schedules.<i>" etc.
+ */
+function validateSchedules(input, prefix, out, errors) {
+    if (input.schedules !== undefined && input.schedules !== null) {
+        if (!Array.isArray(input.schedules)) {
+            errors[prefix + '.schedules'] = 'Must be a list of {days, from, to}';
+        } else {
+            const schedules = [];
+            input.schedules.forEach((sch, i) => {
+                const field = `${prefix}.schedules.${i}`;
+                if (!sch || typeof sch !== 'object') { errors[field] = 'Expected {days, from, to}'; return; }
+                if (!TIME_PATTERN.test(sch.from) || !TIME_PATTERN.test(sch.to)) { errors[field] = 'from and to must be "HH:MM"'; return; }
+                if (sch.from === sch.to) { errors[field] = 'from and to must differ'; return; }
+                const days = sch.days === undefined || sch.days === null ? [] : sch.days;
+                if (!Array.isArray(days) || !days.every(d => DAYS.includes(String(d).toLowerCase()))) {
+                    errors[field] = `days must be a list of ${DAYS.join(', ')}`;
+                    return;
+                }
+                schedules.push(days.length
+                    ? { days: [...new Set(days.map(d => String(d).toLowerCase()))], from: sch.from, to: sch.to }
+                    : { from: sch.from, to: sch.to });
+            });
+            if (schedules.length) out.schedules = schedules;
+        }
+    }
+
+    if (input.timezone !== undefined && input.timezone !== null && input.timezone !== '') {
+        if (typeof input.timezone !== 'string' || !isValidTimezone(input.timezone)) errors[prefix + '.timezone'] = 'Unknown time zone';
+        else out.timezone = input.timezone;
+    }
+}
+
+/**
+ * Validate config.tag_groups: {groupName: [deviceId, ...]}.
+ *
+ * @param {object} input
+ * @returns {{tagGroups: object}|{errors: object}}
+ */
+function validateTagGroups(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { errors: { tag_groups: 'Expected an object of group name -> device ids' } };
+    }
+
+    const errors = {};
+    const tagGroups = {};
+    for (const [name, ids] of Object.entries(input)) {
+        if (!ID_PATTERN.test(name)) {
+            errors[name] = 'Group name may only contain letters, digits, "_", "-" and "."';
+        } else if (!Array.isArray(ids) || !ids.every(id => typeof id === 'string' && id.trim())) {
+            errors[name] = 'Must be a list of device ids';
+        } else {
+            tagGroups[name] = [...new Set(ids.map(id => id.trim()))];
+        }
+    }
+    return Object.keys(errors).length ? { errors } : { tagGroups };
+}
+
+/**
+ * Derive a unique id from the zone name: "Loading Bay" → "zone-loading-bay".
+ */
+function uniqueZoneId(name, zones) {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48);
+    const base = 'zone-' + (slug || 'unnamed');
+    const taken = new Set(zones.map(z => z.id));
+    if (!taken.has(base)) return base;
+    let n = 2;
+    while (taken.has(base + '-' + n)) n++;
+    return base + '-' + n;
+}
+
+function firstDefined(...values) {
+    for (const v of values) if (v !== undefined) return v;
+    return undefined;
+}
+
+function signedArea(pts) {
+    let a = 0;
+    for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+        a += (pts[j][0] * pts[i][1]) - (pts[i][0] * pts[j][1]);
+    }
+    return a / 2;
+}
+
+/**
+ * True if any two non-adjacent edges of the ring intersect.
+ */
+function hasCrossingEdges(pts) {
+    const n = pts.length;
+    for (let i = 0; i < n; i++) {
+        const a1 = pts[i];
+        const a2 = pts[(i + 1) % n];
+        for (let j = i + 1; j < n; j++) {
+            // Adjacent edges share a vertex
+            if (j === i + 1 || (i === 0 && j === n - 1)) continue;
+            if (segmentsIntersect(a1, a2, pts[j], pts[(j + 1) % n])) return true;
+        }
+    }
+    return false;
+}
+
+function segmentsIntersect(p1, p2, p3, p4) {
+    const d1 = cross(p3, p4, p1);
+    const d2 = cross(p3, p4, p2);
+    const d3 = cross(p1, p2, p3);
+    const d4 = cross(p1, p2, p4);
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+        ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) return true;
+    return (d1 === 0 && onSegment(p3, p4, p1)) ||
+        (d2 === 0 && onSegment(p3, p4, p2)) ||
+        (d3 === 0 && onSegment(p1, p2, p3)) ||
+        (d4 === 0 && onSegment(p1, p2, p4));
+}
+
+function cross(a, b, c) {
+    return (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+}
+
+function onSegment(a, b, p) {
+    return Math.min(a[0], b[0]) <= p[0] && p[0] <= Math.max(a[0], b[0]) &&
+        Math.min(a[1], b[1]) <= p[1] && p[1] <= Math.max(a[1], b[1]);
+}
+
+module.exports = { validateZone, validateTagGroups, validateSchedules, normalizePolygon, ZONE_TYPES };